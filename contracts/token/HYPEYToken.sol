@@ -245,9 +245,9 @@ contract HYPEYToken is ERC20Upgradeable, OwnableUpgradeable, UUPSUpgradeable, Ac
         require(msg.sender == address(timelock), "Upgrade only via timelock");
         require(hasRole(MULTISIG_ADMIN_ROLE, tx.origin), "Upgrade requires multisig admin");
     }
-}
 
     /// @notice Returns the buy tax rate (always 0)
     function getBuyTaxBps() external pure returns (uint256) {
         return 0;
-    }
\ No newline at end of file
+    }
+}
@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/token");
+require("./tasks/treasury");
 
 // Default private key for local development (never use in production)
 const DEFAULT_PRIVATE_KEY = "0x" + "0".repeat(64);
@@ -20,6 +22,11 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337,
+      // Hardhat only knows the hardforks of public chains; this lets upgrade
+      // rehearsals fork a local node (`--rehearse localhost`)
+      chains: {
+        31337: { hardforkHistory: { prague: 0 } },
+      },
     },
     localhost: {
       url: "http://127.0.0.1:8545",
@@ -0,0 +1,102 @@
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { AUDITED_CONTRACTS, loadRoleHolders, createLabels, getAccountKinds, auditFindings } = require("./lib/access-audit");
+require("dotenv").config();
+
+const SEVERITY_ICONS = { high: "🔴", medium: "🟠", info: "ℹ️ " };
+
+function printAudit(audit, labels, kinds) {
+  const describe = (account) => [labels[account], kinds[account]].filter(Boolean).join(", ");
+
+  for (const [key, { address, holders, owner }] of Object.entries(audit.contracts)) {
+    console.log(`🔐 ${AUDITED_CONTRACTS[key].contractName} (${key}) ${address}:`);
+    if (owner) {
+      console.log(`   owner(): ${owner} (${describe(owner) || "unknown"})`);
+    }
+    for (const [role, list] of Object.entries(holders)) {
+      console.log(`   ${role}: ${list.length === 0 ? "nobody" : ""}`);
+      for (const holder of list) {
+        const origin = holder.fromEvents ? `granted in block ${holder.blockNumber} by ${labels[holder.grantedBy] || holder.grantedBy}` : "no grant event in range";
+        console.log(`     ${holder.confirmed ? "•" : "✗"} ${holder.account} (${describe(holder.account) || "unknown"}), ${origin}`);
+      }
+    }
+    console.log("");
+  }
+
+  if (audit.findings.length === 0) {
+    console.log("✅ No findings");
+    return;
+  }
+  console.log(`🚩 Findings (${audit.findings.length}):`);
+  for (const finding of audit.findings) {
+    console.log(`   ${SEVERITY_ICONS[finding.severity]} ${finding.code}: ${finding.message}`);
+  }
+}
+
+async function main() {
+  const json = hasFlag("json", "AUDIT_JSON");
+  const strict = hasFlag("strict", "AUDIT_STRICT");
+  const log = json ? () => {} : console.log;
+  log("🛡️  HYPEY Access Audit\n");
+
+  const { addresses, deployment } = requireAddresses(network.name, Object.keys(AUDITED_CONTRACTS));
+  const deployer = getOption("deployer", "AUDIT_DEPLOYER", deployment && deployment.deployer);
+  const startBlock = getOption("from-block", "AUDIT_FROM_BLOCK");
+  const { multisig } = addresses;
+
+  log("📋 Audit Configuration:");
+  log(`   Network: ${network.name}`);
+  log(`   Multisig: ${multisig || "(not in the registry)"}`);
+  log(`   Deployer: ${deployer || "(not in the registry)"}`);
+  log("");
+
+  // Rebuild the holders of every role from the events since each contract was deployed
+  const contracts = {};
+  for (const [key, { contractName, roles, owned }] of Object.entries(AUDITED_CONTRACTS)) {
+    const address = ethers.getAddress(addresses[key]);
+    const contract = await ethers.getContractAt(contractName, address);
+    const recorded = deployment && deployment.contracts && deployment.contracts[key];
+    const fromBlock = startBlock !== undefined ? Number(startBlock) : (recorded && recorded.blockNumber) || 0;
+    contracts[key] = {
+      address,
+      fromBlock,
+      owner: owned ? await contract.owner() : null,
+      holders: await loadRoleHolders(contract, roles, { fromBlock, candidates: [multisig, addresses.timelock, deployer] }),
+    };
+  }
+
+  const accounts = new Set([multisig, deployer].filter(Boolean).map((account) => ethers.getAddress(account)));
+  for (const { holders, owner } of Object.values(contracts)) {
+    if (owner) accounts.add(owner);
+    Object.values(holders).forEach((list) => list.forEach((holder) => accounts.add(holder.account)));
+  }
+  const kinds = await getAccountKinds([...accounts]);
+  const labels = createLabels(addresses, deployer);
+  const findings = auditFindings({ contracts, kinds, labels, multisig, deployer });
+  const audit = { network: network.name, multisig: multisig || null, deployer: deployer || null, contracts, accounts: kinds, findings };
+
+  if (json) {
+    process.stdout.write(JSON.stringify(audit, null, 2) + "\n");
+  } else {
+    printAudit(audit, labels, kinds);
+  }
+
+  const high = findings.filter((finding) => finding.severity === "high").length;
+  if (strict && high > 0) {
+    throw new Error(`${high} high-severity finding(s)`);
+  }
+  return audit;
+}
+
+// Execute access audit
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Access audit failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { getDatabasePath, openEventDatabase, getSyncState } = require("./lib/indexer");
+const { BURN_SOURCES, loadBurnRecords, aggregateBurns, formatReduction, renderCsv, renderRecordsCsv, toJson } = require("./lib/burns");
+require("dotenv").config();
+
+const FORMATS = ["table", "csv", "json"];
+
+function printTable(header, lines) {
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => String(line[i]).length)));
+  const format = (cells) => "   " + cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join("  ");
+  console.log(format(header));
+  console.log("   " + widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
+function printReport(report) {
+  const format = ethers.formatEther;
+  console.log("🔥 By source:");
+  printTable(
+    ["Source", "Events", "Burned", "To reserve"],
+    BURN_SOURCES.filter((source) => report.totals.sources[source]).map((source) => {
+      const totals = report.totals.sources[source];
+      return [source, totals.count, format(totals.burned), format(totals.toReserve)];
+    })
+  );
+  console.log("");
+
+  console.log(`📅 By ${report.period}:`);
+  printTable(
+    [report.period === "week" ? "Week of" : "Day", "Burned", "To reserve", "Total burned", "Supply", "Reduction"],
+    report.periods.map((row) => [
+      row.period,
+      format(row.burned),
+      format(row.toReserve),
+      format(row.cumulativeBurned),
+      format(row.supply),
+      formatReduction(row.cumulativeBurned, report.initialSupply),
+    ])
+  );
+  console.log("");
+
+  console.log("📉 Supply:");
+  console.log(`   Initial supply: ${format(report.initialSupply)} HYPEY`);
+  console.log(`   Burned: ${format(report.totals.burned)} HYPEY (${formatReduction(report.totals.burned, report.initialSupply)})`);
+  console.log(`   Sent to reserve: ${format(report.totals.toReserve)} HYPEY (${formatReduction(report.totals.toReserve, report.initialSupply)})`);
+  console.log(`   Supply after burns: ${format(report.totals.supply)} HYPEY`);
+}
+
+async function main() {
+  const format = getOption("format", "BURN_FORMAT", "table").toLowerCase();
+  const period = getOption("period", "BURN_PERIOD", "day").toLowerCase();
+  const outFile = getOption("out", "BURN_OUT");
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  }
+  // CSV and JSON on stdout stay machine-readable
+  const log = format !== "table" && !outFile ? () => {} : console.log;
+  log("🔥 HYPEY Burn Report\n");
+
+  const { addresses, deployment } = requireAddresses(network.name, ["token"]);
+  const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+  const file = getOption("db", "INDEXER_DB", getDatabasePath(network.name));
+  const db = openEventDatabase(file, { readonly: true });
+
+  try {
+    const state = getSyncState(db);
+    if (!state.contracts || !state.contracts.token || state.contracts.token.toLowerCase() !== addresses.token.toLowerCase()) {
+      throw new Error(`${path.relative(process.cwd(), file)} does not index HYPEYToken ${addresses.token}; run the indexer first`);
+    }
+    const head = await ethers.provider.getBlockNumber();
+    const [initialSupply, currentReserve, owner] = await Promise.all([token.INITIAL_SUPPLY(), token.reserveBurnAddress(), token.owner()]);
+
+    log("📋 Report Configuration:");
+    log(`   Network: ${network.name}`);
+    log(`   Token: ${addresses.token}`);
+    log(`   Event database: ${path.relative(process.cwd(), file)} (up to block ${state.lastBlock})`);
+    if (head > state.lastBlock) {
+      log(`   ⚠️  ${head - state.lastBlock} block(s) behind the chain; run "npm run indexer" for the latest burns`);
+    }
+    log(`   Period: ${period}`);
+    log("");
+
+    // KPI burns come from the owner; the registry multisig covers an owner that has since changed
+    const owners = [owner, deployment && deployment.multisig].filter(Boolean);
+    const records = loadBurnRecords(db, { currentReserve, owners });
+    const report = aggregateBurns(records, { period, initialSupply });
+
+    // Every burn is indexed if the totals agree with the chain at the indexed block
+    try {
+      const totalSupply = await token.totalSupply({ blockTag: state.lastBlock });
+      if (totalSupply !== report.totals.supply) {
+        log(
+          `⚠️  totalSupply() at block ${state.lastBlock} is ${ethers.formatEther(totalSupply)} HYPEY, ` +
+            `burns in the index account for ${ethers.formatEther(report.totals.supply)} HYPEY\n`
+        );
+      }
+    } catch (error) {
+      log(`⚠️  Could not read totalSupply() at block ${state.lastBlock} to cross-check: ${error.shortMessage || error.message}\n`);
+    }
+
+    let output = null;
+    if (format === "json") {
+      output = JSON.stringify(toJson(report, records, { network: network.name, token: addresses.token, indexedBlock: state.lastBlock }), null, 2) + "\n";
+    } else if (format === "csv") {
+      output = hasFlag("records", "BURN_RECORDS") ? renderRecordsCsv(records) : renderCsv(report);
+    } else {
+      if (records.length === 0) {
+        console.log("   No burns indexed yet");
+      } else {
+        printReport(report);
+      }
+    }
+
+    if (output !== null) {
+      if (outFile) {
+        fs.writeFileSync(outFile, output);
+        log(`📝 ${records.length} burn record(s) written to ${outFile}`);
+      } else {
+        process.stdout.write(output);
+      }
+    }
+    return { report, records };
+  } finally {
+    db.close();
+  }
+}
+
+// Execute burn report
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Burn report failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
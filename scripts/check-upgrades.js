@@ -0,0 +1,65 @@
+const { network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag } = require("./lib/cli");
+const { CHECKED_CONTRACTS, checkUpgrades } = require("./lib/upgrade-check");
+require("dotenv").config();
+
+const RESULT_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌" };
+
+function printReport(report) {
+  for (const contract of report.contracts) {
+    console.log(`${contract.ok ? "✅" : "❌"} ${contract.contractName} (${contract.key})`);
+    console.log(`   Proxy:          ${contract.proxy}`);
+    console.log(`   Implementation: ${contract.implementation || "❓"}`);
+    if (contract.codeHash || contract.localCodeHash) {
+      console.log(`   Code hash:      ${contract.codeHash || "❓"} (local ${contract.localCodeHash || "❓"})`);
+    }
+    for (const { check, result, detail } of contract.checks) {
+      const [first, ...rest] = detail.split("\n");
+      console.log(`   ${RESULT_ICONS[result]} ${check.padEnd(9)} ${first}`);
+      rest.forEach((line) => console.log(`                ${line}`));
+    }
+    console.log("");
+  }
+}
+
+async function main() {
+  const json = hasFlag("json", "UPGRADE_CHECK_JSON");
+  const strict = hasFlag("strict", "UPGRADE_CHECK_STRICT");
+  const log = json ? () => {} : console.log;
+  log("🧬 HYPEY Implementation Drift Check\n");
+
+  const { addresses, deployment } = requireAddresses(network.name, Object.keys(CHECKED_CONTRACTS));
+  const report = await checkUpgrades({ addresses, deployment, strict });
+
+  log("📋 Check Configuration:");
+  log(`   Network: ${network.name}`);
+  log(`   Manifest: ${report.manifest}`);
+  log(`   Strict: ${strict ? "yes, local code must equal the deployed code" : "no"}`);
+  log("");
+
+  if (json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  } else {
+    printReport(report);
+  }
+
+  const failed = report.contracts.filter((contract) => !contract.ok);
+  if (failed.length > 0) {
+    throw new Error(`${failed.map((contract) => contract.key).join(", ")} failed the check`);
+  }
+  log("✅ All proxies pass: safe to prepare an upgrade");
+  return report;
+}
+
+// Execute drift check
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Drift check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+require("dotenv").config();
+
+function getAllocationPath(networkName) {
+  return getOption(
+    "allocation",
+    "ALLOCATION_FILE",
+    path.join(__dirname, "..", "config", `allocation.${networkName}.json`)
+  );
+}
+
+function loadAllocation(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Allocation file not found: ${file} (see config/allocation.example.json)`);
+  }
+  const allocation = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(allocation.distribution)) {
+    throw new Error(`${file}: "distribution" must be an array`);
+  }
+  return allocation;
+}
+
+// Recipients may be plain addresses or names from the deployment registry
+function resolveTarget(ref, addresses) {
+  if (ethers.isAddress(ref)) {
+    return ethers.getAddress(ref);
+  }
+  if (addresses[ref]) {
+    return ethers.getAddress(addresses[ref]);
+  }
+  throw new Error(`Unknown allocation target "${ref}"`);
+}
+
+/**
+ * Turns the allocation file into concrete addresses and wei amounts.
+ * Buckets that share a recipient are summed, since distributions are
+ * reconciled per recipient from on-chain Transfer events.
+ */
+function buildPlan(allocation, addresses) {
+  const recipients = new Map();
+
+  for (const entry of allocation.distribution) {
+    const recipient = resolveTarget(entry.recipient, addresses);
+    const amount = ethers.parseEther(String(entry.amount));
+    if (amount <= 0n) {
+      throw new Error(`Bucket "${entry.bucket}" must have a positive amount`);
+    }
+    const planned = recipients.get(recipient) || { recipient, amount: 0n, buckets: [] };
+    planned.amount += amount;
+    planned.buckets.push(entry.bucket);
+    recipients.set(recipient, planned);
+  }
+
+  return {
+    distribution: [...recipients.values()],
+    burnExemptions: (allocation.burnExemptions || []).map((ref) => resolveTarget(ref, addresses)),
+    treasurySupportedTokens: (allocation.treasurySupportedTokens || []).map((ref) => resolveTarget(ref, addresses)),
+    dexPair: allocation.dexPair ? resolveTarget(allocation.dexPair, addresses) : null,
+  };
+}
+
+// Sum of everything distributeInitialSupply has already sent to `recipient`
+async function getDistributed(token, tokenAddress, recipient, fromBlock) {
+  const events = await token.queryFilter(token.filters.Transfer(tokenAddress, recipient), fromBlock);
+  return events.reduce((total, event) => total + event.args.value, 0n);
+}
+
+async function main() {
+  console.log("⚙️  HYPEY Post-Deployment Configuration\n");
+
+  const dryRun = hasFlag("dry-run", "DRY_RUN");
+  const { addresses, deployment } = requireAddresses(network.name, ["token", "treasury", "vesting"]);
+  const allocationFile = getAllocationPath(network.name);
+  const plan = buildPlan(loadAllocation(allocationFile), addresses);
+  const fromBlock = (deployment && deployment.contracts.token && deployment.contracts.token.blockNumber) || 0;
+
+  const sender = await createSenderFromEnv({
+    addresses,
+    name: `HYPEY configuration (${network.name})`,
+    description: `Initial allocation, burn exemptions and treasury setup from ${path.basename(allocationFile)}`,
+  });
+  const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+  const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+
+  console.log("📋 Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Allocation file: ${allocationFile}`);
+  console.log(`   ${sender.mode === "export" ? "Safe" : "Signer"}: ${sender.from}`);
+  console.log(`   Mode: ${dryRun ? "dry run (no transactions)" : sender.mode === "export" ? "export Safe batch" : "execute"}`);
+  console.log("");
+
+  // Every call below is owner / MULTISIG_ADMIN_ROLE gated
+  if (!dryRun) {
+    const isOwner = (await token.owner()).toLowerCase() === sender.from.toLowerCase();
+    const isTreasuryAdmin = await treasury.hasRole(await treasury.MULTISIG_ADMIN_ROLE(), sender.from);
+    if (!isOwner || (plan.treasurySupportedTokens.length > 0 && !isTreasuryAdmin)) {
+      throw new Error(
+        `${sender.from} must be the token owner and hold MULTISIG_ADMIN_ROLE on the treasury. ` +
+          "Run with --dry-run to review the plan, or SAFE_EXPORT=<file> to export it for the multisig."
+      );
+    }
+  }
+
+  // 1. Burn exemptions, for transfers made after configuration (distributeInitialSupply is never taxed)
+  console.log("🔥 Burn exemptions:");
+  for (const wallet of plan.burnExemptions) {
+    if (await token.exemptFromBurn(wallet)) {
+      console.log(`   ⏭️  ${wallet} already exempt`);
+    } else if (dryRun) {
+      console.log(`   📝 Would call setExemptFromBurn(${wallet}, true)`);
+    } else {
+      await sender.submit(`Exempt ${wallet}`, token, "setExemptFromBurn", [wallet, true]);
+    }
+  }
+
+  // 2. Initial supply distribution
+  console.log("\n💰 Initial supply distribution:");
+  let available = await token.balanceOf(addresses.token);
+  for (const { recipient, amount, buckets } of plan.distribution) {
+    const distributed = await getDistributed(token, addresses.token, recipient, fromBlock);
+    const label = `${buckets.join(" + ")} → ${recipient}`;
+
+    if (distributed >= amount) {
+      if (distributed > amount) {
+        console.log(`   ⚠️  ${label}: ${ethers.formatEther(distributed)} HYPEY already sent, more than planned`);
+      } else {
+        console.log(`   ⏭️  ${label}: already distributed`);
+      }
+      continue;
+    }
+
+    const remaining = amount - distributed;
+    if (remaining > available) {
+      throw new Error(
+        `${label}: needs ${ethers.formatEther(remaining)} HYPEY but the token contract only holds ${ethers.formatEther(available)}`
+      );
+    }
+    available -= remaining;
+
+    if (dryRun) {
+      console.log(`   📝 Would call distributeInitialSupply(${recipient}, ${ethers.formatEther(remaining)} HYPEY)`);
+    } else {
+      await sender.submit(
+        `${label}: ${ethers.formatEther(remaining)} HYPEY`,
+        token,
+        "distributeInitialSupply",
+        [recipient, remaining]
+      );
+    }
+  }
+
+  // 3. Treasury supported tokens
+  console.log("\n🏦 Treasury supported tokens:");
+  for (const supported of plan.treasurySupportedTokens) {
+    if (await treasury.supportedTokens(supported)) {
+      console.log(`   ⏭️  ${supported} already supported`);
+    } else if (dryRun) {
+      console.log(`   📝 Would call addSupportedToken(${supported})`);
+    } else {
+      await sender.submit(`Add supported token ${supported}`, treasury, "addSupportedToken", [supported]);
+    }
+  }
+
+  // 4. DEX pair
+  console.log("\n🔄 DEX pair:");
+  if (!plan.dexPair) {
+    console.log("   ⏭️  Not configured");
+  } else if ((await token.dexPair()).toLowerCase() === plan.dexPair.toLowerCase()) {
+    console.log(`   ⏭️  Already set to ${plan.dexPair}`);
+  } else if (dryRun) {
+    console.log(`   📝 Would call setDexPair(${plan.dexPair})`);
+  } else {
+    await sender.submit(`Set DEX pair to ${plan.dexPair}`, token, "setDexPair", [plan.dexPair]);
+  }
+
+  if (dryRun) {
+    console.log("\n📝 Dry run complete, no transactions sent");
+    return { plan, drift: [] };
+  }
+  if (sender.mode === "export") {
+    const batchFile = sender.finalize();
+    console.log("   Re-run without SAFE_EXPORT once the batch has executed to verify the configuration");
+    return { plan, drift: [], batchFile };
+  }
+
+  const drift = await verifyConfiguration({ token, treasury, tokenAddress: addresses.token, plan, fromBlock });
+  if (drift.length > 0) {
+    throw new Error(`Configuration does not match ${allocationFile}:\n   - ${drift.join("\n   - ")}`);
+  }
+
+  console.log("\n🎉 Configuration complete and verified!");
+  return { plan, drift };
+}
+
+/**
+ * Re-reads every balance and flag the allocation file describes and returns
+ * a list of human-readable mismatches (empty when everything matches).
+ */
+async function verifyConfiguration({ token, treasury, tokenAddress, plan, fromBlock }) {
+  console.log("\n🔍 Verifying configuration...");
+  const drift = [];
+
+  for (const { recipient, amount, buckets } of plan.distribution) {
+    const distributed = await getDistributed(token, tokenAddress, recipient, fromBlock);
+    const balance = await token.balanceOf(recipient);
+    if (distributed !== amount) {
+      drift.push(`${buckets.join(" + ")}: distributed ${ethers.formatEther(distributed)} HYPEY, expected ${ethers.formatEther(amount)}`);
+    }
+    console.log(`   ${distributed === amount ? '✅' : '❌'} ${buckets.join(" + ")}: balance ${ethers.formatEther(balance)} HYPEY`);
+  }
+
+  for (const wallet of plan.burnExemptions) {
+    const exempt = await token.exemptFromBurn(wallet);
+    if (!exempt) drift.push(`${wallet} is not exempt from burn`);
+    console.log(`   ${exempt ? '✅' : '❌'} Burn exempt: ${wallet}`);
+  }
+
+  for (const supported of plan.treasurySupportedTokens) {
+    const isSupported = await treasury.supportedTokens(supported);
+    if (!isSupported) drift.push(`${supported} is not a treasury supported token`);
+    console.log(`   ${isSupported ? '✅' : '❌'} Treasury supports: ${supported}`);
+  }
+
+  if (plan.dexPair) {
+    const dexPair = await token.dexPair();
+    const matches = dexPair.toLowerCase() === plan.dexPair.toLowerCase();
+    if (!matches) drift.push(`dexPair is ${dexPair}, expected ${plan.dexPair}`);
+    console.log(`   ${matches ? '✅' : '❌'} DEX pair: ${dexPair}`);
+  }
+
+  return drift;
+}
+
+// Execute configuration
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Configuration failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
+module.exports.buildPlan = buildPlan;
+module.exports.verifyConfiguration = verifyConfiguration;
@@ -1,9 +1,184 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadDeployment, saveDeployment, getGitCommit } = require("./lib/deployments");
+const { hasFlag } = require("./lib/cli");
 require("dotenv").config();
 
-async function main() {
+const TIMELOCK_MIN_DELAY = 86400; // 1 day in seconds
+
+// Deployment steps, in dependency order. Each step is checkpointed in
+// deployments/<network>.json as soon as its proxy is deployed, and marked
+// as pending with the deployer's nonce just before it is sent.
+const STEPS = [
+  {
+    key: "timelock",
+    contractName: "MockTimelock",
+    label: "⏰ Deploying MockTimelock...",
+    args: ({ multisig }) => [
+      TIMELOCK_MIN_DELAY,
+      [multisig], // Multisig can propose
+      [multisig], // Multisig can execute
+      multisig, // Multisig is admin
+    ],
+    extra: ({ multisig }) => ({ admin: multisig, minDelay: TIMELOCK_MIN_DELAY }),
+    matches: async (timelock, { multisig }) =>
+      (await timelock.getMinDelay()) === BigInt(TIMELOCK_MIN_DELAY) &&
+      (await timelock.hasRole(await timelock.PROPOSER_ROLE(), multisig)),
+  },
+  {
+    key: "token",
+    contractName: "HYPEYToken",
+    label: "🪙 Deploying HYPEYToken...",
+    args: ({ reserveBurn, timelock, multisig }) => [reserveBurn, timelock, multisig],
+    extra: ({ multisig, timelock }) => ({ admin: multisig, timelock }),
+    matches: async (token, { reserveBurn, timelock, multisig }) =>
+      sameAddress(await token.timelock(), timelock) &&
+      sameAddress(await token.reserveBurnAddress(), reserveBurn) &&
+      sameAddress(await token.owner(), multisig),
+  },
+  {
+    key: "treasury",
+    contractName: "HYPEYTreasury",
+    label: "🏦 Deploying HYPEYTreasury...",
+    args: ({ multisig, timelock }) => [multisig, timelock],
+    extra: ({ multisig, timelock }) => ({ admin: multisig, timelock }),
+    matches: async (treasury, { multisig, timelock }) =>
+      sameAddress(await treasury.timelock(), timelock) &&
+      (await treasury.hasRole(await treasury.MULTISIG_ADMIN_ROLE(), multisig)),
+  },
+  {
+    key: "vesting",
+    contractName: "HypeyVesting",
+    label: "⏳ Deploying HypeyVesting...",
+    args: ({ token, multisig, timelock }) => [token, multisig, timelock],
+    extra: ({ multisig, timelock }) => ({ admin: multisig, timelock }),
+    matches: async (vesting, { token, multisig, timelock }) =>
+      sameAddress(await vesting.token(), token) &&
+      sameAddress(await vesting.timelock(), timelock) &&
+      (await vesting.hasRole(await vesting.MULTISIG_ADMIN_ROLE(), multisig)),
+  },
+];
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Collects the registry entry for a freshly deployed UUPS proxy
+async function describeProxy(contract, contractName, initializerArgs, extra = {}) {
+  const proxy = await contract.getAddress();
+  const deployTx = contract.deploymentTransaction();
+  const receipt = deployTx ? await deployTx.wait() : null;
+
+  return {
+    contractName,
+    proxy,
+    implementation: await upgrades.erc1967.getImplementationAddress(proxy),
+    kind: "uups",
+    txHash: deployTx ? deployTx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    initializerArgs: initializerArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+    ...extra,
+  };
+}
+
+// OpenZeppelin 4.x Initializable keeps `_initialized` in the low byte of slot 0
+async function isInitialized(address) {
+  const slot0 = await ethers.provider.getStorage(address, 0);
+  return (BigInt(slot0) & 0xffn) > 0n;
+}
+
+/**
+ * Returns true when a checkpointed proxy can be reused: it has code, has been
+ * initialized, and is wired to the same addresses this run would use.
+ */
+async function isReusable(step, entry, context) {
+  if (!entry || !entry.proxy) {
+    return false;
+  }
+  if ((await ethers.provider.getCode(entry.proxy)) === "0x") {
+    console.log(`   ⚠️  No code at recorded ${step.contractName} proxy ${entry.proxy}`);
+    return false;
+  }
+  if (!(await isInitialized(entry.proxy))) {
+    console.log(`   ⚠️  Recorded ${step.contractName} proxy ${entry.proxy} is not initialized`);
+    return false;
+  }
+  const contract = await ethers.getContractAt(step.contractName, entry.proxy);
+  try {
+    if (!(await step.matches(contract, context))) {
+      console.log(`   ⚠️  Recorded ${step.contractName} proxy ${entry.proxy} does not match the current configuration`);
+      return false;
+    }
+  } catch (error) {
+    console.log(`   ⚠️  Could not inspect ${step.contractName} at ${entry.proxy}: ${error.message}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Finds the proxy of a deployment that was sent but never checkpointed. The
+ * deployer's nonce is recorded before each deployProxy, so the proxy is the
+ * contract created at that nonce, or the next one when the implementation
+ * was deployed first. It is reused only if it passes isReusable, and is
+ * imported into the OpenZeppelin manifest, which may not have recorded it.
+ */
+async function recoverPendingProxy(step, pending, context) {
+  if (!pending || pending.key !== step.key) {
+    return null;
+  }
+  for (const nonce of [pending.nonce, pending.nonce + 1]) {
+    const proxy = ethers.getCreateAddress({ from: pending.deployer, nonce });
+    if ((await ethers.provider.getCode(proxy)) === "0x") {
+      continue;
+    }
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy).catch(() => null);
+    if (implementation && (await isReusable(step, { proxy }, context))) {
+      await upgrades.forceImport(proxy, await ethers.getContractFactory(step.contractName), { kind: "uups" });
+      return proxy;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the checkpoint to resume from, or starts a new one. A checkpoint from
+ * another chain or with a different multisig/reserve burn address is never
+ * resumed silently.
+ */
+function loadCheckpoint({ fresh, chainId, multisigAddress, reserveBurnAddress }) {
+  const previous = fresh ? null : loadDeployment(network.name);
+
+  if (previous) {
+    if (previous.chainId !== undefined && previous.chainId !== chainId) {
+      throw new Error(
+        `deployments/${network.name}.json was written for chainId ${previous.chainId}, ` +
+          `connected to ${chainId}. Re-run with --fresh to start over.`
+      );
+    }
+    if (!sameAddress(previous.multisig, multisigAddress) || !sameAddress(previous.reserveBurn, reserveBurnAddress)) {
+      throw new Error(
+        `deployments/${network.name}.json was deployed with a different MULTISIG_ADDRESS or RESERVE_BURN_ADDRESS. ` +
+          "Re-run with --fresh to start over."
+      );
+    }
+  }
+
+  return {
+    ...(previous || {}),
+    network: network.name,
+    chainId,
+    multisig: multisigAddress,
+    reserveBurn: reserveBurnAddress,
+    status: "IN_PROGRESS",
+    contracts: { ...((previous && previous.contracts) || {}) },
+  };
+}
+
+async function main(options = {}) {
   console.log("🚀 Starting HYPEY Token Ecosystem Deployment...\n");
 
+  const fresh = options.fresh !== undefined ? options.fresh : hasFlag("fresh", "DEPLOY_FRESH");
+
   // Get deployment parameters from environment
   const multisigAddress = process.env.MULTISIG_ADDRESS;
   const reserveBurnAddress = process.env.RESERVE_BURN_ADDRESS;
@@ -12,76 +187,92 @@ async function main() {
     throw new Error("Missing required environment variables: MULTISIG_ADDRESS, RESERVE_BURN_ADDRESS");
   }
 
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
   console.log("📋 Deployment Configuration:");
+  console.log(`   Network: ${network.name} (chainId ${chainId})`);
+  console.log(`   Deployer: ${deployer.address}`);
   console.log(`   Multisig Address: ${multisigAddress}`);
   console.log(`   Reserve Burn Address: ${reserveBurnAddress}`);
+  console.log(`   Mode: ${fresh ? "fresh (ignoring previous checkpoints)" : "resume"}`);
   console.log("");
 
-  // Deploy MockTimelock first
-  console.log("⏰ Deploying MockTimelock...");
-  const MockTimelock = await ethers.getContractFactory("MockTimelock");
-  const minDelay = 86400; // 1 day in seconds
-  const proposers = [multisigAddress]; // Multisig can propose
-  const executors = [multisigAddress]; // Multisig can execute
-  const admin = multisigAddress; // Multisig is admin
-  
-  const timelock = await upgrades.deployProxy(MockTimelock, [minDelay, proposers, executors, admin], {
-    initializer: "initialize",
-    kind: "uups",
-  });
-  await timelock.waitForDeployment();
-  const timelockAddress = await timelock.getAddress();
-  console.log(`   ✅ MockTimelock deployed at: ${timelockAddress}`);
-
-  // Deploy HYPEYToken with proxy
-  console.log("🪙 Deploying HYPEYToken...");
-  const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
-  const token = await upgrades.deployProxy(HYPEYToken, [reserveBurnAddress, timelockAddress, multisigAddress], {
-    initializer: "initialize",
-    kind: "uups",
-  });
-  await token.waitForDeployment();
-  const tokenAddress = await token.getAddress();
-  console.log(`   ✅ HYPEYToken deployed at: ${tokenAddress}`);
-
-  // Deploy HYPEYTreasury with proxy
-  console.log("\n🏦 Deploying HYPEYTreasury...");
-  const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
-  const treasury = await upgrades.deployProxy(HYPEYTreasury, [multisigAddress, timelockAddress], {
-    initializer: "initialize",
-    kind: "uups",
-  });
-  await treasury.waitForDeployment();
-  const treasuryAddress = await treasury.getAddress();
-  console.log(`   ✅ HYPEYTreasury deployed at: ${treasuryAddress}`);
-
-  // Deploy HypeyVesting with proxy
-  console.log("\n⏳ Deploying HypeyVesting...");
-  const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
-  const vesting = await upgrades.deployProxy(HypeyVesting, [tokenAddress, multisigAddress, timelockAddress], {
-    initializer: "initialize",
-    kind: "uups",
-  });
-  await vesting.waitForDeployment();
-  const vestingAddress = await vesting.getAddress();
-  console.log(`   ✅ HypeyVesting deployed at: ${vestingAddress}`);
+  const checkpoint = loadCheckpoint({ fresh, chainId, multisigAddress, reserveBurnAddress });
+  checkpoint.deployer = deployer.address;
+  checkpoint.gitCommit = getGitCommit();
+
+  const context = { multisig: multisigAddress, reserveBurn: reserveBurnAddress };
+  const deployed = {};
+  // Once a step is (re)deployed, every later step depends on a new address
+  let redeploying = fresh;
+
+  for (const step of STEPS) {
+    console.log(step.label);
+    const entry = checkpoint.contracts[step.key];
+
+    if (!redeploying && (await isReusable(step, entry, context))) {
+      console.log(`   ♻️  Reusing ${step.contractName} at: ${entry.proxy}`);
+      deployed[step.key] = await ethers.getContractAt(step.contractName, entry.proxy);
+      context[step.key] = entry.proxy;
+      continue;
+    }
+
+    // A previous run may have died between sending this deployment and checkpointing it
+    const args = step.args(context);
+    const recovered = redeploying ? null : await recoverPendingProxy(step, checkpoint.pending, context);
+    if (recovered) {
+      console.log(`   ♻️  Recovered ${step.contractName} sent by the previous run at: ${recovered}`);
+      deployed[step.key] = await ethers.getContractAt(step.contractName, recovered);
+      context[step.key] = recovered;
+      checkpoint.contracts[step.key] = await describeProxy(deployed[step.key], step.contractName, args, step.extra(context));
+      delete checkpoint.pending;
+      saveDeployment(network.name, checkpoint);
+      continue;
+    }
+    redeploying = true;
+
+    checkpoint.pending = { key: step.key, deployer: deployer.address, nonce: await deployer.getNonce("pending") };
+    saveDeployment(network.name, checkpoint);
+
+    const factory = await ethers.getContractFactory(step.contractName);
+    const contract = await upgrades.deployProxy(factory, args, {
+      initializer: "initialize",
+      kind: "uups",
+    });
+    await contract.waitForDeployment();
+    const address = await contract.getAddress();
+    console.log(`   ✅ ${step.contractName} deployed at: ${address}`);
+
+    deployed[step.key] = contract;
+    context[step.key] = address;
+    checkpoint.contracts[step.key] = await describeProxy(contract, step.contractName, args, step.extra(context));
+    delete checkpoint.pending;
+    saveDeployment(network.name, checkpoint);
+  }
+
+  const { token, treasury, vesting } = deployed;
+  const timelockAddress = context.timelock;
+  const tokenAddress = context.token;
+  const treasuryAddress = context.treasury;
+  const vestingAddress = context.vesting;
 
   // Verify initial setup
   console.log("\n🔍 Verifying deployment...");
-  
+
   const tokenName = await token.name();
   const tokenSymbol = await token.symbol();
   const totalSupply = await token.totalSupply();
   const contractBalance = await token.balanceOf(tokenAddress);
-  
+
   console.log(`   Token Name: ${tokenName}`);
   console.log(`   Token Symbol: ${tokenSymbol}`);
   console.log(`   Total Supply: ${ethers.formatEther(totalSupply)} HYPEY`);
   console.log(`   Contract Balance: ${ethers.formatEther(contractBalance)} HYPEY`);
-  
+
   const hasAdminRole = await treasury.hasRole(await treasury.MULTISIG_ADMIN_ROLE(), multisigAddress);
   console.log(`   Treasury Admin Role: ${hasAdminRole ? '✅' : '❌'}`);
-  
+
   const vestingHasAdminRole = await vesting.hasRole(await vesting.MULTISIG_ADMIN_ROLE(), multisigAddress);
   console.log(`   Vesting Admin Role: ${vestingHasAdminRole ? '✅' : '❌'}`);
 
@@ -93,12 +284,12 @@ async function main() {
   console.log(`HYPEYTreasury:  ${treasuryAddress}`);
   console.log(`HypeyVesting:   ${vestingAddress}`);
   console.log("=" .repeat(50));
-  
-  console.log("\n📝 Update your .env file with these addresses:");
-  console.log(`TOKEN_ADDRESS=${tokenAddress}`);
-  console.log(`TREASURY_ADDRESS=${treasuryAddress}`);
-  console.log(`VESTING_ADDRESS=${vestingAddress}`);
-  console.log(`TIMELOCK_ADDRESS=${timelockAddress}`);
+
+  // Persist the deployment registry read by status/test/upgrade/verify
+  checkpoint.status = "COMPLETE";
+  const registryFile = saveDeployment(network.name, checkpoint);
+
+  console.log(`\n📝 Deployment registry written to ${registryFile}`);
 
   return {
     timelock: timelockAddress,
@@ -114,8 +305,9 @@ if (require.main === module) {
     .then(() => process.exit(0))
     .catch((error) => {
       console.error("❌ Deployment failed:", error);
+      console.error("   Completed steps are checkpointed; re-run to resume, or pass --fresh to start over.");
       process.exit(1);
     });
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses, DEPLOYMENTS_DIR } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+const { getLatestTimestamp } = require("./lib/timelock");
+const {
+  MAX_BATCH_SIZE,
+  parseVestingCsv,
+  checkStartTimes,
+  chunkRows,
+  getCommittedAmount,
+  openProgress,
+  reconcileSentChunks,
+  reconcileExportedChunks,
+  reopenExportedChunks,
+  importChunks,
+} = require("./lib/vesting-import");
+require("dotenv").config();
+
+function getCsvPath() {
+  const positional = process.argv.slice(2).filter((arg) => !arg.startsWith("--") && !arg.endsWith(".js"));
+  return getOption("csv", "VESTING_CSV", positional[0]);
+}
+
+// One log per network and CSV, next to the deployment registry
+function getProgressPath(networkName, csvFile) {
+  const name = path.basename(csvFile, path.extname(csvFile));
+  return getOption(
+    "progress",
+    "VESTING_PROGRESS_FILE",
+    path.join(DEPLOYMENTS_DIR, "vesting-imports", `${networkName}-${name}.json`)
+  );
+}
+
+async function main(options = {}) {
+  console.log("📥 HYPEY Vesting Schedule Import\n");
+
+  const csvFile = options.csvFile || getCsvPath();
+  if (!csvFile) {
+    console.log("Usage:");
+    console.log("  VESTING_CSV=<file.csv> npx hardhat run scripts/import-vesting.js --network <network>");
+    console.log("  HARDHAT_NETWORK=<network> node scripts/import-vesting.js <file.csv> [--dry-run] [--chunk-size 50] [--reopen-exported]");
+    return null;
+  }
+  if (!fs.existsSync(csvFile)) {
+    throw new Error(`CSV file not found: ${csvFile}`);
+  }
+
+  const dryRun = hasFlag("dry-run", "DRY_RUN");
+  const chunkSize = Number(getOption("chunk-size", "VESTING_CHUNK_SIZE", MAX_BATCH_SIZE));
+  const { addresses, deployment } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const progressFile = getProgressPath(network.name, csvFile);
+  const text = fs.readFileSync(csvFile, "utf8");
+
+  console.log("📋 Import Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Vesting: ${addresses.vesting}`);
+  console.log(`   CSV: ${csvFile}`);
+  console.log(`   Progress log: ${progressFile}`);
+  console.log("");
+
+  // 1. Parse and validate every row before anything is sent
+  const { rows, errors } = parseVestingCsv(text);
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} invalid row(s) in ${csvFile}:\n   - ${errors.join("\n   - ")}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`${csvFile} has no schedules`);
+  }
+
+  const chunks = chunkRows(rows, chunkSize);
+  const progress = openProgress(progressFile, { vesting: addresses.vesting, source: ethers.id(text), chunkSize });
+  // Settle "sent" chunks first: mined ones are already counted as committed below,
+  // reverted or dropped ones leave the log and are pending again
+  await reconcileSentChunks({ chunks, progressFile, progress });
+  // Exported chunks the Safe has executed are confirmed; the rest stay reserved, or are re-opened on request
+  const matched = await reconcileExportedChunks({ vesting, chunks, progressFile, progress });
+  const reopened = hasFlag("reopen-exported", "VESTING_REOPEN_EXPORTED") ? reopenExportedChunks({ chunks, progressFile, progress }) : 0;
+  const pending = chunks.filter((chunk) => !progress.chunks[chunk.hash]);
+  const pendingRows = pending.flatMap((chunk) => chunk.rows);
+  const pendingTotal = pending.reduce((sum, chunk) => sum + chunk.total, 0n);
+  const exported = chunks.filter((chunk) => progress.chunks[chunk.hash] && progress.chunks[chunk.hash].status === "exported");
+  const exportedTotal = exported.reduce((sum, chunk) => sum + chunk.total, 0n);
+
+  console.log(`✅ ${rows.length} valid schedule(s), ${ethers.formatEther(rows.reduce((sum, row) => sum + row.totalAmount, 0n))} HYPEY`);
+  console.log(`   ${chunks.length} chunk(s) of up to ${chunkSize}, ${chunks.length - pending.length} already in the progress log`);
+  if (matched > 0) {
+    console.log(`   🔗 ${matched} exported chunk(s) matched to VestingCreated events`);
+  }
+  if (reopened > 0) {
+    console.log(`   ♻️  ${reopened} exported chunk(s) re-opened for submission`);
+  }
+
+  const pastStarts = checkStartTimes(pendingRows, await getLatestTimestamp());
+  if (pastStarts.length > 0) {
+    throw new Error(`${pastStarts.length} schedule(s) would revert:\n   - ${pastStarts.join("\n   - ")}`);
+  }
+
+  // 2. The pool must cover what it already owes plus the new schedules
+  const fromBlock = (deployment && deployment.contracts.vesting && deployment.contracts.vesting.blockNumber) || 0;
+  const poolBalance = await vesting.getPoolBalance();
+  const committed = await getCommittedAmount(vesting, fromBlock);
+  const required = committed + exportedTotal + pendingTotal;
+
+  console.log("\n💰 Vesting pool:");
+  console.log(`   Balance:        ${ethers.formatEther(poolBalance)} HYPEY`);
+  console.log(`   Already locked: ${ethers.formatEther(committed)} HYPEY`);
+  if (exported.length > 0) {
+    console.log(`   Awaiting Safe:  ${ethers.formatEther(exportedTotal)} HYPEY (${exported.length} exported chunk(s))`);
+  }
+  console.log(`   This import:    ${ethers.formatEther(pendingTotal)} HYPEY`);
+  if (poolBalance < required) {
+    const message = `Vesting pool is short by ${ethers.formatEther(required - poolBalance)} HYPEY`;
+    if (!dryRun) {
+      throw new Error(`${message}; fund ${addresses.vesting} before importing`);
+    }
+    console.log(`   ⚠️  ${message}`);
+  } else {
+    console.log(`   ✅ Covered, ${ethers.formatEther(poolBalance - required)} HYPEY to spare`);
+  }
+
+  // 3. Submit the chunks
+  const sender = await createSenderFromEnv({
+    addresses,
+    name: `HYPEY vesting import (${path.basename(csvFile)})`,
+    description: `${pendingRows.length} vesting schedules in ${pending.length} addBatchVestingSchedules call(s)`,
+  });
+  if (!dryRun && !(await vesting.hasRole(await vesting.MULTISIG_ADMIN_ROLE(), sender.from))) {
+    throw new Error(
+      `${sender.from} lacks MULTISIG_ADMIN_ROLE on the vesting contract. ` +
+        "Run with --dry-run to review the import, or SAFE_EXPORT=<file> to export it for the multisig."
+    );
+  }
+
+  console.log(`\n📦 Chunks (${dryRun ? "dry run" : sender.mode === "export" ? "export Safe batch" : `signer ${sender.from}`}):`);
+  const results = await importChunks({ vesting, chunks, sender, progressFile, progress, dryRun });
+  sender.finalize();
+
+  if (dryRun) {
+    console.log("\n📝 Dry run complete, no transactions sent");
+  } else if (sender.mode === "export") {
+    console.log("   Exported chunks are matched to their VestingCreated events on the next run, once the Safe executes the batch");
+  } else {
+    console.log(`\n🎉 Imported ${rows.length} schedule(s) from ${csvFile}`);
+  }
+  return results;
+}
+
+// Execute import
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Vesting import failed:", error.message);
+      console.error("   Re-run the same command to resume from the progress log");
+      process.exit(1);
+    });
+}
+
+module.exports = main;
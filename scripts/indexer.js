@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const {
+  INDEXED_EVENTS,
+  getDatabasePath,
+  openEventDatabase,
+  getSyncState,
+  syncEvents,
+  queryEvents,
+  getEventCounts,
+} = require("./lib/indexer");
+require("dotenv").config();
+
+const ACTIONS = ["sync", "query", "stats"];
+const FORMATS = ["table", "json", "csv"];
+
+const CONTRACT_NAMES = { token: "HYPEYToken", treasury: "HYPEYTreasury", vesting: "HypeyVesting" };
+
+function usage() {
+  console.log("Usage:");
+  console.log("  npx hardhat run scripts/indexer.js --network <network>                 (sync)");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/indexer.js sync [--reset] [--confirmations 12]");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/indexer.js query [--contract token] [--event Transfer] [--address 0x...]");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/indexer.js query --sql \"SELECT event, COUNT(*) FROM events GROUP BY event\"");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/indexer.js stats");
+  console.log("Query options: --from-block | --to-block | --limit 50 | --desc | --format table|json|csv");
+}
+
+// Reads the action from INDEXER_ACTION or, under plain node, the first argument
+function parseAction() {
+  const positional = process.argv.slice(2).find((arg) => ACTIONS.includes(arg));
+  const action = (process.env.INDEXER_ACTION || positional || "sync").toLowerCase();
+  if (!ACTIONS.includes(action)) {
+    usage();
+    throw new Error(`Unknown action: ${action} (expected one of ${ACTIONS.join(", ")})`);
+  }
+  return action;
+}
+
+function getDatabaseFile() {
+  return getOption("db", "INDEXER_DB", getDatabasePath(network.name));
+}
+
+function optionalNumber(name, envVar) {
+  const value = getOption(name, envVar);
+  return value === undefined ? undefined : Number(value);
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function formatArgs(args) {
+  return Object.entries(args)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(" ");
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printTable(header, lines) {
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => String(line[i]).length)));
+  const format = (cells) => ("   " + cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ")).trimEnd();
+  console.log(format(header));
+  console.log("   " + widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
+function printCounts(db) {
+  const counts = getEventCounts(db);
+  if (counts.length === 0) {
+    console.log("   No events stored yet");
+    return;
+  }
+  printTable(
+    ["Contract", "Event", "Count", "First block", "Last block"],
+    counts.map((row) => [row.contract, row.event, row.count, row.firstBlock, row.lastBlock])
+  );
+}
+
+function removeDatabase(file) {
+  for (const suffix of ["", "-wal", "-shm"]) {
+    fs.rmSync(file + suffix, { force: true });
+  }
+}
+
+async function sync(file) {
+  const { addresses, deployment } = requireAddresses(network.name, Object.keys(INDEXED_EVENTS));
+  const startOverride = optionalNumber("start-block", "INDEXER_START_BLOCK");
+  const confirmations = Number(getOption("confirmations", "INDEXER_CONFIRMATIONS", "12"));
+  const blockRange = Number(getOption("block-range", "INDEXER_BLOCK_RANGE", "2000"));
+
+  const sources = {};
+  for (const key of Object.keys(INDEXED_EVENTS)) {
+    const recorded = deployment && deployment.contracts[key] && deployment.contracts[key].blockNumber;
+    if (startOverride === undefined && !recorded) {
+      console.warn(`⚠️  No deployment block recorded for ${key}, scanning from block 0 (set INDEXER_START_BLOCK to skip ahead)`);
+    }
+    sources[key] = {
+      contract: await ethers.getContractAt(CONTRACT_NAMES[key], addresses[key]),
+      fromBlock: startOverride !== undefined ? startOverride : recorded || 0,
+    };
+  }
+
+  if (hasFlag("reset", "INDEXER_RESET")) {
+    removeDatabase(file);
+    console.log("🗑️  Removed the existing event database");
+  }
+
+  console.log("📋 Indexer Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Database: ${path.relative(process.cwd(), file)}`);
+  for (const [key, source] of Object.entries(sources)) {
+    console.log(`   ${CONTRACT_NAMES[key]}: ${addresses[key]} (from block ${source.fromBlock})`);
+  }
+  console.log(`   Confirmation window: ${confirmations} block(s), ${blockRange} blocks per request`);
+  console.log("");
+
+  const db = openEventDatabase(file);
+  try {
+    console.log("🔍 Scanning...");
+    const result = await syncEvents(db, sources, {
+      confirmations,
+      blockRange,
+      toBlock: optionalNumber("to-block", "INDEXER_TO_BLOCK"),
+      log: console.log,
+    });
+    console.log(`\n✅ Indexed up to block ${result.toBlock}: ${result.added} new event(s)`);
+    if (result.dropped > 0) {
+      console.log(`🔀 Dropped ${result.dropped} event(s) from reorged blocks`);
+    }
+    console.log("");
+    printCounts(db);
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+function query(file) {
+  const format = getOption("format", "INDEXER_FORMAT", "table").toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  }
+
+  const db = openEventDatabase(file, { readonly: true });
+  try {
+    // Raw SQL runs on a read-only connection
+    const sql = getOption("sql", "INDEXER_SQL");
+    if (sql) {
+      const rows = db.prepare(sql).all();
+      if (format === "json") {
+        process.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+      } else if (format === "csv") {
+        const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+        process.stdout.write(lines.map((line) => line.map(csvCell).join(",")).join("\n") + "\n");
+      } else if (rows.length > 0) {
+        printTable(Object.keys(rows[0]), rows.map((row) => Object.values(row)));
+      } else {
+        console.log("   No rows");
+      }
+      return rows;
+    }
+
+    const address = getOption("address", "INDEXER_ADDRESS");
+    if (address && !ethers.isAddress(address)) {
+      throw new Error(`${address} is not an address`);
+    }
+    const events = queryEvents(db, {
+      contract: getOption("contract", "INDEXER_CONTRACT"),
+      event: getOption("event", "INDEXER_EVENT"),
+      address,
+      fromBlock: optionalNumber("from-block", "INDEXER_FROM_BLOCK"),
+      toBlock: optionalNumber("to-block", "INDEXER_TO_BLOCK"),
+      limit: Number(getOption("limit", "INDEXER_LIMIT", "50")) || undefined,
+      order: hasFlag("desc", "INDEXER_DESC") ? "desc" : "asc",
+    });
+
+    if (format === "json") {
+      process.stdout.write(JSON.stringify(events, null, 2) + "\n");
+    } else if (format === "csv") {
+      const lines = ["blockNumber,logIndex,timestamp,txHash,contract,event,args"];
+      for (const event of events) {
+        lines.push(
+          [event.blockNumber, event.logIndex, formatDate(event.timestamp), event.txHash, event.contract, event.event, JSON.stringify(event.args)]
+            .map(csvCell)
+            .join(",")
+        );
+      }
+      process.stdout.write(lines.join("\n") + "\n");
+    } else if (events.length === 0) {
+      console.log("   No matching events");
+    } else {
+      printTable(
+        ["Block", "Time", "Event", "Args", "Tx"],
+        events.map((event) => [
+          event.blockNumber,
+          formatDate(event.timestamp),
+          `${event.contract}.${event.event}`,
+          formatArgs(event.args),
+          event.txHash,
+        ])
+      );
+    }
+    return events;
+  } finally {
+    db.close();
+  }
+}
+
+function stats(file) {
+  const db = openEventDatabase(file, { readonly: true });
+  try {
+    const state = getSyncState(db);
+    console.log("📋 Event Database:");
+    console.log(`   File: ${path.relative(process.cwd(), file)}`);
+    console.log(`   Chain: ${state.chainId}`);
+    for (const [key, address] of Object.entries(state.contracts || {})) {
+      console.log(`   ${CONTRACT_NAMES[key] || key}: ${address}`);
+    }
+    console.log(`   Indexed up to block: ${state.lastBlock === null ? "-" : state.lastBlock}`);
+    console.log(`   Final up to block: ${state.checkpoint ? state.checkpoint.number : "-"}`);
+    console.log("");
+    printCounts(db);
+    return { ...state, counts: getEventCounts(db) };
+  } finally {
+    db.close();
+  }
+}
+
+async function main() {
+  const action = parseAction();
+  const file = getDatabaseFile();
+
+  if (action === "sync") {
+    console.log("🗂️  HYPEY Event Indexer\n");
+    return sync(file);
+  }
+  if (action === "stats") {
+    console.log("🗂️  HYPEY Event Indexer\n");
+    return stats(file);
+  }
+  return query(file);
+}
+
+// Execute indexer
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Indexer failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,73 @@
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createKeeper } = require("./lib/keeper");
+require("dotenv").config();
+
+async function main() {
+  console.log("🤖 HYPEY Vesting Claim Keeper\n");
+
+  const { addresses, deployment } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const [signer] = await ethers.getSigners();
+
+  const once = hasFlag("once", "KEEPER_ONCE");
+  const dryRun = hasFlag("dry-run", "DRY_RUN");
+  const interval = Number(getOption("interval", "KEEPER_INTERVAL", "300"));
+  const threshold = ethers.parseEther(getOption("threshold", "KEEPER_THRESHOLD", "1"));
+  const maxGasGwei = getOption("max-gas-gwei", "KEEPER_MAX_GAS_GWEI");
+  const maxClaims = Number(getOption("max-claims", "KEEPER_MAX_CLAIMS", "50"));
+  const recordedBlock = deployment && deployment.contracts.vesting && deployment.contracts.vesting.blockNumber;
+  const fromBlock = Number(getOption("from-block", "KEEPER_FROM_BLOCK", recordedBlock || 0));
+
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error("KEEPER_INTERVAL must be a positive number of seconds");
+  }
+
+  console.log("📋 Keeper Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Vesting: ${addresses.vesting}`);
+  console.log(`   Keeper: ${signer.address} (${ethers.formatEther(await ethers.provider.getBalance(signer.address))} ETH)`);
+  console.log(`   Threshold: ${ethers.formatEther(threshold)} HYPEY per schedule`);
+  console.log(`   Gas ceiling: ${maxGasGwei ? `${maxGasGwei} gwei` : "none"}`);
+  console.log(`   Max claims per round: ${maxClaims}`);
+  console.log(`   Mode: ${dryRun ? "dry run (no transactions)" : "claim"}${once ? ", single round" : `, every ${interval}s`}`);
+  console.log(`   Scanning from block ${fromBlock}`);
+
+  const keeper = createKeeper({
+    vesting,
+    signer,
+    threshold,
+    maxGasPrice: maxGasGwei ? ethers.parseUnits(maxGasGwei, "gwei") : null,
+    maxClaims,
+    dryRun,
+    fromBlock,
+  });
+
+  if (once) {
+    console.log("");
+    return keeper.runOnce();
+  }
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      console.log(`\n🛑 ${signal} received, stopping after the current round...`);
+      keeper.stop();
+    });
+  }
+  await keeper.start(interval);
+  console.log("👋 Keeper stopped");
+  return null;
+}
+
+// Execute keeper
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Keeper failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,204 @@
+const { ethers } = require("hardhat");
+
+// Role name → id, as the contracts compute them
+const ROLE_IDS = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  MULTISIG_ADMIN_ROLE: ethers.id("MULTISIG_ADMIN_ROLE"),
+  TIMELOCK_ADMIN_ROLE: ethers.id("TIMELOCK_ADMIN_ROLE"),
+  PROPOSER_ROLE: ethers.id("PROPOSER_ROLE"),
+  EXECUTOR_ROLE: ethers.id("EXECUTOR_ROLE"),
+  CANCELLER_ROLE: ethers.id("CANCELLER_ROLE"),
+};
+
+// Registry contract key → contract name and the roles worth auditing.
+// On MockTimelock DEFAULT_ADMIN_ROLE is what authorizes upgrades.
+const AUDITED_CONTRACTS = {
+  token: { contractName: "HYPEYToken", roles: ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE"], owned: true },
+  treasury: { contractName: "HYPEYTreasury", roles: ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE"], owned: false },
+  vesting: { contractName: "HypeyVesting", roles: ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE"], owned: true },
+  timelock: {
+    contractName: "MockTimelock",
+    roles: ["DEFAULT_ADMIN_ROLE", "TIMELOCK_ADMIN_ROLE", "PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE"],
+    owned: false,
+  },
+};
+
+// Roles that can change the contract or its permissions without anyone else
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE", "TIMELOCK_ADMIN_ROLE", "PROPOSER_ROLE"];
+
+const SEVERITIES = ["high", "medium", "info"];
+
+function roleName(id) {
+  return Object.keys(ROLE_IDS).find((name) => ROLE_IDS[name] === id) || id;
+}
+
+function isBefore(a, b) {
+  return a.blockNumber < b.blockNumber || (a.blockNumber === b.blockNumber && a.logIndex < b.logIndex);
+}
+
+/**
+ * Replays RoleGranted / RoleRevoked events (`{ event, args: { role, account,
+ * sender }, blockNumber, logIndex, txHash }`, any order) into the current
+ * holders: role name → account → the grant that is still in force.
+ */
+function replayRoleEvents(events) {
+  const holders = {};
+  const sorted = [...events].sort((a, b) => (isBefore(a, b) ? -1 : isBefore(b, a) ? 1 : 0));
+  for (const event of sorted) {
+    const role = roleName(event.args.role);
+    const account = ethers.getAddress(event.args.account);
+    holders[role] = holders[role] || {};
+    if (event.event === "RoleGranted") {
+      holders[role][account] = { grantedBy: ethers.getAddress(event.args.sender), blockNumber: event.blockNumber, txHash: event.txHash };
+    } else {
+      delete holders[role][account];
+    }
+  }
+  return holders;
+}
+
+async function queryRoleEvents(contract, fromBlock) {
+  const events = [];
+  for (const name of ["RoleGranted", "RoleRevoked"]) {
+    for (const event of await contract.queryFilter(contract.filters[name](), fromBlock)) {
+      events.push({
+        event: name,
+        args: { role: event.args.role, account: event.args.account, sender: event.args.sender },
+        blockNumber: event.blockNumber,
+        logIndex: event.index,
+        txHash: event.transactionHash,
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Role holders of one contract rebuilt from its events since `fromBlock`,
+ * each confirmed with hasRole(). A holder the events show but hasRole()
+ * denies is kept with `confirmed: false`, and a `candidates` account that
+ * holds a role the events never granted is added with `fromEvents: false`:
+ * either way the history is incomplete, usually because `fromBlock` is
+ * after the grant or revoke.
+ */
+async function loadRoleHolders(contract, roles, { fromBlock = 0, candidates = [] } = {}) {
+  const replayed = replayRoleEvents(await queryRoleEvents(contract, fromBlock));
+  const holders = {};
+  for (const role of roles) {
+    const granted = replayed[role] || {};
+    holders[role] = [];
+    for (const [account, grant] of Object.entries(granted)) {
+      holders[role].push({ account, ...grant, fromEvents: true, confirmed: await contract.hasRole(ROLE_IDS[role], account) });
+    }
+    for (const candidate of new Set(candidates.filter(Boolean).map((account) => ethers.getAddress(account)))) {
+      if (!granted[candidate] && (await contract.hasRole(ROLE_IDS[role], candidate))) {
+        holders[role].push({ account: candidate, grantedBy: null, blockNumber: null, txHash: null, fromEvents: false, confirmed: true });
+      }
+    }
+  }
+  return holders;
+}
+
+/**
+ * Names for the accounts the registry knows (multisig, deployer, the
+ * contracts themselves, ...), plus "anyone" for the zero address, which
+ * opens a timelock role to every caller.
+ */
+function createLabels(addresses, deployer) {
+  const labels = { [ethers.ZeroAddress]: "anyone" };
+  for (const [key, address] of Object.entries({ ...addresses, deployer })) {
+    if (address) {
+      const account = ethers.getAddress(address);
+      labels[account] = labels[account] ? `${labels[account]}/${key}` : key;
+    }
+  }
+  return labels;
+}
+
+// "contract" or "eoa" per account; the zero address counts as neither
+async function getAccountKinds(accounts) {
+  const kinds = {};
+  for (const account of accounts) {
+    if (account === ethers.ZeroAddress) {
+      kinds[account] = "none";
+    } else {
+      kinds[account] = (await ethers.provider.getCode(account)) === "0x" ? "eoa" : "contract";
+    }
+  }
+  return kinds;
+}
+
+/**
+ * Risky findings from the audit data. `contracts` maps registry keys to
+ * `{ address, holders, owner }` (owner null where the contract has none), `kinds`
+ * comes from getAccountKinds and `labels` from createLabels. Returns
+ * `{ severity, code, contract, role, account, message }`, most severe first.
+ */
+function auditFindings({ contracts, kinds, labels, multisig, deployer }) {
+  const findings = [];
+  const add = (severity, code, details) => findings.push({ severity, code, contract: null, role: null, account: null, ...details });
+  const label = (account) => (labels[account] ? `${account} (${labels[account]})` : account);
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+  if (multisig && kinds[ethers.getAddress(multisig)] === "eoa") {
+    add("high", "MULTISIG_IS_EOA", { account: ethers.getAddress(multisig), message: `The registry multisig ${multisig} has no code: it is a plain key, not a Safe` });
+  }
+
+  for (const [key, { address, holders, owner }] of Object.entries(contracts)) {
+    const adminRole = key === "timelock" ? "TIMELOCK_ADMIN_ROLE" : "DEFAULT_ADMIN_ROLE";
+    if (holders[adminRole] && holders[adminRole].length === 0) {
+      add("medium", "NO_ADMIN", { contract: key, role: adminRole, message: `Nobody holds ${adminRole} on ${key}, so its roles can no longer be granted or revoked` });
+    }
+    if (key !== "timelock" && multisig && !(holders.MULTISIG_ADMIN_ROLE || []).some((holder) => same(holder.account, multisig))) {
+      add("high", "MULTISIG_MISSING_ROLE", { contract: key, role: "MULTISIG_ADMIN_ROLE", account: multisig, message: `The multisig does not hold MULTISIG_ADMIN_ROLE on ${key}` });
+    }
+    if (owner && multisig && !same(owner, multisig)) {
+      add("high", "OWNER_NOT_MULTISIG", { contract: key, account: owner, message: `${key}.owner() is ${label(owner)}, not the multisig ${multisig}` });
+    }
+
+    for (const [role, list] of Object.entries(holders)) {
+      for (const holder of list) {
+        const details = { contract: key, role, account: holder.account };
+        if (!holder.confirmed) {
+          add("medium", "EVENTS_INCOMPLETE", { ...details, message: `Events show ${label(holder.account)} holding ${role} on ${key}, but hasRole() says no; scan from an earlier block` });
+          continue;
+        }
+        if (!holder.fromEvents) {
+          add("medium", "EVENTS_INCOMPLETE", { ...details, message: `${label(holder.account)} holds ${role} on ${key} without a RoleGranted event in range; scan from an earlier block` });
+        }
+        const isMultisig = same(holder.account, multisig);
+        if (deployer && same(holder.account, deployer) && !isMultisig) {
+          add("high", "DEPLOYER_RETAINS_ROLE", { ...details, message: `The deployer ${holder.account} still holds ${role} on ${key}` });
+        } else if (ADMIN_ROLES.includes(role) && kinds[holder.account] === "eoa" && !isMultisig) {
+          add("high", "EOA_ADMIN", { ...details, message: `EOA ${label(holder.account)} holds ${role} on ${key}` });
+        } else if (!labels[holder.account]) {
+          add("medium", "UNKNOWN_HOLDER", { ...details, message: `${holder.account} holds ${role} on ${key} and is not in the registry` });
+        }
+        if (role === "TIMELOCK_ADMIN_ROLE" && !same(holder.account, address)) {
+          add("medium", "TIMELOCK_ADMIN_RETAINED", {
+            ...details,
+            message: `${label(holder.account)} can grant timelock roles without a delay; renounce TIMELOCK_ADMIN_ROLE once set up`,
+          });
+        }
+        if (role === "EXECUTOR_ROLE" && holder.account === ethers.ZeroAddress) {
+          add("info", "OPEN_EXECUTOR", { ...details, message: "Anyone may execute timelock operations once their delay has passed" });
+        }
+      }
+    }
+  }
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+module.exports = {
+  ROLE_IDS,
+  AUDITED_CONTRACTS,
+  ADMIN_ROLES,
+  SEVERITIES,
+  roleName,
+  replayRoleEvents,
+  loadRoleHolders,
+  createLabels,
+  getAccountKinds,
+  auditFindings,
+};
@@ -0,0 +1,331 @@
+const { ethers } = require("hardhat");
+const { queryEvents, selectEvents } = require("./indexer");
+const { DAY_SELL_TAX_BPS, NIGHT_SELL_TAX_BPS, MAX_BURN_RATE_BPS } = require("./transfer-tax");
+
+// Where a burn or reserve transfer came from, in report order
+const BURN_SOURCES = ["transfer", "sell-day", "sell-night", "platform", "nft", "kpi", "direct"];
+
+const DAY = 86400;
+
+function isBefore(a, b) {
+  return a.blockNumber < b.blockNumber || (a.blockNumber === b.blockNumber && a.logIndex < b.logIndex);
+}
+
+/**
+ * Returns `(event) => reserve address at that event` from the token's
+ * ReserveBurnAddressChanged events. The address set at initialize() emits
+ * nothing, so it is the first change's oldAddress, or `currentReserve` when
+ * it never changed.
+ */
+function createReserveLookup(changes, currentReserve) {
+  const initial = changes.length > 0 ? changes[0].args.oldAddress : currentReserve;
+  return (event) => {
+    let reserve = initial;
+    for (const change of changes) {
+      if (!isBefore(change, event)) {
+        break;
+      }
+      reserve = change.args.newAddress;
+    }
+    return reserve;
+  };
+}
+
+// The tax rate that turns `amount` into `taxed` with the contract's rounding
+function inferTaxRate(amount, taxed) {
+  for (const bps of [DAY_SELL_TAX_BPS, NIGHT_SELL_TAX_BPS]) {
+    if ((amount * bps) / 10000n === taxed) {
+      return bps;
+    }
+  }
+  const estimate = (taxed * 10000n) / amount;
+  for (const bps of [estimate, estimate + 1n]) {
+    if (bps > 0n && bps <= MAX_BURN_RATE_BPS && (amount * bps) / 10000n === taxed) {
+      return bps;
+    }
+  }
+  return null;
+}
+
+function sourceForRate(bps) {
+  if (bps === DAY_SELL_TAX_BPS) {
+    return "sell-day";
+  }
+  if (bps === NIGHT_SELL_TAX_BPS) {
+    return "sell-night";
+  }
+  return "transfer";
+}
+
+function groupByTransaction(transfers) {
+  const groups = new Map();
+  for (const transfer of transfers) {
+    if (!groups.has(transfer.txHash)) {
+      groups.set(transfer.txHash, []);
+    }
+    groups.get(transfer.txHash).push(transfer);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Classifies token Transfer events (indexer rows, in chain order) into burn
+ * records. The contract leaves these patterns within one call:
+ *
+ * - transfer tax: burn from S, S → reserve (half, rounded up), S → recipient;
+ *   4% and 16% can only be sells by day and by night, since setBurnRate caps
+ *   the ordinary rate at 3%
+ * - burnPlatformFee: burn from the platform and platform → reserve, nothing after
+ * - burnKPIEvent: a lone burn from the token owner (`owners`)
+ * - burnForNFT: a lone burn from anyone else
+ *
+ * A transfer to the reserve outside these patterns is recorded as "direct".
+ */
+function classifyBurns(transfers, { reserveAt, owners = [] }) {
+  const ownerSet = new Set(owners.map((owner) => owner.toLowerCase()));
+  const records = [];
+
+  for (const logs of groupByTransaction(transfers)) {
+    for (let i = 0; i < logs.length; i++) {
+      const log = logs[i];
+      const { from, to } = log.args;
+      const value = BigInt(log.args.value);
+      const record = {
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        timestamp: log.timestamp,
+        txHash: log.txHash,
+        account: from,
+        amount: null,
+        rateBps: null,
+        burned: 0n,
+        toReserve: 0n,
+      };
+
+      if (to === ethers.ZeroAddress && from !== ethers.ZeroAddress) {
+        const next = logs[i + 1];
+        const reserveValue = next ? BigInt(next.args.value) : -1n;
+        const isReserveHalf =
+          next && next.args.from === from && next.args.to === reserveAt(next) && (reserveValue === value || reserveValue === value + 1n);
+
+        if (!isReserveHalf) {
+          records.push({ ...record, source: ownerSet.has(from.toLowerCase()) ? "kpi" : "nft", burned: value });
+          continue;
+        }
+
+        const after = logs[i + 2];
+        const taxed = value + reserveValue;
+        if (after && after.args.from === from && after.args.to !== ethers.ZeroAddress) {
+          const amount = taxed + BigInt(after.args.value);
+          const rateBps = inferTaxRate(amount, taxed);
+          if (rateBps !== null) {
+            records.push({ ...record, source: sourceForRate(rateBps), amount, rateBps, burned: value, toReserve: reserveValue });
+            i += 2;
+            continue;
+          }
+        }
+        records.push({ ...record, source: "platform", burned: value, toReserve: reserveValue });
+        i += 1;
+      } else if (from !== ethers.ZeroAddress && to === reserveAt(log)) {
+        records.push({ ...record, source: "direct", toReserve: value });
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Reads from the event database every token Transfer in a transaction that
+ * burned or paid the reserve, and classifies them. `currentReserve` is
+ * reserveBurnAddress() now; `owners` are the addresses whose lone burns are
+ * KPI burns.
+ */
+function loadBurnRecords(db, { currentReserve, owners = [] }) {
+  const changes = queryEvents(db, { contract: "token", event: "ReserveBurnAddressChanged" });
+  const reserveAt = createReserveLookup(changes, currentReserve);
+  const reserves = [...new Set([currentReserve, ...changes.flatMap((change) => [change.args.oldAddress, change.args.newAddress])])];
+
+  const transfers = selectEvents(
+    db,
+    `contract = 'token' AND event = 'Transfer' AND tx_hash IN (
+       SELECT tx_hash FROM events
+       WHERE contract = 'token' AND event = 'Transfer' AND json_extract(args, '$.to') IN (${reserves.map(() => "?").join(", ")}, ?)
+     )`,
+    [...reserves, ethers.ZeroAddress]
+  );
+  return classifyBurns(transfers, { reserveAt, owners });
+}
+
+function emptyTotals() {
+  return { count: 0, burned: 0n, toReserve: 0n };
+}
+
+function addTo(totals, record) {
+  totals.count++;
+  totals.burned += record.burned;
+  totals.toReserve += record.toReserve;
+}
+
+// UTC day, or the Monday starting the UTC week, as YYYY-MM-DD
+function periodStart(timestamp, period) {
+  let start = timestamp - (timestamp % DAY);
+  if (period === "week") {
+    const weekday = (new Date(start * 1000).getUTCDay() + 6) % 7;
+    start -= weekday * DAY;
+  }
+  return new Date(start * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Totals records per day or week and per source, with the running burned
+ * and reserve totals and the resulting supply. Only burns reduce supply;
+ * reserve transfers are tracked separately.
+ */
+function aggregateBurns(records, { period = "day", initialSupply }) {
+  if (!["day", "week"].includes(period)) {
+    throw new Error(`Unknown period: ${period} (expected day or week)`);
+  }
+  const periods = new Map();
+  const totals = { sources: {}, ...emptyTotals() };
+
+  for (const record of records) {
+    const key = periodStart(record.timestamp, period);
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, sources: {}, ...emptyTotals() });
+    }
+    const row = periods.get(key);
+    row.sources[record.source] = row.sources[record.source] || emptyTotals();
+    totals.sources[record.source] = totals.sources[record.source] || emptyTotals();
+    addTo(row.sources[record.source], record);
+    addTo(row, record);
+    addTo(totals.sources[record.source], record);
+    addTo(totals, record);
+  }
+
+  let cumulativeBurned = 0n;
+  let cumulativeReserve = 0n;
+  const rows = [...periods.values()].map((row) => {
+    cumulativeBurned += row.burned;
+    cumulativeReserve += row.toReserve;
+    return { ...row, cumulativeBurned, cumulativeReserve, supply: initialSupply - cumulativeBurned };
+  });
+
+  return {
+    period,
+    initialSupply,
+    periods: rows,
+    totals: { ...totals, supply: initialSupply - totals.burned },
+  };
+}
+
+// Share of `initialSupply` as a percentage with four decimals
+function formatReduction(amount, initialSupply) {
+  const scaled = (amount * 1000000n) / initialSupply;
+  return `${scaled / 10000n}.${String(scaled % 10000n).padStart(4, "0")}%`;
+}
+
+function sortedSources(sources) {
+  return BURN_SOURCES.filter((source) => sources[source]);
+}
+
+function renderCsv(report) {
+  const lines = ["period,source,events,burned,toReserve,cumulativeBurned,cumulativeReserve,supply,supplyReduction"];
+  const format = ethers.formatEther;
+  for (const row of report.periods) {
+    for (const source of sortedSources(row.sources)) {
+      const totals = row.sources[source];
+      lines.push([row.period, source, totals.count, format(totals.burned), format(totals.toReserve), "", "", "", ""].join(","));
+    }
+    lines.push(
+      [
+        row.period,
+        "total",
+        row.count,
+        format(row.burned),
+        format(row.toReserve),
+        format(row.cumulativeBurned),
+        format(row.cumulativeReserve),
+        format(row.supply),
+        formatReduction(row.cumulativeBurned, report.initialSupply),
+      ].join(",")
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function renderRecordsCsv(records) {
+  const lines = ["blockNumber,logIndex,timestamp,txHash,source,account,amount,rateBps,burned,toReserve"];
+  for (const record of records) {
+    lines.push(
+      [
+        record.blockNumber,
+        record.logIndex,
+        new Date(record.timestamp * 1000).toISOString().replace(".000Z", "Z"),
+        record.txHash,
+        record.source,
+        record.account,
+        record.amount === null ? "" : ethers.formatEther(record.amount),
+        record.rateBps === null ? "" : record.rateBps,
+        ethers.formatEther(record.burned),
+        ethers.formatEther(record.toReserve),
+      ].join(",")
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function totalsToJson(totals) {
+  return {
+    events: totals.count,
+    burned: ethers.formatEther(totals.burned),
+    toReserve: ethers.formatEther(totals.toReserve),
+  };
+}
+
+function sourcesToJson(sources) {
+  return Object.fromEntries(sortedSources(sources).map((source) => [source, totalsToJson(sources[source])]));
+}
+
+// Amounts as decimal HYPEY strings
+function toJson(report, records, extra = {}) {
+  return {
+    ...extra,
+    period: report.period,
+    initialSupply: ethers.formatEther(report.initialSupply),
+    totals: {
+      ...totalsToJson(report.totals),
+      supply: ethers.formatEther(report.totals.supply),
+      supplyReduction: formatReduction(report.totals.burned, report.initialSupply),
+      sources: sourcesToJson(report.totals.sources),
+    },
+    periods: report.periods.map((row) => ({
+      period: row.period,
+      ...totalsToJson(row),
+      cumulativeBurned: ethers.formatEther(row.cumulativeBurned),
+      cumulativeReserve: ethers.formatEther(row.cumulativeReserve),
+      supply: ethers.formatEther(row.supply),
+      supplyReduction: formatReduction(row.cumulativeBurned, report.initialSupply),
+      sources: sourcesToJson(row.sources),
+    })),
+    records: records.map((record) => ({
+      ...record,
+      amount: record.amount === null ? null : ethers.formatEther(record.amount),
+      rateBps: record.rateBps === null ? null : Number(record.rateBps),
+      burned: ethers.formatEther(record.burned),
+      toReserve: ethers.formatEther(record.toReserve),
+    })),
+  };
+}
+
+module.exports = {
+  BURN_SOURCES,
+  createReserveLookup,
+  inferTaxRate,
+  classifyBurns,
+  loadBurnRecords,
+  aggregateBurns,
+  formatReduction,
+  renderCsv,
+  renderRecordsCsv,
+  toJson,
+};
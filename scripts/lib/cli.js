@@ -0,0 +1,58 @@
+// `hardhat run` rejects extra CLI arguments, so every flag read here can also
+// be given through an env var, e.g. `DEPLOY_FRESH=true npm run deploy:sepolia`.
+// Running a script with plain node (`HARDHAT_NETWORK=sepolia node scripts/deploy.js --fresh`)
+// passes the flags straight through.
+
+const readline = require("readline");
+
+function isTruthy(value) {
+  return value !== undefined && ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+function hasFlag(name, envVar) {
+  if (process.argv.includes(`--${name}`)) {
+    return true;
+  }
+  return envVar ? isTruthy(process.env[envVar]) : false;
+}
+
+function getOption(name, envVar, defaultValue) {
+  const argv = process.argv;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}` && i + 1 < argv.length) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) {
+      return argv[i].slice(name.length + 3);
+    }
+  }
+  if (envVar && process.env[envVar] !== undefined && process.env[envVar] !== "") {
+    return process.env[envVar];
+  }
+  return defaultValue;
+}
+
+/**
+ * Asks a yes/no question on the terminal; anything but "y" or "yes" declines.
+ * Without a terminal there is nobody to ask, so that is an error rather than
+ * a silent yes.
+ */
+function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`${question} needs a terminal to confirm; pass --yes to skip the prompt`));
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} (y/N) `, (answer) => {
+      rl.close();
+      resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+module.exports = {
+  isTruthy,
+  hasFlag,
+  getOption,
+  confirm,
+};
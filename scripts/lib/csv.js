@@ -0,0 +1,102 @@
+const fs = require("fs");
+
+// Splits CSV text into rows of fields. Handles quoted fields ("a, b"),
+// escaped quotes ("") and CRLF line endings; blank lines are dropped.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function normalizeHeader(name) {
+  return name.trim().toLowerCase().replace(/[\s_\-()%]/g, "");
+}
+
+/**
+ * Parses CSV text with a header row into records keyed by canonical column
+ * name. `columns` maps each canonical name to the header spellings it
+ * accepts; every column is required. Each record carries its 1-based source
+ * `line` for error messages.
+ */
+function parseCsv(text, columns) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  if (!header) {
+    throw new Error("CSV is empty");
+  }
+
+  const headers = header.fields.map(normalizeHeader);
+  const positions = {};
+  for (const [column, aliases] of Object.entries(columns)) {
+    const index = headers.findIndex((h) => [column, ...aliases].map(normalizeHeader).includes(h));
+    if (index === -1) {
+      throw new Error(`CSV is missing a "${column}" column (header: ${header.fields.join(", ")})`);
+    }
+    positions[column] = index;
+  }
+
+  return rows.map(({ line, fields }) => {
+    const record = { line };
+    for (const [column, index] of Object.entries(positions)) {
+      record[column] = (fields[index] || "").trim();
+    }
+    return record;
+  });
+}
+
+function readCsv(file, columns) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`CSV file not found: ${file}`);
+  }
+  return parseCsv(fs.readFileSync(file, "utf8"), columns);
+}
+
+module.exports = {
+  parseCsv,
+  readCsv,
+};
@@ -0,0 +1,30 @@
+// YYYY-MM-DD, or YYYY-MM-DDTHH:MM[:SS[.sss]] followed by Z or ±HH:MM
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Strict ISO 8601 date → unix seconds, or null when `value` is not one.
+ * Date-only values are midnight UTC. Date-times must carry `Z` or an
+ * offset, so the result never depends on the machine's timezone, and
+ * impossible dates such as 2025-02-30 (which Date.parse rolls over into
+ * March) are rejected.
+ */
+function parseIsoDate(value) {
+  const text = String(value).trim();
+  const match = ISO_DATE.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map((part) => (part === undefined ? undefined : Number(part)));
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCFullYear() !== year || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) {
+    return null;
+  }
+  if (hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return Math.floor(Date.parse(text) / 1000);
+}
+
+module.exports = {
+  parseIsoDate,
+};
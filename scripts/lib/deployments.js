@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Registry contract keys mapped to the env vars that may override them
+const CONTRACT_OVERRIDES = {
+  token: "TOKEN_ADDRESS",
+  treasury: "TREASURY_ADDRESS",
+  vesting: "VESTING_ADDRESS",
+  timelock: "TIMELOCK_ADDRESS",
+};
+
+// Top-level registry fields mapped to their env var overrides
+const ROLE_OVERRIDES = {
+  multisig: "MULTISIG_ADDRESS",
+  reserveBurn: "RESERVE_BURN_ADDRESS",
+};
+
+function getDeploymentPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function loadDeployment(networkName) {
+  const file = getDeploymentPath(networkName);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveDeployment(networkName, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = getDeploymentPath(networkName);
+  const data = { ...deployment, timestamp: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+  return file;
+}
+
+// Load-modify-save helper for scripts that append to an existing registry
+function updateDeployment(networkName, update) {
+  const deployment = loadDeployment(networkName) || { network: networkName, contracts: {} };
+  update(deployment);
+  saveDeployment(networkName, deployment);
+  return deployment;
+}
+
+function getGitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// "sepolia" + TOKEN_ADDRESS → SEPOLIA_TOKEN_ADDRESS, "baseSepolia" → BASE_SEPOLIA_TOKEN_ADDRESS
+function getNetworkEnvVar(networkName, envVar) {
+  const prefix = networkName
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .toUpperCase();
+  return `${prefix}_${envVar}`;
+}
+
+/**
+ * Resolves contract and role addresses for a network.
+ * The deployments/<network>.json registry is the source of truth; env vars
+ * only override individual entries. A network-scoped var
+ * (SEPOLIA_TOKEN_ADDRESS) always applies. A plain one (TOKEN_ADDRESS) is
+ * often left over from another chain, so it only overrides an entry the
+ * registry has, with a warning, and is ignored where there is no record.
+ */
+function resolveAddresses(networkName) {
+  const deployment = loadDeployment(networkName);
+  const contracts = (deployment && deployment.contracts) || {};
+  const addresses = {};
+
+  const pick = (key, envVar, recorded) => {
+    const scopedVar = getNetworkEnvVar(networkName, envVar);
+    const scoped = process.env[scopedVar];
+    const plain = process.env[envVar];
+    let override = null;
+    let source = null;
+    if (scoped) {
+      [override, source] = [scoped, scopedVar];
+    } else if (plain && recorded) {
+      [override, source] = [plain, envVar];
+    } else if (plain) {
+      console.warn(`⚠️  Ignoring ${envVar}: deployments/${networkName}.json has no ${key} to check it against; set ${scopedVar} to use it`);
+    }
+    if (override && recorded && override.toLowerCase() !== recorded.toLowerCase()) {
+      console.warn(`⚠️  ${source}=${override} overrides ${key} ${recorded} from deployments/${networkName}.json`);
+    }
+    addresses[key] = override || recorded || undefined;
+  };
+
+  for (const [key, envVar] of Object.entries(CONTRACT_OVERRIDES)) {
+    pick(key, envVar, contracts[key] && contracts[key].proxy);
+  }
+  for (const [key, envVar] of Object.entries(ROLE_OVERRIDES)) {
+    pick(key, envVar, deployment && deployment[key]);
+  }
+
+  return { addresses, deployment };
+}
+
+/**
+ * Like resolveAddresses, but throws when any of the requested keys is missing.
+ */
+function requireAddresses(networkName, keys = ["token", "treasury", "vesting"]) {
+  const { addresses, deployment } = resolveAddresses(networkName);
+  const missing = keys.filter((key) => !addresses[key]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing ${missing.join(", ")} address(es) for network "${networkName}". ` +
+        `Run deploy.js to create ${path.relative(process.cwd(), getDeploymentPath(networkName))} ` +
+        `or set ${missing.map((key) => getNetworkEnvVar(networkName, CONTRACT_OVERRIDES[key] || ROLE_OVERRIDES[key])).join(", ")}`
+    );
+  }
+
+  return { addresses, deployment };
+}
+
+// Maps lowercase contract addresses to their contract names, for decoding
+function getContractLabels(addresses) {
+  const names = { token: "HYPEYToken", treasury: "HYPEYTreasury", vesting: "HypeyVesting", timelock: "MockTimelock" };
+  const labels = {};
+  for (const [key, contractName] of Object.entries(names)) {
+    if (addresses[key]) {
+      labels[addresses[key].toLowerCase()] = contractName;
+    }
+  }
+  return labels;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getDeploymentPath,
+  loadDeployment,
+  saveDeployment,
+  updateDeployment,
+  getGitCommit,
+  getNetworkEnvVar,
+  resolveAddresses,
+  requireAddresses,
+  getContractLabels,
+};
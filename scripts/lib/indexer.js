@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers } = require("hardhat");
+
+const SCHEMA_VERSION = 1;
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+// Registry contract key → events worth keeping for reports
+const INDEXED_EVENTS = {
+  token: ["BurnRateChanged", "ExemptStatusChanged", "ReserveBurnAddressChanged", "Transfer"],
+  treasury: ["TokensWithdrawn", "ETHWithdrawn", "TokensDeposited", "ETHDeposited", "TokenSupported"],
+  vesting: ["VestingCreated", "TokensClaimed", "AdminWithdraw", "MerkleRootUpdated"],
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event, block_number);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+function getDatabasePath(networkName) {
+  return path.join(DATA_DIR, `events-${networkName}.sqlite`);
+}
+
+function openEventDatabase(file, { readonly = false } = {}) {
+  if (readonly) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Event database not found: ${file} (run the indexer sync first)`);
+    }
+    return new Database(file, { readonly: true, fileMustExist: true });
+  }
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value").run(
+    key,
+    JSON.stringify(value)
+  );
+}
+
+// Chain id, contract addresses and the sync cursor
+function getSyncState(db) {
+  return {
+    schemaVersion: getMeta(db, "schemaVersion"),
+    chainId: getMeta(db, "chainId"),
+    contracts: getMeta(db, "contracts"),
+    lastBlock: getMeta(db, "lastBlock"),
+    checkpoint: getMeta(db, "checkpoint"),
+  };
+}
+
+// JSON-safe event arguments: uint256 as decimal strings
+function serializeArg(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeArg);
+  }
+  return value;
+}
+
+function decodeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = serializeArg(parsed.args[i]);
+  });
+  return args;
+}
+
+/**
+ * Refuses to mix histories: a database belongs to one chain and one set of
+ * contract addresses, recorded on the first sync.
+ */
+function checkDatabaseIdentity(db, chainId, contracts) {
+  const state = getSyncState(db);
+  if (state.chainId === null) {
+    setMeta(db, "schemaVersion", SCHEMA_VERSION);
+    setMeta(db, "chainId", chainId);
+    setMeta(db, "contracts", contracts);
+    return;
+  }
+  if (state.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Event database has schema version ${state.schemaVersion}, expected ${SCHEMA_VERSION}; rebuild it with --reset`);
+  }
+  if (state.chainId !== chainId) {
+    throw new Error(`Event database was built for chain ${state.chainId}, connected to chain ${chainId}`);
+  }
+  for (const [key, address] of Object.entries(contracts)) {
+    const recorded = state.contracts[key];
+    if (!recorded || recorded.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Event database indexes ${key} at ${recorded || "(none)"}, not ${address}; use another database or --reset`);
+    }
+  }
+}
+
+/**
+ * Brings the database up to `toBlock` (default: latest).
+ *
+ * `sources` maps registry keys to `{ contract, fromBlock }`. The first sync
+ * backfills from the earliest `fromBlock`; later syncs resume after the last
+ * indexed block, re-scanning the last `confirmations` blocks so events from
+ * orphaned blocks are replaced. Each block range is written in one
+ * transaction, so an interrupted sync resumes where it stopped. The hash of
+ * the newest block outside the window is kept as a checkpoint; if it changes,
+ * the reorg was deeper than the window and the sync stops. A `toBlock`
+ * below the last indexed block is refused rather than truncating history.
+ */
+async function syncEvents(db, sources, { confirmations = 12, blockRange = 2000, toBlock, log = () => {} } = {}) {
+  const provider = ethers.provider;
+  const entries = Object.entries(sources);
+  const byAddress = new Map();
+  const topics = new Set();
+  for (const [key, { contract, fromBlock = 0 }] of entries) {
+    const address = (await contract.getAddress()).toLowerCase();
+    byAddress.set(address, { key, contract, fromBlock });
+    for (const name of INDEXED_EVENTS[key]) {
+      topics.add(contract.interface.getEvent(name).topicHash);
+    }
+  }
+
+  const { chainId } = await provider.getNetwork();
+  checkDatabaseIdentity(
+    db,
+    chainId.toString(),
+    Object.fromEntries([...byAddress].map(([address, source]) => [source.key, ethers.getAddress(address)]))
+  );
+
+  const { lastBlock, checkpoint } = getSyncState(db);
+  if (checkpoint) {
+    const block = await provider.getBlock(checkpoint.number);
+    if (!block || block.hash !== checkpoint.hash) {
+      throw new Error(
+        `Block ${checkpoint.number} changed since the last sync: the reorg is deeper than ${confirmations} ` +
+          "confirmation(s). Rebuild the database with --reset or raise the confirmation window"
+      );
+    }
+  }
+
+  // Events above an explicit toBlock are real; only a shorter chain may drop them
+  if (toBlock !== undefined && lastBlock !== null && toBlock < lastBlock) {
+    throw new Error(`Event database is already synced to block ${lastBlock}; --to-block ${toBlock} would go backwards`);
+  }
+  const head = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const earliest = Math.min(...entries.map(([, source]) => source.fromBlock || 0));
+  const start = lastBlock === null ? earliest : Math.max(earliest, lastBlock + 1 - confirmations);
+  const result = { fromBlock: start, toBlock: head, added: 0, dropped: 0 };
+
+  const selectRange = db.prepare("SELECT block_number, log_index, block_hash FROM events WHERE block_number BETWEEN ? AND ?");
+  const deleteRange = db.prepare("DELETE FROM events WHERE block_number BETWEEN ? AND ?");
+  const insert = db.prepare(
+    `INSERT INTO events (block_number, log_index, block_hash, timestamp, tx_hash, contract, address, event, args)
+     VALUES (@blockNumber, @logIndex, @blockHash, @timestamp, @txHash, @contract, @address, @event, @args)`
+  );
+  const writeRange = db.transaction((from, to, rows) => {
+    const previous = new Set(selectRange.all(from, to).map((row) => `${row.block_number}:${row.log_index}:${row.block_hash}`));
+    deleteRange.run(from, to);
+    for (const row of rows) {
+      insert.run(row);
+      if (!previous.delete(`${row.blockNumber}:${row.logIndex}:${row.blockHash}`)) {
+        result.added++;
+      }
+    }
+    // Whatever was stored but not seen again came from orphaned blocks
+    result.dropped += previous.size;
+    setMeta(db, "lastBlock", to);
+  });
+
+  for (let from = start; from <= head; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, head);
+    const logs = await provider.getLogs({ address: [...byAddress.keys()], topics: [[...topics]], fromBlock: from, toBlock: to });
+    const timestamps = new Map();
+    const rows = [];
+
+    for (const entry of logs) {
+      const source = byAddress.get(entry.address.toLowerCase());
+      if (entry.blockNumber < source.fromBlock) {
+        continue;
+      }
+      const parsed = source.contract.interface.parseLog(entry);
+      if (!parsed || !INDEXED_EVENTS[source.key].includes(parsed.name)) {
+        continue;
+      }
+      if (!timestamps.has(entry.blockNumber)) {
+        timestamps.set(entry.blockNumber, (await provider.getBlock(entry.blockNumber)).timestamp);
+      }
+      rows.push({
+        blockNumber: entry.blockNumber,
+        logIndex: entry.index,
+        blockHash: entry.blockHash,
+        timestamp: timestamps.get(entry.blockNumber),
+        txHash: entry.transactionHash,
+        contract: source.key,
+        address: ethers.getAddress(entry.address),
+        event: parsed.name,
+        args: JSON.stringify(decodeArgs(parsed)),
+      });
+    }
+
+    writeRange(from, to, rows);
+    log(`   📦 Blocks ${from}-${to}: ${rows.length} event(s)`);
+  }
+
+  // The chain can also get shorter: the cursor moves back with it
+  result.dropped += db.prepare("DELETE FROM events WHERE block_number > ?").run(head).changes;
+  if (lastBlock !== null && lastBlock > head) {
+    setMeta(db, "lastBlock", head);
+  }
+
+  const final = head - confirmations;
+  if (final >= earliest) {
+    const block = await provider.getBlock(final);
+    setMeta(db, "checkpoint", { number: final, hash: block.hash });
+  } else {
+    db.prepare("DELETE FROM meta WHERE key = ?").run("checkpoint");
+  }
+  return result;
+}
+
+function toEvent(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    contract: row.contract,
+    address: row.address,
+    event: row.event,
+    args: JSON.parse(row.args),
+  };
+}
+
+/**
+ * Reads stored events in chain order. `address` matches any address-valued
+ * argument (from, to, beneficiary, wallet, ...).
+ */
+function queryEvents(db, { contract, event, address, fromBlock, toBlock, limit, order = "asc" } = {}) {
+  const where = [];
+  const params = [];
+  if (contract) {
+    where.push("contract = ?");
+    params.push(contract);
+  }
+  if (event) {
+    where.push("event = ?");
+    params.push(event);
+  }
+  if (address) {
+    where.push("EXISTS (SELECT 1 FROM json_each(events.args) WHERE json_each.value = ?)");
+    params.push(ethers.getAddress(address));
+  }
+  if (fromBlock !== undefined) {
+    where.push("block_number >= ?");
+    params.push(fromBlock);
+  }
+  if (toBlock !== undefined) {
+    where.push("block_number <= ?");
+    params.push(toBlock);
+  }
+  const direction = order === "desc" ? "DESC" : "ASC";
+  let sql = `SELECT * FROM events${where.length > 0 ? ` WHERE ${where.join(" AND ")}` : ""}`;
+  sql += ` ORDER BY block_number ${direction}, log_index ${direction}`;
+  if (limit) {
+    sql += " LIMIT ?";
+    params.push(limit);
+  }
+  return db.prepare(sql).all(...params).map(toEvent);
+}
+
+/**
+ * Stored events matching a custom SQL condition on the events table, in
+ * chain order, for reports that need more than queryEvents filters.
+ */
+function selectEvents(db, where, params = []) {
+  return db.prepare(`SELECT * FROM events WHERE ${where} ORDER BY block_number, log_index`).all(...params).map(toEvent);
+}
+
+// Number of stored events and block span per contract and event
+function getEventCounts(db) {
+  return db
+    .prepare(
+      `SELECT contract, event, COUNT(*) AS count, MIN(block_number) AS firstBlock, MAX(block_number) AS lastBlock
+       FROM events GROUP BY contract, event ORDER BY contract, event`
+    )
+    .all();
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  getDatabasePath,
+  openEventDatabase,
+  getSyncState,
+  syncEvents,
+  queryEvents,
+  selectEvents,
+  getEventCounts,
+};
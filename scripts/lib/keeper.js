@@ -0,0 +1,118 @@
+const { ethers } = require("hardhat");
+const { createRoundLoop } = require("./loop");
+
+/**
+ * Claims vested tokens on behalf of beneficiaries with the public
+ * `claimFor`. Each `runOnce` picks up beneficiaries from new
+ * VestingCreated events, reads releasable amounts with getVestingInfo and
+ * claims every schedule at or above `threshold` (wei), unless the contract
+ * is paused or the gas price is above `maxGasPrice` (wei).
+ */
+function createKeeper({
+  vesting,
+  signer,
+  threshold = 1n,
+  maxGasPrice = null,
+  maxClaims = 50,
+  dryRun = false,
+  fromBlock = 0,
+  blockRange = 10000,
+  log = console.log,
+}) {
+  const beneficiaries = new Set();
+  let nextBlock = fromBlock;
+
+  // Scans VestingCreated in ranges, since most RPCs cap eth_getLogs spans
+  async function discover() {
+    const latest = await ethers.provider.getBlockNumber();
+    let found = 0;
+    for (let from = nextBlock; from <= latest; from += blockRange) {
+      const to = Math.min(from + blockRange - 1, latest);
+      const events = await vesting.queryFilter(vesting.filters.VestingCreated(), from, to);
+      for (const event of events) {
+        if (!beneficiaries.has(event.args.beneficiary)) {
+          beneficiaries.add(event.args.beneficiary);
+          found++;
+        }
+      }
+    }
+    nextBlock = latest + 1;
+    return found;
+  }
+
+  async function findClaimable() {
+    const claimable = [];
+    for (const beneficiary of beneficiaries) {
+      const [, releasable] = await vesting.getVestingInfo(beneficiary);
+      releasable.forEach((amount, index) => {
+        if (amount > 0n && amount >= threshold) {
+          claimable.push({ beneficiary, index, amount });
+        }
+      });
+    }
+    return claimable;
+  }
+
+  async function runOnce() {
+    const result = { discovered: await discover(), beneficiaries: beneficiaries.size, claimable: [], claimed: [], failed: [], skipped: null };
+
+    if (await vesting.paused()) {
+      result.skipped = "paused";
+      log("   ⏸️  Vesting is paused, not claiming");
+      return result;
+    }
+
+    result.claimable = await findClaimable();
+    if (result.claimable.length === 0) {
+      log(`   💤 Nothing above the threshold across ${beneficiaries.size} beneficiary(ies)`);
+      return result;
+    }
+
+    const { gasPrice } = await ethers.provider.getFeeData();
+    if (maxGasPrice !== null && gasPrice !== null && gasPrice > maxGasPrice) {
+      result.skipped = "gas";
+      log(
+        `   ⛽ Gas price ${ethers.formatUnits(gasPrice, "gwei")} gwei is above the ${ethers.formatUnits(maxGasPrice, "gwei")} gwei ceiling, ` +
+          `${result.claimable.length} claim(s) waiting`
+      );
+      return result;
+    }
+
+    for (const claim of result.claimable.slice(0, maxClaims)) {
+      const label = `${claim.beneficiary} #${claim.index}: ${ethers.formatEther(claim.amount)} HYPEY`;
+      if (dryRun) {
+        log(`   📝 Would claim ${label}`);
+        continue;
+      }
+      try {
+        const receipt = await (await vesting.connect(signer).claimFor(claim.beneficiary, claim.index)).wait();
+        result.claimed.push({ ...claim, txHash: receipt.hash });
+        log(`   ✅ Claimed ${label} (tx ${receipt.hash})`);
+      } catch (error) {
+        // One bad schedule must not stop the rest of the round
+        result.failed.push({ ...claim, error: error.shortMessage || error.message });
+        log(`   ❌ Claim failed for ${label}: ${error.shortMessage || error.message}`);
+      }
+    }
+    if (result.claimable.length > maxClaims) {
+      log(`   ⏭️  ${result.claimable.length - maxClaims} claim(s) left for the next round`);
+    }
+    return result;
+  }
+
+  // Rounds every `interval` seconds until `stop`; see lib/loop.js
+  const { start, stop } = createRoundLoop({ runOnce, log, label: "Keeper round" });
+
+  return {
+    discover,
+    findClaimable,
+    runOnce,
+    start,
+    stop,
+    beneficiaries,
+  };
+}
+
+module.exports = {
+  createKeeper,
+};
@@ -0,0 +1,52 @@
+/**
+ * Repeats `runOnce` for long-running scripts such as the keeper and the
+ * night-mode switcher. `start(interval)` runs a round right away and then
+ * every `interval` seconds until `stop` is called, resolving once the loop
+ * has ended. A failing round (e.g. an RPC outage) is logged and retried on
+ * the next tick. `label`, when given, heads each round in the log.
+ */
+function createRoundLoop({ runOnce, log = console.log, label = null }) {
+  let timer = null;
+  let stopped = false;
+  let finish = () => {};
+
+  function start(interval) {
+    stopped = false;
+    return new Promise((resolve) => {
+      finish = resolve;
+      const tick = async () => {
+        timer = null;
+        if (label) {
+          log(`\n🔁 ${label} at ${new Date().toISOString()}`);
+        }
+        try {
+          await runOnce();
+        } catch (error) {
+          log(`   ❌ Round failed: ${error.shortMessage || error.message}`);
+        }
+        if (stopped) {
+          resolve();
+        } else {
+          timer = setTimeout(tick, interval * 1000);
+        }
+      };
+      tick();
+    });
+  }
+
+  // Lets a round in progress finish; an idle loop stops right away
+  function stop() {
+    stopped = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+      finish();
+    }
+  }
+
+  return { start, stop };
+}
+
+module.exports = {
+  createRoundLoop,
+};
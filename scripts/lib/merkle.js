@@ -0,0 +1,145 @@
+const { ethers } = require("ethers");
+
+// Fields hashed into a leaf, in addVestingScheduleWithProof's encodePacked order
+const LEAF_TYPES = ["address", "uint256", "uint256", "uint256", "uint256", "uint256", "uint256"];
+
+/**
+ * Leaf for one schedule, as addVestingScheduleWithProof computes it:
+ * keccak256(abi.encodePacked(beneficiary, totalAmount, start, cliffDuration,
+ * duration, slicePeriodSeconds, cliffUnlockPercent)).
+ */
+function hashVestingLeaf(schedule) {
+  return ethers.solidityPackedKeccak256(LEAF_TYPES, [
+    schedule.beneficiary,
+    schedule.totalAmount,
+    schedule.start,
+    schedule.cliffDuration,
+    schedule.duration,
+    schedule.slicePeriodSeconds,
+    schedule.cliffUnlockPercent,
+  ]);
+}
+
+// OpenZeppelin MerkleProof hashes each pair in sorted order
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds a tree compatible with OpenZeppelin's MerkleProof.verify. Leaves
+ * are sorted so the root only depends on the set of schedules, not on the
+ * order of the input file; an odd node out is carried up unchanged.
+ */
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+  const sorted = [...leaves].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] === sorted[i - 1]) {
+      throw new Error(`Duplicate leaf ${sorted[i]}: the same schedule appears twice`);
+    }
+  }
+
+  const layers = [sorted];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    layers,
+    getProof(leaf) {
+      let index = layers[0].indexOf(leaf);
+      if (index === -1) {
+        throw new Error(`Leaf ${leaf} is not in the tree`);
+      }
+      const proof = [];
+      for (let level = 0; level < layers.length - 1; level++) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layers[level].length) {
+          proof.push(layers[level][sibling]);
+        }
+        index = Math.floor(index / 2);
+      }
+      return proof;
+    },
+  };
+}
+
+// Same walk as MerkleProof.processProof, for checking proofs off-chain
+function verifyProof(proof, root, leaf) {
+  return proof.reduce((computed, sibling) => hashPair(computed, sibling), leaf) === root;
+}
+
+/**
+ * Builds the tree for `schedules` and returns the proofs document: the root
+ * plus, per beneficiary, every schedule with the exact call arguments and
+ * proof for addVestingScheduleWithProof. Amounts are decimal strings.
+ */
+function buildVestingProofs(schedules) {
+  const leaves = schedules.map(hashVestingLeaf);
+  const tree = buildMerkleTree(leaves);
+
+  const proofs = {};
+  let total = 0n;
+  schedules.forEach((schedule, i) => {
+    total += schedule.totalAmount;
+    const entries = proofs[schedule.beneficiary] || (proofs[schedule.beneficiary] = []);
+    entries.push({
+      totalAmount: schedule.totalAmount.toString(),
+      start: schedule.start.toString(),
+      cliffDuration: schedule.cliffDuration.toString(),
+      duration: schedule.duration.toString(),
+      slicePeriodSeconds: schedule.slicePeriodSeconds.toString(),
+      cliffUnlockPercent: schedule.cliffUnlockPercent.toString(),
+      leaf: leaves[i],
+      proof: tree.getProof(leaves[i]),
+    });
+  });
+
+  return {
+    root: tree.root,
+    leafEncoding: LEAF_TYPES,
+    count: schedules.length,
+    total: total.toString(),
+    proofs,
+  };
+}
+
+// Proof entries for `beneficiary`, matched case-insensitively
+function findProofs(document, beneficiary) {
+  if (!ethers.isAddress(beneficiary)) {
+    return null;
+  }
+  return document.proofs[ethers.getAddress(beneficiary)] || [];
+}
+
+// Arguments for addVestingScheduleWithProof from a proofs document entry
+function toProofCallArgs(beneficiary, entry) {
+  return [
+    beneficiary,
+    entry.totalAmount,
+    entry.start,
+    entry.cliffDuration,
+    entry.duration,
+    entry.slicePeriodSeconds,
+    entry.cliffUnlockPercent,
+    entry.proof,
+  ];
+}
+
+module.exports = {
+  LEAF_TYPES,
+  hashVestingLeaf,
+  buildMerkleTree,
+  verifyProof,
+  buildVestingProofs,
+  findProofs,
+  toProofCallArgs,
+};
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { createRoundLoop } = require("./loop");
+const { parseIsoDate } = require("./dates");
+
+// Keeps HYPEYToken.isNight in step with a local-time schedule. Sells pay
+// NIGHT_SELL_TAX_BPS while it is set and DAY_SELL_TAX_BPS otherwise, and only
+// the owner can flip it, so the switcher sends (or queues for the Safe)
+// `setNightMode` whenever the schedule and the chain disagree.
+
+const MODES = ["day", "night"];
+
+function modeName(isNight) {
+  return isNight ? "night" : "day";
+}
+
+// "22:00" → minutes after midnight
+function parseTimeOfDay(value, name = "time") {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${name} must be HH:MM (24h), got ${value}`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Holiday overrides as "2026-12-25,2027-01-01=day": each local date is
+ * forced to one mode for the whole day, night unless `=day` is given.
+ * An object of date → mode is accepted as is.
+ */
+function parseHolidays(value) {
+  if (!value) {
+    return {};
+  }
+  const entries = typeof value === "string"
+    ? value.split(",").map((item) => item.trim()).filter(Boolean).map((item) => item.split("="))
+    : Object.entries(value);
+
+  const holidays = {};
+  for (const [date, mode = "night"] of entries) {
+    // parseIsoDate also refuses impossible dates such as 2026-02-30, which would never match
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date.trim()) || parseIsoDate(date) === null) {
+      throw new Error(`Holiday dates must be YYYY-MM-DD, got ${date}`);
+    }
+    const normalized = mode.trim().toLowerCase();
+    if (!MODES.includes(normalized)) {
+      throw new Error(`Holiday ${date} must be "day" or "night", got ${mode}`);
+    }
+    holidays[date.trim()] = normalized;
+  }
+  return holidays;
+}
+
+/**
+ * Validates a schedule: the night window runs from `nightStart` up to (not
+ * including) `nightEnd` in `timeZone`, wrapping past midnight when it ends
+ * earlier than it starts.
+ */
+function createNightSchedule({ timeZone = "UTC", nightStart = "22:00", nightEnd = "06:00", holidays = {} } = {}) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  const start = parseTimeOfDay(nightStart, "Night start");
+  const end = parseTimeOfDay(nightEnd, "Night end");
+  if (start === end) {
+    throw new Error("Night start and end must differ");
+  }
+
+  return {
+    timeZone: formatter.resolvedOptions().timeZone,
+    nightStart: start,
+    nightEnd: end,
+    holidays: parseHolidays(holidays),
+    formatter,
+  };
+}
+
+// Local calendar date and minutes after midnight of `date` in the schedule's zone
+function getLocalTime(schedule, date) {
+  const parts = Object.fromEntries(schedule.formatter.formatToParts(date).map((part) => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function isInNightWindow(schedule, minutes) {
+  const { nightStart, nightEnd } = schedule;
+  return nightStart < nightEnd
+    ? minutes >= nightStart && minutes < nightEnd
+    : minutes >= nightStart || minutes < nightEnd;
+}
+
+/**
+ * The mode the token should be in at `date`: the holiday override for the
+ * local date if there is one, otherwise the night window.
+ */
+function getDesiredMode(schedule, date) {
+  const local = getLocalTime(schedule, date);
+  const holiday = schedule.holidays[local.date];
+  return {
+    isNight: holiday ? holiday === "night" : isInNightWindow(schedule, local.minutes),
+    reason: holiday ? "holiday" : "window",
+    localDate: local.date,
+    localTime: formatTimeOfDay(local.minutes),
+  };
+}
+
+function describeSchedule(schedule) {
+  const holidays = Object.entries(schedule.holidays).map(([date, mode]) => `${date} (${mode})`);
+  return {
+    window: `${formatTimeOfDay(schedule.nightStart)}-${formatTimeOfDay(schedule.nightEnd)} ${schedule.timeZone}`,
+    holidays: holidays.length > 0 ? holidays.join(", ") : "none",
+  };
+}
+
+/**
+ * Compares the schedule with `isNight()` each round and submits
+ * `setNightMode` through `sender` (see lib/transactions.js) only when they
+ * disagree. Every transition is returned, kept in `transitions` and, with
+ * `logFile`, appended to it as a JSON line. `now` is the clock, injectable
+ * so rounds can be run for any moment.
+ */
+function createNightModeSwitcher({
+  token,
+  sender,
+  schedule,
+  now = () => new Date(),
+  dryRun = false,
+  logFile = null,
+  log = console.log,
+}) {
+  const transitions = [];
+
+  function record(transition) {
+    transitions.push(transition);
+    if (logFile) {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fs.appendFileSync(logFile, JSON.stringify(transition) + "\n");
+    }
+  }
+
+  async function runOnce() {
+    const at = now();
+    const desired = getDesiredMode(schedule, at);
+    const current = await token.isNight();
+    const result = { at, desired, current, transition: null };
+    const when = `${desired.localDate} ${desired.localTime} ${schedule.timeZone}`;
+
+    if (current === desired.isNight) {
+      log(`   💤 Already in ${modeName(current)} mode at ${when}`);
+      return result;
+    }
+
+    const label = `${modeName(current)} → ${modeName(desired.isNight)} at ${when}${desired.reason === "holiday" ? " (holiday)" : ""}`;
+    if (dryRun) {
+      log(`   📝 Would switch ${label}`);
+      return result;
+    }
+
+    const sent = await sender.submit(`setNightMode(${desired.isNight})`, token, "setNightMode", [desired.isNight]);
+    result.transition = {
+      at: at.toISOString(),
+      localTime: when,
+      from: modeName(current),
+      to: modeName(desired.isNight),
+      reason: desired.reason,
+      mode: sender.mode,
+      txHash: sent.hash || null,
+    };
+    record(result.transition);
+    log(`   ${desired.isNight ? "🌙 " : "☀️  "}${sender.mode === "export" ? "Queued switch" : "Switched"} ${label}`);
+    return result;
+  }
+
+  // Rounds every `interval` seconds until `stop`; see lib/loop.js
+  const { start, stop } = createRoundLoop({ runOnce, log });
+
+  return {
+    runOnce,
+    start,
+    stop,
+    transitions,
+  };
+}
+
+module.exports = {
+  parseTimeOfDay,
+  parseHolidays,
+  createNightSchedule,
+  getDesiredMode,
+  describeSchedule,
+  createNightModeSwitcher,
+};
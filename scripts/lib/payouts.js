@@ -0,0 +1,436 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { parseCsv } = require("./csv");
+const { parseTokenAmount, parseAccount } = require("./token-admin");
+const { MAX_WITHDRAWAL, ERC20_ABI } = require("./treasury-admin");
+
+// Canonical column → accepted header spellings
+const PAYOUT_CSV_COLUMNS = {
+  token: ["asset", "tokenAddress"],
+  recipient: ["address", "to", "wallet"],
+  amount: ["tokens", "value"],
+  memo: ["note", "reference", "description"],
+};
+
+// A token address, or a symbol from `aliases` (e.g. { HYPEY: "0x..." })
+function resolveToken(value, aliases = {}) {
+  const text = String(value || "").trim();
+  const alias = Object.keys(aliases).find((name) => name.toLowerCase() === text.toLowerCase());
+  if (alias) {
+    return ethers.getAddress(aliases[alias]);
+  }
+  if (!ethers.isAddress(text)) {
+    throw new Error(`"${text}" is not a token address${Object.keys(aliases).length ? ` or one of ${Object.keys(aliases).join(", ")}` : ""}`);
+  }
+  return ethers.getAddress(text);
+}
+
+// Every distinct token the records name, skipping ones that do not resolve
+function getPayoutTokens(records, aliases = {}) {
+  const tokens = new Set();
+  for (const record of records) {
+    try {
+      tokens.add(resolveToken(record.token, aliases));
+    } catch (error) {
+      // Reported per line by validatePayoutRecords
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * What the treasury knows about each token: whether it is supported, the
+ * balance it holds and the token's symbol and decimals. Keyed by checksum
+ * address.
+ */
+async function loadPayoutTokens(treasury, tokens) {
+  const info = {};
+  for (const token of tokens) {
+    const erc20 = await ethers.getContractAt(ERC20_ABI, token);
+    const [supported, balance, symbol, decimals] = await Promise.all([
+      treasury.supportedTokens(token),
+      treasury.getERC20Balance(token).catch(() => 0n),
+      erc20.symbol().catch(() => "tokens"),
+      erc20.decimals().catch(() => 18n),
+    ]);
+    info[token] = { address: token, supported, balance, symbol, decimals: Number(decimals) };
+  }
+  return info;
+}
+
+/**
+ * Validates payout records (string fields named after PAYOUT_CSV_COLUMNS)
+ * with the rules disburseToken applies to a single call: a supported token,
+ * a non-zero recipient and an amount between zero and the per-call limit,
+ * in the token's own decimals. `tokens` comes from loadPayoutTokens.
+ * Returns the valid rows and one message per invalid record.
+ */
+function validatePayoutRecords(records, { tokens, aliases = {} }) {
+  const rows = [];
+  const errors = [];
+
+  for (const record of records) {
+    const problems = [];
+    const attempt = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        problems.push(error.message);
+        return null;
+      }
+    };
+
+    const info = attempt(() => {
+      const token = tokens[resolveToken(record.token, aliases)];
+      if (!token) throw new Error(`token ${record.token} was not loaded`);
+      if (!token.supported) throw new Error(`${token.symbol} ${token.address} is not supported by the treasury`);
+      return token;
+    });
+    const recipient = attempt(() => parseAccount(record.recipient, { zeroMessage: "recipient is the zero address" }));
+    const amount = attempt(() => {
+      const decimals = info ? info.decimals : 18;
+      const value = parseTokenAmount(record.amount, { decimals, zeroMessage: "amount must be greater than 0" });
+      if (value > MAX_WITHDRAWAL) {
+        throw new Error(`amount exceeds the per-call limit of ${ethers.formatUnits(MAX_WITHDRAWAL, decimals)}; split it over several lines`);
+      }
+      return value;
+    });
+
+    if (problems.length > 0) {
+      errors.push(`line ${record.line}: ${problems.join("; ")}`);
+    } else {
+      rows.push({ line: record.line, token: info.address, symbol: info.symbol, decimals: info.decimals, recipient, amount, memo: record.memo });
+    }
+  }
+
+  return { rows, errors };
+}
+
+// Per-token totals in first-seen order: { token, symbol, decimals, lines, total }
+function totalByToken(rows) {
+  const totals = new Map();
+  for (const row of rows) {
+    const entry = totals.get(row.token) || { token: row.token, symbol: row.symbol, decimals: row.decimals, lines: 0, total: 0n };
+    entry.lines += 1;
+    entry.total += row.amount;
+    totals.set(row.token, entry);
+  }
+  return [...totals.values()];
+}
+
+// One message per token whose total the treasury cannot cover
+function checkBalances(totals, tokens) {
+  return totals
+    .filter((entry) => tokens[entry.token].balance < entry.total)
+    .map((entry) => {
+      const format = (value) => `${ethers.formatUnits(value, entry.decimals)} ${entry.symbol}`;
+      const { balance } = tokens[entry.token];
+      return `${entry.symbol}: ${entry.lines} line(s) total ${format(entry.total)} but the treasury holds ${format(balance)} (short ${format(entry.total - balance)})`;
+    });
+}
+
+// Lines paying the same amount of the same token to the same recipient,
+// which is more often a copy-paste slip than two payments
+function findDuplicates(rows) {
+  const seen = new Map();
+  const warnings = [];
+  for (const row of rows) {
+    const key = `${row.token}:${row.recipient}:${row.amount}`;
+    if (seen.has(key)) {
+      warnings.push(`line ${row.line} repeats line ${seen.get(key)} (${ethers.formatUnits(row.amount, row.decimals)} ${row.symbol} to ${row.recipient})`);
+    } else {
+      seen.set(key, row.line);
+    }
+  }
+  return warnings;
+}
+
+function readPayoutRecords(text) {
+  return parseCsv(text, PAYOUT_CSV_COLUMNS);
+}
+
+function loadLog(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function saveLog(file, log) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...log, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+}
+
+/**
+ * Opens the reconciliation log for `source` (the CSV's hash) against
+ * `treasury`, refusing a log written for a different file or contract:
+ * resuming the wrong payout run would pay people twice.
+ */
+function openPayoutLog(file, { treasury, source }) {
+  const log = loadLog(file);
+  if (!log) {
+    return { treasury, source, lines: {} };
+  }
+  if (log.treasury.toLowerCase() !== treasury.toLowerCase()) {
+    throw new Error(`${file} belongs to a payout from ${log.treasury}, not ${treasury}`);
+  }
+  if (log.source !== source) {
+    throw new Error(
+      `${file} was written for a different version of the CSV. ` +
+        "Restore the original file to resume, or move the log aside after checking what was paid."
+    );
+  }
+  return log;
+}
+
+function describeEvent(event) {
+  return {
+    blockNumber: event.blockNumber,
+    logIndex: event.index,
+    transactionHash: event.transactionHash,
+    token: event.args.token,
+    to: event.args.to,
+    amount: event.args.amount.toString(),
+  };
+}
+
+function sameWithdrawal(entry, args) {
+  return (
+    args.token.toLowerCase() === entry.token.toLowerCase() &&
+    args.to.toLowerCase() === entry.recipient.toLowerCase() &&
+    args.amount.toString() === entry.amount
+  );
+}
+
+// The TokensWithdrawn event a line's own transaction emitted
+function findWithdrawal(treasury, receipt, entry) {
+  const treasuryAddress = treasury.target.toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== treasuryAddress) continue;
+    const parsed = treasury.interface.parseLog(log);
+    if (parsed && parsed.name === "TokensWithdrawn" && sameWithdrawal(entry, parsed.args)) {
+      return describeEvent({ blockNumber: receipt.blockNumber, index: log.index, transactionHash: receipt.hash, args: parsed.args });
+    }
+  }
+  return null;
+}
+
+/**
+ * Pairs lines the multisig was asked to pay with TokensWithdrawn events:
+ * each event goes to the first waiting line with the same token, recipient
+ * and amount, in line order. Events already matched to a line (`claimed`,
+ * as "txHash:logIndex") are skipped. Returns Map line → event.
+ */
+function matchWithdrawals(entries, events, claimed = new Set()) {
+  const used = new Set(claimed);
+  const matches = new Map();
+  for (const entry of [...entries].sort((a, b) => a.line - b.line)) {
+    const event = events.find((candidate) => {
+      const id = `${candidate.transactionHash}:${candidate.index}`;
+      return !used.has(id) && candidate.blockNumber >= (entry.exportedAtBlock || 0) && sameWithdrawal(entry, candidate.args);
+    });
+    if (event) {
+      used.add(`${event.transactionHash}:${event.index}`);
+      matches.set(entry.line, describeEvent(event));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Brings a line logged as "sent" up to date from its receipt: a mined one
+ * becomes "confirmed" with its event, a reverted or dropped one is cleared
+ * so it is paid again.
+ */
+async function reconcileSentLine(treasury, entry, log = console.log) {
+  const provider = ethers.provider;
+  let receipt = await provider.getTransactionReceipt(entry.txHash);
+  if (!receipt && (await provider.getTransaction(entry.txHash))) {
+    log(`   ⏳ Line ${entry.line}: waiting for ${entry.txHash}...`);
+    receipt = await provider.waitForTransaction(entry.txHash);
+  }
+  if (receipt && receipt.status === 1) {
+    return { ...entry, status: "confirmed", blockNumber: receipt.blockNumber, event: findWithdrawal(treasury, receipt, entry) };
+  }
+  log(`   ⚠️  Line ${entry.line}: ${entry.txHash} ${receipt ? "reverted" : "was dropped"}, paying it again`);
+  return null;
+}
+
+/**
+ * Reconciles every line of `rows` logged as "sent" and saves the log. Run
+ * before totalling what is left to pay: the treasury balance already
+ * reflects a mined line, so it must not be counted again.
+ */
+async function reconcileSentLines({ treasury, rows, logFile, payoutLog, log = console.log }) {
+  for (const row of rows) {
+    const entry = payoutLog.lines[row.line];
+    if (!entry || entry.status !== "sent") {
+      continue;
+    }
+    const reconciled = await reconcileSentLine(treasury, entry, log);
+    if (reconciled) {
+      payoutLog.lines[row.line] = reconciled;
+    } else {
+      delete payoutLog.lines[row.line];
+    }
+    saveLog(logFile, payoutLog);
+  }
+  return payoutLog;
+}
+
+/**
+ * Marks exported lines the Safe has since executed as "confirmed", by
+ * matching TokensWithdrawn events from the block each was exported at.
+ * Returns how many lines were matched.
+ */
+async function reconcileExportedLines(treasury, log) {
+  const entries = Object.values(log.lines);
+  const waiting = entries.filter((entry) => entry.status === "exported");
+  if (waiting.length === 0) {
+    return 0;
+  }
+  const fromBlock = Math.min(...waiting.map((entry) => entry.exportedAtBlock || 0));
+  const events = await treasury.queryFilter(treasury.filters.TokensWithdrawn(), fromBlock);
+  const claimed = new Set(entries.filter((entry) => entry.event).map((entry) => `${entry.event.transactionHash}:${entry.event.logIndex}`));
+  const matches = matchWithdrawals(waiting, events, claimed);
+  for (const [line, event] of matches) {
+    log.lines[line] = { ...log.lines[line], status: "confirmed", txHash: event.transactionHash, blockNumber: event.blockNumber, event };
+  }
+  return matches.size;
+}
+
+function formatRow(row) {
+  return `Line ${row.line}: ${ethers.formatUnits(row.amount, row.decimals)} ${row.symbol} to ${row.recipient}${row.memo ? ` (${row.memo})` : ""}`;
+}
+
+/**
+ * Pays every line `payoutLog` has not seen yet with one disburseToken call
+ * each, recording it as soon as it is sent and again once confirmed, with
+ * the TokensWithdrawn event it emitted, so a run that dies at any point can
+ * be resumed without paying anyone twice. In Safe export mode the lines
+ * are queued into the batch and logged as "exported" with the current
+ * block, for reconcileExportedLines to match later. Progress goes to `log`.
+ */
+async function payRows({ treasury, rows, sender, logFile, payoutLog, dryRun = false, log = console.log }) {
+  const results = [];
+  const exportedAtBlock = sender.mode === "export" && !dryRun ? await ethers.provider.getBlockNumber() : null;
+
+  for (const row of rows) {
+    const label = formatRow(row);
+    await reconcileSentLines({ treasury, rows: [row], logFile, payoutLog, log });
+    const entry = payoutLog.lines[row.line];
+
+    if (entry && entry.status === "confirmed") {
+      log(`   ⏭️  ${label}: already paid (tx ${entry.txHash})`);
+      results.push({ ...entry, skipped: true });
+      continue;
+    }
+    if (entry && entry.status === "exported") {
+      log(`   ⏭️  ${label}: already exported to ${entry.batchFile}, awaiting the Safe`);
+      results.push({ ...entry, skipped: true });
+      continue;
+    }
+    if (dryRun) {
+      log(`   📝 Would pay ${label}`);
+      results.push({ line: row.line, status: "planned" });
+      continue;
+    }
+
+    const base = {
+      line: row.line,
+      token: row.token,
+      symbol: row.symbol,
+      recipient: row.recipient,
+      amount: row.amount.toString(),
+      memo: row.memo,
+    };
+    const result = await sender.submit(label, treasury, "disburseToken", [row.token, row.recipient, row.amount], {
+      onSent: (tx) => {
+        payoutLog.lines[row.line] = { ...base, status: "sent", txHash: tx.hash };
+        saveLog(logFile, payoutLog);
+      },
+    });
+
+    payoutLog.lines[row.line] = result.queued
+      ? { ...base, status: "exported", batchFile: sender.exportFile, exportedAtBlock }
+      : {
+          ...base,
+          status: "confirmed",
+          txHash: result.hash,
+          blockNumber: result.receipt.blockNumber,
+          event: findWithdrawal(treasury, result.receipt, base),
+        };
+    saveLog(logFile, payoutLog);
+    results.push(payoutLog.lines[row.line]);
+  }
+
+  return results;
+}
+
+const RECONCILIATION_HEADER = [
+  "line",
+  "token",
+  "symbol",
+  "recipient",
+  "amount",
+  "memo",
+  "status",
+  "txHash",
+  "blockNumber",
+  "logIndex",
+  "eventAmount",
+];
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The reconciliation sheet: one row per CSV line with its status, the
+ * transaction that paid it and the TokensWithdrawn event (block, log index
+ * and amount) that proves it. Lines not in the log yet are "pending".
+ */
+function renderReconciliation(rows, log) {
+  const lines = [RECONCILIATION_HEADER.join(",")];
+  for (const row of rows) {
+    const entry = log.lines[row.line] || {};
+    const event = entry.event || {};
+    lines.push(
+      [
+        row.line,
+        row.token,
+        row.symbol,
+        row.recipient,
+        ethers.formatUnits(row.amount, row.decimals),
+        row.memo,
+        entry.status || "pending",
+        entry.txHash,
+        entry.blockNumber,
+        event.logIndex,
+        event.amount === undefined ? "" : ethers.formatUnits(event.amount, row.decimals),
+      ]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  PAYOUT_CSV_COLUMNS,
+  resolveToken,
+  getPayoutTokens,
+  loadPayoutTokens,
+  validatePayoutRecords,
+  readPayoutRecords,
+  totalByToken,
+  checkBalances,
+  findDuplicates,
+  loadLog,
+  openPayoutLog,
+  findWithdrawal,
+  matchWithdrawals,
+  reconcileSentLines,
+  reconcileExportedLines,
+  payRows,
+  renderReconciliation,
+};
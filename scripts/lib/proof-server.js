@@ -0,0 +1,49 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { findProofs } = require("./merkle");
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read-only HTTP endpoint over a proofs document:
+ *
+ *   GET /root              → { root, count, total }
+ *   GET /proofs/<address>  → { beneficiary, root, schedules: [...] }
+ *
+ * Call `listen` on the returned server; nothing is started here.
+ */
+function createProofServer(document) {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, { error: "Only GET is supported" });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/root") {
+      return sendJson(res, 200, { root: document.root, count: document.count, total: document.total });
+    }
+
+    const match = /^\/proofs\/([^/]+)$/.exec(pathname);
+    if (!match) {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+    const schedules = findProofs(document, match[1]);
+    if (schedules === null) {
+      return sendJson(res, 400, { error: `${match[1]} is not an address` });
+    }
+    if (schedules.length === 0) {
+      return sendJson(res, 404, { error: `No schedules for ${match[1]}` });
+    }
+    return sendJson(res, 200, { beneficiary: ethers.getAddress(match[1]), root: document.root, schedules });
+  });
+}
+
+module.exports = {
+  createProofServer,
+};
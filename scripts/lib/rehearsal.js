@@ -0,0 +1,262 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const { impersonateAccount, reset, setBalance, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readStatus, compareStatus } = require("./status");
+const { getVestingBeneficiaries } = require("./vesting-import");
+const { loadRoleHolders, getAccountKinds } = require("./access-audit");
+
+const { ethers, upgrades, network } = hre;
+
+// Fields of the status report that an upgrade is expected to change
+const VOLATILE_STATUS_FIELDS = ["schemaVersion", "network", "chainId", "blockNumber", "addresses", "implementations"];
+
+const SCHEDULE_FIELDS = ["initialized", "totalAmount", "released", "start", "cliff", "duration", "slicePeriodSeconds", "cliffUnlockPercent"];
+
+// JSON-RPC URL of a configured network, to fork it
+function getForkUrl(target) {
+  if (!target || target === "hardhat") {
+    throw new Error("Name the network to rehearse on, e.g. --rehearse mainnet");
+  }
+  const config = hre.config.networks[target];
+  if (!config) {
+    throw new Error(`Unknown network "${target}"; it must be configured in hardhat.config.js`);
+  }
+  if (!config.url) {
+    throw new Error(`No RPC URL configured for ${target}`);
+  }
+  return config.url;
+}
+
+/**
+ * Gives the fork the .openzeppelin manifest of the network at `url`, which
+ * prepareUpgrade needs for the deployed storage layouts. A fork reads a
+ * public network's .openzeppelin/<network>.json by itself, but a local
+ * node keeps its manifest in a temporary file named after the node's
+ * instance, which the fork cannot find; that one is copied. Returns the
+ * manifest file, or null when this machine has none for `url`.
+ */
+async function copyForkedManifest(url) {
+  const provider = new ethers.JsonRpcProvider(url);
+  let source;
+  try {
+    source = await Manifest.forNetwork(provider);
+  } finally {
+    provider.destroy();
+  }
+  if (!fs.existsSync(source.file)) {
+    return null;
+  }
+  if (source.file.startsWith(os.tmpdir())) {
+    const fork = await Manifest.forNetwork(network.provider);
+    fs.mkdirSync(path.dirname(fork.file), { recursive: true });
+    fs.copyFileSync(source.file, fork.file);
+  }
+  return source.file;
+}
+
+/**
+ * Resets the in-process hardhat network to a fork of `target` at
+ * `blockNumber` (latest when unset), with the target's upgrades manifest.
+ * Only the in-process network can be reset, so the script itself must run
+ * without --network.
+ */
+async function forkNetwork(target, blockNumber) {
+  if (network.name !== "hardhat") {
+    throw new Error(`Rehearsals fork into the in-process hardhat network; run without --network ${network.name} and pass --rehearse ${network.name}`);
+  }
+  const jsonRpcUrl = getForkUrl(target);
+  await reset(jsonRpcUrl, blockNumber);
+  const manifest = await copyForkedManifest(jsonRpcUrl);
+  return { url: jsonRpcUrl, blockNumber: await ethers.provider.getBlockNumber(), manifest };
+}
+
+// Signer for any address on the fork, with ETH for gas
+async function impersonate(address) {
+  await impersonateAccount(address);
+  await setBalance(address, ethers.parseEther("10"));
+  return ethers.getSigner(address);
+}
+
+/**
+ * State an upgrade must not change: the status report (total supply, key
+ * holder balances, burn exemptions, treasury supported tokens, roles, ...)
+ * without its block and implementation fields, plus the treasury's
+ * holdings, the vesting pool balance and every vesting schedule with its
+ * releasable amount, keyed by beneficiary and index.
+ */
+async function readInvariants(addresses, { fromBlock = 0 } = {}) {
+  const { status, errors } = await readStatus(addresses);
+  const invariants = { ...status };
+  VOLATILE_STATUS_FIELDS.forEach((field) => delete invariants[field]);
+
+  const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+  invariants.treasury.holdings = { ETH: (await treasury.getETHBalance()).toString() };
+  for (const token of invariants.treasury.supportedTokens || []) {
+    invariants.treasury.holdings[token] = (await treasury.getERC20Balance(token)).toString();
+  }
+
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  invariants.vesting.poolBalance = (await vesting.getPoolBalance()).toString();
+  invariants.vesting.schedules = {};
+  for (const beneficiary of await getVestingBeneficiaries(vesting, fromBlock)) {
+    const [schedules, releasable] = await vesting.getVestingInfo(beneficiary);
+    invariants.vesting.schedules[beneficiary] = {};
+    schedules.forEach((schedule, index) => {
+      const entry = {};
+      SCHEDULE_FIELDS.forEach((field) => (entry[field] = typeof schedule[field] === "bigint" ? schedule[field].toString() : schedule[field]));
+      entry.releasable = releasable[index].toString();
+      invariants.vesting.schedules[beneficiary][index] = entry;
+    });
+  }
+
+  return { invariants, errors };
+}
+
+/**
+ * Every invariant that differs after the upgrade, as { path, before, after,
+ * allowed }, including paths only one side has (null on the other), such as
+ * a new holding, beneficiary, schedule index or role. `allow` lists paths
+ * (or path prefixes such as "token.builder") the upgrade is meant to change.
+ */
+function diffInvariants(before, after, allow = []) {
+  const changes = compareStatus(after, before).map(({ path, expected, actual }) => ({ path, before: expected, after: actual }));
+  // compareStatus only walks the expected side; the reverse pass finds what `after` added
+  for (const { path, expected } of compareStatus(before, after)) {
+    if (!changes.some((change) => change.path === path)) {
+      changes.push({ path, before: null, after: expected });
+    }
+  }
+  return changes.map((change) => ({ ...change, allowed: allow.some((prefix) => change.path === prefix || change.path.startsWith(`${prefix}.`)) }));
+}
+
+/**
+ * The account that executes the rehearsed upgrade. _authorizeUpgrade checks
+ * MULTISIG_ADMIN_ROLE on tx.origin, which is always an EOA: behind a Safe it
+ * is the owner who submits the Safe transaction, never the Safe itself.
+ * `executor` names that account; otherwise it is the first EOA holding the
+ * role on `proxy`, the multisig first, then holders from RoleGranted events
+ * since `fromBlock`. Throws when there is none, since no real transaction
+ * could then pass _authorizeUpgrade.
+ */
+async function findExecutor(proxy, { executor, multisig, fromBlock = 0 }) {
+  const role = await proxy.MULTISIG_ADMIN_ROLE();
+  if (executor) {
+    const account = ethers.getAddress(executor);
+    const kinds = await getAccountKinds([account]);
+    if (kinds[account] !== "eoa") {
+      throw new Error(`Executor ${account} is a contract; tx.origin is always an EOA`);
+    }
+    if (!(await proxy.hasRole(role, account))) {
+      throw new Error(`Executor ${account} lacks MULTISIG_ADMIN_ROLE on ${proxy.target}, required as tx.origin`);
+    }
+    return account;
+  }
+
+  const holders = await loadRoleHolders(proxy, ["MULTISIG_ADMIN_ROLE"], { fromBlock, candidates: [multisig] });
+  const accounts = holders.MULTISIG_ADMIN_ROLE.filter((holder) => holder.confirmed).map((holder) => holder.account);
+  accounts.sort((a, b) => (b === ethers.getAddress(multisig)) - (a === ethers.getAddress(multisig)));
+  const kinds = await getAccountKinds(accounts);
+  const eoa = accounts.find((account) => kinds[account] === "eoa");
+  if (!eoa) {
+    throw new Error(
+      `No EOA holds MULTISIG_ADMIN_ROLE on ${proxy.target}, and the multisig cannot be tx.origin. ` +
+        "Pass the Safe owner who will execute the upgrade as the executor; it must hold the role"
+    );
+  }
+  return eoa;
+}
+
+/**
+ * Runs the full timelock upgrade of one proxy on the current (forked)
+ * network: the new implementation is deployed, the multisig schedules
+ * `upgradeTo` and the executor (see findExecutor) executes it once the delay
+ * has passed. The timelock grants PROPOSER to the multisig and EXECUTOR to
+ * the executor on the fork if they lack them. Invariants are read just
+ * before and just after the execution at the same block timestamp, so
+ * time-based values such as releasable amounts compare exactly.
+ */
+async function rehearseUpgrade({ contractKey, contractName, addresses, executor, fromBlock = 0, allow = [], log = console.log }) {
+  const proxyAddress = ethers.getAddress(addresses[contractKey]);
+  const proxy = await ethers.getContractAt(contractName, proxyAddress);
+  const executorAddress = await findExecutor(proxy, { executor, multisig: addresses.multisig, fromBlock });
+  const multisig = await impersonate(addresses.multisig);
+  const executorSigner = await impersonate(executorAddress);
+  const timelockSigner = await impersonate(addresses.timelock);
+  const timelock = await ethers.getContractAt("MockTimelock", addresses.timelock);
+  log(`   🔑 Executing as ${executorAddress}, which holds MULTISIG_ADMIN_ROLE`);
+
+  for (const [role, account, name] of [["PROPOSER_ROLE", multisig.address, "the multisig"], ["EXECUTOR_ROLE", executorAddress, "the executor"]]) {
+    const id = await timelock[role]();
+    const open = role === "EXECUTOR_ROLE" && (await timelock.hasRole(id, ethers.ZeroAddress));
+    if (!open && !(await timelock.hasRole(id, account))) {
+      await (await timelock.connect(timelockSigner).grantRole(id, account)).wait();
+      log(`   🎭 Granted ${role} to ${name} on the fork`);
+    }
+  }
+
+  log("   📦 Preparing new implementation...");
+  const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const ContractFactory = await ethers.getContractFactory(contractName);
+  const newImplementation = await upgrades.prepareUpgrade(proxyAddress, ContractFactory, { kind: "uups" });
+  log(`   Current implementation: ${previousImplementation}`);
+  log(`   New implementation:     ${newImplementation}`);
+  if (previousImplementation.toLowerCase() === newImplementation.toLowerCase()) {
+    log("   ℹ️  The local build is already deployed; rehearsing an upgrade to the same implementation");
+  }
+
+  const data = proxy.interface.encodeFunctionData("upgradeTo", [newImplementation]);
+  const predecessor = ethers.ZeroHash;
+  const salt = ethers.id(`rehearsal:${contractName}:${newImplementation}:${Date.now()}`);
+  const operationId = await timelock.hashOperation(proxyAddress, 0, data, predecessor, salt);
+  const delay = await timelock.getMinDelay();
+  await (await timelock.connect(multisig).schedule(proxyAddress, 0, data, predecessor, salt, delay)).wait();
+  log(`   ⏰ Scheduled ${operationId} with a ${delay}s delay`);
+
+  const executeAt = Math.max(Number(await timelock.getTimestamp(operationId)), (await time.latest()) + 1);
+
+  // Read "before" in a block at the execution timestamp, then rewind and execute in its place
+  const snapshot = await takeSnapshot();
+  await time.increaseTo(executeAt);
+  const before = await readInvariants(addresses, { fromBlock });
+  await snapshot.restore();
+
+  await time.setNextBlockTimestamp(executeAt);
+  const receipt = await (await timelock.connect(executorSigner).execute(proxyAddress, 0, data, predecessor, salt)).wait();
+  log(`   ✅ Executed in block ${receipt.blockNumber}`);
+
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  if (implementation.toLowerCase() !== newImplementation.toLowerCase()) {
+    throw new Error(`Implementation is ${implementation} after execution, expected ${newImplementation}`);
+  }
+  const after = await readInvariants(addresses, { fromBlock });
+
+  return {
+    contract: contractKey,
+    contractName,
+    proxy: proxyAddress,
+    previousImplementation,
+    newImplementation,
+    executor: executorAddress,
+    operationId,
+    executeTx: receipt.hash,
+    timestamp: executeAt,
+    before: before.invariants,
+    after: after.invariants,
+    errors: { before: before.errors, after: after.errors },
+    diff: diffInvariants(before.invariants, after.invariants, allow),
+  };
+}
+
+module.exports = {
+  getForkUrl,
+  copyForkedManifest,
+  forkNetwork,
+  impersonate,
+  findExecutor,
+  readInvariants,
+  diffInvariants,
+  rehearseUpgrade,
+};
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Safe{Wallet} Transaction Builder batch file format
+const BATCH_VERSION = "1.0";
+const TX_BUILDER_VERSION = "1.16.5";
+
+function stringifyReplacer(_, value) {
+  return value === undefined ? null : value;
+}
+
+// Key-sorted serialization used by the Transaction Builder for its checksum
+function serializeJSONObject(json) {
+  if (Array.isArray(json)) {
+    return `[${json.map((el) => serializeJSONObject(el)).join(",")}]`;
+  }
+  if (typeof json === "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    let acc = `{${JSON.stringify(keys, stringifyReplacer)}`;
+    for (const key of keys) {
+      acc += `${serializeJSONObject(json[key])},`;
+    }
+    return `${acc}}`;
+  }
+  return `${JSON.stringify(json, stringifyReplacer)}`;
+}
+
+/**
+ * Checksum the Transaction Builder shows as verified on import: keccak256 of
+ * the serialized batch with `meta.name` nulled and no checksum present.
+ */
+function calculateChecksum(batch) {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+  return ethers.id(serializeJSONObject({ ...batch, meta }));
+}
+
+function createSafeBatch({ chainId, safeAddress, name, description = "" }) {
+  return {
+    version: BATCH_VERSION,
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: "",
+    },
+    transactions: [],
+  };
+}
+
+// Transaction Builder expects every input as a string, arrays/tuples as JSON
+function toInputValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  }
+  return String(value);
+}
+
+function toMethodInput(param) {
+  const input = { internalType: param.type, name: param.name, type: param.type };
+  if (param.components) {
+    input.components = param.components.map(toMethodInput);
+  }
+  return input;
+}
+
+/**
+ * Appends a contract call to the batch. `contractInterface` is an ethers
+ * Interface (e.g. `contract.interface`) and `method` a function name or
+ * signature.
+ */
+function addSafeTransaction(batch, { to, value = 0n, contractInterface, method, args = [] }) {
+  const fragment = contractInterface.getFunction(method);
+  const data = contractInterface.encodeFunctionData(fragment, args);
+  // Round-trip through the ABI so values are canonical (checksummed addresses, decimal integers)
+  const decoded = contractInterface.decodeFunctionData(fragment, data);
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, i) => {
+    contractInputsValues[input.name || `arg${i}`] = toInputValue(decoded[i]);
+  });
+
+  const transaction = {
+    to: ethers.getAddress(to),
+    value: value.toString(),
+    data,
+    contractMethod: {
+      inputs: fragment.inputs.map(toMethodInput),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues,
+  };
+  batch.transactions.push(transaction);
+  return transaction;
+}
+
+function writeSafeBatch(batch, file) {
+  const output = { ...batch, meta: { ...batch.meta, checksum: calculateChecksum(batch) } };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(output, null, 2) + "\n");
+  return output;
+}
+
+function readSafeBatch(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Decodes each batch transaction against `interfaces` (name → ethers
+ * Interface) and checks that `data` matches `contractMethod` +
+ * `contractInputsValues`, so an edited file cannot diverge silently.
+ */
+function decodeSafeBatch(batch, interfaces) {
+  return batch.transactions.map((tx, index) => {
+    for (const [contractName, contractInterface] of Object.entries(interfaces)) {
+      let parsed = null;
+      try {
+        parsed = contractInterface.parseTransaction({ data: tx.data, value: tx.value });
+      } catch (error) {
+        continue;
+      }
+      if (!parsed || parsed.name !== tx.contractMethod.name) {
+        continue;
+      }
+      const expected = parsed.fragment.inputs.map((input, i) => toInputValue(parsed.args[i]));
+      const recorded = parsed.fragment.inputs.map((input, i) => tx.contractInputsValues[input.name || `arg${i}`]);
+      if (JSON.stringify(expected) !== JSON.stringify(recorded)) {
+        throw new Error(`Transaction ${index}: contractInputsValues do not match data for ${parsed.name}`);
+      }
+      return { index, to: tx.to, value: BigInt(tx.value), contractName, method: parsed.name, args: parsed.args, data: tx.data };
+    }
+    throw new Error(`Transaction ${index}: could not decode ${tx.data.slice(0, 10)} for ${tx.to}`);
+  });
+}
+
+module.exports = {
+  calculateChecksum,
+  createSafeBatch,
+  addSafeTransaction,
+  writeSafeBatch,
+  readSafeBatch,
+  decodeSafeBatch,
+};
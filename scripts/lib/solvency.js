@@ -0,0 +1,122 @@
+const { ethers } = require("hardhat");
+const { getVestingBeneficiaries } = require("./vesting-import");
+const { computeReleasableAmount } = require("./vesting-math");
+
+const BASIS_POINTS = 10000n;
+
+// "1", "1.05", "0.9" → basis points
+function parseRatio(value) {
+  if (!/^\d+(\.\d{1,4})?$/.test(String(value))) {
+    throw new Error(`"${value}" is not a coverage ratio (e.g. 1 or 1.05)`);
+  }
+  const [whole, fraction = ""] = String(value).split(".");
+  return BigInt(whole) * BASIS_POINTS + BigInt(fraction.padEnd(4, "0"));
+}
+
+function parseHorizonDays(value) {
+  if (!/^\d+$/.test(String(value)) || Number(value) === 0) {
+    throw new Error(`"${value}" is not a horizon (a whole number of days, at least 1)`);
+  }
+  return Number(value);
+}
+
+function formatRatio(basisPoints) {
+  if (basisPoints === null) {
+    return "∞";
+  }
+  return `${basisPoints / BASIS_POINTS}.${String(basisPoints % BASIS_POINTS).padStart(4, "0")}`;
+}
+
+/**
+ * Reads every schedule and the pool balance at one block and totals the
+ * pool's obligations: everything unreleased, what is claimable now, and what
+ * becomes claimable within `horizonDays` if nobody claims before then.
+ */
+async function getSolvencySnapshot(vesting, { fromBlock = 0, blockTag = "latest", horizonDays = 30 } = {}) {
+  const block = await ethers.provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+  const asOf = BigInt(block.timestamp);
+  const horizon = asOf + BigInt(horizonDays) * 86400n;
+
+  const beneficiaries = await getVestingBeneficiaries(vesting, fromBlock, block.number);
+  let schedules = 0;
+  let outstanding = 0n;
+  let releasableNow = 0n;
+  let releasableWithinHorizon = 0n;
+
+  for (const beneficiary of beneficiaries) {
+    const [infos] = await vesting.getVestingInfo(beneficiary, overrides);
+    for (const info of infos) {
+      schedules++;
+      outstanding += info.totalAmount - info.released;
+      releasableNow += computeReleasableAmount(info, asOf);
+      releasableWithinHorizon += computeReleasableAmount(info, horizon);
+    }
+  }
+
+  return {
+    vesting: await vesting.getAddress(),
+    blockNumber: block.number,
+    asOf,
+    horizonDays,
+    poolBalance: await vesting.getPoolBalance(overrides),
+    beneficiaries: beneficiaries.length,
+    schedules,
+    outstanding,
+    releasableNow,
+    releasableWithinHorizon,
+  };
+}
+
+/**
+ * Compares a snapshot with the minimum coverage (basis points of
+ * outstanding) and returns the alert payload: `status` is "alert" when the
+ * pool covers less than the ratio, or cannot pay what unlocks within the
+ * horizon.
+ */
+function assessSolvency(snapshot, { minCoverage = BASIS_POINTS, network = null } = {}) {
+  const coverage = snapshot.outstanding === 0n ? null : (snapshot.poolBalance * BASIS_POINTS) / snapshot.outstanding;
+  const required = (snapshot.outstanding * minCoverage + BASIS_POINTS - 1n) / BASIS_POINTS;
+  const alerts = [];
+
+  if (coverage !== null && coverage < minCoverage) {
+    alerts.push({
+      code: "COVERAGE_BELOW_MINIMUM",
+      message: `Pool covers ${formatRatio(coverage)}x of outstanding obligations, minimum is ${formatRatio(minCoverage)}x`,
+      shortfall: ethers.formatEther(required - snapshot.poolBalance),
+    });
+  }
+  if (snapshot.poolBalance < snapshot.releasableWithinHorizon) {
+    alerts.push({
+      code: "HORIZON_SHORTFALL",
+      message: `Pool cannot pay what is releasable within ${snapshot.horizonDays} days`,
+      shortfall: ethers.formatEther(snapshot.releasableWithinHorizon - snapshot.poolBalance),
+    });
+  }
+
+  return {
+    status: alerts.length > 0 ? "alert" : "ok",
+    network,
+    vesting: snapshot.vesting,
+    blockNumber: snapshot.blockNumber,
+    asOf: new Date(Number(snapshot.asOf) * 1000).toISOString(),
+    poolBalance: ethers.formatEther(snapshot.poolBalance),
+    outstanding: ethers.formatEther(snapshot.outstanding),
+    releasableNow: ethers.formatEther(snapshot.releasableNow),
+    releasableWithinHorizon: ethers.formatEther(snapshot.releasableWithinHorizon),
+    horizonDays: snapshot.horizonDays,
+    coverageRatio: formatRatio(coverage),
+    minCoverageRatio: formatRatio(minCoverage),
+    beneficiaries: snapshot.beneficiaries,
+    schedules: snapshot.schedules,
+    alerts,
+  };
+}
+
+module.exports = {
+  parseRatio,
+  parseHorizonDays,
+  formatRatio,
+  getSolvencySnapshot,
+  assessSolvency,
+};
@@ -0,0 +1,156 @@
+const { ethers, upgrades, network } = require("hardhat");
+
+// Bumped whenever a field is renamed or removed; new fields keep the version
+const STATUS_SCHEMA_VERSION = 1;
+
+// Accounts whose HYPEY balance and burn exemption are reported
+const ACCOUNT_KEYS = ["token", "treasury", "vesting", "multisig"];
+
+// Registry accounts checked for each role on each AccessControl contract
+const ROLE_ACCOUNTS = ["multisig", "timelock"];
+const ROLES = ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE"];
+
+/**
+ * Reads the ecosystem's state into a plain object with a fixed layout:
+ *
+ *   network, chainId, blockNumber
+ *   addresses        registry addresses (token, treasury, vesting, timelock, multisig, reserveBurn)
+ *   implementations  EIP-1967 implementation of each proxy
+ *   token            name, symbol, decimals, totalSupply, burnRateBasisPoints,
+ *                    reserveBurnAddress, owner, dexPair, isNight, timelock, builder
+ *   treasury         paused, timelock, supportedTokens, builder
+ *   vesting          paused, timelock, builder
+ *   balances         HYPEY held by token, treasury, vesting and multisig
+ *   exemptions       exemptFromBurn for the same accounts
+ *   roles            roles.<contract>.<ROLE>.<account> for multisig and timelock
+ *
+ * Amounts are base units as decimal strings and addresses are checksummed.
+ * Every read is attempted: a failed one is left null and listed in
+ * `errors` as { path, message }, so one broken call never hides the rest.
+ */
+async function readStatus(addresses) {
+  const errors = [];
+  const read = async (path, fn) => {
+    try {
+      const value = await fn();
+      return typeof value === "bigint" ? value.toString() : value;
+    } catch (error) {
+      errors.push({ path, message: error.shortMessage || error.reason || error.message });
+      return null;
+    }
+  };
+
+  const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+  const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const status = {
+    schemaVersion: STATUS_SCHEMA_VERSION,
+    network: network.name,
+    chainId: Number(chainId),
+    blockNumber: await ethers.provider.getBlockNumber(),
+    addresses: {},
+    implementations: {},
+    token: {},
+    treasury: {},
+    vesting: {},
+    balances: {},
+    exemptions: {},
+    roles: {},
+  };
+
+  for (const key of ["token", "treasury", "vesting", "timelock", "multisig", "reserveBurn"]) {
+    status.addresses[key] = addresses[key] ? ethers.getAddress(addresses[key]) : null;
+  }
+  for (const key of ["token", "treasury", "vesting"]) {
+    status.implementations[key] = await read(`implementations.${key}`, () => upgrades.erc1967.getImplementationAddress(addresses[key]));
+  }
+
+  for (const field of ["name", "symbol", "decimals", "totalSupply", "burnRateBasisPoints", "reserveBurnAddress", "owner", "dexPair", "isNight", "timelock", "builder"]) {
+    status.token[field] = await read(`token.${field}`, () => token[field]());
+  }
+  if (status.token.decimals !== null) {
+    status.token.decimals = Number(status.token.decimals);
+  }
+  status.treasury.paused = await read("treasury.paused", () => treasury.paused());
+  status.treasury.timelock = await read("treasury.timelock", () => treasury.timelock());
+  status.treasury.supportedTokens = await read("treasury.supportedTokens", async () => [...(await treasury.getSupportedTokens())]);
+  status.treasury.builder = await read("treasury.builder", () => treasury.builder());
+  status.vesting.paused = await read("vesting.paused", () => vesting.paused());
+  status.vesting.timelock = await read("vesting.timelock", () => vesting.timelock());
+  status.vesting.builder = await read("vesting.builder", () => vesting.builder());
+
+  for (const key of ACCOUNT_KEYS) {
+    const account = status.addresses[key];
+    if (!account) {
+      errors.push({ path: `addresses.${key}`, message: "not set in the registry" });
+      status.balances[key] = null;
+      status.exemptions[key] = null;
+      continue;
+    }
+    status.balances[key] = await read(`balances.${key}`, () => token.balanceOf(account));
+    status.exemptions[key] = await read(`exemptions.${key}`, () => token.exemptFromBurn(account));
+  }
+
+  // A registry without a timelock entry still has the one the token points at
+  const roleAccounts = { multisig: status.addresses.multisig, timelock: status.addresses.timelock || status.token.timelock };
+  for (const [name, contract] of [["token", token], ["treasury", treasury], ["vesting", vesting]]) {
+    status.roles[name] = {};
+    for (const role of ROLES) {
+      status.roles[name][role] = {};
+      const id = role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+      for (const key of ROLE_ACCOUNTS) {
+        const account = roleAccounts[key];
+        status.roles[name][role][key] = account ? await read(`roles.${name}.${role}.${key}`, () => contract.hasRole(id, account)) : null;
+      }
+    }
+  }
+
+  return { status, errors };
+}
+
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), object);
+}
+
+function normalize(value) {
+  if (typeof value === "string" && ethers.isHexString(value)) {
+    return value.toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  return value;
+}
+
+/**
+ * Compares `status` with an expected-state object of the same layout that
+ * lists only the fields to pin. Leaves are compared exactly, except that
+ * addresses ignore case and a string "@<path>" means "the same as that
+ * field of the live status" (e.g. "token.owner": "@addresses.multisig").
+ * Returns one { path, expected, actual } per difference.
+ */
+function compareStatus(status, expected, prefix = "") {
+  const drift = [];
+  for (const [key, want] of Object.entries(expected)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (want !== null && typeof want === "object" && !Array.isArray(want)) {
+      drift.push(...compareStatus(status, want, path));
+      continue;
+    }
+    const actual = getPath(status, path);
+    const resolved = typeof want === "string" && want.startsWith("@") ? getPath(status, want.slice(1)) : want;
+    const expectedValue = typeof resolved === "number" && typeof actual === "string" ? String(resolved) : resolved;
+    if (JSON.stringify(normalize(expectedValue)) !== JSON.stringify(normalize(actual))) {
+      drift.push({ path, expected: want === resolved ? want : `${want} (${resolved})`, actual: actual === undefined ? null : actual });
+    }
+  }
+  return drift;
+}
+
+module.exports = {
+  STATUS_SCHEMA_VERSION,
+  readStatus,
+  compareStatus,
+};
@@ -0,0 +1,122 @@
+const { confirm } = require("./cli");
+const { resolveAddresses, requireAddresses } = require("./deployments");
+
+// Hardhat tasks are loaded with the config, before `require("hardhat")` may
+// be used, so everything here takes the runtime environment as `hre`.
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Params shared by every admin task
+function addAdminParams(definition, addressDescription) {
+  return definition
+    .addOptionalParam("address", addressDescription)
+    .addOptionalParam("safeExport", "Write a Safe Transaction Builder batch to this file instead of sending")
+    .addOptionalParam("safe", "Safe the exported batch is for (default: SAFE_ADDRESS or the registry multisig)")
+    .addFlag("yes", "Skip the confirmation prompt on live networks");
+}
+
+// The task's --address, or the contract recorded for this network
+async function getTaskContract(hre, key, contractName, address) {
+  const resolved = address || requireAddresses(hre.network.name, [key]).addresses[key];
+  return hre.ethers.getContractAt(contractName, resolved);
+}
+
+function formatCall(method, args) {
+  return `${method}(${args.map((arg) => (Array.isArray(arg) ? `[${arg.join(", ")}]` : String(arg))).join(", ")})`;
+}
+
+/**
+ * Shared flow of the admin tasks: show the calls and the state they change
+ * (`changes` is a list of [name, before, after] strings), pre-flight each
+ * call with staticCall from the account that will make it, ask once before
+ * sending on a live network, then send them in order or queue them for the
+ * Safe. A call that depends on an earlier one in the list (e.g. a deposit
+ * after its approval) sets `preflight: false`. When the calls depend on
+ * who makes them, pass `plan(from)` returning `{ calls, changes }` instead.
+ * Returns the sender's result per call, or null when nothing was sent.
+ */
+async function runAdminCalls(hre, { calls, label, changes = [], plan, options = {} }) {
+  const { createSenderFromEnv } = require("./transactions");
+  const { network } = hre;
+  const sender = await createSenderFromEnv({
+    addresses: resolveAddresses(network.name).addresses,
+    name: `${label} (${network.name})`,
+    exportFile: options.safeExport,
+    safeAddress: options.safe,
+  });
+  if (plan) {
+    ({ calls, changes = [] } = await plan(sender.from));
+  }
+  const described = calls.map((call) => ({ args: [], value: 0n, ...call, text: formatCall(call.method, call.args || []) }));
+  if (sender.batch) {
+    sender.batch.meta.description = described.map((call) => call.text).join("; ");
+  }
+
+  const targets = [...new Set(await Promise.all(described.map((call) => call.contract.getAddress())))];
+  console.log("📋 Call:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Contract: ${targets.join(", ")}`);
+  console.log(`   ${sender.mode === "export" ? "Safe" : "Signer"}: ${sender.from}`);
+  if (described.length === 1) {
+    console.log(`   Call: ${described[0].text}`);
+  } else {
+    console.log(`   Calls (${described.length}):`);
+    described.forEach((call, i) => console.log(`     ${i + 1}. ${call.text}`));
+  }
+  for (const [name, before, after] of changes) {
+    console.log(`   ${name}: ${before} → ${after}`);
+  }
+
+  if (changes.length > 0 && changes.every(([, before, after]) => before === after)) {
+    console.log("\n⏭️  Already set, nothing to send");
+    return null;
+  }
+
+  for (const call of described.filter((item) => item.preflight !== false)) {
+    try {
+      const overrides = call.value > 0n ? { value: call.value } : {};
+      await call.contract.connect(hre.ethers.provider)[call.method].staticCall(...call.args, { ...overrides, from: sender.from });
+    } catch (error) {
+      throw new Error(`Pre-flight of ${call.text} from ${sender.from} reverted: ${error.reason || error.shortMessage || error.message}`);
+    }
+  }
+  console.log("   ✅ Pre-flight passed");
+
+  if (sender.mode === "send" && !LOCAL_NETWORKS.includes(network.name) && !options.yes) {
+    console.log("");
+    const question = described.length === 1 ? `Send ${described[0].text}` : `Send ${described.length} transactions`;
+    if (!(await confirm(`${question} on ${network.name}?`))) {
+      console.log("🛑 Aborted, nothing sent");
+      return null;
+    }
+  }
+
+  console.log("");
+  const results = [];
+  for (const call of described) {
+    results.push(await sender.submit(call.label || label, call.contract, call.method, call.args, { value: call.value }));
+  }
+  sender.finalize();
+
+  if (results.length > 1) {
+    console.log(`\n📊 ${results.length} transaction(s):`);
+    described.forEach((call, i) => {
+      console.log(`   ${i + 1}. ${call.label || label}: ${results[i].hash || "queued for the Safe"}`);
+    });
+  }
+  return results;
+}
+
+// runAdminCalls for a single call; returns that call's result
+async function runAdminCall(hre, { contract, method, args = [], label, changes = [], options = {} }) {
+  const results = await runAdminCalls(hre, { calls: [{ contract, method, args, label }], label, changes, options });
+  return results && results[0];
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  addAdminParams,
+  getTaskContract,
+  runAdminCalls,
+  runAdminCall,
+};
@@ -0,0 +1,215 @@
+const { ethers, artifacts } = require("hardhat");
+
+// TimelockController stores 1 as the timestamp of executed operations
+const DONE_TIMESTAMP = 1n;
+
+// ABIs used to turn scheduled calldata back into readable calls
+const DECODABLE_CONTRACTS = ["HYPEYToken", "HYPEYTreasury", "HypeyVesting", "MockTimelock"];
+
+/**
+ * Reads the state of a timelock operation: "unset" (never scheduled or
+ * cancelled), "pending" (waiting for its delay), "ready" or "done".
+ */
+async function getOperationState(timelock, id) {
+  const timestamp = await timelock.getTimestamp(id);
+
+  if (timestamp === 0n) {
+    return { state: "unset", eta: null };
+  }
+  if (timestamp === DONE_TIMESTAMP) {
+    return { state: "done", eta: null };
+  }
+  const ready = await timelock.isOperationReady(id);
+  return { state: ready ? "ready" : "pending", eta: Number(timestamp) };
+}
+
+function formatEta(eta, now = Math.floor(Date.now() / 1000)) {
+  if (eta === null || eta === undefined) {
+    return "-";
+  }
+  const date = new Date(eta * 1000).toISOString();
+  const remaining = eta - now;
+  if (remaining <= 0) {
+    return `${date} (elapsed)`;
+  }
+  const hours = Math.floor(remaining / 3600);
+  const minutes = Math.floor((remaining % 3600) / 60);
+  return `${date} (in ${hours}h ${minutes}m)`;
+}
+
+async function getLatestTimestamp() {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp;
+}
+
+async function loadInterfaces(contractNames = DECODABLE_CONTRACTS) {
+  const interfaces = {};
+  for (const name of contractNames) {
+    const artifact = await artifacts.readArtifact(name);
+    interfaces[name] = new ethers.Interface(artifact.abi);
+  }
+  return interfaces;
+}
+
+function formatArg(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatArg).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/**
+ * Decodes calldata against the known ABIs. `targetName` (from the deployment
+ * registry) is tried first; otherwise the first ABI that parses wins.
+ */
+function decodeCall(interfaces, data, targetName) {
+  if (!data || data === "0x") {
+    return { contractName: targetName || null, functionName: null, args: [], text: "(plain ETH transfer)" };
+  }
+
+  const candidates = targetName && interfaces[targetName]
+    ? [targetName, ...Object.keys(interfaces).filter((name) => name !== targetName)]
+    : Object.keys(interfaces);
+
+  for (const contractName of candidates) {
+    let parsed = null;
+    try {
+      parsed = interfaces[contractName].parseTransaction({ data });
+    } catch (error) {
+      // Selector matched but the arguments did not decode; try the next ABI
+    }
+    if (parsed) {
+      const args = parsed.fragment.inputs.map((input, i) => ({
+        name: input.name,
+        type: input.type,
+        value: formatArg(parsed.args[i]),
+      }));
+      const argText = args.map((arg) => (arg.name ? `${arg.name}=${arg.value}` : arg.value)).join(", ");
+      return {
+        contractName,
+        functionName: parsed.name,
+        signature: parsed.signature,
+        args,
+        text: `${contractName}.${parsed.name}(${argText})`,
+      };
+    }
+  }
+
+  return { contractName: targetName || null, functionName: null, args: [], text: `unknown selector ${data.slice(0, 10)}` };
+}
+
+/**
+ * Rebuilds every operation ever scheduled on `timelock` from its
+ * CallScheduled / CallSalt / CallExecuted / Cancelled events, decodes the
+ * calls and attaches the live state and ETA. `labels` maps lowercase target
+ * addresses to contract names so calldata is decoded with the right ABI.
+ */
+async function indexOperations(timelock, { fromBlock = 0, toBlock = "latest", labels = {}, interfaces } = {}) {
+  const abis = interfaces || (await loadInterfaces());
+  const [scheduled, salts, executed, cancelled] = await Promise.all([
+    timelock.queryFilter(timelock.filters.CallScheduled(), fromBlock, toBlock),
+    timelock.queryFilter(timelock.filters.CallSalt(), fromBlock, toBlock),
+    timelock.queryFilter(timelock.filters.CallExecuted(), fromBlock, toBlock),
+    timelock.queryFilter(timelock.filters.Cancelled(), fromBlock, toBlock),
+  ]);
+
+  const saltById = new Map(salts.map((event) => [event.args.id, event.args.salt]));
+  const executedTx = new Map(executed.map((event) => [event.args.id, event.transactionHash]));
+  const cancelledTx = new Map(cancelled.map((event) => [event.args.id, event.transactionHash]));
+  const operations = new Map();
+
+  for (const event of scheduled) {
+    const { id, index, target, value, data, predecessor, delay } = event.args;
+    if (!operations.has(id)) {
+      operations.set(id, {
+        id,
+        calls: [],
+        predecessor,
+        salt: saltById.get(id) || ethers.ZeroHash,
+        delay: Number(delay),
+        scheduledBlock: event.blockNumber,
+        scheduledTx: event.transactionHash,
+      });
+    }
+    const targetName = labels[target.toLowerCase()];
+    operations.get(id).calls[Number(index)] = {
+      target,
+      targetName: targetName || null,
+      value,
+      data,
+      decoded: decodeCall(abis, data, targetName),
+    };
+  }
+
+  const result = [];
+  for (const operation of operations.values()) {
+    const { state, eta } = await getOperationState(timelock, operation.id);
+    result.push({
+      ...operation,
+      // A cancelled operation reads back as unset; the event tells them apart
+      state: state === "unset" && cancelledTx.has(operation.id) ? "cancelled" : state,
+      eta,
+      executedTx: executedTx.get(operation.id) || null,
+      cancelledTx: cancelledTx.get(operation.id) || null,
+    });
+  }
+
+  return result.sort((a, b) => a.scheduledBlock - b.scheduledBlock);
+}
+
+// Timelock method and arguments that execute an indexed operation
+function getExecuteCall(operation) {
+  if (operation.state !== "ready") {
+    throw new Error(`Operation ${operation.id} is ${operation.state}, not ready`);
+  }
+  const { calls, predecessor, salt } = operation;
+  if (calls.length === 1) {
+    const [call] = calls;
+    return { method: "execute", args: [call.target, call.value, call.data, predecessor, salt] };
+  }
+  return {
+    method: "executeBatch",
+    args: [
+      calls.map((call) => call.target),
+      calls.map((call) => call.value),
+      calls.map((call) => call.data),
+      predecessor,
+      salt,
+    ],
+  };
+}
+
+function getCancelCall(operation) {
+  if (operation.state !== "pending" && operation.state !== "ready") {
+    throw new Error(`Operation ${operation.id} is ${operation.state} and cannot be cancelled`);
+  }
+  return { method: "cancel", args: [operation.id] };
+}
+
+async function executeOperation(timelock, operation) {
+  const { method, args } = getExecuteCall(operation);
+  return timelock[method](...args);
+}
+
+async function cancelOperation(timelock, operation) {
+  const { method, args } = getCancelCall(operation);
+  return timelock[method](...args);
+}
+
+module.exports = {
+  DONE_TIMESTAMP,
+  DECODABLE_CONTRACTS,
+  getOperationState,
+  formatEta,
+  getLatestTimestamp,
+  loadInterfaces,
+  decodeCall,
+  indexOperations,
+  getExecuteCall,
+  getCancelCall,
+  executeOperation,
+  cancelOperation,
+};
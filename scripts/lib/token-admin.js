@@ -0,0 +1,88 @@
+const { ethers } = require("ethers");
+const { MAX_BURN_RATE_BPS } = require("./transfer-tax");
+
+// Argument parsing for the token:* and treasury:* tasks. Each check mirrors a
+// require() in the contracts and throws the contract's own message, so a bad
+// argument fails the same way before a transaction is ever built.
+
+const AMOUNT_SUFFIXES = { k: 3, m: 6, b: 9 };
+
+/**
+ * Parses an amount written for humans into base units: "1000", "1,000,000",
+ * "2_500.5", or with a k / m / b suffix ("250k", "1.5m", "3b"). Amounts are
+ * HYPEY (18 decimals) unless the token's `decimals` are given; `zeroMessage`
+ * is the contract's message for a zero amount.
+ */
+function parseTokenAmount(value, { name = "Amount", decimals = 18, zeroMessage = "Amount must be greater than 0" } = {}) {
+  const text = String(value === undefined ? "" : value).trim().toLowerCase().replace(/[,_\s]/g, "");
+  const match = /^(\d+(?:\.\d+)?)([kmb])?$/.exec(text);
+  if (!match) {
+    throw new Error(`${name} must be an amount such as 1000, 1,000,000 or 1.5m, got ${value}`);
+  }
+
+  let amount;
+  try {
+    amount = ethers.parseUnits(match[1], Number(decimals) + (match[2] ? AMOUNT_SUFFIXES[match[2]] : 0));
+  } catch (error) {
+    throw new Error(`${name} has more than ${decimals} decimals: ${value}`);
+  }
+  if (amount === 0n) {
+    throw new Error(zeroMessage);
+  }
+  return amount;
+}
+
+/**
+ * Burn rate in basis points ("150") or percent ("1.5%"), limited to what
+ * setBurnRate accepts.
+ */
+function parseBurnRate(value) {
+  const text = String(value === undefined ? "" : value).trim();
+  const percent = /^(\d+(?:\.\d{1,2})?)%$/.exec(text);
+  if (!percent && !/^\d+$/.test(text)) {
+    throw new Error(`Burn rate must be whole basis points (150) or a percentage (1.5%), got ${value}`);
+  }
+  const bps = percent ? ethers.parseUnits(percent[1], 2) : BigInt(text);
+  if (bps > MAX_BURN_RATE_BPS) {
+    throw new Error("Burn rate must be between 0 and 3%");
+  }
+  return bps;
+}
+
+/**
+ * Checks an address argument. `zeroMessage` and `selfMessage` are the
+ * contract's messages for the zero address and the token itself; without a
+ * `selfMessage` the token address is allowed.
+ */
+function parseAccount(value, { zeroMessage, selfMessage, token } = {}) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error(`Not an address: ${value === undefined ? "nothing given" : value}`);
+  }
+  const address = ethers.getAddress(value);
+  if (address === ethers.ZeroAddress) {
+    throw new Error(zeroMessage || "Invalid address");
+  }
+  if (selfMessage && token && address.toLowerCase() === token.toLowerCase()) {
+    throw new Error(selfMessage);
+  }
+  return address;
+}
+
+// "on" / "off" style switches for boolean setters
+function parseSwitch(value, name = "Value") {
+  const text = String(value === undefined ? "" : value).trim().toLowerCase();
+  if (["on", "true", "yes", "1", "enable", "enabled"].includes(text)) {
+    return true;
+  }
+  if (["off", "false", "no", "0", "disable", "disabled"].includes(text)) {
+    return false;
+  }
+  throw new Error(`${name} must be on or off, got ${value}`);
+}
+
+module.exports = {
+  parseTokenAmount,
+  parseBurnRate,
+  parseAccount,
+  parseSwitch,
+};
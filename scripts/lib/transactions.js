@@ -0,0 +1,100 @@
+const { ethers } = require("hardhat");
+const { getOption } = require("./cli");
+const { createSafeBatch, addSafeTransaction, writeSafeBatch } = require("./safe");
+
+/**
+ * Sends admin transactions with the local signer, or — in export mode —
+ * queues them into a Safe Transaction Builder batch for the multisig.
+ * Scripts call `submit` for every state-changing call and `finalize` once
+ * at the end; `from` is the account the calls will be made from, for
+ * permission pre-checks. `onSent` lets callers record a transaction hash
+ * before waiting for it to be mined.
+ */
+function createTransactionSender({ signer, exportFile, safeAddress, chainId, name, description }) {
+  if (exportFile && !safeAddress) {
+    throw new Error("Safe export needs the multisig address (set SAFE_ADDRESS or MULTISIG_ADDRESS)");
+  }
+
+  const mode = exportFile ? "export" : "send";
+  const batch = exportFile ? createSafeBatch({ chainId, safeAddress, name, description }) : null;
+
+  async function submit(label, contract, method, args = [], { value = 0n, onSent } = {}) {
+    const overrides = value > 0n ? { value } : {};
+
+    if (mode === "send") {
+      const tx = await contract.connect(signer)[method](...args, overrides);
+      if (onSent) {
+        await onSent(tx);
+      }
+      const receipt = await tx.wait();
+      console.log(`   ✅ ${label} (tx ${receipt.hash})`);
+      return { hash: receipt.hash, receipt };
+    }
+
+    // Pre-flight from the Safe; later calls may depend on earlier queued
+    // ones, so a failure here is a warning rather than an error. A contract
+    // bound to a signer rejects any other `from`, hence the provider.
+    try {
+      await contract.connect(ethers.provider)[method].staticCall(...args, { ...overrides, from: safeAddress });
+    } catch (error) {
+      console.log(`   ⚠️  Pre-flight of ${method} from ${safeAddress} reverted: ${error.shortMessage || error.message}`);
+    }
+
+    addSafeTransaction(batch, {
+      to: await contract.getAddress(),
+      value,
+      contractInterface: contract.interface,
+      method,
+      args,
+    });
+    console.log(`   📝 Queued for Safe: ${label}`);
+    return { queued: true };
+  }
+
+  function finalize() {
+    if (mode !== "export") {
+      return null;
+    }
+    if (batch.transactions.length === 0) {
+      console.log("\n📝 Nothing to export, no Safe batch written");
+      return null;
+    }
+    writeSafeBatch(batch, exportFile);
+    console.log(`\n📝 Safe batch with ${batch.transactions.length} transaction(s) written to ${exportFile}`);
+    console.log("   Import it in the Safe{Wallet} Transaction Builder to propose it");
+    return exportFile;
+  }
+
+  return {
+    mode,
+    from: mode === "export" ? safeAddress : signer.address,
+    exportFile: exportFile || null,
+    batch,
+    submit,
+    finalize,
+  };
+}
+
+/**
+ * Builds a sender from the standard CLI switches: `--safe-export <file>` /
+ * SAFE_EXPORT selects export mode, `--safe <address>` / SAFE_ADDRESS picks
+ * the Safe (defaulting to the registry multisig). Hardhat tasks pass their
+ * own `exportFile` / `safeAddress` params, which take precedence.
+ */
+async function createSenderFromEnv({ addresses = {}, name, description, exportFile, safeAddress } = {}) {
+  const [signer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  return createTransactionSender({
+    signer,
+    exportFile: exportFile || getOption("safe-export", "SAFE_EXPORT"),
+    safeAddress: safeAddress || getOption("safe", "SAFE_ADDRESS", addresses.multisig),
+    chainId,
+    name,
+    description,
+  });
+}
+
+module.exports = {
+  createTransactionSender,
+  createSenderFromEnv,
+};
@@ -0,0 +1,142 @@
+// Off-chain mirror of HYPEYToken._transferWithBurn. Every value is a BigInt
+// and every division truncates like Solidity's, so quotes match the contract
+// to the wei for the same state (balances, exemptions, dexPair, isNight and
+// burnRateBasisPoints).
+
+const BASIS_POINTS = 10000n;
+const MIN_EXEMPT_AMOUNT = 100n * 10n ** 18n;
+const DAY_SELL_TAX_BPS = 400n;
+const NIGHT_SELL_TAX_BPS = 1600n;
+// setBurnRate rejects anything above 3%
+const MAX_BURN_RATE_BPS = 300n;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function sameAddress(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function toTaxState(state) {
+  return {
+    sender: state.sender,
+    recipient: state.recipient,
+    senderBalance: BigInt(state.senderBalance),
+    senderExempt: Boolean(state.senderExempt),
+    recipientExempt: Boolean(state.recipientExempt),
+    dexPair: state.dexPair || ZERO_ADDRESS,
+    isNight: Boolean(state.isNight),
+    burnRateBasisPoints: BigInt(state.burnRateBasisPoints),
+  };
+}
+
+// Transfers below this are never taxed: 100 HYPEY or 0.5% of the sender's balance
+function getMinTaxedAmount(senderBalance) {
+  const halfPercent = (BigInt(senderBalance) * 5n) / 1000n;
+  return halfPercent < MIN_EXEMPT_AMOUNT ? MIN_EXEMPT_AMOUNT : halfPercent;
+}
+
+/**
+ * Tax rate and the reason for it, following the contract's branches in order:
+ * exemption, small transfer, then buy / sell / ordinary transfer when a DEX
+ * pair is set, otherwise the ordinary rate.
+ */
+function getTaxRate(input, amount) {
+  const state = toTaxState(input);
+  if (state.senderExempt || state.recipientExempt) {
+    return { taxBps: 0n, reason: "exempt" };
+  }
+  if (BigInt(amount) < getMinTaxedAmount(state.senderBalance)) {
+    return { taxBps: 0n, reason: "small-transfer" };
+  }
+  if (state.dexPair !== ZERO_ADDRESS) {
+    if (sameAddress(state.sender, state.dexPair)) {
+      return { taxBps: 0n, reason: "buy" };
+    }
+    if (sameAddress(state.recipient, state.dexPair)) {
+      return state.isNight
+        ? { taxBps: NIGHT_SELL_TAX_BPS, reason: "sell-night" }
+        : { taxBps: DAY_SELL_TAX_BPS, reason: "sell-day" };
+    }
+  }
+  return { taxBps: state.burnRateBasisPoints, reason: "transfer" };
+}
+
+/**
+ * What a transfer of `amount` does: `sendAmount` reaches the recipient,
+ * `burnNow` is burned and `toReserve` goes to reserveBurnAddress. Throws
+ * where the contract would revert for lack of balance.
+ */
+function quoteTransfer(state, amount) {
+  const value = BigInt(amount);
+  const balance = BigInt(state.senderBalance);
+  if (value > balance) {
+    throw new Error(`Transfer amount ${value} exceeds sender balance ${balance}`);
+  }
+
+  const { taxBps, reason } = getTaxRate(state, value);
+  const burnAmount = (value * taxBps) / BASIS_POINTS;
+  const burnNow = burnAmount / 2n;
+  return {
+    amount: value,
+    sendAmount: value - burnAmount,
+    burnNow,
+    toReserve: burnAmount - burnNow,
+    taxBps,
+    reason,
+  };
+}
+
+/**
+ * Inverse of quoteTransfer: the smallest gross amount for which the
+ * recipient receives exactly `netAmount`. Below the small-transfer threshold
+ * the gross is the net; above it, the received amount grows by 0 or 1 wei
+ * per wei sent, so every net amount is reachable.
+ */
+function quoteGrossAmount(state, netAmount) {
+  const net = BigInt(netAmount);
+  const untaxed = getTaxRate(state, net);
+  if (untaxed.taxBps === 0n) {
+    return quoteTransfer(state, net);
+  }
+
+  const { taxBps } = untaxed;
+  const received = (gross) => gross - (gross * taxBps) / BASIS_POINTS;
+  let gross = (net * BASIS_POINTS + BASIS_POINTS - taxBps - 1n) / (BASIS_POINTS - taxBps);
+  while (received(gross) < net) {
+    gross++;
+  }
+  while (gross > net && received(gross - 1n) >= net) {
+    gross--;
+  }
+  return quoteTransfer(state, gross);
+}
+
+/**
+ * Reads the inputs of a `from` → `to` transfer from the token, at `blockTag`
+ * (default: latest).
+ */
+async function readTaxState(token, from, to, { blockTag = "latest" } = {}) {
+  const overrides = { blockTag };
+  const [senderBalance, senderExempt, recipientExempt, dexPair, isNight, burnRateBasisPoints] = await Promise.all([
+    token.balanceOf(from, overrides),
+    token.exemptFromBurn(from, overrides),
+    token.exemptFromBurn(to, overrides),
+    token.dexPair(overrides),
+    token.isNight(overrides),
+    token.burnRateBasisPoints(overrides),
+  ]);
+  return { sender: from, recipient: to, senderBalance, senderExempt, recipientExempt, dexPair, isNight, burnRateBasisPoints };
+}
+
+module.exports = {
+  BASIS_POINTS,
+  MIN_EXEMPT_AMOUNT,
+  DAY_SELL_TAX_BPS,
+  NIGHT_SELL_TAX_BPS,
+  MAX_BURN_RATE_BPS,
+  getMinTaxedAmount,
+  getTaxRate,
+  quoteTransfer,
+  quoteGrossAmount,
+  readTaxState,
+};
@@ -0,0 +1,56 @@
+const { quoteTransfer } = require("./transfer-tax");
+
+// Limits HYPEYTreasury enforces, for the treasury:* tasks to check first
+
+// disburseToken / disburseETH reject more than 1,000,000 * 1e18 base units per
+// call, whatever the token's decimals
+const MAX_WITHDRAWAL = 1000000n * 10n ** 18n;
+
+// Minimal ERC20 surface the tasks need for tokens other than HYPEY
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)",
+];
+
+/**
+ * Splits `amount` into calls of at most `limit`: full-sized calls first,
+ * then the remainder.
+ */
+function splitAmount(amount, limit = MAX_WITHDRAWAL) {
+  const chunks = [];
+  let left = BigInt(amount);
+  while (left > limit) {
+    chunks.push(limit);
+    left -= limit;
+  }
+  if (left > 0n) {
+    chunks.push(left);
+  }
+  return chunks;
+}
+
+/**
+ * HYPEY moved by the treasury pays the transfer tax unless one side is
+ * exempt. Given the tax state of the first transfer (see readTaxState),
+ * returns what arrives over all `chunks`, each sent from what the previous
+ * ones left behind.
+ */
+function quoteReceived(state, chunks) {
+  let balance = BigInt(state.senderBalance);
+  let received = 0n;
+  for (const chunk of chunks) {
+    received += quoteTransfer({ ...state, senderBalance: balance }, chunk).sendAmount;
+    balance -= chunk;
+  }
+  return received;
+}
+
+module.exports = {
+  MAX_WITHDRAWAL,
+  ERC20_ABI,
+  splitAmount,
+  quoteReceived,
+};
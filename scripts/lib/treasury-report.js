@@ -0,0 +1,248 @@
+const { ethers } = require("hardhat");
+const { selectEvents } = require("./indexer");
+const { parseIsoDate } = require("./dates");
+const { ERC20_ABI } = require("./treasury-admin");
+
+// Treasury events that move funds, as indexed by scripts/indexer.js
+const FLOW_EVENTS = ["TokensDeposited", "ETHDeposited", "TokensWithdrawn", "ETHWithdrawn"];
+
+// Asset key for native ETH; tokens are keyed by address
+const ETH = "ETH";
+
+const DAY = 86400;
+
+// ISO date or date-time → unix seconds; date-only values are midnight UTC, date-times need Z or an offset
+function parseDate(value, name) {
+  const seconds = parseIsoDate(value);
+  if (seconds === null) {
+    throw new Error(`${name} must be an ISO date such as 2026-10-01 or 2026-10-01T12:00:00Z, got ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * The report window [from, to) in unix seconds: explicit `from` / `to`
+ * dates, or the `days` before `to` (default: now). A date-only `to` is
+ * inclusive, so --to 2026-10-31 covers the whole of that day.
+ */
+function parsePeriod({ from, to, days = 30, now = Math.floor(Date.now() / 1000) } = {}) {
+  let end = now;
+  if (to) {
+    end = parseDate(to, "To") + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? DAY : 0);
+  }
+  let start;
+  if (from) {
+    start = parseDate(from, "From");
+  } else {
+    if (!/^\d+$/.test(String(days)) || Number(days) < 1) {
+      throw new Error(`Days must be a whole number of days, got ${days}`);
+    }
+    start = end - Number(days) * DAY;
+  }
+  if (start >= end) {
+    throw new Error("The period must start before it ends");
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Symbol, name and decimals per token address; tokens that do not answer
+ * are shown by address with 18 decimals.
+ */
+async function loadTokenMetadata(tokens) {
+  const metadata = {};
+  for (const token of tokens) {
+    const erc20 = await ethers.getContractAt([...ERC20_ABI, "function name() view returns (string)"], token);
+    const [symbol, name, decimals] = await Promise.all([
+      erc20.symbol().catch(() => null),
+      erc20.name().catch(() => null),
+      erc20.decimals().catch(() => 18n),
+    ]);
+    metadata[ethers.getAddress(token)] = { symbol: symbol || `${token.slice(0, 8)}…`, name: name || "", decimals: Number(decimals) };
+  }
+  return metadata;
+}
+
+/**
+ * What the treasury holds now: ETH plus every token in getSupportedTokens(),
+ * with `metadata` from loadTokenMetadata.
+ */
+async function loadHoldings(treasury, metadata) {
+  const tokens = await treasury.getSupportedTokens();
+  const holdings = [{ asset: ETH, symbol: "ETH", name: "Ether", decimals: 18, balance: await treasury.getETHBalance() }];
+  for (const token of tokens) {
+    const address = ethers.getAddress(token);
+    holdings.push({ asset: address, ...metadata[address], balance: await treasury.getERC20Balance(address) });
+  }
+  return holdings;
+}
+
+// Indexed treasury fund movements with from <= timestamp < to, in chain order
+function loadFlowEvents(db, { from, to }) {
+  return selectEvents(
+    db,
+    `contract = 'treasury' AND event IN (${FLOW_EVENTS.map(() => "?").join(", ")}) AND timestamp >= ? AND timestamp < ?`,
+    [...FLOW_EVENTS, from, to]
+  );
+}
+
+// Token addresses that appear in `events`, e.g. to load their metadata
+function getFlowTokens(events) {
+  return [...new Set(events.filter((event) => event.args.token).map((event) => ethers.getAddress(event.args.token)))];
+}
+
+/**
+ * Totals `events` (from loadFlowEvents) per asset, in and out, and the
+ * outflows per recipient and asset, largest first. Assets are listed in
+ * `holdings` order, then any others that moved in the period.
+ */
+function summarizeFlows(events, { holdings = [], metadata = {} } = {}) {
+  const describe = (asset) =>
+    asset === ETH ? { symbol: "ETH", decimals: 18 } : { symbol: asset, decimals: 18, ...metadata[asset] };
+  const assets = new Map(holdings.map((holding) => [holding.asset, null]));
+  const recipients = new Map();
+
+  for (const event of events) {
+    const asset = event.args.token ? ethers.getAddress(event.args.token) : ETH;
+    const amount = BigInt(event.args.amount);
+    const inflow = event.event === "TokensDeposited" || event.event === "ETHDeposited";
+    if (!assets.get(asset)) {
+      const { symbol, decimals } = describe(asset);
+      assets.set(asset, { asset, symbol, decimals, inflow: 0n, inflowCount: 0, outflow: 0n, outflowCount: 0, net: 0n });
+    }
+    const totals = assets.get(asset);
+    if (inflow) {
+      totals.inflow += amount;
+      totals.inflowCount++;
+      totals.net += amount;
+    } else {
+      totals.outflow += amount;
+      totals.outflowCount++;
+      totals.net -= amount;
+
+      const key = `${event.args.to}:${asset}`;
+      if (!recipients.has(key)) {
+        recipients.set(key, { recipient: event.args.to, asset, symbol: totals.symbol, decimals: totals.decimals, count: 0, total: 0n });
+      }
+      const recipient = recipients.get(key);
+      recipient.count++;
+      recipient.total += amount;
+    }
+  }
+
+  const order = [...assets.keys()];
+  return {
+    flows: [...assets.values()].filter(Boolean),
+    recipients: [...recipients.values()].sort(
+      (a, b) => order.indexOf(a.asset) - order.indexOf(b.asset) || (b.total > a.total ? 1 : b.total < a.total ? -1 : 0)
+    ),
+  };
+}
+
+function formatAmount(value, decimals) {
+  return ethers.formatUnits(value, decimals);
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+// Amounts as decimal strings in each asset's own units
+function toJson(report) {
+  return {
+    network: report.network,
+    treasury: report.treasury,
+    indexedBlock: report.indexedBlock,
+    period: { from: formatDate(report.period.from), to: formatDate(report.period.to) },
+    holdings: report.holdings.map((holding) => ({
+      asset: holding.asset,
+      symbol: holding.symbol,
+      name: holding.name,
+      decimals: holding.decimals,
+      balance: formatAmount(holding.balance, holding.decimals),
+    })),
+    flows: report.flows.map((flow) => ({
+      asset: flow.asset,
+      symbol: flow.symbol,
+      inflow: formatAmount(flow.inflow, flow.decimals),
+      inflowCount: flow.inflowCount,
+      outflow: formatAmount(flow.outflow, flow.decimals),
+      outflowCount: flow.outflowCount,
+      net: formatAmount(flow.net, flow.decimals),
+    })),
+    recipients: report.recipients.map((recipient) => ({
+      recipient: recipient.recipient,
+      asset: recipient.asset,
+      symbol: recipient.symbol,
+      count: recipient.count,
+      total: formatAmount(recipient.total, recipient.decimals),
+    })),
+  };
+}
+
+function markdownTable(header, rows) {
+  return [`| ${header.join(" | ")} |`, `|${header.map(() => "---").join("|")}|`, ...rows.map((row) => `| ${row.join(" | ")} |`)].join("\n");
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# Treasury report (${report.network})`,
+    "",
+    `- Treasury: \`${report.treasury}\``,
+    `- Period: ${formatDate(report.period.from)} to ${formatDate(report.period.to)}`,
+    `- Events indexed up to block ${report.indexedBlock}`,
+    "",
+    "## Holdings",
+    "",
+    markdownTable(
+      ["Asset", "Address", "Balance"],
+      report.holdings.map((holding) => [holding.symbol, holding.asset === ETH ? "native" : `\`${holding.asset}\``, formatAmount(holding.balance, holding.decimals)])
+    ),
+    "",
+    "## Flows",
+    "",
+  ];
+  if (report.flows.length === 0) {
+    lines.push("No deposits or withdrawals in this period.");
+  } else {
+    lines.push(
+      markdownTable(
+        ["Asset", "In", "Deposits", "Out", "Withdrawals", "Net"],
+        report.flows.map((flow) => [
+          flow.symbol,
+          formatAmount(flow.inflow, flow.decimals),
+          flow.inflowCount,
+          formatAmount(flow.outflow, flow.decimals),
+          flow.outflowCount,
+          formatAmount(flow.net, flow.decimals),
+        ])
+      )
+    );
+  }
+  if (report.recipients.length > 0) {
+    lines.push(
+      "",
+      "## Recipients",
+      "",
+      markdownTable(
+        ["Recipient", "Asset", "Withdrawals", "Total"],
+        report.recipients.map((recipient) => [`\`${recipient.recipient}\``, recipient.symbol, recipient.count, formatAmount(recipient.total, recipient.decimals)])
+      )
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  FLOW_EVENTS,
+  ETH,
+  parsePeriod,
+  loadTokenMetadata,
+  loadHoldings,
+  loadFlowEvents,
+  getFlowTokens,
+  summarizeFlows,
+  formatDate,
+  toJson,
+  renderMarkdown,
+};
@@ -0,0 +1,174 @@
+const { ethers, upgrades, artifacts, network } = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+
+// Registry contract key → the contract its proxy is expected to run
+const CHECKED_CONTRACTS = {
+  token: "HYPEYToken",
+  treasury: "HYPEYTreasury",
+  vesting: "HypeyVesting",
+  timelock: "MockTimelock",
+};
+
+/**
+ * Splits runtime bytecode into the code itself, with every immutable
+ * zeroed (UUPSUpgradeable stores the implementation's own address in one),
+ * and the trailing CBOR metadata, whose length is in the last two bytes.
+ * `immutableReferences` is the solc output: id → [{ start, length }].
+ */
+function normalizeBytecode(bytecode, immutableReferences = {}) {
+  let hex = bytecode.replace(/^0x/, "").toLowerCase();
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+    }
+  }
+  const metadataLength = hex.length >= 4 ? parseInt(hex.slice(-4), 16) * 2 + 4 : 0;
+  if (metadataLength > hex.length) {
+    return { code: `0x${hex}`, metadata: "0x" };
+  }
+  return { code: `0x${hex.slice(0, hex.length - metadataLength)}`, metadata: `0x${hex.slice(hex.length - metadataLength)}` };
+}
+
+/**
+ * "match" when the deployed code is the local build byte for byte (bar
+ * immutables), "metadata" when only the metadata hash differs (comments,
+ * source paths or compiler settings changed, not the code), "differs" when
+ * the code itself changed and "missing" when nothing is deployed.
+ */
+function compareBytecode(onchain, local) {
+  if (!onchain || onchain === "0x") {
+    return "missing";
+  }
+  if (onchain.code !== local.code) {
+    return "differs";
+  }
+  return onchain.metadata === local.metadata ? "match" : "metadata";
+}
+
+/**
+ * Runtime bytecode of the local build from the build info, plus the
+ * positions of its immutables, so deployed code can be normalized the same way.
+ */
+async function loadLocalBytecode(contractName) {
+  const { sourceName } = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${contractName}; run npx hardhat compile`);
+  }
+  const { deployedBytecode } = buildInfo.output.contracts[sourceName][contractName].evm;
+  const immutableReferences = deployedBytecode.immutableReferences || {};
+  return { ...normalizeBytecode(deployedBytecode.object, immutableReferences), immutableReferences };
+}
+
+function errorMessage(error) {
+  return error.shortMessage || error.reason || error.message;
+}
+
+/**
+ * Checks one proxy before an upgrade. Every check is attempted and returns
+ * `{ check, result: "pass" | "warn" | "fail", detail }`:
+ *
+ *   registry   the implementation slot matches deployments/<network>.json
+ *   manifest   the .openzeppelin manifest records that implementation
+ *   bytecode   the deployed code compared with the local build
+ *   storage    the local sources' storage layout can upgrade the deployed one
+ *
+ * Changed code is only a warning, since it is what an upgrade ships; it
+ * fails with `strict` for runs that expect the sources to be deployed.
+ */
+async function checkProxy({ key, contractName, proxy, recordedImplementation, manifest, strict = false }) {
+  const checks = [];
+  const add = (check, result, detail) => checks.push({ check, result, detail });
+  const report = { key, contractName, proxy, implementation: null, codeHash: null, localCodeHash: null, checks, ok: false };
+
+  try {
+    report.implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+  } catch (error) {
+    add("implementation", "fail", `No EIP-1967 implementation at ${proxy}: ${errorMessage(error)}`);
+    return report;
+  }
+
+  if (!recordedImplementation) {
+    add("registry", "warn", "No implementation recorded in the deployment registry");
+  } else if (recordedImplementation.toLowerCase() !== report.implementation.toLowerCase()) {
+    add("registry", "fail", `The registry records ${recordedImplementation}, the proxy runs ${report.implementation}`);
+  } else {
+    add("registry", "pass", "Matches the deployment registry");
+  }
+
+  let proxyKind = "uups";
+  try {
+    await manifest.getDeploymentFromAddress(report.implementation);
+    add("manifest", "pass", `Recorded in ${manifest.file}`);
+    proxyKind = (await manifest.getProxyFromAddress(proxy)).kind;
+  } catch (error) {
+    add("manifest", "fail", `Not recorded in ${manifest.file}: ${errorMessage(error)}`);
+  }
+
+  try {
+    const code = await ethers.provider.getCode(report.implementation);
+    const local = await loadLocalBytecode(contractName);
+    // Same immutable positions as the local build: the deployed values (e.g. UUPS __self) differ
+    const onchain = code === "0x" ? null : normalizeBytecode(code, local.immutableReferences);
+    report.codeHash = onchain && ethers.keccak256(onchain.code);
+    report.localCodeHash = ethers.keccak256(local.code);
+    const comparison = compareBytecode(onchain, local);
+    if (comparison === "missing") {
+      add("bytecode", "fail", `No code at the implementation ${report.implementation}`);
+    } else if (comparison === "differs") {
+      add("bytecode", strict ? "fail" : "warn", "The local build differs from the deployed code: an upgrade would deploy a new implementation");
+    } else if (comparison === "metadata") {
+      add("bytecode", "pass", "Same code as the local build; only the metadata hash differs");
+    } else {
+      add("bytecode", "pass", "Identical to the local build");
+    }
+  } catch (error) {
+    add("bytecode", "fail", errorMessage(error));
+  }
+
+  try {
+    const factory = await ethers.getContractFactory(contractName);
+    await upgrades.validateUpgrade(proxy, factory, { kind: proxyKind });
+    add("storage", "pass", "Storage layout of the local sources is compatible");
+  } catch (error) {
+    add("storage", "fail", error.message);
+  }
+
+  report.ok = checks.every((check) => check.result !== "fail");
+  return report;
+}
+
+/**
+ * Runs checkProxy for every contract in CHECKED_CONTRACTS that `addresses`
+ * has. `deployment` is the registry, for the recorded implementations.
+ */
+async function checkUpgrades({ addresses, deployment, strict = false }) {
+  const manifest = await Manifest.forNetwork(network.provider);
+  const contracts = (deployment && deployment.contracts) || {};
+  const reports = [];
+  for (const [key, contractName] of Object.entries(CHECKED_CONTRACTS)) {
+    if (!addresses[key]) {
+      continue;
+    }
+    reports.push(
+      await checkProxy({
+        key,
+        contractName,
+        proxy: ethers.getAddress(addresses[key]),
+        recordedImplementation: contracts[key] && contracts[key].implementation,
+        manifest,
+        strict,
+      })
+    );
+  }
+  return { network: network.name, manifest: manifest.file, strict, ok: reports.every((report) => report.ok), contracts: reports };
+}
+
+module.exports = {
+  CHECKED_CONTRACTS,
+  normalizeBytecode,
+  compareBytecode,
+  loadLocalBytecode,
+  checkProxy,
+  checkUpgrades,
+};
@@ -0,0 +1,38 @@
+const hre = require("hardhat");
+
+const { upgrades } = hre;
+
+async function getImplementation(address) {
+  try {
+    return await upgrades.erc1967.getImplementationAddress(address);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verifies one registry entry with hardhat-verify's `verify:verify`, on the
+ * explorer the `etherscan` section of hardhat.config.js configures for the
+ * network (built-in chains, or `customChains` such as baseSepolia).
+ * hardhat-upgrades overrides it for proxies: the implementation and the
+ * ERC1967Proxy are verified separately, then linked so the proxy page shows
+ * the implementation's ABI. Sources already on the explorer are skipped.
+ *
+ * Returns `{ key, contractName, address, implementation, result, detail }`
+ * with `result` "verified" or "failed" and never throws, so one contract
+ * cannot stop the rest. `implementation` is null for a plain contract.
+ */
+async function verifyContract({ key, contractName, address }) {
+  const implementation = await getImplementation(address);
+  const row = { key, contractName, address, implementation };
+  try {
+    await hre.run("verify:verify", { address, constructorArguments: [] });
+    return { ...row, result: "verified", detail: implementation ? "Implementation and proxy verified, proxy linked" : "Verified" };
+  } catch (error) {
+    return { ...row, result: "failed", detail: error.message.trim() };
+  }
+}
+
+module.exports = {
+  verifyContract,
+};
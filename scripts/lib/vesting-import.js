@@ -0,0 +1,415 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { parseCsv } = require("./csv");
+const { parseIsoDate } = require("./dates");
+
+// addBatchVestingSchedules rejects more than this many beneficiaries
+const MAX_BATCH_SIZE = 100;
+
+// Canonical column → accepted header spellings
+const VESTING_CSV_COLUMNS = {
+  address: ["beneficiary", "wallet"],
+  amount: ["totalAmount", "tokens"],
+  start: ["startDate", "start date"],
+  cliff: ["cliffDuration"],
+  duration: ["vestingDuration"],
+  slice: ["slicePeriod", "slicePeriodSeconds"],
+  cliffUnlockPercent: ["cliffUnlock", "cliff unlock %", "cliffPercent"],
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "31536000", "365d", "12w", "6h" → seconds
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw]?)$/i.exec(value);
+  if (!match) {
+    throw new Error(`"${value}" is not a duration (seconds, or a number with s/m/h/d/w)`);
+  }
+  return BigInt(match[1]) * BigInt(DURATION_UNITS[(match[2] || "s").toLowerCase()]);
+}
+
+// ISO 8601 date → unix seconds; date-only values are midnight UTC, date-times need Z or an offset
+function parseStart(value) {
+  const seconds = parseIsoDate(value);
+  if (seconds === null) {
+    throw new Error(`"${value}" is not an ISO date (e.g. 2025-01-31, or 2025-01-31T12:00:00Z with Z or an offset)`);
+  }
+  return BigInt(seconds);
+}
+
+/**
+ * Validates vesting records (string fields named after VESTING_CSV_COLUMNS)
+ * with the same rules addBatchVestingSchedules applies, except the start
+ * time, which depends on when the row is submitted (see `checkStartTimes`).
+ * Returns the valid rows and one message per invalid record.
+ */
+function validateVestingRecords(records, describe = (record) => `line ${record.line}`) {
+  const rows = [];
+  const errors = [];
+
+  for (const record of records) {
+    const problems = [];
+    const attempt = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        problems.push(error.message);
+        return null;
+      }
+    };
+
+    const beneficiary = attempt(() => {
+      if (!ethers.isAddress(record.address)) throw new Error(`"${record.address}" is not an address`);
+      if (BigInt(record.address) === 0n) throw new Error("beneficiary is the zero address");
+      return ethers.getAddress(record.address);
+    });
+    const totalAmount = attempt(() => {
+      let amount;
+      try {
+        amount = ethers.parseEther(record.amount);
+      } catch (error) {
+        throw new Error(`"${record.amount}" is not a token amount`);
+      }
+      if (amount <= 0n) throw new Error("amount must be greater than 0");
+      return amount;
+    });
+    const start = attempt(() => parseStart(record.start));
+    const cliffDuration = attempt(() => parseDuration(record.cliff));
+    const duration = attempt(() => {
+      const seconds = parseDuration(record.duration);
+      if (seconds === 0n) throw new Error("duration must be greater than 0");
+      return seconds;
+    });
+    const slicePeriodSeconds = attempt(() => {
+      const seconds = parseDuration(record.slice);
+      if (seconds === 0n) throw new Error("slice must be greater than 0");
+      return seconds;
+    });
+    const cliffUnlockPercent = attempt(() => {
+      if (!/^\d+$/.test(record.cliffUnlockPercent)) throw new Error(`"${record.cliffUnlockPercent}" is not a whole percent`);
+      const percent = BigInt(record.cliffUnlockPercent);
+      if (percent > 100n) throw new Error("cliff unlock percent must be at most 100");
+      return percent;
+    });
+    if (cliffDuration !== null && duration !== null && cliffDuration > duration) {
+      problems.push("cliff is longer than the duration");
+    }
+
+    if (problems.length > 0) {
+      errors.push(`${describe(record)}: ${problems.join("; ")}`);
+    } else {
+      rows.push({ line: record.line, beneficiary, totalAmount, start, cliffDuration, duration, slicePeriodSeconds, cliffUnlockPercent });
+    }
+  }
+
+  return { rows, errors };
+}
+
+function parseVestingCsv(text) {
+  return validateVestingRecords(parseCsv(text, VESTING_CSV_COLUMNS));
+}
+
+// Rows whose start is already behind `now` would revert the whole chunk
+function checkStartTimes(rows, now) {
+  return rows
+    .filter((row) => row.start < BigInt(now))
+    .map((row) => `line ${row.line}: start ${new Date(Number(row.start) * 1000).toISOString()} is in the past`);
+}
+
+function toBatchArgs(rows) {
+  return [
+    rows.map((row) => row.beneficiary),
+    rows.map((row) => row.totalAmount),
+    rows.map((row) => row.start),
+    rows.map((row) => row.cliffDuration),
+    rows.map((row) => row.duration),
+    rows.map((row) => row.slicePeriodSeconds),
+    rows.map((row) => row.cliffUnlockPercent),
+  ];
+}
+
+/**
+ * Splits rows into addBatchVestingSchedules calls of at most `size` rows.
+ * Each chunk's hash commits to its exact calldata, which is how the
+ * progress log recognises a chunk across runs.
+ */
+function chunkRows(rows, size = MAX_BATCH_SIZE) {
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    throw new Error(`Chunk size must be between 1 and ${MAX_BATCH_SIZE}`);
+  }
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) {
+    const part = rows.slice(i, i + size);
+    const args = toBatchArgs(part);
+    chunks.push({
+      index: chunks.length,
+      firstLine: part[0].line,
+      lastLine: part[part.length - 1].line,
+      rows: part,
+      total: part.reduce((sum, row) => sum + row.totalAmount, 0n),
+      hash: ethers.keccak256(coder.encode(["address[]", ...Array(6).fill("uint256[]")], args)),
+      args,
+    });
+  }
+  return chunks;
+}
+
+// Every address that ever received a schedule, in order of first schedule
+async function getVestingBeneficiaries(vesting, fromBlock = 0, toBlock = "latest") {
+  const events = await vesting.queryFilter(vesting.filters.VestingCreated(), fromBlock, toBlock);
+  return [...new Set(events.map((event) => event.args.beneficiary))];
+}
+
+/**
+ * Tokens the pool already owes: the unreleased amount of every schedule,
+ * for every beneficiary that ever received one.
+ */
+async function getCommittedAmount(vesting, fromBlock = 0) {
+  const beneficiaries = await getVestingBeneficiaries(vesting, fromBlock);
+  let committed = 0n;
+  for (const beneficiary of beneficiaries) {
+    committed += await vesting.getTotalLocked(beneficiary);
+  }
+  return committed;
+}
+
+function loadProgress(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function saveProgress(file, progress) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...progress, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+}
+
+/**
+ * Opens the progress log for `source` (the CSV's hash) against `vesting`,
+ * refusing a log written for a different file, contract or chunk size:
+ * chunks are recognised by their calldata, so resuming the wrong import or
+ * re-chunking the same one would create duplicate schedules.
+ */
+function openProgress(file, { vesting, source, chunkSize = MAX_BATCH_SIZE }) {
+  const progress = loadProgress(file);
+  if (!progress) {
+    return { vesting, source, chunkSize, chunks: {} };
+  }
+  if (progress.vesting.toLowerCase() !== vesting.toLowerCase()) {
+    throw new Error(`${file} belongs to an import into ${progress.vesting}, not ${vesting}`);
+  }
+  if (progress.source !== source) {
+    throw new Error(
+      `${file} was written for a different version of the CSV. ` +
+        "Restore the original file to resume, or move the progress log aside after checking what was imported."
+    );
+  }
+  if (progress.chunkSize !== chunkSize) {
+    throw new Error(
+      `${file} was written with a chunk size of ${progress.chunkSize}, not ${chunkSize}. ` +
+        `Resume with --chunk-size ${progress.chunkSize} (VESTING_CHUNK_SIZE) so the logged chunks are recognised.`
+    );
+  }
+  return progress;
+}
+
+/**
+ * Brings a chunk logged as "sent" up to date from its receipt. A mined
+ * chunk becomes "confirmed"; a reverted or dropped one is cleared so it is
+ * submitted again.
+ */
+async function reconcileSentChunk(entry, log = console.log) {
+  const provider = ethers.provider;
+  let receipt = await provider.getTransactionReceipt(entry.txHash);
+  if (!receipt && (await provider.getTransaction(entry.txHash))) {
+    log(`   ⏳ Chunk ${entry.index}: waiting for ${entry.txHash}...`);
+    receipt = await provider.waitForTransaction(entry.txHash);
+  }
+  if (receipt && receipt.status === 1) {
+    return { ...entry, status: "confirmed", blockNumber: receipt.blockNumber };
+  }
+  log(`   ⚠️  Chunk ${entry.index}: ${entry.txHash} ${receipt ? "reverted" : "was dropped"}, resubmitting`);
+  return null;
+}
+
+/**
+ * Reconciles every chunk of `chunks` logged as "sent" and saves the log.
+ * Run before counting pending work: a mined chunk is already in the pool's
+ * commitments and must not be counted again.
+ */
+async function reconcileSentChunks({ chunks, progressFile, progress, log = console.log }) {
+  for (const chunk of chunks) {
+    const entry = progress.chunks[chunk.hash];
+    if (!entry || entry.status !== "sent") {
+      continue;
+    }
+    const reconciled = await reconcileSentChunk(entry, log);
+    if (reconciled) {
+      progress.chunks[chunk.hash] = reconciled;
+    } else {
+      delete progress.chunks[chunk.hash];
+    }
+    saveProgress(progressFile, progress);
+  }
+  return progress;
+}
+
+// A run of `chunk.rows.length` unclaimed VestingCreated events in one transaction, matching the rows in order
+function findChunkEvents(chunk, events, claimed) {
+  const size = chunk.rows.length;
+  for (let i = 0; i + size <= events.length; i++) {
+    const run = events.slice(i, i + size);
+    const matches = run.every(
+      (event, j) =>
+        event.transactionHash === run[0].transactionHash &&
+        !claimed.has(`${event.transactionHash}:${event.index}`) &&
+        event.args.beneficiary.toLowerCase() === chunk.rows[j].beneficiary.toLowerCase() &&
+        event.args.totalAmount === chunk.rows[j].totalAmount
+    );
+    if (matches) {
+      return run;
+    }
+  }
+  return null;
+}
+
+/**
+ * Marks exported chunks the Safe has since executed as "confirmed", by
+ * matching their schedules to VestingCreated events from the block each
+ * was exported at. Events already matched to a chunk are never reused.
+ * Returns how many chunks were matched.
+ */
+async function reconcileExportedChunks({ vesting, chunks, progressFile, progress }) {
+  const waiting = chunks.filter((chunk) => progress.chunks[chunk.hash] && progress.chunks[chunk.hash].status === "exported");
+  if (waiting.length === 0) {
+    return 0;
+  }
+  const fromBlock = Math.min(...waiting.map((chunk) => progress.chunks[chunk.hash].exportedAtBlock || 0));
+  const events = await vesting.queryFilter(vesting.filters.VestingCreated(), fromBlock);
+
+  const claimed = new Set();
+  const claimedTxs = new Set();
+  for (const entry of Object.values(progress.chunks)) {
+    if (entry.status !== "confirmed") {
+      continue;
+    }
+    if (entry.firstLogIndex === undefined) {
+      claimedTxs.add(entry.txHash);
+    } else {
+      for (let i = 0; i < entry.rows; i++) {
+        claimed.add(`${entry.txHash}:${entry.firstLogIndex + i}`);
+      }
+    }
+  }
+
+  let matched = 0;
+  for (const chunk of waiting) {
+    const entry = progress.chunks[chunk.hash];
+    const candidates = events.filter((event) => event.blockNumber >= (entry.exportedAtBlock || 0) && !claimedTxs.has(event.transactionHash));
+    const run = findChunkEvents(chunk, candidates, claimed);
+    if (!run) {
+      continue;
+    }
+    run.forEach((event) => claimed.add(`${event.transactionHash}:${event.index}`));
+    progress.chunks[chunk.hash] = {
+      ...entry,
+      status: "confirmed",
+      txHash: run[0].transactionHash,
+      blockNumber: run[0].blockNumber,
+      firstLogIndex: run[0].index,
+    };
+    matched++;
+  }
+  if (matched > 0) {
+    saveProgress(progressFile, progress);
+  }
+  return matched;
+}
+
+/**
+ * Clears exported chunks that are still waiting, so the next import
+ * submits them again. For a Safe batch that was discarded: run
+ * reconcileExportedChunks first, or executed chunks would be imported twice.
+ * Returns how many chunks were re-opened.
+ */
+function reopenExportedChunks({ chunks, progressFile, progress }) {
+  const reopened = chunks.filter((chunk) => progress.chunks[chunk.hash] && progress.chunks[chunk.hash].status === "exported");
+  for (const chunk of reopened) {
+    delete progress.chunks[chunk.hash];
+  }
+  if (reopened.length > 0) {
+    saveProgress(progressFile, progress);
+  }
+  return reopened.length;
+}
+
+/**
+ * Submits every chunk the progress log has not seen yet, recording each one
+ * as soon as it is sent and again once confirmed, so a run that dies at any
+ * point can be resumed without duplicating schedules. In Safe export mode
+ * the chunks are queued into the batch and logged as "exported" with the
+ * current block, for reconcileExportedChunks to match later. Progress goes
+ * to `log`.
+ */
+async function importChunks({ vesting, chunks, sender, progressFile, progress, dryRun = false, log = console.log }) {
+  const results = [];
+  const exportedAtBlock = sender.mode === "export" && !dryRun ? await ethers.provider.getBlockNumber() : null;
+
+  for (const chunk of chunks) {
+    const label = `Chunk ${chunk.index} (lines ${chunk.firstLine}-${chunk.lastLine}, ${chunk.rows.length} schedules, ${ethers.formatEther(chunk.total)} HYPEY)`;
+    await reconcileSentChunks({ chunks: [chunk], progressFile, progress, log });
+    const entry = progress.chunks[chunk.hash];
+
+    if (entry && entry.status === "confirmed") {
+      log(`   ⏭️  ${label}: already imported (tx ${entry.txHash})`);
+      results.push({ ...entry, skipped: true });
+      continue;
+    }
+    if (entry && entry.status === "exported") {
+      log(`   ⏭️  ${label}: already exported to ${entry.batchFile}, awaiting the Safe`);
+      results.push({ ...entry, skipped: true });
+      continue;
+    }
+    if (dryRun) {
+      log(`   📝 Would submit ${label}`);
+      results.push({ index: chunk.index, status: "planned" });
+      continue;
+    }
+
+    const base = { index: chunk.index, firstLine: chunk.firstLine, lastLine: chunk.lastLine, rows: chunk.rows.length, total: chunk.total.toString() };
+    const result = await sender.submit(label, vesting, "addBatchVestingSchedules", chunk.args, {
+      onSent: (tx) => {
+        progress.chunks[chunk.hash] = { ...base, status: "sent", txHash: tx.hash };
+        saveProgress(progressFile, progress);
+      },
+    });
+
+    progress.chunks[chunk.hash] = result.queued
+      ? { ...base, status: "exported", batchFile: sender.exportFile, exportedAtBlock }
+      : { ...base, status: "confirmed", txHash: result.hash, blockNumber: result.receipt.blockNumber };
+    saveProgress(progressFile, progress);
+    results.push(progress.chunks[chunk.hash]);
+  }
+
+  return results;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  VESTING_CSV_COLUMNS,
+  parseDuration,
+  parseStart,
+  validateVestingRecords,
+  parseVestingCsv,
+  checkStartTimes,
+  toBatchArgs,
+  chunkRows,
+  getVestingBeneficiaries,
+  getCommittedAmount,
+  loadProgress,
+  openProgress,
+  reconcileSentChunks,
+  reconcileExportedChunks,
+  reopenExportedChunks,
+  importChunks,
+};
@@ -0,0 +1,190 @@
+// Off-chain mirror of HypeyVesting.computeReleasableAmount. Every value is a
+// BigInt and every division truncates like Solidity's, so results match the
+// contract to the wei. Schedules use the contract's storage layout: `cliff`
+// is an absolute timestamp (start + cliffDuration), not a duration.
+
+function toSchedule(schedule) {
+  return {
+    initialized: schedule.initialized === undefined ? true : Boolean(schedule.initialized),
+    totalAmount: BigInt(schedule.totalAmount),
+    released: BigInt(schedule.released || 0),
+    start: BigInt(schedule.start),
+    cliff: schedule.cliff !== undefined ? BigInt(schedule.cliff) : BigInt(schedule.start) + BigInt(schedule.cliffDuration || 0),
+    duration: BigInt(schedule.duration),
+    slicePeriodSeconds: BigInt(schedule.slicePeriodSeconds),
+    cliffUnlockPercent: BigInt(schedule.cliffUnlockPercent),
+  };
+}
+
+/**
+ * Amount vested at `timestamp`, ignoring what was already released: the
+ * cliff unlock once the cliff passes, plus the rest linearly per whole slice
+ * since start, and everything from start + duration on.
+ */
+function computeVestedAmount(input, timestamp) {
+  const schedule = toSchedule(input);
+  const now = BigInt(timestamp);
+
+  if (!schedule.initialized || schedule.totalAmount === 0n || now < schedule.cliff) {
+    return 0n;
+  }
+  if (now >= schedule.start + schedule.duration) {
+    return schedule.totalAmount;
+  }
+
+  const cliffAmount = (schedule.totalAmount * schedule.cliffUnlockPercent) / 100n;
+  let vested = schedule.cliffUnlockPercent > 0n ? cliffAmount : 0n;
+
+  const timeFromStart = now - schedule.start;
+  if (timeFromStart > 0n) {
+    const vestedSlices = timeFromStart / schedule.slicePeriodSeconds;
+    const totalSlices = schedule.duration / schedule.slicePeriodSeconds;
+    if (totalSlices > 0n) {
+      vested += ((schedule.totalAmount - cliffAmount) * vestedSlices) / totalSlices;
+    }
+  }
+
+  return vested > schedule.totalAmount ? schedule.totalAmount : vested;
+}
+
+/**
+ * What claimFor would transfer at `timestamp`: computeReleasableAmount,
+ * including its quirk of returning everything unreleased (rather than
+ * vested minus released) once the duration is over.
+ */
+function computeReleasableAmount(input, timestamp) {
+  const schedule = toSchedule(input);
+  const now = BigInt(timestamp);
+
+  if (!schedule.initialized || schedule.totalAmount === 0n || now < schedule.cliff) {
+    return 0n;
+  }
+  if (now >= schedule.start + schedule.duration) {
+    return schedule.totalAmount - schedule.released;
+  }
+  const vested = computeVestedAmount(schedule, now);
+  return vested > schedule.released ? vested - schedule.released : 0n;
+}
+
+/**
+ * Timestamps at which the vested amount can change: the cliff, every slice
+ * boundary after it and the end of the duration. `every` (seconds) samples
+ * the slice boundaries more coarsely; the cliff and the end are always kept.
+ */
+function getUnlockTimes(input, { every } = {}) {
+  const schedule = toSchedule(input);
+  const end = schedule.start + schedule.duration;
+  const step = every ? BigInt(every) : schedule.slicePeriodSeconds;
+  if (step <= 0n) {
+    throw new Error("Sampling interval must be greater than 0");
+  }
+
+  const times = [schedule.cliff < end ? schedule.cliff : end];
+  // First slice boundary strictly after the cliff
+  let t = schedule.start + ((schedule.cliff - schedule.start) / step + 1n) * step;
+  for (; t < end; t += step) {
+    times.push(t);
+  }
+  if (times[times.length - 1] !== end) {
+    times.push(end);
+  }
+  return times;
+}
+
+/**
+ * Unlock table for a schedule: one row per unlock time with the cumulative
+ * vested amount, the amount unlocked since the previous row and, given the
+ * schedule's `released`, what could be claimed at that time. Refuses to
+ * build more than `maxRows` rows so a 1-second slice cannot run away.
+ */
+function buildUnlockTable(input, { every, maxRows = 5000 } = {}) {
+  const schedule = toSchedule(input);
+  const step = every ? BigInt(every) : schedule.slicePeriodSeconds;
+  const estimated = (schedule.start + schedule.duration - schedule.cliff) / step + 2n;
+  if (estimated > BigInt(maxRows)) {
+    throw new Error(`Schedule has ~${estimated} unlock times; sample it with a larger interval (more than ${maxRows} rows)`);
+  }
+
+  let previous = 0n;
+  return getUnlockTimes(schedule, { every }).map((timestamp) => {
+    const vested = computeVestedAmount(schedule, timestamp);
+    const row = {
+      timestamp,
+      vested,
+      unlocked: vested - previous,
+      vestedBasisPoints: schedule.totalAmount === 0n ? 0n : (vested * 10000n) / schedule.totalAmount,
+      claimable: computeReleasableAmount(schedule, timestamp),
+    };
+    previous = vested;
+    return row;
+  });
+}
+
+/**
+ * First time after `timestamp` at which more tokens vest, and how many. For
+ * small amounts the linear part can round to zero for several slices, so the
+ * next boundary that actually adds a wei is solved for directly. Null once
+ * everything has vested.
+ */
+function getNextUnlock(input, timestamp) {
+  const schedule = toSchedule(input);
+  const now = BigInt(timestamp);
+  const end = schedule.start + schedule.duration;
+  const vestedNow = computeVestedAmount(schedule, now);
+  if (vestedNow >= schedule.totalAmount) {
+    return null;
+  }
+
+  const unlockAt = (time) => ({ timestamp: time, amount: computeVestedAmount(schedule, time) - vestedNow });
+  let from = now;
+  if (now < schedule.cliff) {
+    if (computeVestedAmount(schedule, schedule.cliff) > 0n) {
+      return unlockAt(schedule.cliff);
+    }
+    from = schedule.cliff;
+  }
+
+  const totalSlices = schedule.duration / schedule.slicePeriodSeconds;
+  if (totalSlices === 0n) {
+    return unlockAt(end);
+  }
+  // Smallest slice count k whose linear share exceeds the current one
+  const remaining = schedule.totalAmount - (schedule.totalAmount * schedule.cliffUnlockPercent) / 100n;
+  const slices = (from - schedule.start) / schedule.slicePeriodSeconds;
+  const linear = (remaining * slices) / totalSlices;
+  let k = ((linear + 1n) * totalSlices + remaining - 1n) / remaining;
+  if (k <= slices) {
+    k = slices + 1n;
+  }
+  const next = schedule.start + k * schedule.slicePeriodSeconds;
+  return unlockAt(next < end ? next : end);
+}
+
+/**
+ * When the vested amount first reaches the total. That is the last whole
+ * slice boundary rather than start + duration when the slice does not
+ * divide the duration, and the cliff for a 100% cliff unlock.
+ */
+function getFullyVestedTime(input) {
+  const schedule = toSchedule(input);
+  const end = schedule.start + schedule.duration;
+  if (schedule.cliffUnlockPercent >= 100n) {
+    return schedule.cliff;
+  }
+  const totalSlices = schedule.duration / schedule.slicePeriodSeconds;
+  if (totalSlices === 0n) {
+    return end;
+  }
+  const lastSlice = schedule.start + totalSlices * schedule.slicePeriodSeconds;
+  return lastSlice > schedule.cliff ? lastSlice : schedule.cliff;
+}
+
+module.exports = {
+  toSchedule,
+  computeVestedAmount,
+  computeReleasableAmount,
+  getUnlockTimes,
+  buildUnlockTable,
+  getNextUnlock,
+  getFullyVestedTime,
+};
@@ -0,0 +1,253 @@
+const { ethers } = require("hardhat");
+const { computeVestedAmount, getNextUnlock, getFullyVestedTime } = require("./vesting-math");
+
+function formatDate(timestamp) {
+  return timestamp === null || timestamp === undefined
+    ? ""
+    : new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function formatAmount(amount) {
+  return ethers.formatEther(amount);
+}
+
+/**
+ * Collects everything a statement needs for `beneficiary` as of `blockTag`
+ * (default: latest): each schedule from getVestingInfo with its releasable
+ * amount, next unlock and fully-vested time, getTotalLocked, and the claim
+ * history from TokensClaimed events since `fromBlock`.
+ */
+async function buildStatement(vesting, beneficiary, { fromBlock = 0, blockTag = "latest" } = {}) {
+  const block = await ethers.provider.getBlock(blockTag);
+  const asOf = BigInt(block.timestamp);
+  const overrides = { blockTag: block.number };
+
+  const [schedules, releasable] = await vesting.getVestingInfo(beneficiary, overrides);
+  const locked = await vesting.getTotalLocked(beneficiary, overrides);
+  const events = await vesting.queryFilter(vesting.filters.TokensClaimed(beneficiary), fromBlock, block.number);
+
+  const blockTimes = new Map();
+  const claims = [];
+  for (const event of events) {
+    if (!blockTimes.has(event.blockNumber)) {
+      blockTimes.set(event.blockNumber, BigInt((await event.getBlock()).timestamp));
+    }
+    claims.push({
+      scheduleIndex: Number(event.args.index),
+      amount: event.args.amount,
+      timestamp: blockTimes.get(event.blockNumber),
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+    });
+  }
+
+  const rows = schedules.map((schedule, index) => {
+    const data = {
+      totalAmount: schedule.totalAmount,
+      released: schedule.released,
+      start: schedule.start,
+      cliff: schedule.cliff,
+      duration: schedule.duration,
+      slicePeriodSeconds: schedule.slicePeriodSeconds,
+      cliffUnlockPercent: schedule.cliffUnlockPercent,
+    };
+    return {
+      index,
+      ...data,
+      end: schedule.start + schedule.duration,
+      vested: computeVestedAmount(data, asOf),
+      releasable: releasable[index],
+      nextUnlock: getNextUnlock(data, asOf),
+      fullyVestedAt: getFullyVestedTime(data),
+      claims: claims.filter((claim) => claim.scheduleIndex === index),
+    };
+  });
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0n);
+  const upcoming = rows.map((row) => row.nextUnlock).filter(Boolean);
+  const nextTimestamp = upcoming.length > 0 ? upcoming.reduce((min, u) => (u.timestamp < min ? u.timestamp : min), upcoming[0].timestamp) : null;
+
+  return {
+    beneficiary: ethers.getAddress(beneficiary),
+    vesting: await vesting.getAddress(),
+    asOf,
+    blockNumber: block.number,
+    totals: {
+      totalAmount: sum("totalAmount"),
+      released: sum("released"),
+      releasable: sum("releasable"),
+      locked,
+    },
+    nextUnlock:
+      nextTimestamp === null
+        ? null
+        : {
+            timestamp: nextTimestamp,
+            amount: upcoming.filter((u) => u.timestamp === nextTimestamp).reduce((total, u) => total + u.amount, 0n),
+          },
+    fullyVestedAt: rows.length > 0 ? rows.reduce((max, row) => (row.fullyVestedAt > max ? row.fullyVestedAt : max), 0n) : null,
+    schedules: rows,
+    claims,
+  };
+}
+
+function renderMarkdown(statement, { network } = {}) {
+  const lines = [
+    "# HYPEY Vesting Statement",
+    "",
+    `- **Beneficiary:** \`${statement.beneficiary}\``,
+    `- **As of:** ${formatDate(statement.asOf)} (block ${statement.blockNumber}${network ? `, ${network}` : ""})`,
+    `- **Vesting contract:** \`${statement.vesting}\``,
+    "",
+    "## Summary",
+    "",
+    "| | HYPEY |",
+    "|---|---:|",
+    `| Total granted | ${formatAmount(statement.totals.totalAmount)} |`,
+    `| Released | ${formatAmount(statement.totals.released)} |`,
+    `| Releasable now | ${formatAmount(statement.totals.releasable)} |`,
+    `| Still locked | ${formatAmount(statement.totals.locked)} |`,
+    "",
+    statement.nextUnlock
+      ? `Next unlock: **${formatAmount(statement.nextUnlock.amount)} HYPEY** on ${formatDate(statement.nextUnlock.timestamp)}.`
+      : statement.schedules.length === 0
+        ? "No schedules."
+        : "All schedules are fully vested.",
+    statement.fullyVestedAt !== null ? `Fully vested on ${formatDate(statement.fullyVestedAt)}.` : "",
+    "",
+    "## Schedules",
+    "",
+  ];
+
+  if (statement.schedules.length === 0) {
+    lines.push("No vesting schedules.", "");
+  }
+  for (const schedule of statement.schedules) {
+    lines.push(
+      `### Schedule #${schedule.index}`,
+      "",
+      "| | |",
+      "|---|---|",
+      `| Total | ${formatAmount(schedule.totalAmount)} HYPEY |`,
+      `| Start | ${formatDate(schedule.start)} |`,
+      `| Cliff | ${formatDate(schedule.cliff)} (${schedule.cliffUnlockPercent}% unlocks) |`,
+      `| End | ${formatDate(schedule.end)} |`,
+      `| Vested | ${formatAmount(schedule.vested)} HYPEY |`,
+      `| Released | ${formatAmount(schedule.released)} HYPEY |`,
+      `| Releasable | ${formatAmount(schedule.releasable)} HYPEY |`,
+      `| Next unlock | ${schedule.nextUnlock ? `${formatAmount(schedule.nextUnlock.amount)} HYPEY on ${formatDate(schedule.nextUnlock.timestamp)}` : "—"} |`,
+      `| Fully vested | ${formatDate(schedule.fullyVestedAt)} |`,
+      ""
+    );
+  }
+
+  lines.push("## Claim history", "");
+  if (statement.claims.length === 0) {
+    lines.push("No claims yet.");
+  } else {
+    lines.push("| Date | Schedule | HYPEY | Transaction |", "|---|---:|---:|---|");
+    for (const claim of statement.claims) {
+      lines.push(`| ${formatDate(claim.timestamp)} | #${claim.scheduleIndex} | ${formatAmount(claim.amount)} | \`${claim.txHash}\` |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Amounts as decimal HYPEY strings and dates as ISO, for finance tooling
+function toJson(statement, { network } = {}) {
+  const unlock = (u) => (u ? { date: formatDate(u.timestamp), timestamp: Number(u.timestamp), amount: formatAmount(u.amount) } : null);
+  const claim = (c) => ({
+    scheduleIndex: c.scheduleIndex,
+    date: formatDate(c.timestamp),
+    amount: formatAmount(c.amount),
+    blockNumber: c.blockNumber,
+    txHash: c.txHash,
+  });
+
+  return {
+    beneficiary: statement.beneficiary,
+    network: network || null,
+    vesting: statement.vesting,
+    asOf: formatDate(statement.asOf),
+    blockNumber: statement.blockNumber,
+    totals: Object.fromEntries(Object.entries(statement.totals).map(([key, value]) => [key, formatAmount(value)])),
+    nextUnlock: unlock(statement.nextUnlock),
+    fullyVestedAt: formatDate(statement.fullyVestedAt) || null,
+    schedules: statement.schedules.map((s) => ({
+      index: s.index,
+      totalAmount: formatAmount(s.totalAmount),
+      start: formatDate(s.start),
+      cliff: formatDate(s.cliff),
+      end: formatDate(s.end),
+      slicePeriodSeconds: Number(s.slicePeriodSeconds),
+      cliffUnlockPercent: Number(s.cliffUnlockPercent),
+      vested: formatAmount(s.vested),
+      released: formatAmount(s.released),
+      releasable: formatAmount(s.releasable),
+      nextUnlock: unlock(s.nextUnlock),
+      fullyVestedAt: formatDate(s.fullyVestedAt),
+      claims: s.claims.map(claim),
+    })),
+  };
+}
+
+function renderJson(statement, options) {
+  return JSON.stringify(toJson(statement, options), null, 2) + "\n";
+}
+
+const CSV_HEADER = [
+  "beneficiary",
+  "asOf",
+  "record",
+  "scheduleIndex",
+  "date",
+  "totalAmount",
+  "vested",
+  "released",
+  "releasable",
+  "nextUnlockDate",
+  "nextUnlockAmount",
+  "fullyVestedDate",
+  "claimAmount",
+  "txHash",
+];
+
+/**
+ * One CSV for any number of statements: a "schedule" row per schedule and
+ * a "claim" row per claim, so a spreadsheet can filter on `record`.
+ */
+function renderCsv(statements) {
+  const lines = [CSV_HEADER.join(",")];
+  for (const statement of statements) {
+    const base = [statement.beneficiary, formatDate(statement.asOf)];
+    for (const s of statement.schedules) {
+      lines.push([
+        ...base,
+        "schedule",
+        s.index,
+        formatDate(s.start),
+        formatAmount(s.totalAmount),
+        formatAmount(s.vested),
+        formatAmount(s.released),
+        formatAmount(s.releasable),
+        s.nextUnlock ? formatDate(s.nextUnlock.timestamp) : "",
+        s.nextUnlock ? formatAmount(s.nextUnlock.amount) : "",
+        formatDate(s.fullyVestedAt),
+        "",
+        "",
+      ].join(","));
+    }
+    for (const c of statement.claims) {
+      lines.push([...base, "claim", c.scheduleIndex, formatDate(c.timestamp), "", "", "", "", "", "", "", formatAmount(c.amount), c.txHash].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  buildStatement,
+  renderMarkdown,
+  renderJson,
+  renderCsv,
+  toJson,
+};
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+const { VESTING_CSV_COLUMNS, validateVestingRecords, parseVestingCsv } = require("./lib/vesting-import");
+const { buildVestingProofs, verifyProof } = require("./lib/merkle");
+const { createProofServer } = require("./lib/proof-server");
+require("dotenv").config();
+
+const ACTIONS = ["build", "serve"];
+
+function usage() {
+  console.log("Usage:");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/merkle.js build <allocation.csv|json> [--out proofs.json] [--set-root]");
+  console.log("  node scripts/merkle.js serve <proofs.json> [--port 8787]");
+  console.log("  MERKLE_INPUT=<file> npx hardhat run scripts/merkle.js --network <network>");
+}
+
+// Reads the action and file from env vars or, under plain node, argv
+function parseArgs() {
+  const positional = process.argv
+    .slice(2)
+    .filter((arg, i, argv) => !arg.startsWith("--") && !arg.endsWith(".js") && !/^--(input|out|port|host)$/.test(argv[i - 1]));
+  let action = process.env.MERKLE_ACTION;
+  if (!action && ACTIONS.includes(positional[0])) {
+    action = positional.shift();
+  }
+  return {
+    action: (action || "build").toLowerCase(),
+    file: getOption("input", "MERKLE_INPUT", positional[0]),
+  };
+}
+
+/**
+ * JSON allocations are an array (or `{ "schedules": [...] }`) of objects
+ * with the same fields as the CSV columns; CSV goes through the importer's
+ * parser. Both are validated with the importer's rules.
+ */
+function loadSchedules(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Allocation file not found: ${file}`);
+  }
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() !== ".json") {
+    return parseVestingCsv(text);
+  }
+
+  const parsed = JSON.parse(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed.schedules;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file}: expected an array of schedules or { "schedules": [...] }`);
+  }
+  const records = entries.map((entry, i) => {
+    const record = { line: i + 1 };
+    for (const [column, aliases] of Object.entries(VESTING_CSV_COLUMNS)) {
+      const key = [column, ...aliases].find((name) => entry[name] !== undefined);
+      record[column] = key === undefined ? "" : String(entry[key]).trim();
+    }
+    return record;
+  });
+  return validateVestingRecords(records, (record) => `entry ${record.line}`);
+}
+
+async function build(file) {
+  const { rows, errors } = loadSchedules(file);
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} invalid schedule(s) in ${file}:\n   - ${errors.join("\n   - ")}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`${file} has no schedules`);
+  }
+
+  const name = path.basename(file, path.extname(file));
+  const outFile = getOption("out", "MERKLE_OUT", path.join(path.dirname(file), `${name}.proofs.json`));
+  const document = {
+    source: path.basename(file),
+    generatedAt: new Date().toISOString(),
+    ...buildVestingProofs(rows),
+  };
+
+  // Every proof must verify before the root goes anywhere near the contract
+  for (const entries of Object.values(document.proofs)) {
+    for (const entry of entries) {
+      if (!verifyProof(entry.proof, document.root, entry.leaf)) {
+        throw new Error(`Proof for leaf ${entry.leaf} does not verify`);
+      }
+    }
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(document, null, 2) + "\n");
+
+  console.log(`🌳 Merkle root: ${document.root}`);
+  console.log(`   ${document.count} schedule(s) for ${Object.keys(document.proofs).length} beneficiary(ies), ${ethers.formatEther(document.total)} HYPEY`);
+  console.log(`   Proofs written to ${outFile}`);
+
+  if (hasFlag("set-root", "MERKLE_SET_ROOT")) {
+    await setRoot(document.root);
+  } else {
+    console.log("\n📝 Publish the root with setMerkleRoot (owner only), or re-run with --set-root:");
+    console.log(`   setMerkleRoot(${document.root})`);
+  }
+  return { ...document, outFile };
+}
+
+async function setRoot(root) {
+  const { addresses } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const sender = await createSenderFromEnv({ addresses, name: "Set vesting Merkle root", description: root });
+
+  console.log(`\n🔐 Setting Merkle root on ${addresses.vesting} (${network.name})...`);
+  if ((await vesting.merkleRoot()) === root) {
+    console.log("   ⏭️  Root already set");
+    return;
+  }
+  if ((await vesting.owner()).toLowerCase() !== sender.from.toLowerCase()) {
+    throw new Error(`${sender.from} is not the vesting owner. Set SAFE_EXPORT=<file> to export setMerkleRoot for the multisig.`);
+  }
+  await sender.submit(`setMerkleRoot(${root})`, vesting, "setMerkleRoot", [root]);
+  sender.finalize();
+}
+
+function serve(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Proofs file not found: ${file} (run the build step first)`);
+  }
+  const document = JSON.parse(fs.readFileSync(file, "utf8"));
+  const port = Number(getOption("port", "MERKLE_PORT", 8787));
+  const host = getOption("host", "MERKLE_HOST", "127.0.0.1");
+
+  const server = createProofServer(document);
+  return new Promise((resolve, reject) => {
+    server.on("error", reject);
+    server.listen(port, host, () => {
+      console.log(`🌐 Serving ${document.count} proof(s) for root ${document.root}`);
+      console.log(`   http://${host}:${server.address().port}/root`);
+      console.log(`   http://${host}:${server.address().port}/proofs/<address>`);
+      console.log("   Press Ctrl+C to stop");
+    });
+    process.on("SIGINT", () => server.close(() => resolve(server)));
+  });
+}
+
+async function main(options = {}) {
+  console.log("🌳 HYPEY Vesting Merkle Tools\n");
+
+  const { action, file } = { ...parseArgs(), ...options };
+  if (!ACTIONS.includes(action) || !file) {
+    usage();
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    return null;
+  }
+
+  return action === "build" ? build(file) : serve(file);
+}
+
+// Execute merkle command
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Merkle command failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
+module.exports.loadSchedules = loadSchedules;
@@ -0,0 +1,100 @@
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+const { createNightSchedule, describeSchedule, createNightModeSwitcher } = require("./lib/night-mode");
+require("dotenv").config();
+
+async function main() {
+  console.log("🌗 HYPEY Night Mode Switcher\n");
+
+  const { addresses } = requireAddresses(network.name, ["token"]);
+  const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+
+  const schedule = createNightSchedule({
+    timeZone: getOption("timezone", "NIGHT_TIMEZONE", "UTC"),
+    nightStart: getOption("night-start", "NIGHT_START", "22:00"),
+    nightEnd: getOption("night-end", "NIGHT_END", "06:00"),
+    holidays: getOption("holidays", "NIGHT_HOLIDAYS"),
+  });
+  const at = getOption("at", "NIGHT_AT");
+  const now = at ? new Date(at) : null;
+  if (now && Number.isNaN(now.getTime())) {
+    throw new Error(`NIGHT_AT must be a date, got ${at}`);
+  }
+  const dryRun = hasFlag("dry-run", "DRY_RUN");
+  const interval = Number(getOption("interval", "NIGHT_INTERVAL", "60"));
+  const logFile = getOption("log", "NIGHT_LOG", path.join(__dirname, "..", "data", `night-mode-${network.name}.jsonl`));
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error("NIGHT_INTERVAL must be a positive number of seconds");
+  }
+
+  const sender = await createSenderFromEnv({
+    addresses,
+    name: `HYPEY night mode (${network.name})`,
+    description: "setNightMode from the day/night schedule",
+  });
+  // A queued switch only lands once the Safe executes it, so export mode
+  // (like a fixed clock) runs a single round instead of re-queuing every tick
+  const once = hasFlag("once", "NIGHT_ONCE") || sender.mode === "export" || now !== null;
+  const { window, holidays } = describeSchedule(schedule);
+
+  console.log("📋 Switcher Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Token: ${addresses.token}`);
+  console.log(`   Night window: ${window}`);
+  console.log(`   Holidays: ${holidays}`);
+  console.log(`   ${sender.mode === "export" ? "Safe" : "Signer"}: ${sender.from}`);
+  console.log(`   Mode: ${dryRun ? "dry run (no transactions)" : sender.mode === "export" ? "export Safe batch" : "execute"}${once ? ", single round" : `, every ${interval}s`}`);
+  console.log(`   Transition log: ${path.relative(process.cwd(), logFile)}`);
+  if (now) {
+    console.log(`   Clock fixed at ${now.toISOString()}`);
+  }
+  console.log("");
+
+  // setNightMode is onlyOwner
+  if (!dryRun && (await token.owner()).toLowerCase() !== sender.from.toLowerCase()) {
+    throw new Error(
+      `${sender.from} is not the token owner. ` +
+        "Run with --dry-run to check the schedule, or SAFE_EXPORT=<file> to export the switch for the multisig."
+    );
+  }
+
+  const switcher = createNightModeSwitcher({
+    token,
+    sender,
+    schedule,
+    now: now ? () => now : undefined,
+    dryRun,
+    logFile,
+  });
+
+  if (once) {
+    const result = await switcher.runOnce();
+    sender.finalize();
+    return result;
+  }
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      console.log(`\n🛑 ${signal} received, stopping after the current round...`);
+      switcher.stop();
+    });
+  }
+  await switcher.start(interval);
+  console.log(`👋 Switcher stopped after ${switcher.transitions.length} transition(s)`);
+  return null;
+}
+
+// Execute switcher
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Night mode switcher failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
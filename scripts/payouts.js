@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses, DEPLOYMENTS_DIR } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+const {
+  readPayoutRecords,
+  getPayoutTokens,
+  loadPayoutTokens,
+  validatePayoutRecords,
+  totalByToken,
+  checkBalances,
+  findDuplicates,
+  openPayoutLog,
+  reconcileSentLines,
+  reconcileExportedLines,
+  payRows,
+  renderReconciliation,
+} = require("./lib/payouts");
+require("dotenv").config();
+
+function getCsvPath() {
+  const positional = process.argv.slice(2).filter((arg) => !arg.startsWith("--") && !arg.endsWith(".js"));
+  return getOption("csv", "PAYOUT_CSV", positional[0]);
+}
+
+// One log per network and CSV, next to the deployment registry
+function getLogPath(networkName, csvFile) {
+  const name = path.basename(csvFile, path.extname(csvFile));
+  return getOption("log", "PAYOUT_LOG", path.join(DEPLOYMENTS_DIR, "payouts", `${networkName}-${name}.json`));
+}
+
+function getReconciliationPath(networkName, csvFile) {
+  const name = path.basename(csvFile, path.extname(csvFile));
+  return getOption("out", "PAYOUT_OUT", path.join(__dirname, "..", "reports", "payouts", `${networkName}-${name}.csv`));
+}
+
+async function main(options = {}) {
+  console.log("💸 HYPEY Treasury Payouts\n");
+
+  const csvFile = options.csvFile || getCsvPath();
+  if (!csvFile) {
+    console.log("Usage:");
+    console.log("  PAYOUT_CSV=<file.csv> npx hardhat run scripts/payouts.js --network <network>");
+    console.log("  HARDHAT_NETWORK=<network> node scripts/payouts.js <file.csv> [--dry-run] [--safe-export batch.json]");
+    return null;
+  }
+  if (!fs.existsSync(csvFile)) {
+    throw new Error(`CSV file not found: ${csvFile}`);
+  }
+
+  const dryRun = hasFlag("dry-run", "DRY_RUN");
+  const { addresses } = requireAddresses(network.name, ["treasury"]);
+  const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+  const logFile = options.logFile || getLogPath(network.name, csvFile);
+  const outFile = options.outFile || getReconciliationPath(network.name, csvFile);
+  const aliases = addresses.token ? { HYPEY: addresses.token } : {};
+  const text = fs.readFileSync(csvFile, "utf8");
+
+  console.log("📋 Payout Configuration:");
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Treasury: ${addresses.treasury}`);
+  console.log(`   CSV: ${csvFile}`);
+  console.log(`   Log: ${logFile}`);
+  console.log(`   Reconciliation: ${outFile}`);
+  console.log("");
+
+  // 1. Validate every line against the treasury before anything is sent
+  const records = readPayoutRecords(text);
+  const tokens = await loadPayoutTokens(treasury, getPayoutTokens(records, aliases));
+  const { rows, errors } = validatePayoutRecords(records, { tokens, aliases });
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} invalid line(s) in ${csvFile}:\n   - ${errors.join("\n   - ")}`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`${csvFile} has no payouts`);
+  }
+  console.log(`✅ ${rows.length} valid payout(s)`);
+  for (const warning of findDuplicates(rows)) {
+    console.log(`   ⚠️  ${warning}`);
+  }
+
+  // 2. Settle lines a previous run sent or exported, then see what is left: the
+  // treasury balance already reflects mined ones, reverted or dropped ones are pending again
+  const log = openPayoutLog(logFile, { treasury: addresses.treasury, source: ethers.id(text) });
+  await reconcileSentLines({ treasury, rows, logFile, payoutLog: log });
+  // A sent line may have been mined while it was awaited, after the balances were read
+  for (const token of Object.values(tokens)) {
+    token.balance = await treasury.getERC20Balance(token.address).catch(() => 0n);
+  }
+  const matched = await reconcileExportedLines(treasury, log);
+  if (matched > 0) {
+    console.log(`   🔗 ${matched} exported line(s) matched to TokensWithdrawn events`);
+  }
+  const pending = rows.filter((row) => !log.lines[row.line]);
+  console.log(`   ${rows.length - pending.length} already in the log, ${pending.length} to pay`);
+
+  // 3. The treasury must hold each token's total
+  console.log("\n💰 Totals per token:");
+  const totals = totalByToken(pending);
+  for (const entry of totals) {
+    const { balance } = tokens[entry.token];
+    const format = (value) => `${ethers.formatUnits(value, entry.decimals)} ${entry.symbol}`;
+    console.log(`   ${entry.symbol.padEnd(8)} ${String(entry.lines).padStart(4)} line(s)  ${format(entry.total)} of ${format(balance)} held`);
+  }
+  const shortfalls = checkBalances(totals, tokens);
+  const blockers = [...shortfalls];
+  if (pending.length > 0 && (await treasury.paused())) {
+    blockers.push("the treasury is paused (run treasury:unpause first)");
+  }
+  if (blockers.length > 0) {
+    if (!dryRun) {
+      throw new Error(`Cannot pay this file:\n   - ${blockers.join("\n   - ")}`);
+    }
+    blockers.forEach((blocker) => console.log(`   ⚠️  ${blocker}`));
+  }
+  if (addresses.token && tokens[ethers.getAddress(addresses.token)]) {
+    const hypey = await ethers.getContractAt("HYPEYToken", addresses.token);
+    if (!(await hypey.exemptFromBurn(addresses.treasury))) {
+      console.log("   ⚠️  The treasury is not exempt from the HYPEY transfer tax: recipients that are not exempt receive less than their line");
+    }
+  }
+
+  // 4. Pay the lines
+  const sender = await createSenderFromEnv({
+    addresses,
+    name: `HYPEY treasury payouts (${path.basename(csvFile)})`,
+    description: `${pending.length} disburseToken call(s) from ${path.basename(csvFile)}`,
+  });
+  if (!dryRun && pending.length > 0 && !(await treasury.hasRole(await treasury.MULTISIG_ADMIN_ROLE(), sender.from))) {
+    throw new Error(
+      `${sender.from} lacks MULTISIG_ADMIN_ROLE on the treasury. ` +
+        "Run with --dry-run to review the payouts, or SAFE_EXPORT=<file> to export them for the multisig."
+    );
+  }
+
+  console.log(`\n📦 Payouts (${dryRun ? "dry run" : sender.mode === "export" ? "export Safe batch" : `signer ${sender.from}`}):`);
+  const results = await payRows({ treasury, rows, sender, logFile, payoutLog: log, dryRun });
+  sender.finalize();
+
+  // 5. The reconciliation sheet reflects the log after every run
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, renderReconciliation(rows, log));
+  const paid = rows.filter((row) => log.lines[row.line] && log.lines[row.line].status === "confirmed").length;
+  console.log(`\n🧾 Reconciliation written to ${outFile} (${paid}/${rows.length} line(s) paid)`);
+
+  if (dryRun) {
+    console.log("\n📝 Dry run complete, no transactions sent");
+  } else if (sender.mode === "export") {
+    console.log("   Exported lines are matched to their TokensWithdrawn events on the next run, once the Safe executes the batch");
+  } else {
+    console.log(`\n🎉 Paid ${paid} line(s) from ${csvFile}`);
+  }
+  return results;
+}
+
+// Execute payouts
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Payouts failed:", error.message);
+      console.error("   Re-run the same command to resume from the log");
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,86 @@
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { getMinTaxedAmount, quoteTransfer, quoteGrossAmount, readTaxState } = require("./lib/transfer-tax");
+require("dotenv").config();
+
+function usage() {
+  console.log("Usage:");
+  console.log("  TAX_FROM=<address> TAX_TO=<address> TAX_AMOUNT=1000 npx hardhat run scripts/quote-transfer.js --network <network>");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/quote-transfer.js --from <address> --to <address> --amount 1000");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/quote-transfer.js --from <address> --to <address> --net 1000");
+  console.log("Options: --block <number> | --json");
+}
+
+function requireAddress(value, name) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error(`${name} must be an address, got ${value === undefined ? "nothing" : value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+async function main() {
+  const json = hasFlag("json", "TAX_JSON");
+  const log = json ? () => {} : console.log;
+  log("🧾 HYPEY Transfer Tax Quote\n");
+
+  const amount = getOption("amount", "TAX_AMOUNT");
+  const net = getOption("net", "TAX_NET");
+  if (!getOption("from", "TAX_FROM") || (!amount && !net)) {
+    usage();
+    return null;
+  }
+  if (amount && net) {
+    throw new Error("Give either an amount to send or a net amount to receive, not both");
+  }
+  const from = requireAddress(getOption("from", "TAX_FROM"), "--from");
+  const to = requireAddress(getOption("to", "TAX_TO"), "--to");
+  const block = getOption("block", "TAX_BLOCK");
+
+  const { addresses } = requireAddresses(network.name, ["token"]);
+  const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+  const state = await readTaxState(token, from, to, { blockTag: block === undefined ? "latest" : Number(block) });
+  const quote = amount ? quoteTransfer(state, ethers.parseEther(amount)) : quoteGrossAmount(state, ethers.parseEther(net));
+
+  log("📋 Token state:");
+  log(`   Network: ${network.name}${block === undefined ? "" : ` (block ${block})`}`);
+  log(`   Sender balance: ${ethers.formatEther(state.senderBalance)} HYPEY`);
+  log(`   Exempt: sender ${state.senderExempt}, recipient ${state.recipientExempt}`);
+  log(`   DEX pair: ${state.dexPair === ethers.ZeroAddress ? "not set" : state.dexPair} (${state.isNight ? "night" : "day"})`);
+  log(`   Burn rate: ${state.burnRateBasisPoints} bps`);
+  log(`   Taxed from: ${ethers.formatEther(getMinTaxedAmount(state.senderBalance))} HYPEY`);
+  log("");
+  log("💸 Quote:");
+  log(`   Send:     ${ethers.formatEther(quote.amount)} HYPEY`);
+  log(`   Receives: ${ethers.formatEther(quote.sendAmount)} HYPEY`);
+  log(`   Burned:   ${ethers.formatEther(quote.burnNow)} HYPEY`);
+  log(`   Reserve:  ${ethers.formatEther(quote.toReserve)} HYPEY`);
+  log(`   Tax:      ${quote.taxBps} bps (${quote.reason})`);
+
+  if (json) {
+    const output = {
+      from,
+      to,
+      amount: ethers.formatEther(quote.amount),
+      sendAmount: ethers.formatEther(quote.sendAmount),
+      burnNow: ethers.formatEther(quote.burnNow),
+      toReserve: ethers.formatEther(quote.toReserve),
+      taxBps: Number(quote.taxBps),
+      reason: quote.reason,
+    };
+    process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+  }
+  return quote;
+}
+
+// Execute quote
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Quote failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -56,11 +56,9 @@ ETHERSCAN_API_KEY=${etherscanKey}
 MULTISIG_ADDRESS=${multisigAddress}
 RESERVE_BURN_ADDRESS=${reserveBurnAddress}
 
-# Deployed Contract Addresses (will be populated after deployment)
-TOKEN_ADDRESS=
-TREASURY_ADDRESS=
-VESTING_ADDRESS=
-TIMELOCK_ADDRESS=
+# Deployed Contract Addresses
+# deploy.js records these in deployments/<network>.json; to override the registry,
+# set them per network, e.g. SEPOLIA_TOKEN_ADDRESS or BASE_SEPOLIA_VESTING_ADDRESS
 
 # Gas Configuration
 REPORT_GAS=true
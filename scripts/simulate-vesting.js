@@ -0,0 +1,200 @@
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { getOption } = require("./lib/cli");
+const { parseDuration, parseStart } = require("./lib/vesting-import");
+const { computeVestedAmount, computeReleasableAmount, buildUnlockTable } = require("./lib/vesting-math");
+require("dotenv").config();
+
+const FORMATS = ["table", "csv"];
+
+function usage() {
+  console.log("Usage:");
+  console.log("  VESTING_BENEFICIARY=<address> npx hardhat run scripts/simulate-vesting.js --network <network>");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/simulate-vesting.js --beneficiary <address> [--index 0]");
+  console.log("  node scripts/simulate-vesting.js --amount 1000 --start 2026-01-01 --cliff 90d --duration 365d --slice 30d --cliff-unlock 10");
+  console.log("Options: --at <ISO date> | --format table|csv | --every <duration> | --out <file.csv>");
+}
+
+// ISO date or unix seconds
+function parseTimestamp(value) {
+  return /^\d+$/.test(value) ? BigInt(value) : parseStart(value);
+}
+
+function formatDate(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function formatPercent(basisPoints) {
+  return `${basisPoints / 100n}.${String(basisPoints % 100n).padStart(2, "0")}%`;
+}
+
+// A schedule described on the command line, as it would be created now
+function scheduleFromArgs() {
+  const amount = getOption("amount");
+  if (!amount) {
+    return null;
+  }
+  const start = parseStart(getOption("start", undefined, new Date().toISOString()));
+  // The contract rejects a cliff unlock above 100%
+  const cliffUnlock = getOption("cliff-unlock", undefined, "0");
+  if (!/^\d+$/.test(cliffUnlock) || BigInt(cliffUnlock) > 100n) {
+    throw new Error(`--cliff-unlock must be a whole percent from 0 to 100, got ${cliffUnlock}`);
+  }
+  return {
+    label: "simulated schedule",
+    totalAmount: ethers.parseEther(amount),
+    released: 0n,
+    start,
+    cliff: start + parseDuration(getOption("cliff", undefined, "0")),
+    duration: parseDuration(getOption("duration", undefined, "365d")),
+    slicePeriodSeconds: parseDuration(getOption("slice", undefined, "1d")),
+    cliffUnlockPercent: BigInt(cliffUnlock),
+  };
+}
+
+async function schedulesFromChain(beneficiary) {
+  const { addresses } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const [schedules] = await vesting.getVestingInfo(beneficiary);
+  const index = getOption("index", "VESTING_INDEX");
+
+  return schedules
+    .map((schedule, i) => ({
+      label: `${beneficiary} #${i}`,
+      beneficiary,
+      index: i,
+      initialized: schedule.initialized,
+      totalAmount: schedule.totalAmount,
+      released: schedule.released,
+      start: schedule.start,
+      cliff: schedule.cliff,
+      duration: schedule.duration,
+      slicePeriodSeconds: schedule.slicePeriodSeconds,
+      cliffUnlockPercent: schedule.cliffUnlockPercent,
+    }))
+    .filter((schedule) => index === undefined || schedule.index === Number(index));
+}
+
+function printSummary(schedule) {
+  console.log(`📅 ${schedule.label}`);
+  console.log(`   Total:        ${ethers.formatEther(schedule.totalAmount)} HYPEY (${ethers.formatEther(schedule.released)} released)`);
+  console.log(`   Start:        ${formatDate(schedule.start)}`);
+  console.log(`   Cliff:        ${formatDate(schedule.cliff)} (${schedule.cliffUnlockPercent}% unlocks)`);
+  console.log(`   End:          ${formatDate(schedule.start + schedule.duration)}`);
+  console.log(`   Slice:        ${schedule.slicePeriodSeconds}s`);
+}
+
+function printTable(rows) {
+  const lines = rows.map((row) => [
+    formatDate(row.timestamp),
+    ethers.formatEther(row.unlocked),
+    ethers.formatEther(row.vested),
+    formatPercent(row.vestedBasisPoints),
+    ethers.formatEther(row.claimable),
+  ]);
+  const header = ["Date", "Unlocked", "Vested", "Vested %", "Claimable"];
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  const format = (cells) => "   " + cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+
+  console.log(format(header));
+  console.log("   " + widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
+function toCsv(schedules, tables) {
+  const lines = ["beneficiary,index,date,timestamp,unlocked,vested,vestedPercent,claimable"];
+  schedules.forEach((schedule, i) => {
+    for (const row of tables[i]) {
+      lines.push([
+        schedule.beneficiary || "",
+        schedule.index === undefined ? "" : schedule.index,
+        formatDate(row.timestamp),
+        row.timestamp,
+        ethers.formatEther(row.unlocked),
+        ethers.formatEther(row.vested),
+        formatPercent(row.vestedBasisPoints).slice(0, -1),
+        ethers.formatEther(row.claimable),
+      ].join(","));
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const format = getOption("format", "VESTING_FORMAT", "table").toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  }
+  // CSV on stdout stays machine-readable
+  const log = format === "csv" && !getOption("out") ? () => {} : console.log;
+  log("🧮 HYPEY Vesting Simulator\n");
+
+  const beneficiary = getOption("beneficiary", "VESTING_BENEFICIARY");
+  const manual = scheduleFromArgs();
+  if (!beneficiary && !manual) {
+    usage();
+    return null;
+  }
+  if (beneficiary && !ethers.isAddress(beneficiary)) {
+    throw new Error(`${beneficiary} is not an address`);
+  }
+
+  const schedules = beneficiary ? await schedulesFromChain(ethers.getAddress(beneficiary)) : [manual];
+  if (schedules.length === 0) {
+    log(`   No vesting schedules for ${beneficiary} on ${network.name}`);
+    return [];
+  }
+
+  // Point query: how much is vested / claimable on a given date
+  const at = getOption("at", "VESTING_AT");
+  if (at) {
+    const timestamp = parseTimestamp(at);
+    let claimable = 0n;
+    for (const schedule of schedules) {
+      const releasable = computeReleasableAmount(schedule, timestamp);
+      claimable += releasable;
+      console.log(`📅 ${schedule.label} at ${formatDate(timestamp)}`);
+      console.log(`   Vested:    ${ethers.formatEther(computeVestedAmount(schedule, timestamp))} HYPEY`);
+      console.log(`   Claimable: ${ethers.formatEther(releasable)} HYPEY`);
+    }
+    if (schedules.length > 1) {
+      console.log(`\n💰 Total claimable: ${ethers.formatEther(claimable)} HYPEY`);
+    }
+    return { timestamp, claimable };
+  }
+
+  const every = getOption("every", "VESTING_EVERY");
+  const tables = schedules.map((schedule) => buildUnlockTable(schedule, { every: every && parseDuration(every) }));
+
+  if (format === "csv") {
+    const csv = toCsv(schedules, tables);
+    const outFile = getOption("out", "VESTING_OUT");
+    if (outFile) {
+      fs.writeFileSync(outFile, csv);
+      log(`📝 Unlock table for ${schedules.length} schedule(s) written to ${outFile}`);
+    } else {
+      process.stdout.write(csv);
+    }
+    return tables;
+  }
+
+  schedules.forEach((schedule, i) => {
+    printSummary(schedule);
+    printTable(tables[i]);
+    console.log("");
+  });
+  return tables;
+}
+
+// Execute simulator
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Vesting simulation failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { parseRatio, parseHorizonDays, getSolvencySnapshot, assessSolvency } = require("./lib/solvency");
+require("dotenv").config();
+
+// Exit code for a completed check that found a problem, distinct from a crash
+const ALERT_EXIT_CODE = 2;
+
+async function sendWebhook(url, payload) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} answered ${response.status}`);
+  }
+}
+
+async function main() {
+  const json = hasFlag("json", "SOLVENCY_JSON");
+  const log = json ? () => {} : console.log;
+  log("🏦 HYPEY Vesting Solvency Monitor\n");
+
+  const { addresses, deployment } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const fromBlock = (deployment && deployment.contracts.vesting && deployment.contracts.vesting.blockNumber) || 0;
+  const minCoverage = parseRatio(getOption("min-ratio", "SOLVENCY_MIN_RATIO", "1"));
+  const horizonDays = parseHorizonDays(getOption("horizon-days", "SOLVENCY_HORIZON_DAYS", "30"));
+  const block = getOption("block", "SOLVENCY_BLOCK");
+
+  const snapshot = await getSolvencySnapshot(vesting, {
+    fromBlock,
+    blockTag: block === undefined ? "latest" : Number(block),
+    horizonDays,
+  });
+  const payload = assessSolvency(snapshot, { minCoverage, network: network.name });
+
+  log("📋 Snapshot:");
+  log(`   Network: ${network.name} (block ${payload.blockNumber}, ${payload.asOf})`);
+  log(`   Vesting: ${addresses.vesting}`);
+  log(`   Schedules: ${payload.schedules} across ${payload.beneficiaries} beneficiary(ies)`);
+  log("");
+  log("💰 Obligations:");
+  log(`   Pool balance:   ${payload.poolBalance} HYPEY`);
+  log(`   Outstanding:    ${payload.outstanding} HYPEY (total − released)`);
+  log(`   Releasable now: ${payload.releasableNow} HYPEY`);
+  log(`   Within ${horizonDays} days: ${payload.releasableWithinHorizon} HYPEY`);
+  log(`   Coverage: ${payload.coverageRatio}x (minimum ${payload.minCoverageRatio}x)`);
+  log("");
+
+  if (payload.status === "ok") {
+    log("✅ Vesting pool is solvent");
+  } else {
+    for (const alert of payload.alerts) {
+      log(`🚨 ${alert.code}: ${alert.message} (short ${alert.shortfall} HYPEY)`);
+    }
+  }
+
+  const alertFile = getOption("alert-file", "SOLVENCY_ALERT_FILE");
+  if (alertFile) {
+    fs.writeFileSync(alertFile, JSON.stringify(payload, null, 2) + "\n");
+    log(`📝 Payload written to ${alertFile}`);
+  }
+  const webhook = getOption("webhook", "SOLVENCY_WEBHOOK_URL");
+  if (webhook && payload.status === "alert") {
+    await sendWebhook(webhook, payload);
+    log("📣 Alert posted to webhook");
+  }
+  if (json) {
+    process.stdout.write(JSON.stringify(payload, null, 2) + "\n");
+  }
+  return payload;
+}
+
+// Execute solvency check; exits non-zero when an alert was raised
+if (require.main === module) {
+  main()
+    .then((payload) => process.exit(payload.status === "ok" ? 0 : ALERT_EXIT_CODE))
+    .catch((error) => {
+      console.error("❌ Solvency check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
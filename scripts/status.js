@@ -1,112 +1,141 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { readStatus, compareStatus } = require("./lib/status");
 require("dotenv").config();
 
-async function main() {
-  console.log("📊 HYPEY Token Ecosystem Status\n");
-
-  // Get contract addresses from environment
-  const tokenAddress = process.env.TOKEN_ADDRESS;
-  const treasuryAddress = process.env.TREASURY_ADDRESS;
-  const vestingAddress = process.env.VESTING_ADDRESS;
-  const multisigAddress = process.env.MULTISIG_ADDRESS;
-
-  if (!tokenAddress || !treasuryAddress || !vestingAddress) {
-    console.log("❌ Contract addresses not found in .env file");
-    console.log("Run deploy.js first to deploy the contracts");
-    return;
+const mark = (value) => (value === null ? "❓" : value ? "✅" : "❌");
+const hypey = (value) => (value === null ? "❓" : `${ethers.formatEther(value)} HYPEY`);
+const show = (value) => (value === null ? "❓" : value);
+
+function printStatus(status) {
+  const { addresses } = status;
+  console.log(`🌐 Network: ${network.name} (chain ${status.chainId}, block ${status.blockNumber})`);
+  console.log("🏗️  Contract Addresses:");
+  console.log(`   Token:     ${addresses.token}`);
+  console.log(`   Treasury:  ${addresses.treasury}`);
+  console.log(`   Vesting:   ${addresses.vesting}`);
+  console.log(`   Multisig:  ${show(addresses.multisig)}`);
+  console.log("");
+
+  console.log("🧩 Implementations:");
+  console.log(`   Token:     ${show(status.implementations.token)}`);
+  console.log(`   Treasury:  ${show(status.implementations.treasury)}`);
+  console.log(`   Vesting:   ${show(status.implementations.vesting)}`);
+  console.log("");
+
+  // Token Status
+  const { token } = status;
+  console.log("🪙 Token Status:");
+  console.log(`   Name: ${show(token.name)}`);
+  console.log(`   Symbol: ${show(token.symbol)}`);
+  console.log(`   Total Supply: ${hypey(token.totalSupply)}`);
+  console.log(`   Burn Rate: ${token.burnRateBasisPoints === null ? "❓" : `${Number(token.burnRateBasisPoints) / 100}%`}`);
+  console.log(`   Reserve Burn Address: ${show(token.reserveBurnAddress)}`);
+  console.log(`   DEX Pair: ${show(token.dexPair)}`);
+  console.log(`   Night Mode: ${token.isNight === null ? "❓" : token.isNight ? "🌙 On" : "☀️  Off"}`);
+  console.log("");
+
+  // Balance Distribution
+  console.log("💰 Balance Distribution:");
+  console.log(`   Contract:  ${hypey(status.balances.token)}`);
+  console.log(`   Treasury:  ${hypey(status.balances.treasury)}`);
+  console.log(`   Vesting:   ${hypey(status.balances.vesting)}`);
+  console.log(`   Multisig:  ${hypey(status.balances.multisig)}`);
+  console.log("");
+
+  // Access Control Status
+  console.log("🔐 Access Control:");
+  console.log(`   Token Owner: ${show(token.owner)}`);
+  for (const [name, label] of [["token", "Token"], ["treasury", "Treasury"], ["vesting", "Vesting"]]) {
+    const roles = status.roles[name];
+    console.log(
+      `   ${label} Admin: ${mark(roles.MULTISIG_ADMIN_ROLE.multisig)} multisig, ` +
+        `${mark(roles.MULTISIG_ADMIN_ROLE.timelock)} timelock (default admin: ` +
+        `${mark(roles.DEFAULT_ADMIN_ROLE.multisig)} multisig, ${mark(roles.DEFAULT_ADMIN_ROLE.timelock)} timelock)`
+    );
   }
+  console.log("");
 
-  try {
-    // Get contract instances
-    const token = await ethers.getContractAt("HYPEYToken", tokenAddress);
-    const treasury = await ethers.getContractAt("HYPEYTreasury", treasuryAddress);
-    const vesting = await ethers.getContractAt("HypeyVesting", vestingAddress);
-
-    console.log("🏗️  Contract Addresses:");
-    console.log(`   Token:     ${tokenAddress}`);
-    console.log(`   Treasury:  ${treasuryAddress}`);
-    console.log(`   Vesting:   ${vestingAddress}`);
-    console.log(`   Multisig:  ${multisigAddress}`);
-    console.log("");
-
-    // Token Status
-    console.log("🪙 Token Status:");
-    const name = await token.name();
-    const symbol = await token.symbol();
-    const totalSupply = await token.totalSupply();
-    const burnRate = await token.burnRateBasisPoints();
-    const reserveBurnAddress = await token.reserveBurnAddress();
-    
-    console.log(`   Name: ${name}`);
-    console.log(`   Symbol: ${symbol}`);
-    console.log(`   Total Supply: ${ethers.formatEther(totalSupply)} HYPEY`);
-    console.log(`   Burn Rate: ${burnRate / 100}%`);
-    console.log(`   Reserve Burn Address: ${reserveBurnAddress}`);
-    console.log("");
-
-    // Balance Distribution
-    console.log("💰 Balance Distribution:");
-    const contractBalance = await token.balanceOf(tokenAddress);
-    const treasuryBalance = await token.balanceOf(treasuryAddress);
-    const vestingBalance = await token.balanceOf(vestingAddress);
-    const multisigBalance = await token.balanceOf(multisigAddress);
-    
-    console.log(`   Contract:  ${ethers.formatEther(contractBalance)} HYPEY`);
-    console.log(`   Treasury:  ${ethers.formatEther(treasuryBalance)} HYPEY`);
-    console.log(`   Vesting:   ${ethers.formatEther(vestingBalance)} HYPEY`);
-    console.log(`   Multisig:  ${ethers.formatEther(multisigBalance)} HYPEY`);
-    console.log("");
-
-    // Access Control Status
-    console.log("🔐 Access Control:");
-    const tokenOwner = await token.owner();
-    const treasuryAdminRole = await treasury.MULTISIG_ADMIN_ROLE();
-    const vestingAdminRole = await vesting.MULTISIG_ADMIN_ROLE();
-    
-    const treasuryHasAdmin = await treasury.hasRole(treasuryAdminRole, multisigAddress);
-    const vestingHasAdmin = await vesting.hasRole(vestingAdminRole, multisigAddress);
-    
-    console.log(`   Token Owner: ${tokenOwner}`);
-    console.log(`   Treasury Admin: ${treasuryHasAdmin ? '✅' : '❌'} ${multisigAddress}`);
-    console.log(`   Vesting Admin: ${vestingHasAdmin ? '✅' : '❌'} ${multisigAddress}`);
-    console.log("");
-
-    // Burn Exemptions
-    console.log("🔥 Burn Exemptions:");
-    const contractExempt = await token.exemptFromBurn(tokenAddress);
-    const treasuryExempt = await token.exemptFromBurn(treasuryAddress);
-    const vestingExempt = await token.exemptFromBurn(vestingAddress);
-    const multisigExempt = await token.exemptFromBurn(multisigAddress);
-    
-    console.log(`   Contract:  ${contractExempt ? '✅' : '❌'}`);
-    console.log(`   Treasury:  ${treasuryExempt ? '✅' : '❌'}`);
-    console.log(`   Vesting:   ${vestingExempt ? '✅' : '❌'}`);
-    console.log(`   Multisig:  ${multisigExempt ? '✅' : '❌'}`);
-    console.log("");
-
-    // Contract States
-    console.log("⏸️  Contract States:");
-    const treasuryPaused = await treasury.paused();
-    const vestingPaused = await vesting.paused();
-    
-    console.log(`   Treasury: ${treasuryPaused ? '⏸️  Paused' : '▶️  Active'}`);
-    console.log(`   Vesting:  ${vestingPaused ? '⏸️  Paused' : '▶️  Active'}`);
-    console.log("");
-
-    // Builder Attribution
-    console.log("👨‍💻 Builder Attribution:");
-    const tokenBuilder = await token.builder();
-    const vestingBuilder = await vesting.builder();
-    
-    console.log(`   Token Builder: ${tokenBuilder}`);
-    console.log(`   Vesting Builder: ${vestingBuilder}`);
-    console.log("");
-
-    console.log("✅ Status check complete!");
+  // Burn Exemptions
+  console.log("🔥 Burn Exemptions:");
+  console.log(`   Contract:  ${mark(status.exemptions.token)}`);
+  console.log(`   Treasury:  ${mark(status.exemptions.treasury)}`);
+  console.log(`   Vesting:   ${mark(status.exemptions.vesting)}`);
+  console.log(`   Multisig:  ${mark(status.exemptions.multisig)}`);
+  console.log("");
+
+  // Contract States
+  const state = (paused) => (paused === null ? "❓" : paused ? "⏸️  Paused" : "▶️  Active");
+  console.log("⏸️  Contract States:");
+  console.log(`   Treasury: ${state(status.treasury.paused)}`);
+  console.log(`   Vesting:  ${state(status.vesting.paused)}`);
+  console.log("");
+
+  // Builder Attribution
+  console.log("👨‍💻 Builder Attribution:");
+  console.log(`   Token Builder: ${show(token.builder)}`);
+  console.log(`   Vesting Builder: ${show(status.vesting.builder)}`);
+  console.log("");
+}
 
+function loadExpected(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Expected-state file not found: ${file}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
   } catch (error) {
-    console.error("❌ Error checking status:", error.message);
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+async function main() {
+  const json = hasFlag("json", "STATUS_JSON");
+  const checkFile = getOption("check", "STATUS_CHECK");
+  const log = json ? () => {} : console.log;
+  log("📊 HYPEY Token Ecosystem Status\n");
+
+  // Contract addresses from the deployment registry (env vars override)
+  const { addresses } = requireAddresses(network.name, ["token", "treasury", "vesting"]);
+  const expected = checkFile ? loadExpected(checkFile) : null;
+
+  const { status, errors } = await readStatus(addresses);
+  const drift = expected ? compareStatus(status, expected) : null;
+
+  if (json) {
+    process.stdout.write(JSON.stringify({ ...status, errors, ...(drift ? { drift } : {}) }, null, 2) + "\n");
+  } else {
+    printStatus(status);
+    if (errors.length > 0) {
+      console.log(`❌ ${errors.length} read(s) failed:`);
+      errors.forEach((error) => console.log(`   ${error.path}: ${error.message}`));
+      console.log("");
+    }
+    if (drift) {
+      if (drift.length === 0) {
+        console.log(`✅ Matches ${checkFile}`);
+      } else {
+        console.log(`❌ ${drift.length} difference(s) from ${checkFile}:`);
+        drift.forEach((item) => console.log(`   ${item.path}: expected ${JSON.stringify(item.expected)}, got ${JSON.stringify(item.actual)}`));
+      }
+      console.log("");
+    }
+  }
+
+  const problems = [];
+  if (errors.length > 0) {
+    problems.push(`${errors.length} read(s) failed`);
+  }
+  if (drift && drift.length > 0) {
+    problems.push(`${drift.length} difference(s) from ${checkFile}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join(", "));
   }
+  log("✅ Status check complete!");
+  return { status, errors, drift };
 }
 
 // Execute status check
@@ -114,9 +143,9 @@ if (require.main === module) {
   main()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error("❌ Status check failed:", error);
+      console.error("❌ Status check failed:", error.message);
       process.exit(1);
     });
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
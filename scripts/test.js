@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
 require("dotenv").config();
 
 async function main() {
   console.log("🧪 HYPEY Token Testing Script\n");
 
-  // Get contract addresses from environment
-  const tokenAddress = process.env.TOKEN_ADDRESS;
-  const treasuryAddress = process.env.TREASURY_ADDRESS;
-  const vestingAddress = process.env.VESTING_ADDRESS;
-  const multisigAddress = process.env.MULTISIG_ADDRESS;
-
-  if (!tokenAddress || !treasuryAddress || !vestingAddress) {
-    throw new Error("Missing contract addresses in .env file");
-  }
+  // Get contract addresses from the deployment registry (env vars override)
+  const { addresses } = requireAddresses(network.name, ["token", "treasury", "vesting", "multisig"]);
+  const tokenAddress = addresses.token;
+  const treasuryAddress = addresses.treasury;
+  const vestingAddress = addresses.vesting;
+  const multisigAddress = addresses.multisig;
 
   const signers = await ethers.getSigners();
   const deployer = signers[0];
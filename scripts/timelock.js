@@ -0,0 +1,113 @@
+const { ethers, network } = require("hardhat");
+const { requireAddresses, getContractLabels } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { createSenderFromEnv } = require("./lib/transactions");
+const {
+  indexOperations,
+  getExecuteCall,
+  getCancelCall,
+  formatEta,
+  getLatestTimestamp,
+} = require("./lib/timelock");
+require("dotenv").config();
+
+const ACTIONS = ["list", "execute", "cancel"];
+
+const STATE_ICONS = {
+  pending: "⏳",
+  ready: "✅",
+  done: "✔️ ",
+  cancelled: "🚫",
+  unset: "❔",
+};
+
+// Reads the action and operation id from env vars or, under plain node, argv
+function parseArgs() {
+  const positional = process.argv.slice(2).filter((arg) => !arg.startsWith("--") && !arg.endsWith(".js"));
+  let action = process.env.TIMELOCK_ACTION;
+  if (!action && ACTIONS.includes(positional[0])) {
+    action = positional.shift();
+  }
+  return {
+    action: (action || "list").toLowerCase(),
+    id: getOption("id", "TIMELOCK_OPERATION", positional[0]),
+  };
+}
+
+function printOperation(operation, now) {
+  console.log(`${STATE_ICONS[operation.state] || ""} ${operation.id}`);
+  console.log(`   State:     ${operation.state}`);
+  console.log(`   ETA:       ${formatEta(operation.eta, now)}`);
+  console.log(`   Scheduled: block ${operation.scheduledBlock} (tx ${operation.scheduledTx})`);
+  if (operation.executedTx) console.log(`   Executed:  tx ${operation.executedTx}`);
+  if (operation.cancelledTx) console.log(`   Cancelled: tx ${operation.cancelledTx}`);
+  operation.calls.forEach((call, index) => {
+    const value = call.value > 0n ? ` [${ethers.formatEther(call.value)} ETH]` : "";
+    console.log(`   Call ${index}:    ${call.decoded.text}${value}`);
+    console.log(`              → ${call.target}`);
+  });
+  console.log("");
+}
+
+async function main(options = {}) {
+  console.log("⏰ HYPEY Timelock Operation Queue\n");
+
+  const { action, id } = { ...parseArgs(), ...options };
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action} (expected one of ${ACTIONS.join(", ")})`);
+  }
+
+  const { addresses, deployment } = requireAddresses(network.name, ["timelock"]);
+  const timelock = await ethers.getContractAt("MockTimelock", addresses.timelock);
+  const recordedBlock = deployment && deployment.contracts.timelock && deployment.contracts.timelock.blockNumber;
+  const fromBlock = Number(getOption("from-block", "TIMELOCK_FROM_BLOCK", recordedBlock || 0));
+
+  console.log(`   Network:  ${network.name}`);
+  console.log(`   Timelock: ${addresses.timelock} (minDelay ${await timelock.getMinDelay()}s)`);
+  console.log(`   Scanning from block ${fromBlock}`);
+  console.log("");
+
+  const operations = await indexOperations(timelock, { fromBlock, labels: getContractLabels(addresses) });
+  const now = await getLatestTimestamp();
+
+  if (action === "list") {
+    const showAll = hasFlag("all", "TIMELOCK_SHOW_ALL");
+    const shown = showAll ? operations : operations.filter((op) => op.state === "pending" || op.state === "ready");
+
+    if (shown.length === 0) {
+      console.log(showAll ? "   No operations found" : "   No pending or ready operations (use --all for history)");
+    }
+    shown.forEach((operation) => printOperation(operation, now));
+
+    const counts = operations.reduce((acc, op) => ({ ...acc, [op.state]: (acc[op.state] || 0) + 1 }), {});
+    console.log(`📊 ${Object.entries(counts).map(([state, count]) => `${state}: ${count}`).join(", ") || "empty queue"}`);
+    return operations;
+  }
+
+  if (!id) {
+    throw new Error(`Set TIMELOCK_OPERATION (or --id) to the operation to ${action}`);
+  }
+  const operation = operations.find((op) => op.id.toLowerCase() === id.toLowerCase());
+  if (!operation) {
+    throw new Error(`Operation ${id} was not scheduled on ${addresses.timelock} since block ${fromBlock}`);
+  }
+  printOperation(operation, now);
+
+  const { method, args } = action === "execute" ? getExecuteCall(operation) : getCancelCall(operation);
+  const sender = await createSenderFromEnv({ addresses, name: `Timelock ${action} ${operation.id}` });
+  const result = await sender.submit(`${action === "execute" ? "Execute" : "Cancel"} ${operation.id}`, timelock, method, args);
+  sender.finalize();
+  return { ...operation, [`${action === "execute" ? "executed" : "cancelled"}Tx`]: result.hash || null };
+}
+
+// Execute timelock queue command
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Timelock command failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
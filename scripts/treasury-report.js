@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { getOption } = require("./lib/cli");
+const { getDatabasePath, openEventDatabase, getSyncState } = require("./lib/indexer");
+const {
+  ETH,
+  parsePeriod,
+  loadTokenMetadata,
+  loadHoldings,
+  loadFlowEvents,
+  getFlowTokens,
+  summarizeFlows,
+  formatDate,
+  toJson,
+  renderMarkdown,
+} = require("./lib/treasury-report");
+require("dotenv").config();
+
+const FORMATS = ["table", "json", "markdown"];
+
+function printTable(header, lines) {
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => String(line[i]).length)));
+  const format = (cells) => "   " + cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join("  ");
+  console.log(format(header));
+  console.log("   " + widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
+function printReport(report) {
+  const format = ethers.formatUnits;
+  console.log("💰 Holdings:");
+  printTable(
+    ["Asset", "Balance", "Address"],
+    report.holdings.map((holding) => [holding.symbol, format(holding.balance, holding.decimals), holding.asset === ETH ? "native" : holding.asset])
+  );
+  console.log("");
+
+  console.log(`🔄 Flows (${formatDate(report.period.from)} to ${formatDate(report.period.to)}):`);
+  if (report.flows.length === 0) {
+    console.log("   No deposits or withdrawals in this period");
+  } else {
+    printTable(
+      ["Asset", "In", "Deposits", "Out", "Withdrawals", "Net"],
+      report.flows.map((flow) => [
+        flow.symbol,
+        format(flow.inflow, flow.decimals),
+        flow.inflowCount,
+        format(flow.outflow, flow.decimals),
+        flow.outflowCount,
+        format(flow.net, flow.decimals),
+      ])
+    );
+  }
+
+  if (report.recipients.length > 0) {
+    console.log("\n👥 Recipients:");
+    printTable(
+      ["Recipient", "Asset", "Withdrawals", "Total"],
+      report.recipients.map((recipient) => [recipient.recipient, recipient.symbol, recipient.count, format(recipient.total, recipient.decimals)])
+    );
+  }
+}
+
+async function main() {
+  const format = getOption("format", "TREASURY_FORMAT", "table").toLowerCase().replace(/^md$/, "markdown");
+  const outFile = getOption("out", "TREASURY_OUT");
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  }
+  // JSON and Markdown on stdout stay clean for redirection
+  const log = format !== "table" && !outFile ? () => {} : console.log;
+  log("🏦 HYPEY Treasury Report\n");
+
+  const period = parsePeriod({
+    from: getOption("from", "TREASURY_FROM"),
+    to: getOption("to", "TREASURY_TO"),
+    days: getOption("days", "TREASURY_DAYS", 30),
+  });
+  const { addresses } = requireAddresses(network.name, ["treasury"]);
+  const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+  const file = getOption("db", "INDEXER_DB", getDatabasePath(network.name));
+  const db = openEventDatabase(file, { readonly: true });
+
+  try {
+    const state = getSyncState(db);
+    if (!state.contracts || !state.contracts.treasury || state.contracts.treasury.toLowerCase() !== addresses.treasury.toLowerCase()) {
+      throw new Error(`${path.relative(process.cwd(), file)} does not index HYPEYTreasury ${addresses.treasury}; run the indexer first`);
+    }
+    const head = await ethers.provider.getBlockNumber();
+
+    log("📋 Report Configuration:");
+    log(`   Network: ${network.name}`);
+    log(`   Treasury: ${addresses.treasury}`);
+    log(`   Event database: ${path.relative(process.cwd(), file)} (up to block ${state.lastBlock})`);
+    if (head > state.lastBlock) {
+      log(`   ⚠️  ${head - state.lastBlock} block(s) behind the chain; run "npm run indexer" for the latest flows`);
+    }
+    log(`   Period: ${formatDate(period.from)} to ${formatDate(period.to)}`);
+    log("");
+
+    // Balances are live; flows come from the index
+    const events = loadFlowEvents(db, period);
+    const supported = (await treasury.getSupportedTokens()).map((token) => ethers.getAddress(token));
+    const metadata = await loadTokenMetadata([...new Set([...supported, ...getFlowTokens(events)])]);
+    const holdings = await loadHoldings(treasury, metadata);
+    const report = {
+      network: network.name,
+      treasury: addresses.treasury,
+      indexedBlock: state.lastBlock,
+      period,
+      holdings,
+      ...summarizeFlows(events, { holdings, metadata }),
+    };
+
+    let output = null;
+    if (format === "json") {
+      output = JSON.stringify(toJson(report), null, 2) + "\n";
+    } else if (format === "markdown") {
+      output = renderMarkdown(report);
+    } else {
+      printReport(report);
+    }
+
+    if (output !== null) {
+      if (outFile) {
+        fs.writeFileSync(outFile, output);
+        log(`📝 Report with ${events.length} event(s) written to ${outFile}`);
+      } else {
+        process.stdout.write(output);
+      }
+    }
+    return report;
+  } finally {
+    db.close();
+  }
+}
+
+// Execute treasury report
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Treasury report failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -1,82 +1,378 @@
-const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ethers, upgrades, network } = require("hardhat");
+const { requireAddresses, loadDeployment, updateDeployment } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { getOperationState, formatEta, getLatestTimestamp } = require("./lib/timelock");
+const { createSenderFromEnv } = require("./lib/transactions");
+const { forkNetwork, rehearseUpgrade } = require("./lib/rehearsal");
 require("dotenv").config();
 
-async function main() {
+// Contracts whose _authorizeUpgrade accepts calls from the timelock
+const UPGRADEABLE = {
+  token: "HYPEYToken",
+  treasury: "HYPEYTreasury",
+  vesting: "HypeyVesting",
+};
+
+const ACTIONS = ["schedule", "execute", "status"];
+
+// Options that take a value, so parseArgs does not read it as a positional
+const VALUE_OPTIONS = ["--rehearse", "--delay", "--id", "--fork-block", "--allow", "--out", "--executor"];
+
+function usage() {
+  console.log("Usage:");
+  console.log("  UPGRADE_CONTRACT=<contract> npx hardhat run scripts/upgrade.js --network <network>");
+  console.log("  UPGRADE_ACTION=execute UPGRADE_CONTRACT=<contract> npx hardhat run scripts/upgrade.js --network <network>");
+  console.log("  UPGRADE_ACTION=status npx hardhat run scripts/upgrade.js --network <network>");
+  console.log("  UPGRADE_REHEARSE=<network> UPGRADE_CONTRACT=<contract> npx hardhat run scripts/upgrade.js");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/upgrade.js [schedule|execute|status] [contract]");
+  console.log("  node scripts/upgrade.js --rehearse <network> <contract>");
+  console.log("Where <contract> is one of: token, treasury, vesting");
+}
+
+// Reads the action and contract from env vars or, under plain node, argv
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((arg, i) => !arg.startsWith("--") && !arg.endsWith(".js") && !VALUE_OPTIONS.includes(args[i - 1]));
+  let action = process.env.UPGRADE_ACTION;
+  if (!action && ACTIONS.includes(positional[0])) {
+    action = positional.shift();
+  }
+  const rehearse = getOption("rehearse", "UPGRADE_REHEARSE");
+  if (rehearse || hasFlag("rehearse")) {
+    return { action: "rehearse", target: rehearse, contract: (process.env.UPGRADE_CONTRACT || positional[0] || "").toLowerCase() || undefined };
+  }
+  return {
+    action: (action || "schedule").toLowerCase(),
+    contract: (process.env.UPGRADE_CONTRACT || positional[0] || "").toLowerCase() || undefined,
+  };
+}
+
+async function getTimelock(timelockAddress) {
+  return ethers.getContractAt("MockTimelock", timelockAddress);
+}
+
+/**
+ * Step 1: deploy the new implementation and schedule `upgradeTo` on the
+ * timelock. The operation is recorded under `pendingUpgrades` in the
+ * deployment registry so `execute` and `status` can find it later.
+ */
+async function schedule(contractKey) {
+  const contractName = UPGRADEABLE[contractKey];
+  const { addresses } = requireAddresses(network.name, [contractKey, "timelock"]);
+  const proxyAddress = addresses[contractKey];
+  const timelock = await getTimelock(addresses.timelock);
+  const sender = await createSenderFromEnv({ addresses, name: `Schedule ${contractName} upgrade` });
+
+  console.log(`🔄 Scheduling upgrade of ${contractName} at ${proxyAddress}...`);
+
+  // Checked first: prepareUpgrade deploys the implementation, which costs gas on a live network
+  if (!(await timelock.hasRole(await timelock.PROPOSER_ROLE(), sender.from))) {
+    throw new Error(
+      `${sender.from} lacks PROPOSER_ROLE on the timelock. Set SAFE_EXPORT=<file> to export the schedule call for the multisig.`
+    );
+  }
+
+  // Validates storage layout against the .openzeppelin manifest and deploys
+  // the implementation (or reuses an identical one already deployed)
+  console.log("   📦 Preparing new implementation...");
+  const ContractFactory = await ethers.getContractFactory(contractName);
+  const newImplementation = await upgrades.prepareUpgrade(proxyAddress, ContractFactory, { kind: "uups" });
+  const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log(`   Current implementation: ${currentImplementation}`);
+  console.log(`   New implementation:     ${newImplementation}`);
+
+  if (currentImplementation.toLowerCase() === newImplementation.toLowerCase()) {
+    console.log("   ℹ️  Proxy already runs this implementation, nothing to schedule");
+    return null;
+  }
+
+  const minDelay = await timelock.getMinDelay();
+  const delay = BigInt(getOption("delay", "UPGRADE_DELAY", minDelay.toString()));
+  if (delay < minDelay) {
+    throw new Error(`Delay ${delay}s is below the timelock minDelay of ${minDelay}s`);
+  }
+
+  const proxy = await ethers.getContractAt(contractName, proxyAddress);
+  const data = proxy.interface.encodeFunctionData("upgradeTo", [newImplementation]);
+  const predecessor = ethers.ZeroHash;
+  const salt = ethers.id(`${contractName}:${newImplementation}:${Date.now()}`);
+  const id = await timelock.hashOperation(proxyAddress, 0, data, predecessor, salt);
+
+  const operation = {
+    id,
+    contract: contractKey,
+    contractName,
+    target: proxyAddress,
+    value: "0",
+    data,
+    predecessor,
+    salt,
+    delay: delay.toString(),
+    previousImplementation: currentImplementation,
+    newImplementation,
+    scheduleTx: null,
+    eta: null,
+  };
+
+  const result = await sender.submit(
+    `Schedule operation ${id}`,
+    timelock,
+    "schedule",
+    [proxyAddress, 0, data, predecessor, salt, delay]
+  );
+  if (result.hash) {
+    operation.scheduleTx = result.hash;
+    operation.eta = Number(await timelock.getTimestamp(id));
+    console.log(`   ⏰ Executable after: ${formatEta(operation.eta, await getLatestTimestamp())}`);
+  }
+  sender.finalize();
+
+  updateDeployment(network.name, (deployment) => {
+    deployment.pendingUpgrades = (deployment.pendingUpgrades || []).filter((op) => op.id !== id);
+    deployment.pendingUpgrades.push(operation);
+  });
+
+  console.log("\n📝 Run the execute step once the delay has passed:");
+  console.log(`   UPGRADE_CONTRACT=${contractKey} npm run upgrade:execute -- --network ${network.name}`);
+  return operation;
+}
+
+function findPendingUpgrade(contractKey) {
+  const deployment = loadDeployment(network.name);
+  const pending = (deployment && deployment.pendingUpgrades) || [];
+  const id = getOption("id", "UPGRADE_ID");
+  const matches = pending.filter((op) => (id ? op.id === id : op.contract === contractKey));
+
+  if (matches.length === 0) {
+    throw new Error(`No pending upgrade for ${id || contractKey} in deployments/${network.name}.json`);
+  }
+  // Most recently scheduled wins when several target the same contract
+  return matches[matches.length - 1];
+}
+
+/**
+ * Step 2: execute a ready operation through the timelock. The signer must be
+ * a timelock executor and hold MULTISIG_ADMIN_ROLE on the proxy, because
+ * _authorizeUpgrade checks tx.origin.
+ */
+async function execute(contractKey) {
+  const operation = findPendingUpgrade(contractKey);
+  const { addresses } = requireAddresses(network.name, ["timelock"]);
+  const timelock = await getTimelock(addresses.timelock);
+  const sender = await createSenderFromEnv({ addresses, name: `Execute ${operation.contractName} upgrade` });
+  const proxy = await ethers.getContractAt(operation.contractName, operation.target);
+
+  console.log(`🔄 Executing upgrade of ${operation.contractName} at ${operation.target}...`);
+  console.log(`   Operation: ${operation.id}`);
+
+  const { state, eta } = await getOperationState(timelock, operation.id);
+  if (state === "done") {
+    // Executed elsewhere, e.g. from an exported Safe batch: only record it
+    console.log("   ℹ️  Operation already executed on the timelock, updating the registry");
+    return recordExecuted(operation, proxy, null);
+  }
+  if (state !== "ready") {
+    const details = {
+      pending: `ETA ${formatEta(eta, await getLatestTimestamp())}`,
+      done: "already executed",
+      unset: "not scheduled on the timelock, or cancelled",
+    };
+    const detail = details[state];
+    throw new Error(`Operation is ${state} (${detail})`);
+  }
+
+  if (!(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), sender.from))) {
+    throw new Error(
+      `${sender.from} lacks EXECUTOR_ROLE on the timelock. Set SAFE_EXPORT=<file> to export the execute call for the multisig.`
+    );
+  }
+  if (sender.mode === "export") {
+    console.log("   ⚠️  _authorizeUpgrade checks tx.origin: the Safe owner who executes this batch must hold MULTISIG_ADMIN_ROLE");
+  } else if (!(await proxy.hasRole(await proxy.MULTISIG_ADMIN_ROLE(), sender.from))) {
+    throw new Error(`${sender.from} lacks MULTISIG_ADMIN_ROLE on ${operation.contractName}, required as tx.origin`);
+  }
+
+  const args = [operation.target, operation.value, operation.data, operation.predecessor, operation.salt];
+  const result = await sender.submit(`Execute operation ${operation.id}`, timelock, "execute", args);
+  if (!result.hash) {
+    sender.finalize();
+    console.log("   Re-run this step after the Safe transaction executes to record the upgrade");
+    return null;
+  }
+  return recordExecuted(operation, proxy, result.receipt);
+}
+
+// Checks the implementation slot and moves the operation to the upgrade history
+async function recordExecuted(operation, proxy, receipt) {
+  const implementation = await upgrades.erc1967.getImplementationAddress(operation.target);
+  if (implementation.toLowerCase() !== operation.newImplementation.toLowerCase()) {
+    throw new Error(`Implementation is ${implementation}, expected ${operation.newImplementation}`);
+  }
+  console.log(`   📍 Proxy address (unchanged): ${operation.target}`);
+  console.log(`   📦 Implementation: ${implementation}`);
+
+  updateDeployment(network.name, (deployment) => {
+    deployment.pendingUpgrades = (deployment.pendingUpgrades || []).filter((op) => op.id !== operation.id);
+    deployment.upgrades = deployment.upgrades || [];
+    deployment.upgrades.push({
+      ...operation,
+      executeTx: receipt ? receipt.hash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+    });
+    if (deployment.contracts && deployment.contracts[operation.contract]) {
+      deployment.contracts[operation.contract].implementation = implementation;
+    }
+  });
+
+  // Verify the upgrade
+  console.log("\n🔍 Verifying upgrade...");
+  if (operation.contractName === "HYPEYToken") {
+    console.log(`   Token Name: ${await proxy.name()}`);
+    console.log(`   Token Symbol: ${await proxy.symbol()}`);
+  }
+  console.log(`   Builder: ${await proxy.builder()}`);
+
+  console.log("\n🎉 Upgrade completed successfully!");
+  return { ...operation, executeTx: receipt ? receipt.hash : null };
+}
+
+// Lists recorded upgrade operations with their timelock state and ETA
+async function status() {
+  const { addresses, deployment } = requireAddresses(network.name, ["timelock"]);
+  const timelock = await getTimelock(addresses.timelock);
+  const now = await getLatestTimestamp();
+  const pending = (deployment && deployment.pendingUpgrades) || [];
+
+  console.log(`⏰ Timelock: ${addresses.timelock} (minDelay ${await timelock.getMinDelay()}s)\n`);
+
+  if (pending.length === 0) {
+    console.log("   No pending upgrades");
+    return [];
+  }
+
+  const rows = [];
+  for (const operation of pending) {
+    const { state, eta } = await getOperationState(timelock, operation.id);
+    rows.push({ ...operation, state, eta });
+    console.log(`   ${operation.contractName} → ${operation.newImplementation}`);
+    console.log(`      Operation: ${operation.id}`);
+    console.log(`      State:     ${state}`);
+    console.log(`      ETA:       ${formatEta(eta, now)}`);
+  }
+  return rows;
+}
+
+/**
+ * Dry run of schedule + execute on a fork of `target` in the in-process
+ * hardhat network, impersonating the multisig, the timelock and an EOA
+ * holding MULTISIG_ADMIN_ROLE (UPGRADE_REHEARSE_EXECUTOR, or found on the
+ * fork) as tx.origin. Nothing is sent to `target`. Fails when an invariant changes that is not listed in
+ * UPGRADE_REHEARSE_ALLOW.
+ */
+async function rehearse(contractKey, target) {
+  const contractName = UPGRADEABLE[contractKey];
+  if (!target) {
+    throw new Error("--rehearse needs the network to fork, e.g. --rehearse mainnet");
+  }
+  // Addresses come from the registry of the network being forked
+  const { addresses, deployment } = requireAddresses(target, ["token", "treasury", "vesting", "timelock", "multisig"]);
+  const allow = getOption("allow", "UPGRADE_REHEARSE_ALLOW", "")
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  const outFile = getOption("out", "UPGRADE_REHEARSE_OUT");
+
+  console.log(`🎭 Rehearsing the ${contractName} upgrade on a fork of ${target}...`);
+  const fork = await forkNetwork(target, getOption("fork-block", "UPGRADE_FORK_BLOCK"));
+  console.log(`   Forked at block ${fork.blockNumber}`);
+  if (fork.manifest) {
+    console.log(`   Upgrades manifest: ${fork.manifest}`);
+  } else {
+    console.log(`   ⚠️  No upgrades manifest for ${target} on this machine: the deployed storage layouts are unknown`);
+  }
+
+  // Role grants and vesting schedules all come after the first recorded deployment
+  const blocks = Object.values((deployment && deployment.contracts) || {}).map((record) => record.blockNumber);
+  const fromBlock = blocks.every(Number.isInteger) && blocks.length > 0 ? Math.min(...blocks) : 0;
+  const result = await rehearseUpgrade({
+    contractKey,
+    contractName,
+    addresses,
+    executor: getOption("executor", "UPGRADE_REHEARSE_EXECUTOR"),
+    fromBlock,
+    allow,
+  });
+
+  // A mistyped path would silently allow nothing
+  const lookup = (object, prefix) => prefix.split(".").reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), object);
+  const unknown = allow.filter((prefix) => lookup(result.before, prefix) === undefined && lookup(result.after, prefix) === undefined);
+  if (unknown.length > 0) {
+    throw new Error(`UPGRADE_REHEARSE_ALLOW names no invariant: ${unknown.map((prefix) => `"${prefix}"`).join(", ")}`);
+  }
+
+  if (outFile) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify({ target, forkBlock: fork.blockNumber, allow, ...result }, null, 2) + "\n");
+    console.log(`   💾 Before/after invariants written to ${outFile}`);
+  }
+
+  const schedules = Object.values(result.before.vesting.schedules).reduce((count, list) => count + Object.keys(list).length, 0);
+  console.log(`\n🔍 Invariants compared: supply, key balances, ${schedules} vesting schedule(s), treasury tokens, roles`);
+  const failedReads = result.errors.after.filter((error) => !result.errors.before.some((previous) => previous.path === error.path));
+  failedReads.forEach((error) => console.log(`   ❌ ${error.path} fails after the upgrade: ${error.message}`));
+  if (result.diff.length === 0) {
+    console.log("   ✅ Nothing changed");
+  }
+  for (const item of result.diff) {
+    console.log(`   ${item.allowed ? "⚠️  (allowed)" : "❌"} ${item.path}: ${JSON.stringify(item.before)} → ${JSON.stringify(item.after)}`);
+  }
+
+  const blocking = result.diff.filter((item) => !item.allowed);
+  if (blocking.length > 0 || failedReads.length > 0) {
+    throw new Error(`Rehearsal changed ${blocking.length} invariant(s) and broke ${failedReads.length} read(s)`);
+  }
+  console.log(`\n🎉 Rehearsal passed. Nothing was sent to ${target}; schedule the real upgrade with:`);
+  console.log(`   UPGRADE_CONTRACT=${contractKey} npm run upgrade -- --network ${target}`);
+  return result;
+}
+
+async function main(options = {}) {
   console.log("🔄 HYPEY Contract Upgrade Script\n");
 
-  // Get contract addresses from environment
-  const tokenAddress = process.env.TOKEN_ADDRESS;
-  const treasuryAddress = process.env.TREASURY_ADDRESS;
-  const vestingAddress = process.env.VESTING_ADDRESS;
+  const { action, contract, target } = { ...parseArgs(), ...options };
 
-  if (!tokenAddress || !treasuryAddress || !vestingAddress) {
-    throw new Error("Missing contract addresses in .env file");
+  if (action !== "rehearse" && !ACTIONS.includes(action)) {
+    usage();
+    throw new Error(`Unknown action: ${action}`);
   }
 
   console.log("📋 Upgrade Configuration:");
-  console.log(`   Token: ${tokenAddress}`);
-  console.log(`   Treasury: ${treasuryAddress}`);
-  console.log(`   Vesting: ${vestingAddress}`);
+  console.log(`   Network: ${network.name}`);
+  console.log(`   Action: ${action}`);
+  if (action === "rehearse") {
+    console.log(`   Fork of: ${target || "(missing)"}`);
+  }
   console.log("");
 
-  // Get the contract to upgrade (change this as needed)
-  const contractToUpgrade = process.argv[2]; // token, treasury, or vesting
-  
-  if (!contractToUpgrade) {
-    console.log("Usage: npx hardhat run scripts/upgrade.js --network <network> <contract>");
-    console.log("Where <contract> is one of: token, treasury, vesting");
-    return;
-  }
-
-  let contractAddress, contractName;
-  
-  switch (contractToUpgrade.toLowerCase()) {
-    case 'token':
-      contractAddress = tokenAddress;
-      contractName = "HYPEYToken";
-      break;
-    case 'treasury':
-      contractAddress = treasuryAddress;
-      contractName = "HYPEYTreasury";
-      break;
-    case 'vesting':
-      contractAddress = vestingAddress;
-      contractName = "HypeyVesting";
-      break;
-    default:
-      throw new Error(`Unknown contract: ${contractToUpgrade}`);
-  }
-
-  console.log(`🔄 Upgrading ${contractName} at ${contractAddress}...`);
+  if (action === "status") {
+    return status();
+  }
+
+  if (!contract && !(action === "execute" && getOption("id", "UPGRADE_ID"))) {
+    usage();
+    throw new Error(`No contract to ${action}: set UPGRADE_CONTRACT to one of ${Object.keys(UPGRADEABLE).join(", ")}`);
+  }
+  if (contract && !UPGRADEABLE[contract]) {
+    throw new Error(`Unknown contract: ${contract}`);
+  }
 
   try {
-    // Get the new contract factory
-    const ContractFactory = await ethers.getContractFactory(contractName);
-    
-    // Perform the upgrade
-    console.log("   📦 Deploying new implementation...");
-    const upgraded = await upgrades.upgradeProxy(contractAddress, ContractFactory);
-    await upgraded.waitForDeployment();
-    
-    console.log(`   ✅ ${contractName} upgraded successfully!`);
-    console.log(`   📍 Proxy address (unchanged): ${contractAddress}`);
-    
-    // Verify the upgrade
-    console.log("\n🔍 Verifying upgrade...");
-    const contract = await ethers.getContractAt(contractName, contractAddress);
-    
-    if (contractName === "HYPEYToken") {
-      const name = await contract.name();
-      const symbol = await contract.symbol();
-      console.log(`   Token Name: ${name}`);
-      console.log(`   Token Symbol: ${symbol}`);
+    if (action === "rehearse") {
+      return await rehearse(contract, target);
     }
-    
-    const builder = await contract.builder();
-    console.log(`   Builder: ${builder}`);
-    
-    console.log("\n🎉 Upgrade completed successfully!");
-    
+    return action === "schedule" ? await schedule(contract) : await execute(contract);
   } catch (error) {
     console.error("❌ Upgrade failed:", error.message);
     throw error;
@@ -93,4 +389,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
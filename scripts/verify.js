@@ -1,73 +1,62 @@
-const { run } = require("hardhat");
+const { network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { verifyContract } = require("./lib/verification");
 require("dotenv").config();
 
+// Registry contract key → contract name in the local build
+const VERIFIED_CONTRACTS = {
+  token: "HYPEYToken",
+  treasury: "HYPEYTreasury",
+  vesting: "HypeyVesting",
+  timelock: "MockTimelock",
+};
+
+const RESULT_ICONS = { verified: "✅", failed: "❌" };
+
+function printSummary(rows) {
+  const header = ["Contract", "Address", "Implementation", "Result"];
+  const lines = rows.map((row) => [row.key, row.address, row.implementation || "-", `${RESULT_ICONS[row.result]} ${row.result}`]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  const format = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+  console.log(format(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
 async function main() {
   console.log("🔍 Verifying HYPEY Contracts on Block Explorer\n");
 
-  // Get contract addresses from environment
-  const tokenAddress = process.env.TOKEN_ADDRESS;
-  const treasuryAddress = process.env.TREASURY_ADDRESS;
-  const vestingAddress = process.env.VESTING_ADDRESS;
-  const timelockAddress = process.env.TIMELOCK_ADDRESS;
-  const multisigAddress = process.env.MULTISIG_ADDRESS;
-  const reserveBurnAddress = process.env.RESERVE_BURN_ADDRESS;
-
-  if (!tokenAddress || !treasuryAddress || !vestingAddress) {
-    throw new Error("Missing contract addresses in .env file");
-  }
+  // Get contract addresses from the deployment registry (env vars override)
+  const { addresses } = requireAddresses(network.name);
 
   console.log("📋 Contracts to verify:");
-  console.log(`   Token: ${tokenAddress}`);
-  console.log(`   Treasury: ${treasuryAddress}`);
-  console.log(`   Vesting: ${vestingAddress}`);
-  if (timelockAddress) console.log(`   Timelock: ${timelockAddress}`);
+  for (const key of Object.keys(VERIFIED_CONTRACTS)) {
+    if (addresses[key]) console.log(`   ${VERIFIED_CONTRACTS[key]}: ${addresses[key]}`);
+  }
   console.log("");
 
-  try {
-    // Verify HYPEYToken
-    console.log("🪙 Verifying HYPEYToken...");
-    await run("verify:verify", {
-      address: tokenAddress,
-      constructorArguments: [],
-    });
-    console.log("   ✅ HYPEYToken verified");
-
-    // Verify HYPEYTreasury
-    console.log("\n🏦 Verifying HYPEYTreasury...");
-    await run("verify:verify", {
-      address: treasuryAddress,
-      constructorArguments: [],
-    });
-    console.log("   ✅ HYPEYTreasury verified");
-
-    // Verify HypeyVesting
-    console.log("\n⏳ Verifying HypeyVesting...");
-    await run("verify:verify", {
-      address: vestingAddress,
-      constructorArguments: [],
-    });
-    console.log("   ✅ HypeyVesting verified");
-
-    // Verify MockTimelock if address is provided
-    if (timelockAddress) {
-      console.log("\n⏰ Verifying MockTimelock...");
-      await run("verify:verify", {
-        address: timelockAddress,
-        constructorArguments: [],
-      });
-      console.log("   ✅ MockTimelock verified");
+  // Every contract is attempted; failures are collected for the summary
+  const rows = [];
+  for (const [key, contractName] of Object.entries(VERIFIED_CONTRACTS)) {
+    if (!addresses[key]) {
+      continue;
     }
+    console.log(`🔎 Verifying ${contractName}...`);
+    const row = await verifyContract({ key, contractName, address: addresses[key] });
+    console.log(`   ${RESULT_ICONS[row.result]} ${row.detail}\n`);
+    rows.push(row);
+  }
 
-    console.log("\n🎉 All contracts verified successfully!");
-    
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log("   ℹ️  Contract already verified");
-    } else {
-      console.error("❌ Verification failed:", error.message);
-      throw error;
-    }
+  console.log("📊 Summary:");
+  printSummary(rows);
+  console.log("");
+
+  const failed = rows.filter((row) => row.result === "failed");
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${rows.length} contract(s) failed to verify: ${failed.map((row) => row.key).join(", ")}`);
   }
+  console.log("🎉 All contracts verified successfully!");
+  return rows;
 }
 
 // Execute verification
@@ -75,9 +64,9 @@ if (require.main === module) {
   main()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error("❌ Verification script failed:", error);
+      console.error("❌ Verification script failed:", error.message);
       process.exit(1);
     });
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { requireAddresses } = require("./lib/deployments");
+const { hasFlag, getOption } = require("./lib/cli");
+const { getVestingBeneficiaries } = require("./lib/vesting-import");
+const { buildStatement, renderMarkdown, renderJson, renderCsv } = require("./lib/vesting-statement");
+require("dotenv").config();
+
+const FORMATS = ["md", "json", "csv"];
+
+function usage() {
+  console.log("Usage:");
+  console.log("  STATEMENT_BENEFICIARY=<address>[,<address>...] npx hardhat run scripts/vesting-statement.js --network <network>");
+  console.log("  STATEMENT_ALL=true STATEMENT_FORMAT=md,csv npx hardhat run scripts/vesting-statement.js --network <network>");
+  console.log("  HARDHAT_NETWORK=<network> node scripts/vesting-statement.js --beneficiary <address> [--format md|json|csv] [--block <n>] [--out-dir <dir>]");
+}
+
+// With --all, the beneficiaries as of `blockTag`, like the schedules read for them
+async function getBeneficiaries(vesting, fromBlock, blockTag) {
+  if (hasFlag("all", "STATEMENT_ALL")) {
+    return getVestingBeneficiaries(vesting, fromBlock, blockTag);
+  }
+  const list = getOption("beneficiary", "STATEMENT_BENEFICIARY");
+  if (!list) {
+    return [];
+  }
+  return list.split(",").map((value) => {
+    if (!ethers.isAddress(value.trim())) {
+      throw new Error(`${value} is not an address`);
+    }
+    return ethers.getAddress(value.trim());
+  });
+}
+
+async function main() {
+  const formats = getOption("format", "STATEMENT_FORMAT", "md").toLowerCase().split(",");
+  const unknown = formats.filter((format) => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format: ${unknown.join(", ")} (expected ${FORMATS.join(", ")})`);
+  }
+
+  const { addresses, deployment } = requireAddresses(network.name, ["vesting"]);
+  const vesting = await ethers.getContractAt("HypeyVesting", addresses.vesting);
+  const fromBlock = (deployment && deployment.contracts.vesting && deployment.contracts.vesting.blockNumber) || 0;
+  const block = getOption("block", "STATEMENT_BLOCK");
+  const blockTag = block === undefined ? "latest" : Number(block);
+
+  const beneficiaries = await getBeneficiaries(vesting, fromBlock, blockTag);
+  if (beneficiaries.length === 0) {
+    usage();
+    return [];
+  }
+
+  const statements = [];
+  for (const beneficiary of beneficiaries) {
+    statements.push(await buildStatement(vesting, beneficiary, { fromBlock, blockTag }));
+  }
+
+  // A single statement in a single format goes to stdout, ready to pipe
+  let outDir = getOption("out-dir", "STATEMENT_OUT_DIR");
+  if (!outDir && statements.length === 1 && formats.length === 1) {
+    const [statement] = statements;
+    const render = { md: renderMarkdown, json: renderJson, csv: () => renderCsv(statements) }[formats[0]];
+    process.stdout.write(render(statement, { network: network.name }));
+    return statements;
+  }
+
+  console.log("🧾 HYPEY Vesting Statements\n");
+  if (!outDir) {
+    const date = new Date(Number(statements[0].asOf) * 1000).toISOString().slice(0, 10);
+    outDir = path.join(__dirname, "..", "reports", "statements", `${network.name}-${date}`);
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const statement of statements) {
+    if (formats.includes("md")) {
+      fs.writeFileSync(path.join(outDir, `${statement.beneficiary}.md`), renderMarkdown(statement, { network: network.name }));
+    }
+    if (formats.includes("json")) {
+      fs.writeFileSync(path.join(outDir, `${statement.beneficiary}.json`), renderJson(statement, { network: network.name }));
+    }
+    console.log(
+      `   ✅ ${statement.beneficiary}: ${statement.schedules.length} schedule(s), ` +
+        `${ethers.formatEther(statement.totals.releasable)} HYPEY releasable, ${statement.claims.length} claim(s)`
+    );
+  }
+  if (formats.includes("csv")) {
+    fs.writeFileSync(path.join(outDir, "statements.csv"), renderCsv(statements));
+  }
+
+  console.log(`\n📝 ${statements.length} statement(s) as of block ${statements[0].blockNumber} written to ${outDir}`);
+  return statements;
+}
+
+// Execute statement report
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Statement generation failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,186 @@
+const { task } = require("hardhat/config");
+const { addAdminParams, getTaskContract, runAdminCall } = require("../scripts/lib/tasks");
+const { parseTokenAmount, parseBurnRate, parseAccount, parseSwitch } = require("../scripts/lib/token-admin");
+
+// Owner operations on HYPEYToken, e.g.
+//   npx hardhat token:set-burn-rate 1.5% --network sepolia
+//   npx hardhat token:distribute 0x... 250m --network mainnet --safe-export distribute.json
+// Every task pre-flights the call from the sending account and asks before
+// sending on a live network (skip with --yes).
+
+function tokenTask(name, description) {
+  return addAdminParams(task(name, description), "HYPEYToken address (default: the deployment registry)");
+}
+
+function formatHYPEY(hre, amount) {
+  return `${hre.ethers.formatEther(amount)} HYPEY`;
+}
+
+tokenTask("token:set-burn-rate", "Set the burn rate on ordinary transfers (max 300 bps)")
+  .addPositionalParam("rate", "Basis points (150) or percent (1.5%)")
+  .setAction(async (args, hre) => {
+    console.log("🔥 Set burn rate\n");
+    const rate = parseBurnRate(args.rate);
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const current = await token.burnRateBasisPoints();
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setBurnRate",
+      args: [rate],
+      label: `Set burn rate to ${rate} bps`,
+      changes: [["Burn rate", `${current} bps`, `${rate} bps`]],
+      options: args,
+    });
+  });
+
+tokenTask("token:exempt", "Exempt a wallet from transfer burns, or remove the exemption")
+  .addPositionalParam("wallet", "Wallet address")
+  .addFlag("remove", "Remove the exemption instead")
+  .setAction(async (args, hre) => {
+    console.log("🛡️  Burn exemption\n");
+    const wallet = parseAccount(args.wallet, { zeroMessage: "Invalid wallet address" });
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const exempt = !args.remove;
+    const current = await token.exemptFromBurn(wallet);
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setExemptFromBurn",
+      args: [wallet, exempt],
+      label: `${exempt ? "Exempt" : "Unexempt"} ${wallet}`,
+      changes: [["Exempt from burn", String(current), String(exempt)]],
+      options: args,
+    });
+  });
+
+tokenTask("token:set-dex-pair", "Set the DEX pair that decides buy (0%) and sell (4% / 16%) taxes")
+  .addPositionalParam("pair", "Pair contract address")
+  .setAction(async (args, hre) => {
+    console.log("💱 Set DEX pair\n");
+    const pair = parseAccount(args.pair, { zeroMessage: "Invalid pair address" });
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    if ((await hre.ethers.provider.getCode(pair)) === "0x") {
+      console.log(`⚠️  ${pair} has no contract code; a DEX pair is normally a contract\n`);
+    }
+    const current = await token.dexPair();
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setDexPair",
+      args: [pair],
+      label: `Set DEX pair to ${pair}`,
+      changes: [["DEX pair", current === hre.ethers.ZeroAddress ? "not set" : current, pair]],
+      options: args,
+    });
+  });
+
+tokenTask("token:approve-platform", "Approve a platform to call burnPlatformFee, or revoke it")
+  .addPositionalParam("platform", "Platform address")
+  .addFlag("revoke", "Revoke the approval instead")
+  .setAction(async (args, hre) => {
+    console.log("🏪 Platform approval\n");
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const platform = parseAccount(args.platform, {
+      zeroMessage: "Invalid platform address",
+      selfMessage: "Cannot approve self",
+      token: await token.getAddress(),
+    });
+    const approved = !args.revoke;
+    const current = await token.approvedPlatforms(platform);
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setPlatformApproved",
+      args: [platform, approved],
+      label: `${approved ? "Approve" : "Revoke"} platform ${platform}`,
+      changes: [["Approved platform", String(current), String(approved)]],
+      options: args,
+    });
+  });
+
+tokenTask("token:approve-nft", "Approve an NFT contract to call burnForNFT, or revoke it")
+  .addPositionalParam("nft", "NFT contract address")
+  .addFlag("revoke", "Revoke the approval instead")
+  .setAction(async (args, hre) => {
+    console.log("🖼️  NFT contract approval\n");
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const nft = parseAccount(args.nft, {
+      zeroMessage: "Invalid NFT contract address",
+      selfMessage: "Cannot approve self",
+      token: await token.getAddress(),
+    });
+    const approved = !args.revoke;
+    const current = await token.approvedNFTContracts(nft);
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setNFTContractApproved",
+      args: [nft, approved],
+      label: `${approved ? "Approve" : "Revoke"} NFT contract ${nft}`,
+      changes: [["Approved NFT contract", String(current), String(approved)]],
+      options: args,
+    });
+  });
+
+tokenTask("token:distribute", "Send undistributed supply held by the token contract (untaxed)")
+  .addPositionalParam("recipient", "Recipient address")
+  .addPositionalParam("amount", "HYPEY amount, e.g. 250000, 250,000 or 250k")
+  .setAction(async (args, hre) => {
+    console.log("💰 Distribute initial supply\n");
+    const recipient = parseAccount(args.recipient, { zeroMessage: "Invalid recipient" });
+    const amount = parseTokenAmount(args.amount);
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const [available, balance] = await Promise.all([token.balanceOf(await token.getAddress()), token.balanceOf(recipient)]);
+    if (available < amount) {
+      throw new Error(`Insufficient contract balance: ${formatHYPEY(hre, available)} left to distribute`);
+    }
+    return runAdminCall(hre, {
+      contract: token,
+      method: "distributeInitialSupply",
+      args: [recipient, amount],
+      label: `Distribute ${formatHYPEY(hre, amount)} to ${recipient}`,
+      changes: [
+        ["Undistributed supply", formatHYPEY(hre, available), formatHYPEY(hre, available - amount)],
+        ["Recipient balance", formatHYPEY(hre, balance), formatHYPEY(hre, balance + amount)],
+      ],
+      options: args,
+    });
+  });
+
+tokenTask("token:burn-kpi", "Burn HYPEY from the owner's balance for a KPI milestone")
+  .addPositionalParam("amount", "HYPEY amount, e.g. 1000000 or 1m")
+  .setAction(async (args, hre) => {
+    console.log("🎯 KPI burn\n");
+    const amount = parseTokenAmount(args.amount);
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    // burnKPIEvent burns from the caller, which can only be the owner
+    const owner = await token.owner();
+    const [balance, supply] = await Promise.all([token.balanceOf(owner), token.totalSupply()]);
+    if (balance < amount) {
+      throw new Error(`ERC20: burn amount exceeds balance (owner ${owner} holds ${formatHYPEY(hre, balance)})`);
+    }
+    return runAdminCall(hre, {
+      contract: token,
+      method: "burnKPIEvent",
+      args: [amount],
+      label: `KPI burn of ${formatHYPEY(hre, amount)}`,
+      changes: [
+        ["Owner balance", formatHYPEY(hre, balance), formatHYPEY(hre, balance - amount)],
+        ["Total supply", formatHYPEY(hre, supply), formatHYPEY(hre, supply - amount)],
+      ],
+      options: args,
+    });
+  });
+
+tokenTask("token:dynamic-burn", "Turn the dynamicBurnEnabled flag on or off")
+  .addPositionalParam("enabled", "on or off")
+  .setAction(async (args, hre) => {
+    console.log("📈 Dynamic burn\n");
+    const enabled = parseSwitch(args.enabled, "enabled");
+    const token = await getTaskContract(hre, "token", "HYPEYToken", args.address);
+    const current = await token.dynamicBurnEnabled();
+    return runAdminCall(hre, {
+      contract: token,
+      method: "setDynamicBurnEnabled",
+      args: [enabled],
+      label: `${enabled ? "Enable" : "Disable"} dynamic burn`,
+      changes: [["Dynamic burn", current ? "on" : "off", enabled ? "on" : "off"]],
+      options: args,
+    });
+  });
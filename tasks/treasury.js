@@ -0,0 +1,271 @@
+const { task } = require("hardhat/config");
+const { addAdminParams, getTaskContract, runAdminCall, runAdminCalls } = require("../scripts/lib/tasks");
+const { parseTokenAmount, parseAccount } = require("../scripts/lib/token-admin");
+const { MAX_WITHDRAWAL, ERC20_ABI, splitAmount, quoteReceived } = require("../scripts/lib/treasury-admin");
+const { readTaxState } = require("../scripts/lib/transfer-tax");
+
+// HYPEYTreasury operations, e.g.
+//   npx hardhat treasury:disburse 0xToken 0xRecipient 2.5m --split --network mainnet --safe-export payout.json
+// Limits, support, pause state and balances are checked before the
+// pre-flight, and a disbursement above the per-call cap is refused unless
+// --split lets it go out as several capped calls.
+
+function treasuryTask(name, description) {
+  return addAdminParams(task(name, description), "HYPEYTreasury address (default: the deployment registry)");
+}
+
+async function getTokenInfo(hre, address) {
+  const erc20 = await hre.ethers.getContractAt(ERC20_ABI, address);
+  const [symbol, decimals] = await Promise.all([erc20.symbol().catch(() => "tokens"), erc20.decimals().catch(() => 18n)]);
+  return {
+    erc20,
+    symbol,
+    decimals: Number(decimals),
+    format: (amount) => `${hre.ethers.formatUnits(amount, decimals)} ${symbol}`,
+  };
+}
+
+// Null unless `token` is HYPEY and the transfer would be taxed
+async function getTaxedAmount(hre, token, from, to, chunks) {
+  const hypey = await hre.ethers.getContractAt("HYPEYToken", token);
+  let state;
+  try {
+    state = await readTaxState(hypey, from, to);
+  } catch (error) {
+    return null;
+  }
+  const total = chunks.reduce((sum, chunk) => sum + chunk, 0n);
+  const received = quoteReceived(state, chunks);
+  return received < total ? received : null;
+}
+
+// Splits against the per-call cap, or explains how to
+function planChunks(amount, split, format) {
+  if (amount <= MAX_WITHDRAWAL) {
+    return [amount];
+  }
+  if (!split) {
+    throw new Error(
+      `Amount exceeds maximum withdrawal limit of ${format(MAX_WITHDRAWAL)} per call; ` +
+        `pass --split to send it as ${splitAmount(amount).length} calls`
+    );
+  }
+  return splitAmount(amount);
+}
+
+async function requireNotPaused(treasury) {
+  if (await treasury.paused()) {
+    throw new Error("Pausable: paused (run treasury:unpause first)");
+  }
+}
+
+function chunkLabel(text, index, count) {
+  return count > 1 ? `${text} (${index + 1}/${count})` : text;
+}
+
+treasuryTask("treasury:add-token", "Add a token the treasury may disburse and accept deposits of")
+  .addPositionalParam("token", "Token address")
+  .setAction(async (args, hre) => {
+    console.log("➕ Add supported token\n");
+    const token = parseAccount(args.token, { zeroMessage: "Invalid token address" });
+    const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+    const [supported, list, max] = await Promise.all([
+      treasury.supportedTokens(token),
+      treasury.getSupportedTokens(),
+      treasury.MAX_SUPPORTED_TOKENS(),
+    ]);
+    if (supported) {
+      throw new Error("Token already supported");
+    }
+    if (BigInt(list.length) >= max) {
+      throw new Error(`Maximum supported tokens reached (${list.length}/${max}); remove one first`);
+    }
+    const { symbol } = await getTokenInfo(hre, token);
+    return runAdminCall(hre, {
+      contract: treasury,
+      method: "addSupportedToken",
+      args: [token],
+      label: `Support ${symbol} ${token}`,
+      changes: [["Supported tokens", `${list.length}/${max}`, `${list.length + 1}/${max}`]],
+      options: args,
+    });
+  });
+
+treasuryTask("treasury:remove-token", "Stop supporting a token")
+  .addPositionalParam("token", "Token address")
+  .setAction(async (args, hre) => {
+    console.log("➖ Remove supported token\n");
+    const token = parseAccount(args.token, { zeroMessage: "Token not supported" });
+    const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+    const [supported, list, max, balance] = await Promise.all([
+      treasury.supportedTokens(token),
+      treasury.getSupportedTokens(),
+      treasury.MAX_SUPPORTED_TOKENS(),
+      treasury.getERC20Balance(token),
+    ]);
+    if (!supported) {
+      throw new Error("Token not supported");
+    }
+    const { symbol, format } = await getTokenInfo(hre, token);
+    if (balance > 0n) {
+      console.log(`⚠️  The treasury still holds ${format(balance)}; it cannot be disbursed once unsupported\n`);
+    }
+    return runAdminCall(hre, {
+      contract: treasury,
+      method: "removeSupportedToken",
+      args: [token],
+      label: `Unsupport ${symbol} ${token}`,
+      changes: [["Supported tokens", `${list.length}/${max}`, `${list.length - 1}/${max}`]],
+      options: args,
+    });
+  });
+
+treasuryTask("treasury:disburse", "Send supported tokens from the treasury")
+  .addPositionalParam("token", "Token address")
+  .addPositionalParam("to", "Recipient address")
+  .addPositionalParam("amount", "Amount in whole tokens, e.g. 250000, 250,000 or 250k")
+  .addFlag("split", "Send amounts above the 1,000,000-token cap as several capped calls")
+  .setAction(async (args, hre) => {
+    console.log("💸 Disburse tokens\n");
+    const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+    const token = parseAccount(args.token, { zeroMessage: "Token not supported" });
+    if (!(await treasury.supportedTokens(token))) {
+      throw new Error("Token not supported");
+    }
+    const to = parseAccount(args.to, { zeroMessage: "Invalid recipient address" });
+    const { erc20, decimals, format } = await getTokenInfo(hre, token);
+    const amount = parseTokenAmount(args.amount, { decimals, zeroMessage: "Amount must be greater than zero" });
+    await requireNotPaused(treasury);
+
+    const treasuryAddress = await treasury.getAddress();
+    const [balance, recipientBalance] = await Promise.all([treasury.getERC20Balance(token), erc20.balanceOf(to)]);
+    if (balance < amount) {
+      throw new Error(`Insufficient treasury balance: it holds ${format(balance)}`);
+    }
+    const chunks = planChunks(amount, args.split, format);
+    const received = await getTaxedAmount(hre, token, treasuryAddress, to, chunks);
+    if (received !== null) {
+      console.log(`⚠️  The treasury is not exempt from the HYPEY transfer tax: ${to} receives ${format(received)} of ${format(amount)}\n`);
+    }
+
+    return runAdminCalls(hre, {
+      label: `Disburse ${format(amount)} to ${to}`,
+      calls: chunks.map((chunk, i) => ({
+        contract: treasury,
+        method: "disburseToken",
+        args: [token, to, chunk],
+        label: chunkLabel(`Disburse ${format(chunk)} to ${to}`, i, chunks.length),
+      })),
+      changes: [
+        ["Treasury balance", format(balance), format(balance - amount)],
+        ["Recipient balance", format(recipientBalance), format(recipientBalance + (received === null ? amount : received))],
+      ],
+      options: args,
+    });
+  });
+
+treasuryTask("treasury:disburse-eth", "Send ETH from the treasury")
+  .addPositionalParam("to", "Recipient address")
+  .addPositionalParam("amount", "Amount in ETH, e.g. 1.5")
+  .addFlag("split", "Send amounts above the 1,000,000 ETH cap as several capped calls")
+  .setAction(async (args, hre) => {
+    console.log("💸 Disburse ETH\n");
+    const { ethers } = hre;
+    const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+    const to = parseAccount(args.to, { zeroMessage: "Invalid recipient address" });
+    const amount = parseTokenAmount(args.amount, { zeroMessage: "Amount must be greater than zero" });
+    const format = (value) => `${ethers.formatEther(value)} ETH`;
+    await requireNotPaused(treasury);
+
+    const [balance, recipientBalance] = await Promise.all([treasury.getETHBalance(), ethers.provider.getBalance(to)]);
+    if (balance < amount) {
+      throw new Error(`Insufficient ETH balance: the treasury holds ${format(balance)}`);
+    }
+    const chunks = planChunks(amount, args.split, format);
+
+    return runAdminCalls(hre, {
+      label: `Disburse ${format(amount)} to ${to}`,
+      calls: chunks.map((chunk, i) => ({
+        contract: treasury,
+        method: "disburseETH",
+        args: [to, chunk],
+        label: chunkLabel(`Disburse ${format(chunk)} to ${to}`, i, chunks.length),
+      })),
+      changes: [
+        ["Treasury balance", format(balance), format(balance - amount)],
+        ["Recipient balance", format(recipientBalance), format(recipientBalance + amount)],
+      ],
+      options: args,
+    });
+  });
+
+treasuryTask("treasury:deposit", "Deposit supported tokens into the treasury, approving them first if needed")
+  .addPositionalParam("token", "Token address")
+  .addPositionalParam("amount", "Amount in whole tokens, e.g. 250000, 250,000 or 250k")
+  .setAction(async (args, hre) => {
+    console.log("📥 Deposit tokens\n");
+    const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+    const token = parseAccount(args.token, { zeroMessage: "Token not supported" });
+    if (!(await treasury.supportedTokens(token))) {
+      throw new Error("Token not supported");
+    }
+    const { erc20, decimals, symbol, format } = await getTokenInfo(hre, token);
+    const amount = parseTokenAmount(args.amount, { decimals });
+    const treasuryAddress = await treasury.getAddress();
+
+    return runAdminCalls(hre, {
+      label: `Deposit ${format(amount)}`,
+      // Balance and allowance belong to whoever deposits
+      plan: async (from) => {
+        const [balance, allowance, treasuryBalance] = await Promise.all([
+          erc20.balanceOf(from),
+          erc20.allowance(from, treasuryAddress),
+          treasury.getERC20Balance(token),
+        ]);
+        if (balance < amount) {
+          throw new Error(`Insufficient balance: ${from} holds ${format(balance)}`);
+        }
+        const received = await getTaxedAmount(hre, token, from, treasuryAddress, [amount]);
+        if (received !== null) {
+          console.log(`⚠️  ${from} is not exempt from the HYPEY transfer tax: the treasury receives ${format(received)} of ${format(amount)}\n`);
+        }
+
+        const calls = [];
+        if (allowance < amount) {
+          calls.push({ contract: erc20, method: "approve", args: [treasuryAddress, amount], label: `Approve ${format(amount)} for the treasury` });
+        }
+        calls.push({
+          contract: treasury,
+          method: "depositToken",
+          args: [token, amount],
+          label: `Deposit ${format(amount)}`,
+          // Needs the approval above to have landed
+          preflight: calls.length === 0,
+        });
+        return {
+          calls,
+          changes: [
+            [`Depositor ${symbol}`, format(balance), format(balance - amount)],
+            ["Treasury balance", format(treasuryBalance), format(treasuryBalance + (received === null ? amount : received))],
+          ],
+        };
+      },
+      options: args,
+    });
+  });
+
+for (const [name, paused] of [["treasury:pause", true], ["treasury:unpause", false]]) {
+  treasuryTask(name, paused ? "Pause treasury disbursements" : "Resume treasury disbursements")
+    .setAction(async (args, hre) => {
+      console.log(paused ? "⏸️  Pause treasury\n" : "▶️  Unpause treasury\n");
+      const treasury = await getTaskContract(hre, "treasury", "HYPEYTreasury", args.address);
+      const current = await treasury.paused();
+      return runAdminCall(hre, {
+        contract: treasury,
+        method: paused ? "pause" : "unpause",
+        label: paused ? "Pause treasury" : "Unpause treasury",
+        changes: [["Paused", String(current), String(paused)]],
+        options: args,
+      });
+    });
+}
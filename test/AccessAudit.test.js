@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLE_IDS, replayRoleEvents, loadRoleHolders, createLabels, getAccountKinds, auditFindings } = require("../scripts/lib/access-audit");
+
+describe("Access audit", function () {
+  const MULTISIG = ethers.getAddress("0x000000000000000000000000000000000000a11c");
+  const TIMELOCK = ethers.getAddress("0x000000000000000000000000000000000000b0b0");
+  const DEPLOYER = ethers.getAddress("0x000000000000000000000000000000000000dead");
+  const STRANGER = ethers.getAddress("0x000000000000000000000000000000000000beef");
+
+  const event = (name, role, account, blockNumber, logIndex = 0) => ({
+    event: name,
+    args: { role: ROLE_IDS[role], account, sender: DEPLOYER },
+    blockNumber,
+    logIndex,
+    txHash: ethers.ZeroHash,
+  });
+  const holder = (account, extra = {}) => ({ account, grantedBy: DEPLOYER, blockNumber: 1, txHash: ethers.ZeroHash, fromEvents: true, confirmed: true, ...extra });
+
+  describe("Event replay", function () {
+    it("Should keep only grants that were not revoked later, whatever the event order", function () {
+      const holders = replayRoleEvents([
+        event("RoleRevoked", "DEFAULT_ADMIN_ROLE", DEPLOYER, 5),
+        event("RoleGranted", "DEFAULT_ADMIN_ROLE", MULTISIG, 1, 1),
+        event("RoleGranted", "DEFAULT_ADMIN_ROLE", DEPLOYER, 1, 0),
+        event("RoleGranted", "PROPOSER_ROLE", STRANGER, 7, 0),
+        event("RoleRevoked", "PROPOSER_ROLE", STRANGER, 7, 1),
+        event("RoleGranted", "PROPOSER_ROLE", STRANGER, 9),
+      ]);
+
+      expect(Object.keys(holders.DEFAULT_ADMIN_ROLE)).to.deep.equal([MULTISIG]);
+      expect(holders.PROPOSER_ROLE[STRANGER]).to.deep.include({ grantedBy: DEPLOYER, blockNumber: 9 });
+    });
+  });
+
+  describe("Findings", function () {
+    const labels = createLabels({ multisig: MULTISIG, timelock: TIMELOCK }, DEPLOYER);
+    const kinds = { [MULTISIG]: "contract", [TIMELOCK]: "contract", [DEPLOYER]: "eoa", [STRANGER]: "eoa", [ethers.ZeroAddress]: "none" };
+    const safeToken = {
+      address: ethers.getAddress("0x0000000000000000000000000000000000000001"),
+      owner: MULTISIG,
+      holders: { DEFAULT_ADMIN_ROLE: [holder(MULTISIG), holder(TIMELOCK)], MULTISIG_ADMIN_ROLE: [holder(MULTISIG), holder(TIMELOCK)] },
+    };
+
+    it("Should find nothing when only the multisig and timelock hold roles", function () {
+      expect(auditFindings({ contracts: { token: safeToken }, kinds, labels, multisig: MULTISIG, deployer: DEPLOYER })).to.deep.equal([]);
+    });
+
+    it("Should flag the deployer, EOA admins, a diverging owner and a missing multisig role", function () {
+      const token = {
+        ...safeToken,
+        owner: DEPLOYER,
+        holders: { DEFAULT_ADMIN_ROLE: [holder(MULTISIG), holder(DEPLOYER)], MULTISIG_ADMIN_ROLE: [holder(STRANGER)] },
+      };
+
+      const findings = auditFindings({ contracts: { token }, kinds, labels, multisig: MULTISIG, deployer: DEPLOYER });
+
+      expect(findings.map((finding) => finding.code)).to.have.members(["MULTISIG_MISSING_ROLE", "OWNER_NOT_MULTISIG", "DEPLOYER_RETAINS_ROLE", "EOA_ADMIN"]);
+      expect(findings.every((finding) => finding.severity === "high")).to.equal(true);
+      expect(findings.find((finding) => finding.code === "EOA_ADMIN")).to.deep.include({ contract: "token", role: "MULTISIG_ADMIN_ROLE", account: STRANGER });
+    });
+
+    it("Should flag timelock set-up leftovers and an incomplete event history, high severity first", function () {
+      const timelock = {
+        address: TIMELOCK,
+        owner: null,
+        holders: {
+          DEFAULT_ADMIN_ROLE: [],
+          TIMELOCK_ADMIN_ROLE: [holder(TIMELOCK), holder(MULTISIG, { fromEvents: false, grantedBy: null })],
+          PROPOSER_ROLE: [holder(MULTISIG)],
+          EXECUTOR_ROLE: [holder(ethers.ZeroAddress)],
+          CANCELLER_ROLE: [holder(STRANGER, { confirmed: false })],
+        },
+      };
+
+      const findings = auditFindings({ contracts: { timelock }, kinds: { ...kinds, [MULTISIG]: "eoa" }, labels, multisig: MULTISIG, deployer: DEPLOYER });
+
+      expect(findings.map((finding) => finding.code)).to.deep.equal([
+        "MULTISIG_IS_EOA",
+        "EVENTS_INCOMPLETE",
+        "TIMELOCK_ADMIN_RETAINED",
+        "EVENTS_INCOMPLETE",
+        "OPEN_EXECUTOR",
+      ]);
+    });
+  });
+
+  describe("Live reads", function () {
+    async function deployEcosystemFixture() {
+      const [deployer, multisig, reserveBurn, stranger] = await ethers.getSigners();
+
+      const MockTimelock = await ethers.getContractFactory("MockTimelock");
+      const timelock = await upgrades.deployProxy(MockTimelock, [86400, [multisig.address], [ethers.ZeroAddress], deployer.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await timelock.waitForDeployment();
+
+      const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+      const token = await upgrades.deployProxy(HYPEYToken, [reserveBurn.address, timelock.target, multisig.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await token.waitForDeployment();
+
+      return { token, timelock, deployer, multisig, stranger };
+    }
+
+    it("Should rebuild the holders from events and confirm them on chain", async function () {
+      const { token, timelock, deployer, multisig, stranger } = await loadFixture(deployEcosystemFixture);
+      await token.connect(multisig).grantRole(ROLE_IDS.MULTISIG_ADMIN_ROLE, stranger.address);
+      await token.connect(multisig).grantRole(ROLE_IDS.DEFAULT_ADMIN_ROLE, deployer.address);
+      await token.connect(multisig).revokeRole(ROLE_IDS.MULTISIG_ADMIN_ROLE, stranger.address);
+
+      const holders = await loadRoleHolders(token, ["DEFAULT_ADMIN_ROLE", "MULTISIG_ADMIN_ROLE"], { candidates: [multisig.address] });
+
+      expect(holders.DEFAULT_ADMIN_ROLE.map((entry) => entry.account)).to.have.members([multisig.address, timelock.target, deployer.address]);
+      expect(holders.MULTISIG_ADMIN_ROLE.map((entry) => entry.account)).to.have.members([multisig.address, timelock.target]);
+      expect(holders.DEFAULT_ADMIN_ROLE.find((entry) => entry.account === deployer.address)).to.deep.include({ grantedBy: multisig.address, fromEvents: true, confirmed: true });
+
+      const timelockHolders = await loadRoleHolders(timelock, ["TIMELOCK_ADMIN_ROLE", "EXECUTOR_ROLE"]);
+      expect(timelockHolders.TIMELOCK_ADMIN_ROLE.map((entry) => entry.account)).to.have.members([timelock.target, deployer.address]);
+      expect(timelockHolders.EXECUTOR_ROLE.map((entry) => entry.account)).to.deep.equal([ethers.ZeroAddress]);
+
+      const kinds = await getAccountKinds([deployer.address, timelock.target, ethers.ZeroAddress]);
+      expect(kinds).to.deep.equal({ [deployer.address]: "eoa", [timelock.target]: "contract", [ethers.ZeroAddress]: "none" });
+    });
+
+    it("Should mark holders granted before the scanned range", async function () {
+      const { token, multisig } = await loadFixture(deployEcosystemFixture);
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+      const holders = await loadRoleHolders(token, ["MULTISIG_ADMIN_ROLE"], { fromBlock, candidates: [multisig.address] });
+
+      expect(holders.MULTISIG_ADMIN_ROLE).to.deep.equal([
+        { account: multisig.address, grantedBy: null, blockNumber: null, txHash: null, fromEvents: false, confirmed: true },
+      ]);
+    });
+  });
+});
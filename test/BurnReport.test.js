@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { openEventDatabase, syncEvents } = require("../scripts/lib/indexer");
+const { inferTaxRate, loadBurnRecords, aggregateBurns, renderCsv, toJson } = require("../scripts/lib/burns");
+
+describe("Burn report", function () {
+  const DAY = 86400;
+  const HYPEY = (amount) => ethers.parseEther(amount);
+
+  async function deployBurnsFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob, pair, platform, nft, newReserve] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    // Start on a Monday so the first day's burns and the second day's share a week
+    const latest = await time.latest();
+    const nextDay = latest - (latest % DAY) + DAY;
+    const monday = nextDay + ((8 - new Date(nextDay * 1000).getUTCDay()) % 7) * DAY;
+    await time.increaseTo(monday + 3600);
+
+    const owner = token.connect(multisig);
+    await owner.distributeInitialSupply(alice.address, HYPEY("100000"));
+    await owner.distributeInitialSupply(multisig.address, HYPEY("10000"));
+    await owner.distributeInitialSupply(platform.address, HYPEY("10000"));
+    await owner.setDexPair(pair.address);
+    await owner.setPlatformApproved(platform.address, true);
+    await owner.setNFTContractApproved(nft.address, true);
+
+    // Day 1: 1% transfer, day and night sells, an untaxed buy, platform, NFT and KPI burns
+    await token.connect(alice).transfer(bob.address, HYPEY("1000"));
+    await token.connect(alice).transfer(pair.address, HYPEY("1000"));
+    await owner.setNightMode(true);
+    await token.connect(alice).transfer(pair.address, HYPEY("1000"));
+    await token.connect(pair).transfer(bob.address, HYPEY("500"));
+    await token.connect(platform).burnPlatformFee(HYPEY("1000"), 500);
+    await token.connect(nft).burnForNFT(alice.address, HYPEY("100"));
+    await owner.burnKPIEvent(HYPEY("500"));
+
+    // Day 2: a new reserve, a taxed transfer paying it and a plain transfer into it
+    await time.increase(DAY);
+    await owner.setReserveBurnAddress(newReserve.address);
+    await token.connect(alice).transfer(bob.address, HYPEY("2000"));
+    await token.connect(bob).transfer(newReserve.address, HYPEY("50"));
+
+    const db = openEventDatabase(":memory:");
+    await syncEvents(db, { token: { contract: token, fromBlock } }, { confirmations: 0 });
+    const records = loadBurnRecords(db, { currentReserve: await token.reserveBurnAddress(), owners: [multisig.address] });
+
+    return { token, records, multisig, alice, bob, platform, monday };
+  }
+
+  it("Should classify every burn and reserve transfer by source", async function () {
+    const { records, alice, bob, platform, multisig } = await loadFixture(deployBurnsFixture);
+
+    const summary = records.map((record) => [record.source, ethers.formatEther(record.burned), ethers.formatEther(record.toReserve)]);
+    expect(summary).to.deep.equal([
+      ["transfer", "5.0", "5.0"],
+      ["sell-day", "20.0", "20.0"],
+      ["sell-night", "80.0", "80.0"],
+      ["platform", "25.0", "25.0"],
+      ["nft", "100.0", "0.0"],
+      ["kpi", "500.0", "0.0"],
+      ["transfer", "10.0", "10.0"],
+      ["direct", "0.0", "50.0"],
+    ]);
+
+    const [transfer, sellDay, sellNight, platformFee, nftBurn, kpi] = records;
+    expect(transfer.amount).to.equal(HYPEY("1000"));
+    expect(transfer.rateBps).to.equal(100n);
+    expect(sellDay.rateBps).to.equal(400n);
+    expect(sellNight.rateBps).to.equal(1600n);
+    expect(transfer.account).to.equal(alice.address);
+    expect(platformFee.account).to.equal(platform.address);
+    expect(nftBurn.account).to.equal(alice.address);
+    expect(kpi.account).to.equal(multisig.address);
+    expect(records[7].account).to.equal(bob.address);
+  });
+
+  it("Should aggregate per day and week with cumulative supply reduction", async function () {
+    const { token, records, monday } = await loadFixture(deployBurnsFixture);
+    const initialSupply = await token.INITIAL_SUPPLY();
+
+    const daily = aggregateBurns(records, { period: "day", initialSupply });
+    expect(daily.periods.map((row) => row.period)).to.deep.equal([
+      new Date(monday * 1000).toISOString().slice(0, 10),
+      new Date((monday + DAY) * 1000).toISOString().slice(0, 10),
+    ]);
+    expect(daily.periods[0].burned).to.equal(HYPEY("730"));
+    expect(daily.periods[1].cumulativeBurned).to.equal(HYPEY("740"));
+    expect(daily.periods[1].cumulativeReserve).to.equal(HYPEY("190"));
+    expect(daily.totals.sources.transfer.count).to.equal(2);
+
+    // Burns are the only supply reduction; the reserve still holds its share
+    expect(daily.totals.supply).to.equal(await token.totalSupply());
+
+    const weekly = aggregateBurns(records, { period: "week", initialSupply });
+    expect(weekly.periods).to.have.length(1);
+    expect(weekly.periods[0].burned).to.equal(HYPEY("740"));
+  });
+
+  it("Should export CSV and JSON", async function () {
+    const { token, records } = await loadFixture(deployBurnsFixture);
+    const report = aggregateBurns(records, { period: "week", initialSupply: await token.INITIAL_SUPPLY() });
+
+    const lines = renderCsv(report).trim().split("\n");
+    expect(lines[0]).to.equal("period,source,events,burned,toReserve,cumulativeBurned,cumulativeReserve,supply,supplyReduction");
+    expect(lines).to.have.length(1 + 7 + 1);
+    expect(lines[lines.length - 1]).to.match(/,total,8,740\.0,190\.0,740\.0,190\.0,2999999260\.0,0\.0000%$/);
+
+    const json = toJson(report, records);
+    expect(json.totals.burned).to.equal("740.0");
+    expect(json.totals.sources["sell-night"]).to.deep.equal({ events: 1, burned: "80.0", toReserve: "80.0" });
+    expect(json.records[1].rateBps).to.equal(400);
+  });
+
+  it("Should recognise tax rates with the contract's rounding", function () {
+    for (const amount of [HYPEY("100"), HYPEY("123.456789"), 100000000000000000003n]) {
+      for (const bps of [1n, 37n, 100n, 299n, 300n, 400n, 1600n]) {
+        expect(inferTaxRate(amount, (amount * bps) / 10000n)).to.equal(bps);
+      }
+    }
+    expect(inferTaxRate(HYPEY("1000"), HYPEY("35"))).to.equal(null);
+  });
+});
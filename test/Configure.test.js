@@ -0,0 +1,94 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { getDeploymentPath } = require("../scripts/lib/deployments");
+const deploy = require("../scripts/deploy");
+const configure = require("../scripts/configure");
+
+describe("Post-deployment configuration", function () {
+  const REGISTRY = getDeploymentPath(network.name);
+  const ENV_VARS = ["MULTISIG_ADDRESS", "RESERVE_BURN_ADDRESS", "ALLOCATION_FILE"];
+  const DEX_PAIR = "0x000000000000000000000000000000000000dEaD";
+  const ECOSYSTEM = "0x000000000000000000000000000000000000bEEF";
+  let savedRegistry;
+  let allocationDir;
+
+  before(function () {
+    savedRegistry = fs.existsSync(REGISTRY) ? fs.readFileSync(REGISTRY, "utf8") : null;
+  });
+
+  beforeEach(async function () {
+    // The deployer is the multisig, so it can sign every owner / admin call
+    const [deployer, reserveBurn] = await ethers.getSigners();
+    process.env.MULTISIG_ADDRESS = deployer.address;
+    process.env.RESERVE_BURN_ADDRESS = reserveBurn.address;
+
+    allocationDir = fs.mkdtempSync(path.join(os.tmpdir(), "hypey-allocation-"));
+    process.env.ALLOCATION_FILE = path.join(allocationDir, "allocation.json");
+    fs.writeFileSync(
+      process.env.ALLOCATION_FILE,
+      JSON.stringify({
+        distribution: [
+          { bucket: "treasury", recipient: "treasury", amount: "1200" },
+          { bucket: "vesting", recipient: "vesting", amount: "900" },
+          { bucket: "liquidity", recipient: "multisig", amount: "600" },
+          { bucket: "market making", recipient: "multisig", amount: "50" },
+          { bucket: "ecosystem", recipient: ECOSYSTEM, amount: "300" },
+        ],
+        burnExemptions: ["treasury", "vesting", "reserveBurn"],
+        treasurySupportedTokens: ["token"],
+        dexPair: DEX_PAIR,
+      })
+    );
+  });
+
+  afterEach(function () {
+    ENV_VARS.forEach((name) => delete process.env[name]);
+    fs.rmSync(allocationDir, { recursive: true, force: true });
+  });
+
+  after(function () {
+    if (savedRegistry === null) {
+      fs.rmSync(REGISTRY, { force: true });
+    } else {
+      fs.writeFileSync(REGISTRY, savedRegistry);
+    }
+  });
+
+  it("Should configure a fresh deployment from the allocation file", async function () {
+    const [deployer, reserveBurn] = await ethers.getSigners();
+    const addresses = await deploy({ fresh: true });
+    const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+    const treasury = await ethers.getContractAt("HYPEYTreasury", addresses.treasury);
+
+    const { drift } = await configure();
+
+    expect(drift).to.deep.equal([]);
+    expect(await token.balanceOf(addresses.treasury)).to.equal(ethers.parseEther("1200"));
+    expect(await token.balanceOf(addresses.vesting)).to.equal(ethers.parseEther("900"));
+    expect(await token.balanceOf(deployer.address)).to.equal(ethers.parseEther("650"));
+    expect(await token.balanceOf(ECOSYSTEM)).to.equal(ethers.parseEther("300"));
+    for (const wallet of [addresses.treasury, addresses.vesting, reserveBurn.address]) {
+      expect(await token.exemptFromBurn(wallet)).to.equal(true);
+    }
+    expect(await treasury.supportedTokens(addresses.token)).to.equal(true);
+    expect(await token.dexPair()).to.equal(DEX_PAIR);
+  });
+
+  it("Should send nothing when re-run on a configured deployment", async function () {
+    const [deployer] = await ethers.getSigners();
+    const addresses = await deploy({ fresh: true });
+    const token = await ethers.getContractAt("HYPEYToken", addresses.token);
+    await configure();
+    const nonce = await deployer.getNonce();
+    const held = await token.balanceOf(addresses.token);
+
+    const { drift } = await configure();
+
+    expect(drift).to.deep.equal([]);
+    expect(await deployer.getNonce()).to.equal(nonce);
+    expect(await token.balanceOf(addresses.token)).to.equal(held);
+  });
+});
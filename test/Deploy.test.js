@@ -0,0 +1,108 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const { getDeploymentPath, loadDeployment, saveDeployment } = require("../scripts/lib/deployments");
+const deploy = require("../scripts/deploy");
+
+describe("Deployment checkpoints", function () {
+  const REGISTRY = getDeploymentPath(network.name);
+  const KEYS = ["timelock", "token", "treasury", "vesting"];
+  let savedRegistry;
+  let multisig;
+  let reserveBurn;
+
+  before(async function () {
+    savedRegistry = fs.existsSync(REGISTRY) ? fs.readFileSync(REGISTRY, "utf8") : null;
+    [, multisig, reserveBurn] = await ethers.getSigners();
+  });
+
+  beforeEach(function () {
+    process.env.MULTISIG_ADDRESS = multisig.address;
+    process.env.RESERVE_BURN_ADDRESS = reserveBurn.address;
+  });
+
+  afterEach(function () {
+    delete process.env.MULTISIG_ADDRESS;
+    delete process.env.RESERVE_BURN_ADDRESS;
+  });
+
+  after(function () {
+    if (savedRegistry === null) {
+      fs.rmSync(REGISTRY, { force: true });
+    } else {
+      fs.writeFileSync(REGISTRY, savedRegistry);
+    }
+  });
+
+  // Rewrites the registry as a run that stopped after `keys` would have left it
+  function truncateRegistry(keys, extra = {}) {
+    const registry = loadDeployment(network.name);
+    registry.status = "IN_PROGRESS";
+    registry.contracts = Object.fromEntries(keys.map((key) => [key, registry.contracts[key]]));
+    saveDeployment(network.name, { ...registry, ...extra });
+  }
+
+  it("Should resume after each step, redeploying only what follows it", async function () {
+    for (let done = 1; done < KEYS.length; done++) {
+      const first = await deploy({ fresh: true });
+      truncateRegistry(KEYS.slice(0, done));
+
+      const resumed = await deploy({ fresh: false });
+
+      KEYS.forEach((key, i) => {
+        if (i < done) {
+          expect(resumed[key], key).to.equal(first[key]);
+        } else {
+          expect(resumed[key], key).to.not.equal(first[key]);
+        }
+      });
+      expect(loadDeployment(network.name).status).to.equal("COMPLETE");
+    }
+  });
+
+  it("Should recover a proxy that was mined before its checkpoint", async function () {
+    const first = await deploy({ fresh: true });
+    const [deployer] = await ethers.getSigners();
+
+    // The run died after sending the treasury, before recording it
+    truncateRegistry(["timelock", "token"], { pending: { key: "treasury", deployer: deployer.address, nonce: await deployer.getNonce() } });
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const orphan = await upgrades.deployProxy(HYPEYTreasury, [multisig.address, first.timelock], {
+      initializer: "initialize",
+      kind: "uups",
+    });
+    await orphan.waitForDeployment();
+
+    const resumed = await deploy({ fresh: false });
+
+    expect(resumed.token).to.equal(first.token);
+    expect(resumed.treasury).to.equal(orphan.target);
+    expect(resumed.vesting).to.not.equal(first.vesting);
+    const registry = loadDeployment(network.name);
+    expect(registry).to.not.have.property("pending");
+    expect(registry.contracts.treasury).to.deep.include({ proxy: orphan.target, contractName: "HYPEYTreasury" });
+  });
+
+  it("Should redeploy everything with --fresh", async function () {
+    const first = await deploy({ fresh: true });
+
+    const second = await deploy({ fresh: true });
+
+    KEYS.forEach((key) => expect(second[key], key).to.not.equal(first[key]));
+  });
+
+  it("Should refuse a checkpoint from another chain", async function () {
+    await deploy({ fresh: true });
+    truncateRegistry(["timelock"], { chainId: 1 });
+
+    await expect(deploy({ fresh: false })).to.be.rejectedWith("was written for chainId 1");
+  });
+
+  it("Should refuse a checkpoint written for another multisig", async function () {
+    await deploy({ fresh: true });
+    truncateRegistry(["timelock"]);
+    process.env.MULTISIG_ADDRESS = reserveBurn.address;
+
+    await expect(deploy({ fresh: false })).to.be.rejectedWith("different MULTISIG_ADDRESS or RESERVE_BURN_ADDRESS");
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const {
+  getDeploymentPath,
+  loadDeployment,
+  saveDeployment,
+  updateDeployment,
+  getNetworkEnvVar,
+  resolveAddresses,
+  requireAddresses,
+} = require("../scripts/lib/deployments");
+
+describe("Deployment registry", function () {
+  const NETWORK = "registryTest";
+  const TOKEN = "0x1000000000000000000000000000000000000001";
+  const STALE = "0x2000000000000000000000000000000000000002";
+  const MULTISIG = "0x3000000000000000000000000000000000000003";
+  const ENV_VARS = ["TOKEN_ADDRESS", "TREASURY_ADDRESS", "MULTISIG_ADDRESS", "REGISTRY_TEST_TOKEN_ADDRESS", "REGISTRY_TEST_TREASURY_ADDRESS"];
+  let saved;
+  let warnings;
+  let warn;
+
+  beforeEach(function () {
+    saved = Object.fromEntries(ENV_VARS.map((name) => [name, process.env[name]]));
+    ENV_VARS.forEach((name) => delete process.env[name]);
+    warnings = [];
+    warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(function () {
+    console.warn = warn;
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    fs.rmSync(getDeploymentPath(NETWORK), { force: true });
+  });
+
+  function saveRegistry() {
+    saveDeployment(NETWORK, { network: NETWORK, multisig: MULTISIG, contracts: { token: { proxy: TOKEN } } });
+  }
+
+  describe("Loading and saving", function () {
+    it("Should round-trip a registry with a timestamp", function () {
+      expect(loadDeployment(NETWORK)).to.equal(null);
+
+      saveRegistry();
+      const loaded = loadDeployment(NETWORK);
+
+      expect(loaded).to.deep.include({ network: NETWORK, multisig: MULTISIG, contracts: { token: { proxy: TOKEN } } });
+      expect(Number.isNaN(Date.parse(loaded.timestamp))).to.equal(false);
+    });
+
+    it("Should update an existing registry or start a new one", function () {
+      updateDeployment(NETWORK, (deployment) => {
+        deployment.contracts.token = { proxy: TOKEN };
+      });
+      updateDeployment(NETWORK, (deployment) => {
+        deployment.pendingUpgrades = [{ id: "0x01" }];
+      });
+
+      expect(loadDeployment(NETWORK)).to.deep.include({ network: NETWORK, contracts: { token: { proxy: TOKEN } }, pendingUpgrades: [{ id: "0x01" }] });
+    });
+  });
+
+  describe("Resolving addresses", function () {
+    it("Should name network-scoped env vars after the network", function () {
+      expect(getNetworkEnvVar("sepolia", "TOKEN_ADDRESS")).to.equal("SEPOLIA_TOKEN_ADDRESS");
+      expect(getNetworkEnvVar("baseSepolia", "TOKEN_ADDRESS")).to.equal("BASE_SEPOLIA_TOKEN_ADDRESS");
+      expect(getNetworkEnvVar("arbitrum-one", "VESTING_ADDRESS")).to.equal("ARBITRUM_ONE_VESTING_ADDRESS");
+    });
+
+    it("Should read addresses from the registry", function () {
+      saveRegistry();
+
+      const { addresses, deployment } = resolveAddresses(NETWORK);
+
+      expect(addresses).to.deep.include({ token: TOKEN, multisig: MULTISIG, treasury: undefined });
+      expect(deployment.network).to.equal(NETWORK);
+      expect(warnings).to.deep.equal([]);
+    });
+
+    it("Should let a network-scoped env var override the registry, with a warning", function () {
+      saveRegistry();
+      process.env.REGISTRY_TEST_TOKEN_ADDRESS = STALE;
+      process.env.REGISTRY_TEST_TREASURY_ADDRESS = STALE;
+
+      const { addresses } = resolveAddresses(NETWORK);
+
+      expect(addresses).to.deep.include({ token: STALE, treasury: STALE });
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.include(`REGISTRY_TEST_TOKEN_ADDRESS=${STALE} overrides token ${TOKEN}`);
+    });
+
+    it("Should let a plain env var override only an entry the registry has", function () {
+      saveRegistry();
+      process.env.TOKEN_ADDRESS = STALE;
+      process.env.TREASURY_ADDRESS = STALE;
+
+      const { addresses } = resolveAddresses(NETWORK);
+
+      expect(addresses.token).to.equal(STALE);
+      expect(addresses.treasury).to.equal(undefined);
+      expect(warnings.some((message) => message.includes(`TOKEN_ADDRESS=${STALE} overrides token`))).to.equal(true);
+      expect(warnings.some((message) => message.includes("Ignoring TREASURY_ADDRESS") && message.includes("REGISTRY_TEST_TREASURY_ADDRESS"))).to.equal(true);
+    });
+
+    it("Should ignore plain env vars on a network without a registry", function () {
+      process.env.TOKEN_ADDRESS = STALE;
+
+      expect(resolveAddresses(NETWORK).addresses.token).to.equal(undefined);
+      expect(() => requireAddresses(NETWORK, ["token"])).to.throw("or set REGISTRY_TEST_TOKEN_ADDRESS");
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { openEventDatabase, getSyncState, syncEvents, queryEvents, getEventCounts } = require("../scripts/lib/indexer");
+
+describe("Event indexer", function () {
+  async function deployEcosystemFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const treasury = await upgrades.deployProxy(
+      HYPEYTreasury,
+      [multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await treasury.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+
+    // One event of most kinds across the three contracts
+    await token.connect(multisig).setExemptFromBurn(await treasury.getAddress(), true);
+    await token.connect(multisig).setBurnRate(150);
+    await token.connect(multisig).distributeInitialSupply(await treasury.getAddress(), ethers.parseEther("5000"));
+    await treasury.connect(multisig).addSupportedToken(await token.getAddress());
+    await treasury.connect(multisig).disburseToken(await token.getAddress(), alice.address, ethers.parseEther("200"));
+    const start = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await vesting.connect(multisig).addVestingSchedule(alice.address, ethers.parseEther("1000"), start, 0, 86400, 3600, 0);
+    await vesting.connect(multisig).setMerkleRoot(ethers.id("allocation"));
+
+    const sources = {
+      token: { contract: token, fromBlock },
+      treasury: { contract: treasury, fromBlock },
+      vesting: { contract: vesting, fromBlock },
+    };
+    return { token, treasury, vesting, sources, multisig, alice, bob, fromBlock };
+  }
+
+  async function disburse({ token, treasury, multisig }, to, amount) {
+    await treasury.connect(multisig).disburseToken(await token.getAddress(), to, ethers.parseEther(amount));
+  }
+
+  it("Should backfill decoded events from the deployment block", async function () {
+    const { token, sources, alice, fromBlock } = await loadFixture(deployEcosystemFixture);
+    const db = openEventDatabase(":memory:");
+
+    const result = await syncEvents(db, sources, { confirmations: 0 });
+
+    expect(result.fromBlock).to.equal(fromBlock);
+    expect(result.dropped).to.equal(0);
+    const counts = Object.fromEntries(getEventCounts(db).map((row) => [`${row.contract}.${row.event}`, row.count]));
+    expect(counts).to.include({
+      "token.BurnRateChanged": 1,
+      "token.ExemptStatusChanged": 1,
+      "treasury.TokenSupported": 1,
+      "treasury.TokensWithdrawn": 1,
+      "vesting.VestingCreated": 1,
+      "vesting.MerkleRootUpdated": 1,
+    });
+
+    const [rateChange] = queryEvents(db, { event: "BurnRateChanged" });
+    expect(rateChange.args).to.deep.equal({ oldRate: "100", newRate: "150" });
+    expect(rateChange.address).to.equal(await token.getAddress());
+    const block = await ethers.provider.getBlock(rateChange.blockNumber);
+    expect(rateChange.timestamp).to.equal(block.timestamp);
+    expect(rateChange.blockHash).to.equal(block.hash);
+
+    // Alice shows up as a Transfer recipient, a withdrawal recipient and a beneficiary
+    const aliceEvents = queryEvents(db, { address: alice.address }).map((event) => `${event.contract}.${event.event}`);
+    expect(aliceEvents).to.deep.equal(["token.Transfer", "treasury.TokensWithdrawn", "vesting.VestingCreated"]);
+  });
+
+  it("Should resume after the last indexed block", async function () {
+    const fixture = await loadFixture(deployEcosystemFixture);
+    const { sources, bob } = fixture;
+    const db = openEventDatabase(":memory:");
+
+    const first = await syncEvents(db, sources, { confirmations: 2 });
+    await disburse(fixture, bob.address, "50");
+    const second = await syncEvents(db, sources, { confirmations: 2 });
+
+    expect(second.fromBlock).to.equal(first.toBlock - 1);
+    expect(second.added).to.equal(2);
+    expect(getSyncState(db).lastBlock).to.equal(second.toBlock);
+    expect(queryEvents(db, { event: "TokensWithdrawn" })).to.have.length(2);
+  });
+
+  it("Should drop events from orphaned blocks within the confirmation window", async function () {
+    const fixture = await loadFixture(deployEcosystemFixture);
+    const { sources, alice, bob } = fixture;
+    const db = openEventDatabase(":memory:");
+
+    await syncEvents(db, sources, { confirmations: 5 });
+    const snapshot = await network.provider.send("evm_snapshot");
+    await disburse(fixture, alice.address, "10");
+    await syncEvents(db, sources, { confirmations: 5 });
+
+    // Replace the block holding Alice's withdrawal with one paying Bob
+    await network.provider.send("evm_revert", [snapshot]);
+    await disburse(fixture, bob.address, "20");
+    const result = await syncEvents(db, sources, { confirmations: 5 });
+
+    expect(result.dropped).to.equal(2);
+    expect(result.added).to.equal(2);
+    const withdrawals = queryEvents(db, { event: "TokensWithdrawn" }).map((event) => event.args);
+    expect(withdrawals.map((args) => args.to)).to.deep.equal([alice.address, bob.address]);
+    expect(withdrawals[1].amount).to.equal(ethers.parseEther("20").toString());
+  });
+
+  it("Should refuse to sync back to a lower block and keep what is indexed", async function () {
+    const fixture = await loadFixture(deployEcosystemFixture);
+    const { sources, bob } = fixture;
+    const db = openEventDatabase(":memory:");
+
+    const first = await syncEvents(db, sources, { confirmations: 0 });
+    const [withdrawal] = queryEvents(db, { event: "TokensWithdrawn" });
+
+    await expect(syncEvents(db, sources, { confirmations: 0, toBlock: withdrawal.blockNumber - 1 })).to.be.rejectedWith(
+      `already synced to block ${first.toBlock}`
+    );
+    expect(getSyncState(db).lastBlock).to.equal(first.toBlock);
+    expect(queryEvents(db, { event: "TokensWithdrawn" })).to.have.length(1);
+
+    await disburse(fixture, bob.address, "50");
+    const again = await syncEvents(db, sources, { confirmations: 0 });
+
+    expect(again.fromBlock).to.equal(first.toBlock + 1);
+    expect(again.dropped).to.equal(0);
+    expect(queryEvents(db, { event: "TokensWithdrawn" })).to.have.length(2);
+  });
+
+  it("Should stop when a reorg is deeper than the confirmation window", async function () {
+    const fixture = await loadFixture(deployEcosystemFixture);
+    const db = openEventDatabase(":memory:");
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await disburse(fixture, fixture.alice.address, "10");
+    await syncEvents(db, fixture.sources, { confirmations: 0 });
+    await network.provider.send("evm_revert", [snapshot]);
+    await disburse(fixture, fixture.bob.address, "10");
+
+    await expect(syncEvents(db, fixture.sources, { confirmations: 0 })).to.be.rejectedWith("reorg is deeper than 0 confirmation(s)");
+  });
+
+  it("Should refuse a database built for other contracts", async function () {
+    const { token, sources, multisig } = await loadFixture(deployEcosystemFixture);
+    const db = openEventDatabase(":memory:");
+    await syncEvents(db, sources, { confirmations: 0 });
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const otherVesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    const otherSources = { ...sources, vesting: { contract: otherVesting, fromBlock: 0 } };
+
+    await expect(syncEvents(db, otherSources, { confirmations: 0 })).to.be.rejectedWith("Event database indexes vesting at");
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createKeeper } = require("../scripts/lib/keeper");
+
+describe("Vesting claim keeper", function () {
+  const DAY = 86400;
+
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock, keeperAccount, alice, bob, carol] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+    await token.connect(multisig).setExemptFromBurn(await vesting.getAddress(), true);
+    await token.connect(multisig).distributeInitialSupply(await vesting.getAddress(), ethers.parseEther("100000"));
+
+    // Alice and Bob: 30-day cliff over a year in daily slices; Carol gets dust
+    const start = (await time.latest()) + DAY;
+    await vesting.connect(multisig).addVestingSchedule(alice.address, ethers.parseEther("3650"), start, 30 * DAY, 365 * DAY, DAY, 0);
+    await vesting.connect(multisig).addVestingSchedule(bob.address, ethers.parseEther("7300"), start, 30 * DAY, 365 * DAY, DAY, 10);
+    await vesting.connect(multisig).addVestingSchedule(carol.address, 365n * 1000n, start, 30 * DAY, 365 * DAY, DAY, 0);
+
+    return { token, vesting, multisig, keeperAccount, alice, bob, carol, start };
+  }
+
+  function keeperFor(fixture, options = {}) {
+    return createKeeper({
+      vesting: fixture.vesting,
+      signer: fixture.keeperAccount,
+      threshold: ethers.parseEther("1"),
+      log: () => {},
+      ...options,
+    });
+  }
+
+  it("Should discover beneficiaries and wait for the cliff", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const keeper = keeperFor(fixture);
+
+    const result = await keeper.runOnce();
+
+    expect(result.discovered).to.equal(3);
+    expect(result.claimable).to.be.empty;
+    expect(result.claimed).to.be.empty;
+  });
+
+  it("Should claim vested tokens above the threshold after time passes", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const { token, vesting, alice, bob, carol, start } = fixture;
+    const keeper = keeperFor(fixture);
+
+    await time.increaseTo(start + 100 * DAY);
+    const result = await keeper.runOnce();
+
+    expect(result.claimed.map((claim) => claim.beneficiary)).to.have.members([alice.address, bob.address]);
+    expect(result.failed).to.be.empty;
+    // Carol's dust is below the 1 HYPEY threshold
+    expect(await token.balanceOf(carol.address)).to.equal(0n);
+    expect(await token.balanceOf(alice.address)).to.be.at.least(ethers.parseEther("1000"));
+    const [[aliceSchedule]] = await vesting.getVestingInfo(alice.address);
+    expect(aliceSchedule.released).to.equal(await token.balanceOf(alice.address));
+
+    // Nothing new has vested within the same slice
+    expect((await keeper.runOnce()).claimable).to.be.empty;
+
+    await time.increase(10 * DAY);
+    expect((await keeper.runOnce()).claimed).to.have.length(2);
+  });
+
+  it("Should not claim while the vesting contract is paused", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const { vesting, multisig, start } = fixture;
+    const keeper = keeperFor(fixture);
+
+    await time.increaseTo(start + 100 * DAY);
+    await vesting.connect(multisig).pause();
+    const paused = await keeper.runOnce();
+
+    expect(paused.skipped).to.equal("paused");
+    expect(paused.claimed).to.be.empty;
+
+    await vesting.connect(multisig).unpause();
+    expect((await keeper.runOnce()).claimed).to.have.length(2);
+  });
+
+  it("Should hold claims while gas is above the ceiling", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const keeper = keeperFor(fixture, { maxGasPrice: 1n });
+
+    await time.increaseTo(fixture.start + 100 * DAY);
+    const result = await keeper.runOnce();
+
+    expect(result.skipped).to.equal("gas");
+    expect(result.claimable).to.have.length(2);
+    expect(result.claimed).to.be.empty;
+  });
+
+  it("Should only report claims in a dry run", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const { token, alice, start } = fixture;
+    const keeper = keeperFor(fixture, { dryRun: true, threshold: 1n });
+
+    await time.increaseTo(start + 100 * DAY);
+    const result = await keeper.runOnce();
+
+    expect(result.claimable).to.have.length(3);
+    expect(result.claimed).to.be.empty;
+    expect(await token.balanceOf(alice.address)).to.equal(0n);
+  });
+
+  it("Should pick up schedules created after it started", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const { vesting, multisig, start } = fixture;
+    const [, , , , , , , , dave] = await ethers.getSigners();
+    const keeper = keeperFor(fixture, { blockRange: 2 });
+
+    await keeper.runOnce();
+    await vesting.connect(multisig).addVestingSchedule(dave.address, ethers.parseEther("365"), start + DAY, 0, 365 * DAY, DAY, 50);
+    await time.increaseTo(start + 100 * DAY);
+    const result = await keeper.runOnce();
+
+    expect(result.discovered).to.equal(1);
+    expect(result.claimed.map((claim) => claim.beneficiary)).to.include(dave.address);
+  });
+
+  it("Should run rounds until stopped", async function () {
+    const fixture = await loadFixture(deployVestingFixture);
+    const { token, bob, start } = fixture;
+    const keeper = keeperFor(fixture);
+
+    await time.increaseTo(start + 100 * DAY);
+    const running = keeper.start(3600);
+    keeper.stop();
+    await running;
+
+    expect(await token.balanceOf(bob.address)).to.be.greaterThan(0n);
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createTransactionSender } = require("../scripts/lib/transactions");
+const { readSafeBatch } = require("../scripts/lib/safe");
+const { createNightSchedule, getDesiredMode, createNightModeSwitcher } = require("../scripts/lib/night-mode");
+
+describe("Night mode switcher", function () {
+  async function deployTokenFixture() {
+    const [deployer, multisig, reserveBurn, timelock] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    return { token, deployer, multisig };
+  }
+
+  // A switcher on a hand-set clock; `clock.set` moves it between rounds
+  function switcherFor(token, sender, { schedule, ...options } = {}) {
+    const clock = { now: new Date("2026-10-19T12:00:00Z") };
+    const switcher = createNightModeSwitcher({
+      token,
+      sender,
+      schedule: createNightSchedule({ timeZone: "Europe/Berlin", nightStart: "22:00", nightEnd: "06:00", ...schedule }),
+      now: () => clock.now,
+      log: () => {},
+      ...options,
+    });
+    return { switcher, clock: { set: (iso) => (clock.now = new Date(iso)) } };
+  }
+
+  it("Should follow the night window in the configured time zone", function () {
+    const schedule = createNightSchedule({ timeZone: "Europe/Berlin", nightStart: "22:00", nightEnd: "06:00" });
+    const isNight = (iso) => getDesiredMode(schedule, new Date(iso)).isNight;
+
+    // Berlin is UTC+2 in summer time and UTC+1 after the last Sunday of October
+    expect(isNight("2026-11-02T20:59:00Z")).to.equal(false);
+    expect(isNight("2026-11-02T21:00:00Z")).to.equal(true);
+    expect(isNight("2026-11-03T04:59:00Z")).to.equal(true);
+    expect(isNight("2026-11-03T05:00:00Z")).to.equal(false);
+    expect(isNight("2026-07-01T19:59:00Z")).to.equal(false);
+    expect(isNight("2026-07-01T20:00:00Z")).to.equal(true);
+    expect(isNight("2026-07-02T03:59:00Z")).to.equal(true);
+    expect(isNight("2026-07-02T04:00:00Z")).to.equal(false);
+
+    // A window within one day does not wrap
+    const early = createNightSchedule({ nightStart: "01:00", nightEnd: "05:00" });
+    expect(getDesiredMode(early, new Date("2026-10-19T00:59:00Z")).isNight).to.equal(false);
+    expect(getDesiredMode(early, new Date("2026-10-19T01:00:00Z")).isNight).to.equal(true);
+    expect(getDesiredMode(early, new Date("2026-10-19T23:00:00Z")).isNight).to.equal(false);
+  });
+
+  it("Should let holidays override the window for the whole local day", function () {
+    const schedule = createNightSchedule({ timeZone: "Europe/Berlin", holidays: "2026-12-25,2026-12-31=day" });
+
+    expect(getDesiredMode(schedule, new Date("2026-12-25T11:00:00Z"))).to.deep.equal({
+      isNight: true,
+      reason: "holiday",
+      localDate: "2026-12-25",
+      localTime: "12:00",
+    });
+    // 23:30 UTC on the 24th is already the 25th in Berlin
+    expect(getDesiredMode(schedule, new Date("2026-12-24T23:30:00Z")).reason).to.equal("holiday");
+    expect(getDesiredMode(schedule, new Date("2026-12-31T22:30:00Z")).isNight).to.equal(false);
+    expect(getDesiredMode(schedule, new Date("2026-12-26T22:30:00Z")).reason).to.equal("window");
+
+    expect(() => createNightSchedule({ timeZone: "Mars/Olympus" })).to.throw("Unknown time zone");
+    expect(() => createNightSchedule({ nightStart: "25:00" })).to.throw("HH:MM");
+    expect(() => createNightSchedule({ nightStart: "06:00", nightEnd: "06:00" })).to.throw("must differ");
+    expect(() => createNightSchedule({ holidays: "2026-12-25=dusk" })).to.throw('"day" or "night"');
+    expect(() => createNightSchedule({ holidays: "2026-02-30" })).to.throw("Holiday dates must be YYYY-MM-DD");
+    expect(() => createNightSchedule({ holidays: "2026-11-31=day" })).to.throw("Holiday dates must be YYYY-MM-DD");
+  });
+
+  it("Should only send setNightMode when the mode has to change", async function () {
+    const { token, multisig } = await loadFixture(deployTokenFixture);
+    const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-night-")), "transitions.jsonl");
+    const sender = createTransactionSender({ signer: multisig });
+    const { switcher, clock } = switcherFor(token, sender, { logFile });
+
+    // Midday in Berlin: already day, nothing to send
+    expect((await switcher.runOnce()).transition).to.equal(null);
+
+    clock.set("2026-10-19T21:00:00Z");
+    const toNight = await switcher.runOnce();
+    expect(await token.isNight()).to.equal(true);
+    expect(toNight.transition).to.include({ from: "day", to: "night", reason: "window", localTime: "2026-10-19 23:00 Europe/Berlin" });
+    expect(toNight.transition.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    clock.set("2026-10-20T02:00:00Z");
+    expect((await switcher.runOnce()).transition).to.equal(null);
+
+    clock.set("2026-10-20T05:00:00Z");
+    await switcher.runOnce();
+    expect(await token.isNight()).to.equal(false);
+
+    const logged = fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(logged.map((entry) => `${entry.from}->${entry.to}`)).to.deep.equal(["day->night", "night->day"]);
+    expect(logged).to.deep.equal(switcher.transitions);
+  });
+
+  it("Should queue the switch for the Safe in export mode", async function () {
+    const { token, deployer, multisig } = await loadFixture(deployTokenFixture);
+    const exportFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-night-")), "batch.json");
+    const sender = createTransactionSender({ signer: deployer, exportFile, safeAddress: multisig.address, chainId: 31337, name: "Night mode" });
+    const { switcher } = switcherFor(token, sender, { schedule: { holidays: "2026-10-19" } });
+
+    const result = await switcher.runOnce();
+    sender.finalize();
+
+    expect(result.transition).to.include({ to: "night", reason: "holiday", mode: "export", txHash: null });
+    expect(await token.isNight()).to.equal(false);
+    const batch = readSafeBatch(exportFile);
+    expect(batch.transactions).to.have.length(1);
+    expect(batch.transactions[0].contractMethod.name).to.equal("setNightMode");
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({ _isNight: "true" });
+
+    // A dry run reports a pending switch without submitting it
+    await token.connect(multisig).setNightMode(true);
+    const dryRun = switcherFor(token, { mode: "send", submit: () => expect.fail("dry run submitted") }, { dryRun: true });
+    expect((await dryRun.switcher.runOnce()).transition).to.equal(null);
+  });
+});
@@ -0,0 +1,298 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createTransactionSender } = require("../scripts/lib/transactions");
+const { readSafeBatch } = require("../scripts/lib/safe");
+const {
+  readPayoutRecords,
+  getPayoutTokens,
+  loadPayoutTokens,
+  validatePayoutRecords,
+  totalByToken,
+  checkBalances,
+  findDuplicates,
+  openPayoutLog,
+  loadLog,
+  matchWithdrawals,
+  reconcileSentLines,
+  reconcileExportedLines,
+  payRows,
+  renderReconciliation,
+} = require("../scripts/lib/payouts");
+
+describe("Treasury CSV payouts", function () {
+  const HEADER = "token,recipient,amount,memo";
+  const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000070ce");
+  const USDC = ethers.getAddress("0x000000000000000000000000000000000000dc01");
+  const ALICE = ethers.getAddress("0x000000000000000000000000000000000000a11c");
+  const BOB = ethers.getAddress("0x000000000000000000000000000000000000b0b0");
+
+  const tokens = {
+    [TOKEN]: { address: TOKEN, supported: true, balance: ethers.parseEther("1500000"), symbol: "HYPEY", decimals: 18 },
+    [USDC]: { address: USDC, supported: true, balance: 1000n * 10n ** 6n, symbol: "USDC", decimals: 6 },
+  };
+  const aliases = { HYPEY: TOKEN };
+
+  function validate(lines) {
+    return validatePayoutRecords(readPayoutRecords([HEADER, ...lines].join("\n")), { tokens, aliases });
+  }
+
+  function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "hypey-payouts-"));
+  }
+
+  describe("Validation", function () {
+    it("Should parse amounts in each token's decimals and resolve symbols", function () {
+      const { rows, errors } = validate([`hypey,${ALICE},"250,000",Q3 grant`, `${USDC},${BOB},12.5,"Market making, May"`]);
+
+      expect(errors).to.be.empty;
+      expect(rows[0]).to.deep.include({ line: 2, token: TOKEN, symbol: "HYPEY", recipient: ALICE, amount: ethers.parseEther("250000"), memo: "Q3 grant" });
+      expect(rows[1]).to.deep.include({ line: 3, token: USDC, amount: 12500000n, memo: "Market making, May" });
+    });
+
+    it("Should list every problem by line", function () {
+      const unsupported = ethers.Wallet.createRandom().address;
+      const { rows, errors } = validatePayoutRecords(
+        readPayoutRecords(
+          [
+            HEADER,
+            `HYPEY,${ALICE},100,ok`,
+            `DOGE,${ALICE},100,`,
+            `${unsupported},${ethers.ZeroAddress},0,`,
+            `HYPEY,${BOB},1000001,too much`,
+            `${USDC},${BOB},1.1234567,too precise`,
+          ].join("\n")
+        ),
+        { tokens: { ...tokens, [unsupported]: { address: unsupported, supported: false, balance: 0n, symbol: "XYZ", decimals: 18 } }, aliases }
+      );
+
+      expect(rows).to.have.length(1);
+      expect(errors).to.have.length(4);
+      expect(errors[0]).to.match(/^line 3: "DOGE" is not a token address or one of HYPEY/);
+      expect(errors[1]).to.equal(`line 4: XYZ ${unsupported} is not supported by the treasury; recipient is the zero address; amount must be greater than 0`);
+      expect(errors[2]).to.match(/^line 5: amount exceeds the per-call limit of 1000000.0; split it over several lines/);
+      expect(errors[3]).to.match(/^line 6: Amount has more than 6 decimals/);
+    });
+
+    it("Should collect the tokens to load, skipping ones that do not resolve", function () {
+      const records = readPayoutRecords([HEADER, `HYPEY,${ALICE},1,`, `${USDC},${BOB},1,`, `hypey,${BOB},2,`, `nope,${BOB},2,`].join("\n"));
+      expect(getPayoutTokens(records, aliases)).to.deep.equal([TOKEN, USDC]);
+    });
+
+    it("Should total per token against the treasury balance", function () {
+      const { rows } = validate([`HYPEY,${ALICE},1m,`, `HYPEY,${BOB},600k,`, `${USDC},${BOB},999,`]);
+      const totals = totalByToken(rows);
+
+      expect(totals.map((entry) => [entry.symbol, entry.lines, entry.total])).to.deep.equal([
+        ["HYPEY", 2, ethers.parseEther("1600000")],
+        ["USDC", 1, 999000000n],
+      ]);
+      expect(checkBalances(totals, tokens)).to.deep.equal([
+        "HYPEY: 2 line(s) total 1600000.0 HYPEY but the treasury holds 1500000.0 HYPEY (short 100000.0 HYPEY)",
+      ]);
+    });
+
+    it("Should warn about repeated lines", function () {
+      const { rows } = validate([`HYPEY,${ALICE},100,a`, `HYPEY,${BOB},100,b`, `HYPEY,${ALICE},100.0,c`]);
+      expect(findDuplicates(rows)).to.deep.equal([`line 4 repeats line 2 (100.0 HYPEY to ${ALICE})`]);
+    });
+
+    it("Should refuse a log written for another CSV", function () {
+      const file = path.join(tempDir(), "log.json");
+      fs.writeFileSync(file, JSON.stringify({ treasury: TOKEN, source: "0x01", lines: {} }));
+
+      expect(() => openPayoutLog(file, { treasury: TOKEN, source: "0x02" })).to.throw("different version of the CSV");
+      expect(() => openPayoutLog(file, { treasury: USDC, source: "0x01" })).to.throw(`belongs to a payout from ${TOKEN}`);
+    });
+  });
+
+  describe("Reconciliation", function () {
+    const event = (transactionHash, index, to, amount, blockNumber = 10) => ({
+      transactionHash,
+      index,
+      blockNumber,
+      args: { token: TOKEN, to, amount: ethers.parseEther(amount) },
+    });
+    const entry = (line, recipient, amount, exportedAtBlock = 5) => ({
+      line,
+      token: TOKEN,
+      recipient,
+      amount: ethers.parseEther(amount).toString(),
+      status: "exported",
+      exportedAtBlock,
+    });
+
+    it("Should match each event to one line, in line order", function () {
+      const matches = matchWithdrawals(
+        [entry(3, ALICE, "100"), entry(2, ALICE, "100"), entry(4, BOB, "5")],
+        [event("0xaa", 0, ALICE, "100"), event("0xaa", 1, BOB, "50"), event("0xbb", 0, ALICE, "100")]
+      );
+
+      expect([...matches.keys()]).to.deep.equal([2, 3]);
+      expect(matches.get(2)).to.deep.include({ transactionHash: "0xaa", logIndex: 0, to: ALICE });
+      expect(matches.get(3)).to.deep.include({ transactionHash: "0xbb", logIndex: 0 });
+    });
+
+    it("Should skip claimed events and events from before the export", function () {
+      const matches = matchWithdrawals(
+        [entry(2, ALICE, "100", 8)],
+        [event("0xaa", 0, ALICE, "100", 7), event("0xbb", 3, ALICE, "100"), event("0xcc", 1, ALICE, "100")],
+        new Set(["0xbb:3"])
+      );
+      expect(matches.get(2).transactionHash).to.equal("0xcc");
+    });
+
+    it("Should render one row per line with its event", function () {
+      const { rows } = validate([`HYPEY,${ALICE},100,"Grant, round 2"`, `${USDC},${BOB},12.5,`]);
+      const log = {
+        lines: {
+          2: {
+            status: "confirmed",
+            txHash: "0xaa",
+            blockNumber: 12,
+            event: { logIndex: 3, amount: ethers.parseEther("100").toString() },
+          },
+        },
+      };
+
+      expect(renderReconciliation(rows, log).split("\n")).to.deep.equal([
+        "line,token,symbol,recipient,amount,memo,status,txHash,blockNumber,logIndex,eventAmount",
+        `2,${TOKEN},HYPEY,${ALICE},100.0,"Grant, round 2",confirmed,0xaa,12,3,100.0`,
+        `3,${USDC},USDC,${BOB},12.5,,pending,,,,`,
+        "",
+      ]);
+    });
+  });
+
+  describe("Paying from the treasury", function () {
+    async function deployTreasuryFixture() {
+      const [admin, multisig, reserveBurn, timelock, alice, bob] = await ethers.getSigners();
+
+      const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+      const token = await upgrades.deployProxy(
+        HYPEYToken,
+        [reserveBurn.address, timelock.address, admin.address],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await token.waitForDeployment();
+
+      const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+      const treasury = await upgrades.deployProxy(
+        HYPEYTreasury,
+        [multisig.address, timelock.address],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await treasury.waitForDeployment();
+
+      await token.setExemptFromBurn(treasury.target, true);
+      await token.distributeInitialSupply(treasury.target, ethers.parseEther("2000000"));
+      await treasury.connect(multisig).addSupportedToken(token.target);
+
+      return { token, treasury, multisig, alice, bob };
+    }
+
+    async function prepare(treasury, token, lines) {
+      const records = readPayoutRecords([HEADER, ...lines].join("\n"));
+      const loaded = await loadPayoutTokens(treasury, getPayoutTokens(records, { HYPEY: token.target }));
+      return validatePayoutRecords(records, { tokens: loaded, aliases: { HYPEY: token.target } }).rows;
+    }
+
+    it("Should pay each line once and record its TokensWithdrawn event", async function () {
+      const { token, treasury, multisig, alice, bob } = await loadFixture(deployTreasuryFixture);
+      const rows = await prepare(treasury, token, [`HYPEY,${alice.address},1m,grant`, `HYPEY,${bob.address},2500.5,mm`]);
+      const logFile = path.join(tempDir(), "log.json");
+      const sender = createTransactionSender({ signer: multisig });
+      const log = openPayoutLog(logFile, { treasury: treasury.target, source: "0x01" });
+
+      await payRows({ treasury, rows, sender, logFile, payoutLog: log });
+
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("1000000"));
+      expect(await token.balanceOf(bob.address)).to.equal(ethers.parseEther("2500.5"));
+      const saved = loadLog(logFile);
+      expect(saved.lines[2]).to.deep.include({ status: "confirmed", recipient: alice.address, memo: "grant" });
+      expect(saved.lines[2].event).to.deep.include({ to: alice.address, amount: ethers.parseEther("1000000").toString() });
+      expect(saved.lines[3].event.transactionHash).to.equal(saved.lines[3].txHash);
+
+      // A second run skips every line
+      const again = await payRows({ treasury, rows, sender, logFile, payoutLog: openPayoutLog(logFile, { treasury: treasury.target, source: "0x01" }) });
+      expect(again.every((result) => result.skipped)).to.equal(true);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("1000000"));
+    });
+
+    it("Should resume a line logged as sent from its receipt", async function () {
+      const { token, treasury, multisig, alice } = await loadFixture(deployTreasuryFixture);
+      const rows = await prepare(treasury, token, [`HYPEY,${alice.address},100,`]);
+      const logFile = path.join(tempDir(), "log.json");
+
+      // The run died after sending, before recording the receipt
+      const tx = await treasury.connect(multisig).disburseToken(token.target, alice.address, ethers.parseEther("100"));
+      const log = {
+        treasury: treasury.target,
+        source: "0x01",
+        lines: { 2: { line: 2, token: token.target, recipient: alice.address, amount: ethers.parseEther("100").toString(), status: "sent", txHash: tx.hash } },
+      };
+
+      const messages = [];
+      const [result] = await payRows({
+        treasury,
+        rows,
+        sender: createTransactionSender({ signer: multisig }),
+        logFile,
+        payoutLog: log,
+        log: (message) => messages.push(message),
+      });
+
+      expect(result).to.deep.include({ status: "confirmed", skipped: true, txHash: tx.hash });
+      expect(messages).to.deep.equal([`   ⏭️  Line 2: 100.0 HYPEY to ${alice.address}: already paid (tx ${tx.hash})`]);
+      expect(result.event.logIndex).to.be.a("number");
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should settle sent lines before totalling what is left to pay", async function () {
+      const { token, treasury, multisig, alice, bob } = await loadFixture(deployTreasuryFixture);
+      const rows = await prepare(treasury, token, [`HYPEY,${alice.address},100,`, `HYPEY,${bob.address},200,`]);
+      const logFile = path.join(tempDir(), "log.json");
+
+      // Alice's line was mined, Bob's was dropped before the run died
+      const tx = await treasury.connect(multisig).disburseToken(token.target, alice.address, ethers.parseEther("100"));
+      const sent = (row, txHash) => ({ line: row.line, token: token.target, recipient: row.recipient, amount: row.amount.toString(), status: "sent", txHash });
+      const log = { treasury: treasury.target, source: "0x01", lines: { 2: sent(rows[0], tx.hash), 3: sent(rows[1], ethers.id("dropped")) } };
+
+      await reconcileSentLines({ treasury, rows, logFile, payoutLog: log, log: () => {} });
+
+      expect(loadLog(logFile).lines[2]).to.deep.include({ status: "confirmed", txHash: tx.hash });
+      expect(log.lines).to.not.have.property("3");
+      const pending = rows.filter((row) => !log.lines[row.line]);
+      expect(totalByToken(pending).map((entry) => entry.total)).to.deep.equal([ethers.parseEther("200")]);
+    });
+
+    it("Should export a Safe batch and match its events once executed", async function () {
+      const { token, treasury, multisig, alice, bob } = await loadFixture(deployTreasuryFixture);
+      const rows = await prepare(treasury, token, [`HYPEY,${alice.address},100,`, `HYPEY,${bob.address},200,`]);
+      const dir = tempDir();
+      const logFile = path.join(dir, "log.json");
+      const exportFile = path.join(dir, "batch.json");
+      const sender = createTransactionSender({ exportFile, safeAddress: multisig.address, chainId: 31337, name: "Payouts" });
+      const log = openPayoutLog(logFile, { treasury: treasury.target, source: "0x01" });
+
+      await payRows({ treasury, rows, sender, logFile, payoutLog: log });
+      sender.finalize();
+
+      expect(readSafeBatch(exportFile).transactions).to.have.length(2);
+      expect(Object.values(log.lines).map((line) => line.status)).to.deep.equal(["exported", "exported"]);
+      expect(await reconcileExportedLines(treasury, log)).to.equal(0);
+
+      // The Safe executes the batch
+      await treasury.connect(multisig).disburseToken(token.target, bob.address, ethers.parseEther("200"));
+      await treasury.connect(multisig).disburseToken(token.target, alice.address, ethers.parseEther("100"));
+
+      expect(await reconcileExportedLines(treasury, log)).to.equal(2);
+      expect(log.lines[2]).to.deep.include({ status: "confirmed" });
+      expect(log.lines[2].event.to).to.equal(alice.address);
+      expect(log.lines[3].event.to).to.equal(bob.address);
+    });
+  });
+});
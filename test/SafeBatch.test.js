@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createTransactionSender } = require("../scripts/lib/transactions");
+const { readSafeBatch, decodeSafeBatch, calculateChecksum } = require("../scripts/lib/safe");
+
+describe("Safe Transaction Builder export", function () {
+  async function deploySystemFixture() {
+    const [deployer, multisig, reserveBurn, user1, beneficiary] = await ethers.getSigners();
+
+    const MockTimelock = await ethers.getContractFactory("MockTimelock");
+    const timelock = await upgrades.deployProxy(
+      MockTimelock,
+      [86400, [multisig.address], [multisig.address], multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await timelock.waitForDeployment();
+    const timelockAddress = await timelock.getAddress();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelockAddress, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const treasury = await upgrades.deployProxy(
+      HYPEYTreasury,
+      [multisig.address, timelockAddress],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await treasury.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelockAddress],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+
+    const scheduleStart = (await time.latest()) + 30 * 86400;
+
+    return { token, treasury, vesting, deployer, multisig, user1, beneficiary, scheduleStart };
+  }
+
+  // The admin calls a typical ops session would make, in order
+  async function adminCalls({ token, treasury, vesting, user1, beneficiary, scheduleStart }) {
+    return [
+      ["Set burn rate", token, "setBurnRate", [200]],
+      ["Exempt user1", token, "setExemptFromBurn", [user1.address, true]],
+      ["Fund treasury", token, "distributeInitialSupply", [await treasury.getAddress(), ethers.parseEther("1000")]],
+      ["Fund vesting", token, "distributeInitialSupply", [await vesting.getAddress(), ethers.parseEther("500")]],
+      ["Support HYPEY", treasury, "addSupportedToken", [await token.getAddress()]],
+      ["Disburse", treasury, "disburseToken", [await token.getAddress(), user1.address, ethers.parseEther("10")]],
+      ["Add schedule", vesting, "addVestingSchedule", [beneficiary.address, ethers.parseEther("100"), scheduleStart, 600, 3600, 60, 10]],
+      ["Pause vesting", vesting, "pause", []],
+    ];
+  }
+
+  async function readState({ token, treasury, vesting, user1, beneficiary }) {
+    const [schedules] = await vesting.getVestingInfo(beneficiary.address);
+    return {
+      burnRate: await token.burnRateBasisPoints(),
+      user1Exempt: await token.exemptFromBurn(user1.address),
+      treasuryBalance: await token.balanceOf(await treasury.getAddress()),
+      vestingBalance: await token.balanceOf(await vesting.getAddress()),
+      user1Balance: await token.balanceOf(user1.address),
+      supported: [...(await treasury.getSupportedTokens())],
+      schedules: schedules.map((schedule) => schedule.toArray().map(String)),
+      vestingPaused: await vesting.paused(),
+    };
+  }
+
+  async function exportBatch(fixture) {
+    const exportFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-safe-")), "batch.json");
+    const sender = createTransactionSender({
+      signer: fixture.deployer,
+      exportFile,
+      safeAddress: fixture.multisig.address,
+      chainId: 31337,
+      name: "Admin session",
+    });
+    for (const [label, contract, method, args] of await adminCalls(fixture)) {
+      await sender.submit(label, contract, method, args);
+    }
+    sender.finalize();
+    return readSafeBatch(exportFile);
+  }
+
+  it("Should not send anything in export mode", async function () {
+    const fixture = await loadFixture(deploySystemFixture);
+    const before = await readState(fixture);
+
+    await exportBatch(fixture);
+
+    expect(await readState(fixture)).to.deep.equal(before);
+  });
+
+  it("Should write a Transaction Builder compatible batch", async function () {
+    const fixture = await loadFixture(deploySystemFixture);
+    const batch = await exportBatch(fixture);
+
+    expect(batch.version).to.equal("1.0");
+    expect(batch.chainId).to.equal("31337");
+    expect(batch.meta.createdFromSafeAddress).to.equal(fixture.multisig.address);
+    expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+    expect(batch.transactions).to.have.length(8);
+
+    const [setBurnRate] = batch.transactions;
+    expect(setBurnRate.to).to.equal(await fixture.token.getAddress());
+    expect(setBurnRate.value).to.equal("0");
+    expect(setBurnRate.contractMethod.name).to.equal("setBurnRate");
+    expect(setBurnRate.contractMethod.inputs).to.deep.equal([
+      { internalType: "uint256", name: "_basisPoints", type: "uint256" },
+    ]);
+    expect(setBurnRate.contractInputsValues).to.deep.equal({ _basisPoints: "200" });
+  });
+
+  it("Should decode every transaction back to the submitted call", async function () {
+    const fixture = await loadFixture(deploySystemFixture);
+    const batch = await exportBatch(fixture);
+    const calls = await adminCalls(fixture);
+
+    const decoded = decodeSafeBatch(batch, {
+      HYPEYToken: fixture.token.interface,
+      HYPEYTreasury: fixture.treasury.interface,
+      HypeyVesting: fixture.vesting.interface,
+    });
+
+    expect(decoded.map((tx) => tx.method)).to.deep.equal(calls.map(([, , method]) => method));
+    for (let i = 0; i < calls.length; i++) {
+      const [, contract, , args] = calls[i];
+      expect(decoded[i].to).to.equal(await contract.getAddress());
+      expect(decoded[i].args.toArray().map(String)).to.deep.equal(args.map(String));
+    }
+  });
+
+  it("Should reject a batch whose inputs were edited without the data", async function () {
+    const fixture = await loadFixture(deploySystemFixture);
+    const batch = await exportBatch(fixture);
+    batch.transactions[0].contractInputsValues._basisPoints = "300";
+
+    expect(() => decodeSafeBatch(batch, { HYPEYToken: fixture.token.interface }))
+      .to.throw("contractInputsValues do not match data");
+  });
+
+  it("Should replay from the Safe to the same state as signing directly", async function () {
+    const fixture = await loadFixture(deploySystemFixture);
+    const batch = await exportBatch(fixture);
+    const snapshot = await takeSnapshot();
+
+    // Direct path: the multisig signs each call itself
+    for (const [, contract, method, args] of await adminCalls(fixture)) {
+      await (await contract.connect(fixture.multisig)[method](...args)).wait();
+    }
+    const direct = await readState(fixture);
+
+    // Batch path: replay the exported raw transactions from the Safe address
+    await snapshot.restore();
+    const safe = await ethers.getImpersonatedSigner(batch.meta.createdFromSafeAddress);
+    for (const tx of batch.transactions) {
+      await (await safe.sendTransaction({ to: tx.to, value: BigInt(tx.value), data: tx.data })).wait();
+    }
+    const replayed = await readState(fixture);
+
+    expect(replayed).to.deep.equal(direct);
+    expect(replayed.burnRate).to.equal(200n);
+    expect(replayed.vestingPaused).to.be.true;
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseRatio, parseHorizonDays, getSolvencySnapshot, assessSolvency } = require("../scripts/lib/solvency");
+
+describe("Vesting solvency monitor", function () {
+  const DAY = 86400;
+
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob, treasury] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+    await token.connect(multisig).setExemptFromBurn(await vesting.getAddress(), true);
+
+    // 3000 HYPEY of obligations, funded exactly
+    const start = (await time.latest()) + DAY;
+    await vesting.connect(multisig).addVestingSchedule(alice.address, ethers.parseEther("1000"), start, 0, 100 * DAY, DAY, 20);
+    await vesting.connect(multisig).addVestingSchedule(bob.address, ethers.parseEther("2000"), start, 50 * DAY, 100 * DAY, DAY, 0);
+    await token.connect(multisig).distributeInitialSupply(await vesting.getAddress(), ethers.parseEther("3000"));
+
+    return { token, vesting, multisig, alice, bob, treasury, start };
+  }
+
+  it("Should total outstanding and releasable amounts across schedules", async function () {
+    const { vesting, alice, start } = await loadFixture(deployVestingFixture);
+
+    await time.increaseTo(start + 10 * DAY);
+    await vesting.claimFor(alice.address, 0);
+    const snapshot = await getSolvencySnapshot(vesting, { horizonDays: 45 });
+
+    // Alice: 20% + 10/100 of the rest = 280 claimed; Bob's cliff is at day 50
+    expect(snapshot.beneficiaries).to.equal(2);
+    expect(snapshot.schedules).to.equal(2);
+    expect(snapshot.outstanding).to.equal(ethers.parseEther("2720"));
+    expect(snapshot.releasableNow).to.equal(0n);
+    // By day ~55: Alice 20% + 55% of 800, Bob 55% of 2000, minus Alice's 280
+    expect(snapshot.releasableWithinHorizon).to.equal(ethers.parseEther("1460"));
+    expect(snapshot.poolBalance).to.equal(ethers.parseEther("2720"));
+  });
+
+  it("Should report a fully funded pool as ok", async function () {
+    const { vesting } = await loadFixture(deployVestingFixture);
+
+    const payload = assessSolvency(await getSolvencySnapshot(vesting), { network: "hardhat" });
+
+    expect(payload.status).to.equal("ok");
+    expect(payload.coverageRatio).to.equal("1.0000");
+    expect(payload.alerts).to.be.empty;
+  });
+
+  it("Should alert when adminWithdraw drains the pool below obligations", async function () {
+    const { vesting, multisig, treasury, start } = await loadFixture(deployVestingFixture);
+
+    await vesting.connect(multisig).adminWithdraw(treasury.address, ethers.parseEther("2500"));
+    await time.increaseTo(start + 60 * DAY);
+    const payload = assessSolvency(await getSolvencySnapshot(vesting, { horizonDays: 30 }));
+
+    expect(payload.status).to.equal("alert");
+    expect(payload.coverageRatio).to.equal("0.1666");
+    expect(payload.alerts.map((alert) => alert.code)).to.deep.equal(["COVERAGE_BELOW_MINIMUM", "HORIZON_SHORTFALL"]);
+    expect(payload.alerts[0].shortfall).to.equal("2500.0");
+  });
+
+  it("Should alert when coverage is under a stricter ratio", async function () {
+    const { vesting } = await loadFixture(deployVestingFixture);
+    const snapshot = await getSolvencySnapshot(vesting);
+
+    expect(assessSolvency(snapshot, { minCoverage: parseRatio("1.1") }).status).to.equal("alert");
+    expect(assessSolvency(snapshot, { minCoverage: parseRatio("0.95") }).status).to.equal("ok");
+  });
+
+  it("Should parse coverage ratios", function () {
+    expect(parseRatio("1")).to.equal(10000n);
+    expect(parseRatio("1.05")).to.equal(10500n);
+    expect(parseRatio("0.5")).to.equal(5000n);
+    expect(() => parseRatio("105%")).to.throw("not a coverage ratio");
+  });
+
+  it("Should parse horizons as whole days", function () {
+    expect(parseHorizonDays("30")).to.equal(30);
+    for (const value of ["abc", "0", "-5", "1.5", ""]) {
+      expect(() => parseHorizonDays(value), value).to.throw("is not a horizon");
+    }
+  });
+});
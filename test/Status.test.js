@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { STATUS_SCHEMA_VERSION, readStatus, compareStatus } = require("../scripts/lib/status");
+
+describe("Status report", function () {
+  const MULTISIG = ethers.getAddress("0x000000000000000000000000000000000000a11c");
+
+  describe("Expected-state checks", function () {
+    const status = {
+      chainId: 84532,
+      addresses: { multisig: MULTISIG },
+      token: { owner: MULTISIG, burnRateBasisPoints: "100", isNight: false },
+      treasury: { supportedTokens: [MULTISIG] },
+    };
+
+    it("Should pass when every pinned field matches", function () {
+      expect(
+        compareStatus(status, {
+          chainId: 84532,
+          token: { owner: MULTISIG.toLowerCase(), burnRateBasisPoints: 100, isNight: false },
+          treasury: { supportedTokens: [MULTISIG.toLowerCase()] },
+        })
+      ).to.deep.equal([]);
+    });
+
+    it("Should report every drift with its path", function () {
+      expect(
+        compareStatus(status, {
+          chainId: 8453,
+          token: { burnRateBasisPoints: "150", isNight: true, burnRate: 100 },
+          treasury: { supportedTokens: [] },
+        })
+      ).to.deep.equal([
+        { path: "chainId", expected: 8453, actual: 84532 },
+        { path: "token.burnRateBasisPoints", expected: "150", actual: "100" },
+        { path: "token.isNight", expected: true, actual: false },
+        { path: "token.burnRate", expected: 100, actual: null },
+        { path: "treasury.supportedTokens", expected: [], actual: [MULTISIG] },
+      ]);
+    });
+
+    it("Should resolve @references against the live status", function () {
+      expect(compareStatus(status, { token: { owner: "@addresses.multisig" } })).to.deep.equal([]);
+      expect(compareStatus({ ...status, token: { owner: ethers.ZeroAddress } }, { token: { owner: "@addresses.multisig" } })).to.deep.equal([
+        { path: "token.owner", expected: `@addresses.multisig (${MULTISIG})`, actual: ethers.ZeroAddress },
+      ]);
+    });
+  });
+
+  describe("Live reads", function () {
+    async function deployEcosystemFixture() {
+      const [deployer, multisig, reserveBurn, timelock] = await ethers.getSigners();
+
+      const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+      const token = await upgrades.deployProxy(HYPEYToken, [reserveBurn.address, timelock.address, multisig.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await token.waitForDeployment();
+
+      const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+      const treasury = await upgrades.deployProxy(HYPEYTreasury, [multisig.address, timelock.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await treasury.waitForDeployment();
+
+      const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+      const vesting = await upgrades.deployProxy(HypeyVesting, [token.target, multisig.address, timelock.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await vesting.waitForDeployment();
+
+      await token.connect(multisig).setExemptFromBurn(treasury.target, true);
+      await token.connect(multisig).distributeInitialSupply(treasury.target, ethers.parseEther("1000"));
+
+      const addresses = {
+        token: token.target,
+        treasury: treasury.target,
+        vesting: vesting.target,
+        multisig: multisig.address,
+        reserveBurn: reserveBurn.address,
+      };
+      return { token, treasury, vesting, addresses, multisig, timelock };
+    }
+
+    it("Should read the state into the fixed layout", async function () {
+      const { token, treasury, addresses, multisig, timelock } = await loadFixture(deployEcosystemFixture);
+
+      const { status, errors } = await readStatus(addresses);
+
+      expect(errors).to.deep.equal([]);
+      expect(status.schemaVersion).to.equal(STATUS_SCHEMA_VERSION);
+      expect(status.network).to.equal("hardhat");
+      expect(Object.keys(status)).to.deep.equal([
+        "schemaVersion",
+        "network",
+        "chainId",
+        "blockNumber",
+        "addresses",
+        "implementations",
+        "token",
+        "treasury",
+        "vesting",
+        "balances",
+        "exemptions",
+        "roles",
+      ]);
+      expect(status.implementations.treasury).to.equal(await upgrades.erc1967.getImplementationAddress(treasury.target));
+      expect(status.token).to.deep.include({ symbol: "HYPEY", decimals: 18, owner: multisig.address, timelock: timelock.address });
+      expect(status.token.totalSupply).to.equal((await token.totalSupply()).toString());
+      expect(status.balances.treasury).to.equal(ethers.parseEther("1000").toString());
+      expect(status.exemptions).to.deep.include({ treasury: true, vesting: false });
+      expect(status.treasury).to.deep.include({ paused: false, supportedTokens: [] });
+      // The timelock is not in the registry here, so the token's is used
+      expect(status.roles.vesting.MULTISIG_ADMIN_ROLE).to.deep.equal({ multisig: true, timelock: true });
+      expect(status.roles.token.DEFAULT_ADMIN_ROLE.multisig).to.equal(true);
+
+      expect(compareStatus(status, { token: { owner: "@addresses.multisig" }, exemptions: { treasury: true } })).to.deep.equal([]);
+      expect(JSON.parse(JSON.stringify(status))).to.deep.equal(status);
+    });
+
+    it("Should record failed reads instead of stopping", async function () {
+      const { addresses } = await loadFixture(deployEcosystemFixture);
+
+      // An address with no code: every vesting read fails, the rest still comes back
+      const { status, errors } = await readStatus({ ...addresses, vesting: ethers.Wallet.createRandom().address, multisig: undefined });
+
+      expect(status.vesting).to.deep.equal({ paused: null, timelock: null, builder: null });
+      expect(status.token.symbol).to.equal("HYPEY");
+      expect(errors.map((error) => error.path)).to.include.members(["implementations.vesting", "vesting.paused", "addresses.multisig"]);
+      expect(status.roles.treasury.MULTISIG_ADMIN_ROLE.multisig).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  indexOperations,
+  executeOperation,
+  cancelOperation,
+} = require("../scripts/lib/timelock");
+
+describe("Timelock operation queue", function () {
+  const DELAY = 86400;
+
+  async function deployQueueFixture() {
+    const [deployer, multisig, reserveBurn, outsider] = await ethers.getSigners();
+
+    const MockTimelock = await ethers.getContractFactory("MockTimelock");
+    const timelock = await upgrades.deployProxy(
+      MockTimelock,
+      [DELAY, [multisig.address], [multisig.address], multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await timelock.waitForDeployment();
+    const timelockAddress = await timelock.getAddress();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelockAddress, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const treasury = await upgrades.deployProxy(
+      HYPEYTreasury,
+      [multisig.address, timelockAddress],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await treasury.waitForDeployment();
+
+    const labels = {
+      [timelockAddress.toLowerCase()]: "MockTimelock",
+      [(await token.getAddress()).toLowerCase()]: "HYPEYToken",
+      [(await treasury.getAddress()).toLowerCase()]: "HYPEYTreasury",
+    };
+
+    // The timelock holds MULTISIG_ADMIN_ROLE on the treasury, so it can add tokens
+    const data = treasury.interface.encodeFunctionData("addSupportedToken", [await token.getAddress()]);
+    const salt = ethers.id("add-hypey");
+    await timelock
+      .connect(multisig)
+      .schedule(await treasury.getAddress(), 0, data, ethers.ZeroHash, salt, DELAY);
+
+    return { timelock, token, treasury, labels, multisig, outsider };
+  }
+
+  async function findOnly(timelock, labels) {
+    const operations = await indexOperations(timelock, { labels });
+    expect(operations).to.have.length(1);
+    return operations[0];
+  }
+
+  it("Should index and decode scheduled calls as pending with an ETA", async function () {
+    const { timelock, token, treasury, labels } = await loadFixture(deployQueueFixture);
+
+    const operation = await findOnly(timelock, labels);
+    const latest = await time.latest();
+
+    expect(operation.state).to.equal("pending");
+    expect(operation.eta).to.equal(latest + DELAY);
+    expect(operation.salt).to.equal(ethers.id("add-hypey"));
+    expect(operation.calls[0].target).to.equal(await treasury.getAddress());
+    expect(operation.calls[0].decoded.contractName).to.equal("HYPEYTreasury");
+    expect(operation.calls[0].decoded.functionName).to.equal("addSupportedToken");
+    expect(operation.calls[0].decoded.text).to.equal(
+      `HYPEYTreasury.addSupportedToken(token=${await token.getAddress()})`
+    );
+  });
+
+  it("Should not execute an operation before its delay", async function () {
+    const { timelock, labels, multisig } = await loadFixture(deployQueueFixture);
+
+    const operation = await findOnly(timelock, labels);
+    await expect(executeOperation(timelock.connect(multisig), operation))
+      .to.be.rejectedWith("is pending, not ready");
+  });
+
+  it("Should execute a ready operation and report it as done", async function () {
+    const { timelock, token, treasury, labels, multisig } = await loadFixture(deployQueueFixture);
+
+    await time.increase(DELAY);
+    const ready = await findOnly(timelock, labels);
+    expect(ready.state).to.equal("ready");
+
+    const tx = await executeOperation(timelock.connect(multisig), ready);
+    await tx.wait();
+
+    expect(await treasury.supportedTokens(await token.getAddress())).to.be.true;
+    const done = await findOnly(timelock, labels);
+    expect(done.state).to.equal("done");
+    expect(done.executedTx).to.equal(tx.hash);
+  });
+
+  it("Should cancel an operation and report it as cancelled", async function () {
+    const { timelock, labels, multisig } = await loadFixture(deployQueueFixture);
+
+    const pending = await findOnly(timelock, labels);
+    const tx = await cancelOperation(timelock.connect(multisig), pending);
+    await tx.wait();
+
+    const cancelled = await findOnly(timelock, labels);
+    expect(cancelled.state).to.equal("cancelled");
+    expect(cancelled.cancelledTx).to.equal(tx.hash);
+    await expect(cancelOperation(timelock.connect(multisig), cancelled))
+      .to.be.rejectedWith("cannot be cancelled");
+  });
+
+  it("Should execute batch operations with all their calls", async function () {
+    const { timelock, treasury, labels, multisig } = await loadFixture(deployQueueFixture);
+    const treasuryAddress = await treasury.getAddress();
+
+    const pause = treasury.interface.encodeFunctionData("pause");
+    const unpause = treasury.interface.encodeFunctionData("unpause");
+    await timelock
+      .connect(multisig)
+      .scheduleBatch([treasuryAddress, treasuryAddress], [0, 0], [pause, unpause], ethers.ZeroHash, ethers.id("batch"), DELAY);
+    await time.increase(DELAY);
+
+    const operations = await indexOperations(timelock, { labels });
+    const batch = operations.find((op) => op.calls.length === 2);
+    expect(batch.calls.map((call) => call.decoded.functionName)).to.deep.equal(["pause", "unpause"]);
+
+    await (await executeOperation(timelock.connect(multisig), batch)).wait();
+    expect(await treasury.paused()).to.be.false;
+    const [, executed] = await indexOperations(timelock, { labels });
+    expect(executed.state).to.equal("done");
+  });
+
+  it("Should reject execution from accounts without EXECUTOR_ROLE", async function () {
+    const { timelock, labels, outsider } = await loadFixture(deployQueueFixture);
+
+    await time.increase(DELAY);
+    const ready = await findOnly(timelock, labels);
+    await expect(executeOperation(timelock.connect(outsider), ready)).to.be.reverted;
+  });
+});
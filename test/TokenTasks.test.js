@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { readSafeBatch } = require("../scripts/lib/safe");
+const { parseTokenAmount, parseBurnRate } = require("../scripts/lib/token-admin");
+
+const { ethers, upgrades } = hre;
+
+describe("Token admin tasks", function () {
+  // The tasks send from the first signer, so it owns the token here
+  async function deployTokenFixture() {
+    const [owner, multisig, reserveBurn, timelock, alice, pair] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const run = (name, args = {}) => hre.run(name, { address: token.target, ...args });
+    return { token, owner, multisig, alice, pair, run };
+  }
+
+  it("Should parse human-readable amounts and burn rates", function () {
+    expect(parseTokenAmount("1,000,000")).to.equal(ethers.parseEther("1000000"));
+    expect(parseTokenAmount("2_500.5")).to.equal(ethers.parseEther("2500.5"));
+    expect(parseTokenAmount("1.5m")).to.equal(ethers.parseEther("1500000"));
+    expect(parseTokenAmount("3B")).to.equal(ethers.parseEther("3000000000"));
+    expect(() => parseTokenAmount("0")).to.throw("Amount must be greater than 0");
+    expect(() => parseTokenAmount("1e6")).to.throw("must be an amount");
+
+    expect(parseBurnRate("150")).to.equal(150n);
+    expect(parseBurnRate("2.5%")).to.equal(250n);
+    expect(() => parseBurnRate("301")).to.throw("Burn rate must be between 0 and 3%");
+    expect(() => parseBurnRate("3.5%")).to.throw("Burn rate must be between 0 and 3%");
+  });
+
+  it("Should set burn rate, exemptions, DEX pair and dynamic burn", async function () {
+    const { token, alice, pair, run } = await loadFixture(deployTokenFixture);
+
+    await run("token:set-burn-rate", { rate: "2%" });
+    await run("token:exempt", { wallet: alice.address });
+    await run("token:set-dex-pair", { pair: pair.address });
+    await run("token:dynamic-burn", { enabled: "on" });
+
+    expect(await token.burnRateBasisPoints()).to.equal(200n);
+    expect(await token.exemptFromBurn(alice.address)).to.equal(true);
+    expect(await token.dexPair()).to.equal(pair.address);
+    expect(await token.dynamicBurnEnabled()).to.equal(true);
+
+    // Unchanged values are not sent again
+    expect(await run("token:set-burn-rate", { rate: "200" })).to.equal(null);
+
+    await run("token:exempt", { wallet: alice.address, remove: true });
+    expect(await token.exemptFromBurn(alice.address)).to.equal(false);
+  });
+
+  it("Should approve and revoke platforms and NFT contracts", async function () {
+    const { token, alice, pair, run } = await loadFixture(deployTokenFixture);
+
+    await run("token:approve-platform", { platform: alice.address });
+    await run("token:approve-nft", { nft: pair.address });
+    expect(await token.approvedPlatforms(alice.address)).to.equal(true);
+    expect(await token.approvedNFTContracts(pair.address)).to.equal(true);
+
+    await run("token:approve-platform", { platform: alice.address, revoke: true });
+    expect(await token.approvedPlatforms(alice.address)).to.equal(false);
+  });
+
+  it("Should distribute supply and burn for KPIs with readable amounts", async function () {
+    const { token, owner, alice, run } = await loadFixture(deployTokenFixture);
+    const supply = await token.totalSupply();
+
+    await run("token:distribute", { recipient: alice.address, amount: "250k" });
+    await run("token:distribute", { recipient: owner.address, amount: "1,000" });
+    await run("token:burn-kpi", { amount: "400.5" });
+
+    expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("250000"));
+    expect(await token.balanceOf(owner.address)).to.equal(ethers.parseEther("599.5"));
+    expect(await token.totalSupply()).to.equal(supply - ethers.parseEther("400.5"));
+  });
+
+  it("Should reject arguments with the contract's messages before sending", async function () {
+    const { token, alice, run } = await loadFixture(deployTokenFixture);
+
+    await expect(run("token:set-burn-rate", { rate: "301" })).to.be.rejectedWith("Burn rate must be between 0 and 3%");
+    await expect(run("token:exempt", { wallet: ethers.ZeroAddress })).to.be.rejectedWith("Invalid wallet address");
+    await expect(run("token:set-dex-pair", { pair: ethers.ZeroAddress })).to.be.rejectedWith("Invalid pair address");
+    await expect(run("token:approve-platform", { platform: token.target })).to.be.rejectedWith("Cannot approve self");
+    await expect(run("token:approve-nft", { nft: ethers.ZeroAddress })).to.be.rejectedWith("Invalid NFT contract address");
+    await expect(run("token:distribute", { recipient: ethers.ZeroAddress, amount: "1" })).to.be.rejectedWith("Invalid recipient");
+    await expect(run("token:distribute", { recipient: alice.address, amount: "3.1b" })).to.be.rejectedWith("Insufficient contract balance");
+    await expect(run("token:burn-kpi", { amount: "1" })).to.be.rejectedWith("burn amount exceeds balance");
+    await expect(run("token:dynamic-burn", { enabled: "maybe" })).to.be.rejectedWith("must be on or off");
+  });
+
+  it("Should fail the pre-flight when the sender is not the owner", async function () {
+    const { token, owner, multisig, run } = await loadFixture(deployTokenFixture);
+    await token.connect(owner).transferOwnership(multisig.address);
+
+    await expect(run("token:set-burn-rate", { rate: "50" })).to.be.rejectedWith("Ownable: caller is not the owner");
+    expect(await token.burnRateBasisPoints()).to.equal(100n);
+  });
+
+  it("Should export the call for the Safe instead of sending it", async function () {
+    const { token, owner, multisig, run } = await loadFixture(deployTokenFixture);
+    await token.connect(owner).transferOwnership(multisig.address);
+    const exportFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-task-")), "batch.json");
+
+    await run("token:set-burn-rate", { rate: "250", safeExport: exportFile, safe: multisig.address });
+
+    expect(await token.burnRateBasisPoints()).to.equal(100n);
+    const batch = readSafeBatch(exportFile);
+    expect(batch.meta.createdFromSafeAddress).to.equal(multisig.address);
+    expect(batch.transactions.map((tx) => tx.contractMethod.name)).to.deep.equal(["setBurnRate"]);
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({ _basisPoints: "250" });
+  });
+});
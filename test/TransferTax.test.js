@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MIN_EXEMPT_AMOUNT,
+  getMinTaxedAmount,
+  quoteTransfer,
+  quoteGrossAmount,
+  readTaxState,
+} = require("../scripts/lib/transfer-tax");
+
+describe("Transfer tax quotes", function () {
+  const HYPEY = (amount) => ethers.parseEther(amount);
+
+  // Small seeded PRNG so a failing case can be reproduced
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const bigint = (min, max) => min + BigInt(Math.floor(next() * Number(max - min + 1n)));
+    return { next, bigint, pick: (items) => items[Math.floor(next() * items.length)] };
+  }
+
+  async function deployTokenFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob, carol, pair, exempt] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const owner = token.connect(multisig);
+    await owner.distributeInitialSupply(alice.address, HYPEY("1000000"));
+    await owner.distributeInitialSupply(bob.address, HYPEY("50000"));
+    await owner.distributeInitialSupply(carol.address, HYPEY("150"));
+    await owner.distributeInitialSupply(pair.address, HYPEY("200000"));
+    await owner.distributeInitialSupply(exempt.address, HYPEY("10000"));
+    await owner.setExemptFromBurn(exempt.address, true);
+    await owner.setDexPair(pair.address);
+
+    return { token, owner, reserveBurn, holders: [alice, bob, carol, pair, exempt], alice, bob, pair, exempt };
+  }
+
+  // Sends `amount` and returns what actually moved, for comparison with a quote
+  async function transferAndMeasure(token, reserve, from, to, amount) {
+    const before = await Promise.all([token.balanceOf(from.address), token.balanceOf(to.address), token.balanceOf(reserve), token.totalSupply()]);
+    await token.connect(from).transfer(to.address, amount);
+    const after = await Promise.all([token.balanceOf(from.address), token.balanceOf(to.address), token.balanceOf(reserve), token.totalSupply()]);
+    return {
+      spent: before[0] - after[0],
+      received: after[1] - before[1],
+      toReserve: after[2] - before[2],
+      burned: before[3] - after[3],
+    };
+  }
+
+  function pickAmount(random, balance) {
+    const min = getMinTaxedAmount(balance);
+    return random.pick([
+      min - 1n,
+      min,
+      min + 1n,
+      balance,
+      random.bigint(1n, MIN_EXEMPT_AMOUNT),
+      random.bigint(min, balance),
+      random.bigint(1n, balance),
+    ]);
+  }
+
+  it("Should match _transferWithBurn for random transfers", async function () {
+    const { token, owner, reserveBurn, holders } = await loadFixture(deployTokenFixture);
+    const random = createRandom(0x54415822);
+    const reasons = new Set();
+
+    for (let i = 0; i < 40; i++) {
+      if (random.next() < 0.2) {
+        await owner.setBurnRate(random.pick([0n, 1n, 100n, 300n, random.bigint(0n, 300n)]));
+      }
+      if (random.next() < 0.3) {
+        await owner.setNightMode(random.next() < 0.5);
+      }
+      const from = random.pick(holders);
+      const to = random.pick(holders.filter((holder) => holder !== from));
+      const state = await readTaxState(token, from.address, to.address);
+      const amount = pickAmount(random, state.senderBalance);
+      if (amount <= 0n || amount > state.senderBalance) {
+        continue;
+      }
+
+      const quote = quoteTransfer(state, amount);
+      const moved = await transferAndMeasure(token, reserveBurn.address, from, to, amount);
+      reasons.add(quote.reason);
+
+      const context = `transfer ${i}: ${amount} (${quote.reason}, ${quote.taxBps} bps)`;
+      expect(moved.spent, context).to.equal(amount);
+      expect(moved.received, context).to.equal(quote.sendAmount);
+      expect(moved.toReserve, context).to.equal(quote.toReserve);
+      expect(moved.burned, context).to.equal(quote.burnNow);
+    }
+
+    // The seed covers every branch of the contract
+    expect([...reasons]).to.have.members(["exempt", "small-transfer", "buy", "sell-day", "sell-night", "transfer"]);
+  });
+
+  it("Should find the gross amount that nets exactly the requested amount", async function () {
+    const { token, owner, reserveBurn, holders } = await loadFixture(deployTokenFixture);
+    const random = createRandom(0x4e4554);
+    await owner.setBurnRate(137);
+
+    for (let i = 0; i < 25; i++) {
+      if (random.next() < 0.3) {
+        await owner.setNightMode(random.next() < 0.5);
+      }
+      const from = random.pick(holders);
+      const to = random.pick(holders.filter((holder) => holder !== from));
+      const state = await readTaxState(token, from.address, to.address);
+      const net = random.bigint(1n, (state.senderBalance * 8n) / 10n);
+
+      const quote = quoteGrossAmount(state, net);
+      const moved = await transferAndMeasure(token, reserveBurn.address, from, to, quote.amount);
+
+      expect(moved.received, `net ${net} (${quote.reason})`).to.equal(net);
+      if (quote.amount > net) {
+        // One wei less would leave the recipient short
+        expect(quoteTransfer(state, quote.amount - 1n).sendAmount).to.be.lessThan(net);
+      }
+    }
+  });
+
+  it("Should apply the contract's branches in order", function () {
+    const pair = "0x000000000000000000000000000000000000dEaD";
+    const alice = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const bob = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    const base = { sender: alice, recipient: bob, senderBalance: HYPEY("100000"), dexPair: pair, isNight: false, burnRateBasisPoints: 100n };
+
+    // 0.5% of 100,000 HYPEY is 500 HYPEY, above the 100 HYPEY floor
+    expect(quoteTransfer(base, HYPEY("500") - 1n).reason).to.equal("small-transfer");
+    expect(quoteTransfer(base, HYPEY("500"))).to.deep.equal({
+      amount: HYPEY("500"),
+      sendAmount: HYPEY("495"),
+      burnNow: HYPEY("2.5"),
+      toReserve: HYPEY("2.5"),
+      taxBps: 100n,
+      reason: "transfer",
+    });
+    expect(quoteTransfer({ ...base, senderBalance: HYPEY("1000") }, HYPEY("100")).reason).to.equal("transfer");
+    expect(quoteTransfer({ ...base, recipientExempt: true }, HYPEY("1000")).reason).to.equal("exempt");
+    expect(quoteTransfer({ ...base, sender: pair }, HYPEY("1000")).reason).to.equal("buy");
+    expect(quoteTransfer({ ...base, recipient: pair }, HYPEY("1000")).taxBps).to.equal(400n);
+    expect(quoteTransfer({ ...base, recipient: pair, isNight: true }, HYPEY("1000")).taxBps).to.equal(1600n);
+    // Without a pair, sells pay the ordinary rate
+    expect(quoteTransfer({ ...base, recipient: pair, dexPair: ethers.ZeroAddress }, HYPEY("1000")).reason).to.equal("transfer");
+    expect(() => quoteTransfer(base, HYPEY("100001"))).to.throw("exceeds sender balance");
+
+    // Odd burn amounts send the extra wei to the reserve
+    const odd = quoteTransfer({ ...base, burnRateBasisPoints: 1n }, HYPEY("1000") + 10000n);
+    expect(odd.toReserve - odd.burnNow).to.equal(1n);
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { openEventDatabase, syncEvents } = require("../scripts/lib/indexer");
+const {
+  ETH,
+  parsePeriod,
+  loadTokenMetadata,
+  loadHoldings,
+  loadFlowEvents,
+  getFlowTokens,
+  summarizeFlows,
+  toJson,
+  renderMarkdown,
+} = require("../scripts/lib/treasury-report");
+
+describe("Treasury report", function () {
+  const DAY = 86400;
+  const HYPEY = (amount) => ethers.parseEther(amount);
+  const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000070ce");
+  const ALICE = ethers.getAddress("0x000000000000000000000000000000000000a11c");
+  const BOB = ethers.getAddress("0x000000000000000000000000000000000000b0b0");
+
+  const flow = (event, args) => ({ event, args: Object.fromEntries(Object.entries(args).map(([k, v]) => [k, String(v)])) });
+
+  describe("Periods", function () {
+    const now = Date.UTC(2026, 9, 19, 12) / 1000;
+
+    it("Should default to the last 30 days", function () {
+      expect(parsePeriod({ now })).to.deep.equal({ from: now - 30 * DAY, to: now });
+      expect(parsePeriod({ now, days: "7" })).to.deep.equal({ from: now - 7 * DAY, to: now });
+    });
+
+    it("Should include the whole of a date-only end day", function () {
+      expect(parsePeriod({ from: "2026-10-01", to: "2026-10-31" })).to.deep.equal({
+        from: Date.UTC(2026, 9, 1) / 1000,
+        to: Date.UTC(2026, 10, 1) / 1000,
+      });
+      expect(parsePeriod({ from: "2026-10-01", to: "2026-10-02T06:00:00Z" }).to).to.equal(Date.UTC(2026, 9, 2, 6) / 1000);
+    });
+
+    it("Should reject bad periods", function () {
+      expect(() => parsePeriod({ from: "last week" })).to.throw("From must be an ISO date");
+      expect(() => parsePeriod({ from: "2026-02-30" })).to.throw("From must be an ISO date");
+      expect(() => parsePeriod({ from: "2026-10-01T00:00:00", to: "2026-10-31" })).to.throw("From must be an ISO date");
+      expect(() => parsePeriod({ days: "0" })).to.throw("Days must be a whole number");
+      expect(() => parsePeriod({ from: "2026-10-05", to: "2026-10-01" })).to.throw("The period must start before it ends");
+    });
+  });
+
+  describe("Summaries", function () {
+    const holdings = [
+      { asset: ETH, symbol: "ETH", name: "Ether", decimals: 18, balance: HYPEY("1") },
+      { asset: TOKEN, symbol: "HYPEY", name: "HYPEY", decimals: 18, balance: HYPEY("900") },
+    ];
+    const metadata = { [TOKEN]: { symbol: "HYPEY", name: "HYPEY", decimals: 18 } };
+    const events = [
+      flow("TokensDeposited", { token: TOKEN, from: ALICE, amount: HYPEY("1000") }),
+      flow("TokensWithdrawn", { token: TOKEN, to: BOB, amount: HYPEY("50") }),
+      flow("TokensWithdrawn", { token: TOKEN, to: ALICE, amount: HYPEY("20") }),
+      flow("TokensWithdrawn", { token: TOKEN, to: ALICE, amount: HYPEY("40") }),
+      flow("ETHDeposited", { from: ALICE, amount: HYPEY("2") }),
+      flow("ETHWithdrawn", { to: BOB, amount: HYPEY("0.5") }),
+    ];
+
+    it("Should total flows per asset in holdings order, and per recipient", function () {
+      const { flows, recipients } = summarizeFlows(events, { holdings, metadata });
+
+      expect(flows.map((row) => [row.symbol, row.inflowCount, row.inflow, row.outflowCount, row.outflow, row.net])).to.deep.equal([
+        ["ETH", 1, HYPEY("2"), 1, HYPEY("0.5"), HYPEY("1.5")],
+        ["HYPEY", 1, HYPEY("1000"), 3, HYPEY("110"), HYPEY("890")],
+      ]);
+      expect(recipients.map((row) => [row.recipient, row.symbol, row.count, row.total])).to.deep.equal([
+        [BOB, "ETH", 1, HYPEY("0.5")],
+        [ALICE, "HYPEY", 2, HYPEY("60")],
+        [BOB, "HYPEY", 1, HYPEY("50")],
+      ]);
+    });
+
+    it("Should list tokens that moved but are no longer supported", function () {
+      const old = ethers.getAddress("0x000000000000000000000000000000000000dc01");
+      const moved = [flow("TokensWithdrawn", { token: old, to: BOB, amount: 5000000 })];
+      expect(getFlowTokens(moved)).to.deep.equal([old]);
+
+      const { flows } = summarizeFlows(moved, { holdings, metadata: { [old]: { symbol: "USDC", decimals: 6 } } });
+      expect(flows).to.have.length(1);
+      expect(flows[0]).to.deep.include({ asset: old, symbol: "USDC", outflow: 5000000n, net: -5000000n });
+    });
+
+    it("Should render JSON and Markdown", function () {
+      const report = {
+        network: "sepolia",
+        treasury: TOKEN,
+        indexedBlock: 120,
+        period: { from: Date.UTC(2026, 9, 1) / 1000, to: Date.UTC(2026, 10, 1) / 1000 },
+        holdings,
+        ...summarizeFlows(events, { holdings, metadata }),
+      };
+
+      const json = toJson(report);
+      expect(json.period).to.deep.equal({ from: "2026-10-01T00:00:00Z", to: "2026-11-01T00:00:00Z" });
+      expect(json.holdings[1]).to.deep.equal({ asset: TOKEN, symbol: "HYPEY", name: "HYPEY", decimals: 18, balance: "900.0" });
+      expect(json.flows[1]).to.deep.include({ inflow: "1000.0", outflow: "110.0", net: "890.0", outflowCount: 3 });
+      expect(json.recipients[1]).to.deep.equal({ recipient: ALICE, asset: TOKEN, symbol: "HYPEY", count: 2, total: "60.0" });
+
+      const markdown = renderMarkdown(report);
+      expect(markdown).to.include("# Treasury report (sepolia)");
+      expect(markdown).to.include("| ETH | native | 1.0 |");
+      expect(markdown).to.include("| HYPEY | 1000.0 | 1 | 110.0 | 3 | 890.0 |");
+      expect(markdown).to.include(`| \`${ALICE}\` | HYPEY | 2 | 60.0 |`);
+      expect(renderMarkdown({ ...report, flows: [], recipients: [] })).to.include("No deposits or withdrawals in this period.");
+    });
+  });
+
+  describe("From the chain", function () {
+    async function deployTreasuryFixture() {
+      const [deployer, multisig, reserveBurn, timelock, alice, bob] = await ethers.getSigners();
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+      const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+      const token = await upgrades.deployProxy(
+        HYPEYToken,
+        [reserveBurn.address, timelock.address, multisig.address],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await token.waitForDeployment();
+
+      const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+      const treasury = await upgrades.deployProxy(
+        HYPEYTreasury,
+        [multisig.address, timelock.address],
+        { initializer: "initialize", kind: "uups" }
+      );
+      await treasury.waitForDeployment();
+
+      const admin = treasury.connect(multisig);
+      await token.connect(multisig).setExemptFromBurn(treasury.target, true);
+      await token.connect(multisig).distributeInitialSupply(alice.address, HYPEY("10000"));
+      await admin.addSupportedToken(token.target);
+
+      // Day 1: deposits
+      await token.connect(alice).approve(treasury.target, HYPEY("5000"));
+      await treasury.connect(alice).depositToken(token.target, HYPEY("5000"));
+      await alice.sendTransaction({ to: treasury.target, value: HYPEY("3") });
+      const dayOne = await time.latest();
+
+      // Day 2: payouts
+      await time.increase(DAY);
+      await admin.disburseToken(token.target, bob.address, HYPEY("1200"));
+      await admin.disburseToken(token.target, bob.address, HYPEY("300"));
+      await admin.disburseETH(alice.address, HYPEY("1"));
+
+      const db = openEventDatabase(":memory:");
+      await syncEvents(db, { treasury: { contract: treasury, fromBlock } }, { confirmations: 0 });
+      return { token, treasury, db, alice, bob, dayOne };
+    }
+
+    it("Should combine live holdings with indexed flows", async function () {
+      const { token, treasury, db, alice, bob } = await loadFixture(deployTreasuryFixture);
+
+      const events = loadFlowEvents(db, { from: 0, to: (await time.latest()) + 1 });
+      const metadata = await loadTokenMetadata([token.target]);
+      const holdings = await loadHoldings(treasury, metadata);
+      const { flows, recipients } = summarizeFlows(events, { holdings, metadata });
+
+      expect(holdings.map((holding) => [holding.symbol, holding.balance])).to.deep.equal([
+        ["ETH", HYPEY("2")],
+        ["HYPEY", HYPEY("3500")],
+      ]);
+      expect(flows.map((row) => [row.symbol, row.inflow, row.outflow])).to.deep.equal([
+        ["ETH", HYPEY("3"), HYPEY("1")],
+        ["HYPEY", HYPEY("5000"), HYPEY("1500")],
+      ]);
+      expect(recipients.map((row) => [row.recipient, row.symbol, row.count, row.total])).to.deep.equal([
+        [alice.address, "ETH", 1, HYPEY("1")],
+        [bob.address, "HYPEY", 2, HYPEY("1500")],
+      ]);
+    });
+
+    it("Should only count events inside the period", async function () {
+      const { db, dayOne } = await loadFixture(deployTreasuryFixture);
+
+      const firstDay = loadFlowEvents(db, { from: 0, to: dayOne + 1 });
+      expect(firstDay.map((event) => event.event)).to.deep.equal(["TokensDeposited", "ETHDeposited"]);
+      const secondDay = loadFlowEvents(db, { from: dayOne + 1, to: dayOne + 2 * DAY });
+      expect(secondDay.map((event) => event.event)).to.deep.equal(["TokensWithdrawn", "TokensWithdrawn", "ETHWithdrawn"]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { readSafeBatch } = require("../scripts/lib/safe");
+const { MAX_WITHDRAWAL, splitAmount } = require("../scripts/lib/treasury-admin");
+
+const { ethers, upgrades } = hre;
+
+describe("Treasury admin tasks", function () {
+  const HYPEY = (amount) => ethers.parseEther(amount);
+
+  // The tasks send from the first signer, so it administers both contracts
+  async function deployTreasuryFixture() {
+    const [admin, multisig, reserveBurn, timelock, alice] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, admin.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const treasury = await upgrades.deployProxy(
+      HYPEYTreasury,
+      [admin.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await treasury.waitForDeployment();
+
+    await token.setExemptFromBurn(treasury.target, true);
+    await token.distributeInitialSupply(treasury.target, HYPEY("3000000"));
+    await token.distributeInitialSupply(admin.address, HYPEY("10000"));
+
+    const run = (name, args = {}) => hre.run(name, { address: treasury.target, ...args });
+    return { token, treasury, admin, multisig, alice, run };
+  }
+
+  it("Should split amounts into capped calls", function () {
+    expect(splitAmount(HYPEY("2500000"))).to.deep.equal([MAX_WITHDRAWAL, MAX_WITHDRAWAL, HYPEY("500000")]);
+    expect(splitAmount(MAX_WITHDRAWAL)).to.deep.equal([MAX_WITHDRAWAL]);
+    expect(splitAmount(1n)).to.deep.equal([1n]);
+  });
+
+  it("Should add and remove supported tokens within MAX_SUPPORTED_TOKENS", async function () {
+    const { token, treasury, run } = await loadFixture(deployTreasuryFixture);
+
+    await run("treasury:add-token", { token: token.target });
+    expect(await treasury.supportedTokens(token.target)).to.equal(true);
+    await expect(run("treasury:add-token", { token: token.target })).to.be.rejectedWith("Token already supported");
+    await expect(run("treasury:add-token", { token: ethers.ZeroAddress })).to.be.rejectedWith("Invalid token address");
+
+    for (let i = 1; i < 50; i++) {
+      await treasury.addSupportedToken(ethers.zeroPadValue(ethers.toBeHex(i), 20));
+    }
+    await expect(run("treasury:add-token", { token: ethers.Wallet.createRandom().address })).to.be.rejectedWith(
+      "Maximum supported tokens reached (50/50)"
+    );
+
+    await run("treasury:remove-token", { token: token.target });
+    expect(await treasury.supportedTokens(token.target)).to.equal(false);
+    await expect(run("treasury:remove-token", { token: token.target })).to.be.rejectedWith("Token not supported");
+  });
+
+  it("Should refuse disbursements above the cap unless asked to split them", async function () {
+    const { token, treasury, alice, run } = await loadFixture(deployTreasuryFixture);
+    await run("treasury:add-token", { token: token.target });
+
+    await expect(run("treasury:disburse", { token: token.target, to: alice.address, amount: "2.5m" })).to.be.rejectedWith(
+      "Amount exceeds maximum withdrawal limit"
+    );
+
+    const results = await run("treasury:disburse", { token: token.target, to: alice.address, amount: "2,500,000", split: true });
+
+    expect(results).to.have.length(3);
+    expect(await token.balanceOf(alice.address)).to.equal(HYPEY("2500000"));
+    expect(await treasury.getERC20Balance(token.target)).to.equal(HYPEY("500000"));
+    const withdrawals = await treasury.queryFilter(treasury.filters.TokensWithdrawn());
+    expect(withdrawals.map((event) => event.args.amount)).to.deep.equal(splitAmount(HYPEY("2500000")));
+  });
+
+  it("Should check support, recipient, balance and pause state before sending", async function () {
+    const { token, treasury, alice, run } = await loadFixture(deployTreasuryFixture);
+    const disburse = (args) => run("treasury:disburse", { token: token.target, to: alice.address, amount: "1000", ...args });
+
+    await expect(disburse()).to.be.rejectedWith("Token not supported");
+    await run("treasury:add-token", { token: token.target });
+    await expect(disburse({ to: ethers.ZeroAddress })).to.be.rejectedWith("Invalid recipient address");
+    await expect(disburse({ amount: "0" })).to.be.rejectedWith("Amount must be greater than zero");
+    await expect(disburse({ amount: "3.1m", split: true })).to.be.rejectedWith("Insufficient treasury balance");
+
+    await run("treasury:pause");
+    expect(await treasury.paused()).to.equal(true);
+    expect(await run("treasury:pause")).to.equal(null);
+    await expect(disburse()).to.be.rejectedWith("Pausable: paused");
+    await run("treasury:unpause");
+
+    await disburse();
+    expect(await token.balanceOf(alice.address)).to.equal(HYPEY("1000"));
+  });
+
+  it("Should disburse ETH", async function () {
+    const { treasury, admin, alice, run } = await loadFixture(deployTreasuryFixture);
+    await admin.sendTransaction({ to: treasury.target, value: ethers.parseEther("2") });
+    const before = await ethers.provider.getBalance(alice.address);
+
+    await run("treasury:disburse-eth", { to: alice.address, amount: "1.5" });
+
+    expect(await ethers.provider.getBalance(alice.address)).to.equal(before + ethers.parseEther("1.5"));
+    await expect(run("treasury:disburse-eth", { to: alice.address, amount: "1" })).to.be.rejectedWith("Insufficient ETH balance");
+  });
+
+  it("Should approve and deposit, accounting for the transfer tax", async function () {
+    const { token, treasury, admin, run } = await loadFixture(deployTreasuryFixture);
+    await run("treasury:add-token", { token: token.target });
+    await token.setExemptFromBurn(treasury.target, false);
+    const before = await treasury.getERC20Balance(token.target);
+
+    const results = await run("treasury:deposit", { token: token.target, amount: "500" });
+
+    // approve + depositToken; with neither side exempt, 1% is taxed on the way in
+    expect(results).to.have.length(2);
+    expect(await token.balanceOf(admin.address)).to.equal(HYPEY("9500"));
+    expect(await treasury.getERC20Balance(token.target)).to.equal(before + HYPEY("495"));
+
+    // The allowance is used up, so a second deposit approves again
+    expect(await run("treasury:deposit", { token: token.target, amount: "100" })).to.have.length(2);
+    await expect(run("treasury:deposit", { token: token.target, amount: "1m" })).to.be.rejectedWith("Insufficient balance");
+  });
+
+  it("Should export a split disbursement as one Safe batch", async function () {
+    const { token, treasury, multisig, alice, run } = await loadFixture(deployTreasuryFixture);
+    await run("treasury:add-token", { token: token.target });
+    await treasury.grantRole(await treasury.MULTISIG_ADMIN_ROLE(), multisig.address);
+    const exportFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-task-")), "batch.json");
+
+    await run("treasury:disburse", {
+      token: token.target,
+      to: alice.address,
+      amount: "2.5m",
+      split: true,
+      safeExport: exportFile,
+      safe: multisig.address,
+    });
+
+    expect(await token.balanceOf(alice.address)).to.equal(0n);
+    const batch = readSafeBatch(exportFile);
+    expect(batch.transactions.map((tx) => tx.contractInputsValues.amount)).to.deep.equal(["1000000", "1000000", "500000"].map((amount) => HYPEY(amount).toString()));
+  });
+});
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const { getDeploymentPath } = require("../scripts/lib/deployments");
+const deploy = require("../scripts/deploy");
+const upgrade = require("../scripts/upgrade");
+
+describe("Upgrade scheduling", function () {
+  const REGISTRY = getDeploymentPath(network.name);
+  let savedRegistry;
+
+  before(async function () {
+    savedRegistry = fs.existsSync(REGISTRY) ? fs.readFileSync(REGISTRY, "utf8") : null;
+    // The deployer is neither the multisig nor a timelock proposer
+    const [, multisig, reserveBurn] = await ethers.getSigners();
+    process.env.MULTISIG_ADDRESS = multisig.address;
+    process.env.RESERVE_BURN_ADDRESS = reserveBurn.address;
+    await deploy({ fresh: true });
+  });
+
+  after(function () {
+    delete process.env.MULTISIG_ADDRESS;
+    delete process.env.RESERVE_BURN_ADDRESS;
+    if (savedRegistry === null) {
+      fs.rmSync(REGISTRY, { force: true });
+    } else {
+      fs.writeFileSync(REGISTRY, savedRegistry);
+    }
+  });
+
+  it("Should check PROPOSER_ROLE before deploying the new implementation", async function () {
+    const prepareUpgrade = upgrades.prepareUpgrade;
+    const prepared = [];
+    upgrades.prepareUpgrade = (...args) => {
+      prepared.push(args[0]);
+      return prepareUpgrade(...args);
+    };
+
+    try {
+      await expect(upgrade({ action: "schedule", contract: "vesting" })).to.be.rejectedWith("lacks PROPOSER_ROLE on the timelock");
+    } finally {
+      upgrades.prepareUpgrade = prepareUpgrade;
+    }
+    expect(prepared).to.deep.equal([]);
+  });
+
+  it("Should fail when no contract is given", async function () {
+    await expect(upgrade({ action: "schedule", contract: undefined })).to.be.rejectedWith("No contract to schedule");
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const { normalizeBytecode, compareBytecode, checkProxy, checkUpgrades } = require("../scripts/lib/upgrade-check");
+
+describe("Upgrade drift check", function () {
+  describe("Bytecode comparison", function () {
+    // 6 bytes of code, a 4-byte immutable at offset 1, then 3 bytes of "metadata" and its length
+    const build = (immutable, metadata) => `0x60${immutable}5b${metadata}0003`;
+    const references = { 12: [{ start: 1, length: 4 }] };
+
+    it("Should zero immutables and split off the metadata", function () {
+      expect(normalizeBytecode(build("deadbeef", "a1b2c3"), references)).to.deep.equal({ code: "0x60000000005b", metadata: "0xa1b2c30003" });
+    });
+
+    it("Should tell identical code, metadata-only changes and code changes apart", function () {
+      const local = normalizeBytecode(build("00000000", "a1b2c3"), references);
+
+      expect(compareBytecode(normalizeBytecode(build("cafecafe", "a1b2c3"), references), local)).to.equal("match");
+      expect(compareBytecode(normalizeBytecode(build("cafecafe", "ffffff"), references), local)).to.equal("metadata");
+      expect(compareBytecode(normalizeBytecode("0x61cafecafe5ba1b2c30003", references), local)).to.equal("differs");
+      expect(compareBytecode(null, local)).to.equal("missing");
+    });
+  });
+
+  describe("Deployed proxies", function () {
+    async function deployTreasuryFixture() {
+      const [admin, timelock] = await ethers.getSigners();
+      const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+      const treasury = await upgrades.deployProxy(HYPEYTreasury, [admin.address, timelock.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await treasury.waitForDeployment();
+      const implementation = await upgrades.erc1967.getImplementationAddress(treasury.target);
+      return { treasury, implementation, manifest: await Manifest.forNetwork(network.provider) };
+    }
+
+    it("Should pass a proxy running the local build", async function () {
+      const { treasury, implementation } = await loadFixture(deployTreasuryFixture);
+
+      const report = await checkUpgrades({
+        addresses: { treasury: treasury.target },
+        deployment: { contracts: { treasury: { proxy: treasury.target, implementation } } },
+      });
+
+      expect(report.ok).to.equal(true);
+      expect(report.contracts).to.have.length(1);
+      expect(report.contracts[0].checks.map(({ check, result }) => [check, result])).to.deep.equal([
+        ["registry", "pass"],
+        ["manifest", "pass"],
+        ["bytecode", "pass"],
+        ["storage", "pass"],
+      ]);
+      expect(report.contracts[0].codeHash).to.equal(report.contracts[0].localCodeHash);
+    });
+
+    it("Should fail on a stale registry and an incompatible storage layout", async function () {
+      const { treasury, manifest } = await loadFixture(deployTreasuryFixture);
+
+      // Checking the treasury proxy against the vesting sources stands in for a breaking change
+      const report = await checkProxy({
+        key: "treasury",
+        contractName: "HypeyVesting",
+        proxy: treasury.target,
+        recordedImplementation: ethers.Wallet.createRandom().address,
+        manifest,
+      });
+
+      expect(report.ok).to.equal(false);
+      const results = Object.fromEntries(report.checks.map(({ check, result }) => [check, result]));
+      expect(results).to.deep.equal({ registry: "fail", manifest: "pass", bytecode: "warn", storage: "fail" });
+
+      const strict = await checkProxy({ key: "treasury", contractName: "HypeyVesting", proxy: treasury.target, manifest, strict: true });
+      expect(strict.checks.find((check) => check.check === "bytecode").result).to.equal("fail");
+      expect(strict.checks.find((check) => check.check === "registry").result).to.equal("warn");
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, execFile } = require("child_process");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, reset, setCode, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getForkUrl, diffInvariants, readInvariants, rehearseUpgrade } = require("../scripts/lib/rehearsal");
+const { loadDeployment } = require("../scripts/lib/deployments");
+const upgrade = require("../scripts/upgrade");
+
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/cli");
+const ROOT = path.join(__dirname, "..");
+
+// Starts `hardhat node` on the localhost network's port and resolves once it serves
+function startNode() {
+  const node = spawn(process.execPath, [HARDHAT_CLI, "node"], { cwd: ROOT, stdio: ["ignore", "pipe", "pipe"] });
+  return new Promise((resolve, reject) => {
+    let output = "";
+    node.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Started HTTP")) {
+        resolve(node);
+      }
+    });
+    node.stderr.on("data", (chunk) => (output += chunk));
+    node.on("exit", (code) => reject(new Error(`hardhat node exited with ${code}:\n${output}`)));
+  });
+}
+
+// Runs a script against the node, as `npm run deploy:localhost` would
+function runOnLocalhost(script, env) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [HARDHAT_CLI, "run", "--no-compile", "--network", "localhost", script],
+      { cwd: ROOT, env: { ...process.env, ...env } },
+      (error, stdout, stderr) => (error ? reject(new Error(`${script} failed:\n${stdout}${stderr}`)) : resolve(stdout))
+    );
+  });
+}
+
+describe("Upgrade rehearsal", function () {
+  describe("Fork targets", function () {
+    it("Should resolve a configured network's RPC URL", function () {
+      expect(getForkUrl("localhost")).to.equal("http://127.0.0.1:8545");
+    });
+
+    it("Should reject the in-process network and unknown networks", function () {
+      expect(() => getForkUrl("hardhat")).to.throw("Name the network to rehearse on");
+      expect(() => getForkUrl(undefined)).to.throw("Name the network to rehearse on");
+      expect(() => getForkUrl("goerli")).to.throw('Unknown network "goerli"');
+    });
+  });
+
+  describe("Invariant diffs", function () {
+    const before = {
+      token: { totalSupply: "100", builder: "TOPAY DEV TEAM" },
+      vesting: { schedules: { "0x000000000000000000000000000000000000a11c": { 0: { released: "0", releasable: "5" } } } },
+      roles: { token: { MULTISIG_ADMIN_ROLE: { multisig: true, timelock: true } } },
+    };
+
+    it("Should report nothing for identical snapshots", function () {
+      expect(diffInvariants(before, JSON.parse(JSON.stringify(before)))).to.deep.equal([]);
+    });
+
+    it("Should list every changed path and mark the allowed ones", function () {
+      const after = JSON.parse(JSON.stringify(before));
+      after.token.builder = "HYPEY";
+      after.vesting.schedules["0x000000000000000000000000000000000000a11c"][0].releasable = "0";
+      after.roles.token.MULTISIG_ADMIN_ROLE.timelock = false;
+
+      expect(diffInvariants(before, after, ["token.builder"])).to.deep.equal([
+        { path: "token.builder", before: "TOPAY DEV TEAM", after: "HYPEY", allowed: true },
+        { path: "vesting.schedules.0x000000000000000000000000000000000000a11c.0.releasable", before: "5", after: "0", allowed: false },
+        { path: "roles.token.MULTISIG_ADMIN_ROLE.timelock", before: true, after: false, allowed: false },
+      ]);
+    });
+
+    it("Should report paths that only appear after the upgrade", function () {
+      const after = JSON.parse(JSON.stringify(before));
+      after.vesting.schedules["0x000000000000000000000000000000000000a11c"][1] = { released: "0", releasable: "1" };
+      after.vesting.schedules["0x000000000000000000000000000000000000b0b0"] = { 0: { released: "0", releasable: "2" } };
+      after.roles.token.DEFAULT_ADMIN_ROLE = { multisig: true };
+      delete after.token.builder;
+
+      expect(diffInvariants(before, after, ["roles.token"])).to.deep.equal([
+        { path: "token.builder", before: "TOPAY DEV TEAM", after: null, allowed: false },
+        { path: "vesting.schedules.0x000000000000000000000000000000000000a11c.1.released", before: null, after: "0", allowed: false },
+        { path: "vesting.schedules.0x000000000000000000000000000000000000a11c.1.releasable", before: null, after: "1", allowed: false },
+        { path: "vesting.schedules.0x000000000000000000000000000000000000b0b0.0.released", before: null, after: "0", allowed: false },
+        { path: "vesting.schedules.0x000000000000000000000000000000000000b0b0.0.releasable", before: null, after: "2", allowed: false },
+        { path: "roles.token.DEFAULT_ADMIN_ROLE.multisig", before: null, after: true, allowed: true },
+      ]);
+    });
+  });
+
+  describe("Rehearsed upgrades", function () {
+    const DELAY = 3600;
+
+    async function deployEcosystemFixture() {
+      const [deployer, multisig, reserveBurn, beneficiary] = await ethers.getSigners();
+
+      const MockTimelock = await ethers.getContractFactory("MockTimelock");
+      const timelock = await upgrades.deployProxy(MockTimelock, [DELAY, [multisig.address], [multisig.address], deployer.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await timelock.waitForDeployment();
+
+      const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+      const token = await upgrades.deployProxy(HYPEYToken, [reserveBurn.address, timelock.target, multisig.address], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await token.waitForDeployment();
+
+      const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+      const treasury = await upgrades.deployProxy(HYPEYTreasury, [multisig.address, timelock.target], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await treasury.waitForDeployment();
+
+      const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+      const vesting = await upgrades.deployProxy(HypeyVesting, [token.target, multisig.address, timelock.target], {
+        initializer: "initialize",
+        kind: "uups",
+      });
+      await vesting.waitForDeployment();
+
+      await token.connect(multisig).setExemptFromBurn(treasury.target, true);
+      await token.connect(multisig).distributeInitialSupply(treasury.target, ethers.parseEther("1000"));
+      await treasury.connect(multisig).addSupportedToken(token.target);
+      // One-second slices: the releasable amount changes every block
+      await vesting
+        .connect(multisig)
+        .addVestingSchedule(beneficiary.address, ethers.parseEther("86400"), (await time.latest()) + 10, 0, 86400, 1, 10);
+
+      const addresses = {
+        token: token.target,
+        treasury: treasury.target,
+        vesting: vesting.target,
+        timelock: timelock.target,
+        multisig: multisig.address,
+        reserveBurn: reserveBurn.address,
+      };
+      return { timelock, treasury, addresses, beneficiary, multisig };
+    }
+
+    it("Should schedule and execute through the timelock without changing any invariant", async function () {
+      const { timelock, treasury, addresses, beneficiary } = await loadFixture(deployEcosystemFixture);
+
+      const result = await rehearseUpgrade({ contractKey: "treasury", contractName: "HYPEYTreasury", addresses, log: () => {} });
+
+      expect(result.diff).to.deep.equal([]);
+      expect(result.executor).to.equal(addresses.multisig);
+      expect(result.errors.before).to.deep.equal([]);
+      expect(await timelock.isOperationDone(result.operationId)).to.equal(true);
+      expect(await upgrades.erc1967.getImplementationAddress(treasury.target)).to.equal(result.newImplementation);
+      expect(result.before.treasury.holdings[addresses.token]).to.equal(ethers.parseEther("1000").toString());
+      // Read at the execution timestamp on both sides, so partial vesting still compares exactly
+      const schedule = result.after.vesting.schedules[beneficiary.address][0];
+      expect(BigInt(schedule.releasable)).to.be.greaterThan(0n);
+      expect(BigInt(schedule.releasable)).to.be.lessThan(BigInt(schedule.totalAmount));
+      expect(result.timestamp).to.equal(await time.latest());
+    });
+
+    it("Should execute from an EOA holding MULTISIG_ADMIN_ROLE when the multisig is a contract", async function () {
+      const { treasury, addresses, multisig } = await loadFixture(deployEcosystemFixture);
+      const [, , , , owner] = await ethers.getSigners();
+      await treasury.connect(multisig).grantRole(await treasury.MULTISIG_ADMIN_ROLE(), owner.address);
+      // A Safe at the multisig address: it can never be tx.origin
+      await setCode(addresses.multisig, "0x00");
+
+      const result = await rehearseUpgrade({ contractKey: "treasury", contractName: "HYPEYTreasury", addresses, log: () => {} });
+
+      expect(result.executor).to.equal(owner.address);
+      expect(await upgrades.erc1967.getImplementationAddress(treasury.target)).to.equal(result.newImplementation);
+    });
+
+    it("Should fail instead of executing as the multisig when no EOA holds the role", async function () {
+      const { addresses, beneficiary } = await loadFixture(deployEcosystemFixture);
+      await setCode(addresses.multisig, "0x00");
+      const rehearse = (executor) => rehearseUpgrade({ contractKey: "treasury", contractName: "HYPEYTreasury", addresses, executor, log: () => {} });
+
+      await expect(rehearse()).to.be.rejectedWith("No EOA holds MULTISIG_ADMIN_ROLE");
+      await expect(rehearse(beneficiary.address)).to.be.rejectedWith(`Executor ${beneficiary.address} lacks MULTISIG_ADMIN_ROLE`);
+      await expect(rehearse(addresses.multisig)).to.be.rejectedWith("is a contract");
+    });
+
+    it("Should read the same invariants as the live state", async function () {
+      const { addresses } = await loadFixture(deployEcosystemFixture);
+
+      const { invariants, errors } = await readInvariants(addresses);
+
+      expect(errors).to.deep.equal([]);
+      expect(invariants).to.not.have.any.keys("implementations", "blockNumber");
+      expect(invariants.treasury.supportedTokens).to.deep.equal([addresses.token]);
+      expect(invariants.roles.vesting.MULTISIG_ADMIN_ROLE).to.deep.equal({ multisig: true, timelock: true });
+    });
+  });
+
+  describe("Rehearsals against a seeded node", function () {
+    const REGISTRY = path.join(ROOT, "deployments", "localhost.json");
+    const ENV_VARS = ["UPGRADE_REHEARSE_ALLOW", "UPGRADE_REHEARSE_OUT"];
+    let node;
+    let savedRegistry;
+    let outFile;
+
+    before(async function () {
+      this.timeout(180000);
+      savedRegistry = fs.existsSync(REGISTRY) ? fs.readFileSync(REGISTRY, "utf8") : null;
+      node = await startNode();
+      // Accounts #1 and #2 of the node: the multisig is an EOA that can execute
+      await runOnLocalhost("scripts/deploy.js", {
+        MULTISIG_ADDRESS: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        RESERVE_BURN_ADDRESS: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+        DEPLOY_FRESH: "true",
+      });
+    });
+
+    beforeEach(function () {
+      outFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "rehearsal-")), "report.json");
+    });
+
+    afterEach(function () {
+      ENV_VARS.forEach((name) => delete process.env[name]);
+      fs.rmSync(path.dirname(outFile), { recursive: true, force: true });
+    });
+
+    after(async function () {
+      // Back to a fresh in-process network before the node goes away
+      await reset();
+      if (node) {
+        node.removeAllListeners("exit");
+        node.kill();
+      }
+      if (savedRegistry === null) {
+        fs.rmSync(REGISTRY, { force: true });
+      } else {
+        fs.writeFileSync(REGISTRY, savedRegistry);
+      }
+    });
+
+    it("Should fork the node and rehearse the registry's proxy with its manifest", async function () {
+      this.timeout(120000);
+      const deployment = loadDeployment("localhost");
+      process.env.UPGRADE_REHEARSE_ALLOW = "vesting.builder, token.builder";
+      process.env.UPGRADE_REHEARSE_OUT = outFile;
+
+      const result = await upgrade({ action: "rehearse", target: "localhost", contract: "vesting" });
+
+      expect(result.proxy).to.equal(deployment.contracts.vesting.proxy);
+      expect(result.previousImplementation).to.equal(deployment.contracts.vesting.implementation);
+      // Same sources as the node's build: the manifest on the fork resolves it to the deployed implementation
+      expect(result.newImplementation).to.equal(result.previousImplementation);
+      expect(result.executor).to.equal(deployment.multisig);
+      expect(result.diff).to.deep.equal([]);
+      const report = JSON.parse(fs.readFileSync(outFile, "utf8"));
+      expect(report).to.deep.include({ target: "localhost", allow: ["vesting.builder", "token.builder"] });
+      expect(report.after.token.totalSupply).to.equal(report.before.token.totalSupply);
+    });
+
+    it("Should reject UPGRADE_REHEARSE_ALLOW paths that name no invariant", async function () {
+      this.timeout(120000);
+      process.env.UPGRADE_REHEARSE_ALLOW = "vesting.bulder";
+
+      await expect(upgrade({ action: "rehearse", target: "localhost", contract: "treasury" })).to.be.rejectedWith(
+        'UPGRADE_REHEARSE_ALLOW names no invariant: "vesting.bulder"'
+      );
+    });
+  });
+});
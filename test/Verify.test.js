@@ -0,0 +1,150 @@
+const http = require("http");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { verifyContract } = require("../scripts/lib/verification");
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Etherscan-compatible API stub. Addresses in `verified` already have
+ * source; a verification submission passes unless its address is in
+ * `failing`. Logs come from the in-process network, as the explorer would
+ * index them. Every request is recorded as its params.
+ */
+function createExplorerStub({ verified = [], failing = [] } = {}) {
+  const state = { verified: new Set(verified.map((address) => address.toLowerCase())), requests: [], submissions: [] };
+
+  const respond = async (params) => {
+    const address = (params.address || params.contractaddress || "").toLowerCase();
+    switch (params.action) {
+      case "getsourcecode":
+        return { status: "1", message: "OK", result: [{ SourceCode: state.verified.has(address) ? "pragma solidity ^0.8.0;" : "" }] };
+      case "verifysourcecode":
+        if (state.verified.has(address)) {
+          return { status: "0", message: "NOTOK", result: "Contract source code already verified" };
+        }
+        state.submissions.push(address);
+        return { status: "1", message: "OK", result: `guid-${state.submissions.length - 1}` };
+      case "checkverifystatus": {
+        const submitted = state.submissions[Number(params.guid.slice(5))];
+        if (failing.some((entry) => entry.toLowerCase() === submitted)) {
+          return { status: "0", message: "NOTOK", result: "Fail - Unable to verify" };
+        }
+        state.verified.add(submitted);
+        return { status: "1", message: "OK", result: "Pass - Verified" };
+      }
+      case "getLogs": {
+        const logs = await ethers.provider.getLogs({ address: params.address, topics: [params.topic0], fromBlock: 0 });
+        if (logs.length === 0) {
+          return { status: "0", message: "No records found", result: [] };
+        }
+        return { status: "1", message: "OK", result: logs.map((log) => ({ topics: log.topics, transactionHash: log.transactionHash })) };
+      }
+      case "verifyproxycontract":
+        return { status: "1", message: "OK", result: `proxy-${address}` };
+      case "checkproxyverification":
+        return { status: "1", message: "OK", result: `The proxy's (${params.guid.slice(6)}) implementation contract is found and is successfully updated.` };
+      default:
+        return { status: "0", message: "NOTOK", result: `Unknown action ${params.action}` };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const params = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(body)) };
+      state.requests.push({ method: req.method, ...params });
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(await respond(params)));
+    });
+  });
+  return { server, state };
+}
+
+describe("Explorer verification", function () {
+  const ERC1967_PROXY = "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy";
+  let stub;
+  let savedEtherscan;
+
+  // Points hardhat-verify at the stub through a customChains entry for the in-process network
+  async function startStub(options) {
+    stub = createExplorerStub(options);
+    await new Promise((resolve) => stub.server.listen(0, "127.0.0.1", resolve));
+    const apiURL = `http://127.0.0.1:${stub.server.address().port}/api`;
+    savedEtherscan = hre.config.etherscan;
+    hre.config.etherscan = {
+      ...savedEtherscan,
+      apiKey: { ...savedEtherscan.apiKey, hardhat: "test-key" },
+      customChains: [...savedEtherscan.customChains, { network: "hardhat", chainId: 31337, urls: { apiURL, browserURL: "https://explorer.test" } }],
+    };
+  }
+
+  afterEach(async function () {
+    if (stub) {
+      hre.config.etherscan = savedEtherscan;
+      await new Promise((resolve) => stub.server.close(resolve));
+      stub = null;
+    }
+  });
+
+  async function deployTreasuryFixture() {
+    const [admin, timelock] = await ethers.getSigners();
+    const HYPEYTreasury = await ethers.getContractFactory("HYPEYTreasury");
+    const treasury = await upgrades.deployProxy(HYPEYTreasury, [admin.address, timelock.address], {
+      initializer: "initialize",
+      kind: "uups",
+    });
+    await treasury.waitForDeployment();
+    const implementation = await upgrades.erc1967.getImplementationAddress(treasury.target);
+    return { treasury, implementation };
+  }
+
+  const submissionFor = (address) =>
+    stub.state.requests.find((request) => request.action === "verifysourcecode" && request.contractaddress.toLowerCase() === address.toLowerCase());
+
+  it("Should verify the implementation and the proxy separately, then link them", async function () {
+    const { treasury, implementation } = await loadFixture(deployTreasuryFixture);
+    await startStub();
+
+    const row = await verifyContract({ key: "treasury", contractName: "HYPEYTreasury", address: treasury.target });
+
+    expect(row).to.deep.include({ key: "treasury", address: treasury.target, implementation, result: "verified" });
+    expect(submissionFor(implementation)).to.deep.include({
+      apikey: "test-key",
+      codeformat: "solidity-standard-json-input",
+      contractname: "contracts/treasury/HYPEYTreasury.sol:HYPEYTreasury",
+    });
+    const proxySubmission = submissionFor(treasury.target);
+    expect(proxySubmission.contractname).to.equal(ERC1967_PROXY);
+    expect(proxySubmission.constructorArguements.toLowerCase()).to.include(implementation.slice(2).toLowerCase());
+    expect(stub.state.requests.find((request) => request.action === "verifyproxycontract")).to.deep.include({
+      address: treasury.target,
+      expectedimplementation: implementation,
+    });
+  });
+
+  it("Should skip sources the explorer already has", async function () {
+    const { treasury, implementation } = await loadFixture(deployTreasuryFixture);
+    await startStub({ verified: [treasury.target, implementation] });
+
+    const row = await verifyContract({ key: "treasury", contractName: "HYPEYTreasury", address: treasury.target });
+
+    expect(row.result).to.equal("verified");
+    expect(submissionFor(implementation)).to.equal(undefined);
+    expect(stub.state.requests.filter((request) => request.action === "verifyproxycontract")).to.have.length(1);
+  });
+
+  it("Should report a failed implementation without throwing, after still linking the proxy", async function () {
+    const { treasury, implementation } = await loadFixture(deployTreasuryFixture);
+    await startStub({ failing: [implementation] });
+
+    const row = await verifyContract({ key: "treasury", contractName: "HYPEYTreasury", address: treasury.target });
+
+    expect(row.result).to.equal("failed");
+    expect(row.detail).to.include(`Failed to verify implementation contract at ${implementation}`);
+    expect(submissionFor(treasury.target).contractname).to.equal(ERC1967_PROXY);
+    expect(stub.state.requests.some((request) => request.action === "verifyproxycontract")).to.equal(true);
+  });
+});
@@ -0,0 +1,333 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createTransactionSender } = require("../scripts/lib/transactions");
+const {
+  parseStart,
+  parseVestingCsv,
+  checkStartTimes,
+  chunkRows,
+  getCommittedAmount,
+  openProgress,
+  reconcileSentChunks,
+  reconcileExportedChunks,
+  reopenExportedChunks,
+  importChunks,
+  loadProgress,
+} = require("../scripts/lib/vesting-import");
+
+describe("Vesting CSV import", function () {
+  const HEADER = "address,amount,start,cliff,duration,slice,cliffUnlockPercent";
+
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+
+    await token.connect(multisig).distributeInitialSupply(await vesting.getAddress(), ethers.parseEther("1000000"));
+
+    return { token, vesting, multisig };
+  }
+
+  function buildCsv(count, startDate) {
+    const lines = [HEADER];
+    for (let i = 1; i <= count; i++) {
+      const address = ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0x1000 + i), 20));
+      lines.push(`${address},${1000 + i},${startDate},30d,365d,1d,10`);
+    }
+    return lines.join("\n");
+  }
+
+  function tempProgressFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hypey-vesting-")), "progress.json");
+  }
+
+  async function futureDate(days) {
+    return new Date(((await time.latest()) + days * 86400) * 1000).toISOString();
+  }
+
+  describe("Parsing and validation", function () {
+    it("Should parse durations, dates and amounts", function () {
+      const { rows, errors } = parseVestingCsv(
+        `${HEADER}\n0x000000000000000000000000000000000000bEEF,"1500.5",2030-01-01,2w,31536000,1d,25\n`
+      );
+
+      expect(errors).to.be.empty;
+      expect(rows).to.have.length(1);
+      expect(rows[0]).to.deep.include({
+        line: 2,
+        beneficiary: "0x000000000000000000000000000000000000bEEF",
+        totalAmount: ethers.parseEther("1500.5"),
+        start: BigInt(Date.UTC(2030, 0, 1) / 1000),
+        cliffDuration: 1209600n,
+        duration: 31536000n,
+        slicePeriodSeconds: 86400n,
+        cliffUnlockPercent: 25n,
+      });
+    });
+
+    it("Should report every invalid row with its line number", function () {
+      const csv = [
+        HEADER,
+        "0x0000000000000000000000000000000000000000,100,2030-01-01,0,365d,1d,0",
+        "0x000000000000000000000000000000000000bEEF,100,2030-01-01,400d,365d,1d,0",
+        "0x000000000000000000000000000000000000bEEF,100,2030-01-01,0,365d,1d,101",
+        "0x000000000000000000000000000000000000bEEF,0,01/02/2030,0,0,0,0",
+        "not-an-address,100,2030-01-01,0,365d,1d,0",
+        "0x000000000000000000000000000000000000bEEF,100,2030-01-01,0,365d,1d,0",
+      ].join("\n");
+
+      const { rows, errors } = parseVestingCsv(csv);
+
+      expect(rows).to.have.length(1);
+      expect(errors).to.have.length(5);
+      expect(errors[0]).to.match(/^line 2: .*zero address/);
+      expect(errors[1]).to.match(/^line 3: cliff is longer than the duration/);
+      expect(errors[2]).to.match(/^line 4: .*at most 100/);
+      expect(errors[3]).to.match(/^line 5: amount must be greater than 0; .*not an ISO date[^;]*; duration must be greater than 0; slice must be greater than 0/);
+      expect(errors[4]).to.match(/^line 6: .*not an address/);
+    });
+
+    it("Should reject impossible dates and date-times without a timezone", function () {
+      expect(parseStart("2025-01-31T12:00:00Z")).to.equal(BigInt(Date.UTC(2025, 0, 31, 12) / 1000));
+      expect(parseStart("2025-01-31T12:00:00-05:00")).to.equal(BigInt(Date.UTC(2025, 0, 31, 17) / 1000));
+      expect(parseStart("2024-02-29")).to.equal(BigInt(Date.UTC(2024, 1, 29) / 1000));
+
+      // Date.parse would roll these over into the next month
+      expect(() => parseStart("2025-02-30")).to.throw("not an ISO date");
+      expect(() => parseStart("2025-02-29")).to.throw("not an ISO date");
+      expect(() => parseStart("2025-04-31T00:00:00Z")).to.throw("not an ISO date");
+      expect(() => parseStart("2025-01-31T24:00:00Z")).to.throw("not an ISO date");
+      // Date.parse would read these in the local timezone
+      expect(() => parseStart("2025-01-31T12:00:00")).to.throw("not an ISO date");
+      expect(() => parseStart("2025-01-31T12:00")).to.throw("not an ISO date");
+    });
+
+    it("Should reject a CSV without a required column", function () {
+      expect(() => parseVestingCsv("address,amount,start\n")).to.throw('missing a "cliff" column');
+    });
+
+    it("Should flag starts in the past", function () {
+      const { rows } = parseVestingCsv(buildCsv(2, "2030-01-01"));
+      const now = Date.UTC(2030, 0, 2) / 1000;
+
+      expect(checkStartTimes(rows, now)).to.have.length(2);
+      expect(checkStartTimes(rows, now - 2 * 86400)).to.be.empty;
+    });
+
+    it("Should split rows into chunks of at most 100", function () {
+      const { rows } = parseVestingCsv(buildCsv(250, "2030-01-01"));
+      const chunks = chunkRows(rows);
+
+      expect(chunks.map((chunk) => chunk.rows.length)).to.deep.equal([100, 100, 50]);
+      expect(chunks[2].firstLine).to.equal(202);
+      expect(chunks[2].lastLine).to.equal(251);
+      expect(chunks[0].args).to.have.length(7);
+      expect(() => chunkRows(rows, 101)).to.throw("Chunk size must be between 1 and 100");
+    });
+  });
+
+  describe("Importing", function () {
+    it("Should import every chunk and log it as confirmed", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(25, await futureDate(7));
+      const chunks = chunkRows(parseVestingCsv(text).rows, 10);
+      const progressFile = tempProgressFile();
+      const vestingAddress = await vesting.getAddress();
+      const sender = createTransactionSender({ signer: multisig });
+
+      const progress = openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 });
+      await importChunks({ vesting, chunks, sender, progressFile, progress });
+
+      const logged = Object.values(loadProgress(progressFile).chunks);
+      expect(logged.map((entry) => entry.status)).to.deep.equal(["confirmed", "confirmed", "confirmed"]);
+      expect(await getCommittedAmount(vesting)).to.equal(chunks.reduce((sum, chunk) => sum + chunk.total, 0n));
+    });
+
+    it("Should resume after a failure without duplicating schedules", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(30, await futureDate(7));
+      const chunks = chunkRows(parseVestingCsv(text).rows, 10);
+      const progressFile = tempProgressFile();
+      const vestingAddress = await vesting.getAddress();
+      const sender = createTransactionSender({ signer: multisig });
+
+      // Chunk 1 is mined but the run dies before logging it as confirmed
+      let calls = 0;
+      const flakySender = {
+        ...sender,
+        submit: async (...args) => {
+          const result = await sender.submit(...args);
+          if (++calls === 2) {
+            throw new Error("connection reset");
+          }
+          return result;
+        },
+      };
+      await expect(
+        importChunks({
+          vesting,
+          chunks,
+          sender: flakySender,
+          progressFile,
+          progress: openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 }),
+        })
+      ).to.be.rejectedWith("connection reset");
+      expect(Object.values(loadProgress(progressFile).chunks).map((entry) => entry.status)).to.deep.equal(["confirmed", "sent"]);
+
+      const results = await importChunks({
+        vesting,
+        chunks,
+        sender,
+        progressFile,
+        progress: openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 }),
+      });
+
+      expect(results.map((result) => Boolean(result.skipped))).to.deep.equal([true, true, false]);
+      for (const row of chunks.flatMap((chunk) => chunk.rows)) {
+        const [schedules] = await vesting.getVestingInfo(row.beneficiary);
+        expect(schedules).to.have.length(1);
+      }
+    });
+
+    it("Should count a mined \"sent\" chunk as committed, not as pending", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(20, await futureDate(7));
+      const chunks = chunkRows(parseVestingCsv(text).rows, 10);
+      const progressFile = tempProgressFile();
+      const vestingAddress = await vesting.getAddress();
+      const sender = createTransactionSender({ signer: multisig });
+
+      // The only chunk is mined but the run dies before logging it as confirmed
+      const dyingSender = {
+        ...sender,
+        submit: async (...args) => {
+          await sender.submit(...args);
+          throw new Error("connection reset");
+        },
+      };
+      await expect(
+        importChunks({
+          vesting,
+          chunks: chunks.slice(0, 1),
+          sender: dyingSender,
+          progressFile,
+          progress: openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 }),
+        })
+      ).to.be.rejectedWith("connection reset");
+
+      const progress = openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 });
+      await reconcileSentChunks({ chunks, progressFile, progress });
+
+      expect(progress.chunks[chunks[0].hash].status).to.equal("confirmed");
+      expect(loadProgress(progressFile).chunks[chunks[0].hash].status).to.equal("confirmed");
+      expect(chunks.filter((chunk) => !progress.chunks[chunk.hash])).to.deep.equal([chunks[1]]);
+      expect(await getCommittedAmount(vesting)).to.equal(chunks[0].total);
+    });
+
+    it("Should match exported chunks to their events once the Safe executes them", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(20, await futureDate(7));
+      const chunks = chunkRows(parseVestingCsv(text).rows, 10);
+      const progressFile = tempProgressFile();
+      const exportFile = path.join(path.dirname(progressFile), "batch.json");
+      const sender = createTransactionSender({ exportFile, safeAddress: multisig.address, chainId: 31337, name: "Vesting import" });
+      const progress = openProgress(progressFile, { vesting: await vesting.getAddress(), source: ethers.id(text), chunkSize: 10 });
+
+      await importChunks({ vesting, chunks, sender, progressFile, progress, log: () => {} });
+      sender.finalize();
+
+      expect(Object.values(progress.chunks).map((entry) => entry.status)).to.deep.equal(["exported", "exported"]);
+      expect(await reconcileExportedChunks({ vesting, chunks, progressFile, progress })).to.equal(0);
+
+      // The Safe executes the second chunk only
+      const tx = await vesting.connect(multisig).addBatchVestingSchedules(...chunks[1].args);
+
+      expect(await reconcileExportedChunks({ vesting, chunks, progressFile, progress })).to.equal(1);
+      expect(loadProgress(progressFile).chunks[chunks[1].hash]).to.deep.include({ status: "confirmed", txHash: tx.hash });
+      expect(progress.chunks[chunks[0].hash].status).to.equal("exported");
+      expect(await reconcileExportedChunks({ vesting, chunks, progressFile, progress })).to.equal(0);
+
+      // The rest of the batch was discarded: re-open it for submission
+      expect(reopenExportedChunks({ chunks, progressFile, progress })).to.equal(1);
+      expect(Object.keys(loadProgress(progressFile).chunks)).to.deep.equal([chunks[1].hash]);
+    });
+
+    it("Should refuse to resume with a different chunk size", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(20, await futureDate(7));
+      const progressFile = tempProgressFile();
+      const vestingAddress = await vesting.getAddress();
+
+      await importChunks({
+        vesting,
+        chunks: chunkRows(parseVestingCsv(text).rows, 10).slice(0, 1),
+        sender: createTransactionSender({ signer: multisig }),
+        progressFile,
+        progress: openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 10 }),
+      });
+
+      // Chunks of 20 would match nothing in the log and re-import the first ten rows
+      expect(() => openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text), chunkSize: 20 }))
+        .to.throw("Resume with --chunk-size 10");
+      expect(loadProgress(progressFile).chunkSize).to.equal(10);
+    });
+
+    it("Should refuse a progress log written for a different CSV", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(3, await futureDate(7));
+      const progressFile = tempProgressFile();
+      const vestingAddress = await vesting.getAddress();
+
+      await importChunks({
+        vesting,
+        chunks: chunkRows(parseVestingCsv(text).rows),
+        sender: createTransactionSender({ signer: multisig }),
+        progressFile,
+        progress: openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(text) }),
+      });
+
+      expect(() => openProgress(progressFile, { vesting: vestingAddress, source: ethers.id(`${text}\n`) }))
+        .to.throw("different version of the CSV");
+    });
+
+    it("Should not send anything in a dry run", async function () {
+      const { vesting, multisig } = await loadFixture(deployVestingFixture);
+      const text = buildCsv(5, await futureDate(7));
+      const progressFile = tempProgressFile();
+      const messages = [];
+
+      const results = await importChunks({
+        vesting,
+        chunks: chunkRows(parseVestingCsv(text).rows),
+        sender: createTransactionSender({ signer: multisig }),
+        progressFile,
+        progress: openProgress(progressFile, { vesting: await vesting.getAddress(), source: ethers.id(text) }),
+        dryRun: true,
+        log: (message) => messages.push(message),
+      });
+
+      expect(results.map((result) => result.status)).to.deep.equal(["planned"]);
+      expect(messages).to.deep.equal(["   📝 Would submit Chunk 0 (lines 2-6, 5 schedules, 5015.0 HYPEY)"]);
+      expect(fs.existsSync(progressFile)).to.be.false;
+      expect(await getCommittedAmount(vesting)).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildVestingProofs, hashVestingLeaf, findProofs, toProofCallArgs } = require("../scripts/lib/merkle");
+const { createProofServer } = require("../scripts/lib/proof-server");
+const { loadSchedules } = require("../scripts/merkle");
+
+describe("Vesting Merkle proofs", function () {
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob, carol] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+
+    // Alice has two schedules, so her proofs must be told apart by their fields
+    const start = BigInt((await time.latest()) + 86400);
+    const schedules = [
+      [alice.address, "1000", 0n, 30n],
+      [alice.address, "250", 2592000n, 0n],
+      [bob.address, "5000", 0n, 10n],
+      [carol.address, "42.5", 86400n, 100n],
+      [deployer.address, "7", 0n, 0n],
+    ].map(([beneficiary, amount, cliffDuration, cliffUnlockPercent]) => ({
+      beneficiary,
+      totalAmount: ethers.parseEther(amount),
+      start,
+      cliffDuration,
+      duration: 31536000n,
+      slicePeriodSeconds: 86400n,
+      cliffUnlockPercent,
+    }));
+
+    const document = buildVestingProofs(schedules);
+    await vesting.connect(multisig).setMerkleRoot(document.root);
+
+    return { vesting, schedules, document, alice, bob, carol };
+  }
+
+  it("Should hash leaves exactly like the contract", async function () {
+    const { vesting, schedules, alice } = await loadFixture(deployVestingFixture);
+    const [schedule] = schedules;
+    const encoded = ethers.solidityPacked(
+      ["address", "uint256", "uint256", "uint256", "uint256", "uint256", "uint256"],
+      [alice.address, schedule.totalAmount, schedule.start, 0, 31536000, 86400, 30]
+    );
+
+    expect(hashVestingLeaf(schedule)).to.equal(ethers.keccak256(encoded));
+    expect(await vesting.merkleRoot()).to.not.equal(ethers.ZeroHash);
+  });
+
+  it("Should create every schedule from its proof", async function () {
+    const { vesting, schedules, document } = await loadFixture(deployVestingFixture);
+
+    for (const [beneficiary, entries] of Object.entries(document.proofs)) {
+      for (const entry of entries) {
+        await expect(vesting.addVestingScheduleWithProof(...toProofCallArgs(beneficiary, entry)))
+          .to.emit(vesting, "VestingCreated");
+      }
+    }
+
+    for (const schedule of schedules) {
+      const [created] = await vesting.getVestingInfo(schedule.beneficiary);
+      expect(created.map((s) => s.totalAmount)).to.include(schedule.totalAmount);
+    }
+    const [aliceSchedules] = await vesting.getVestingInfo(schedules[0].beneficiary);
+    expect(aliceSchedules).to.have.length(2);
+  });
+
+  it("Should reject a proof used with different schedule fields", async function () {
+    const { vesting, document, alice, bob } = await loadFixture(deployVestingFixture);
+    const [entry] = findProofs(document, alice.address);
+
+    const inflated = { ...entry, totalAmount: (BigInt(entry.totalAmount) * 2n).toString() };
+    await expect(vesting.addVestingScheduleWithProof(...toProofCallArgs(alice.address, inflated)))
+      .to.be.revertedWith("Invalid merkle proof");
+    await expect(vesting.addVestingScheduleWithProof(...toProofCallArgs(bob.address, entry)))
+      .to.be.revertedWith("Invalid merkle proof");
+  });
+
+  it("Should not depend on the order of the input", async function () {
+    const { schedules, document } = await loadFixture(deployVestingFixture);
+
+    expect(buildVestingProofs([...schedules].reverse()).root).to.equal(document.root);
+    expect(() => buildVestingProofs([...schedules, schedules[0]])).to.throw("Duplicate leaf");
+  });
+
+  it("Should load CSV and JSON allocations into the same tree", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hypey-merkle-"));
+    const csvFile = path.join(dir, "allocation.csv");
+    const jsonFile = path.join(dir, "allocation.json");
+    fs.writeFileSync(
+      csvFile,
+      "address,amount,start,cliff,duration,slice,cliffUnlockPercent\n" +
+        "0x000000000000000000000000000000000000bEEF,1500,2030-01-01,90d,365d,1d,10\n" +
+        "0x000000000000000000000000000000000000cafe,20,2030-06-01,0,30d,1h,0\n"
+    );
+    fs.writeFileSync(
+      jsonFile,
+      JSON.stringify({
+        schedules: [
+          { beneficiary: "0x000000000000000000000000000000000000cafe", amount: 20, start: "2030-06-01", cliff: 0, duration: "30d", slice: "1h", cliffUnlockPercent: 0 },
+          { beneficiary: "0x000000000000000000000000000000000000bEEF", amount: "1500", start: "2030-01-01", cliff: "90d", duration: "365d", slice: "1d", cliffUnlockPercent: 10 },
+        ],
+      })
+    );
+
+    const fromCsv = loadSchedules(csvFile);
+    const fromJson = loadSchedules(jsonFile);
+
+    expect(fromCsv.errors).to.be.empty;
+    expect(fromJson.errors).to.be.empty;
+    expect(buildVestingProofs(fromJson.rows).root).to.equal(buildVestingProofs(fromCsv.rows).root);
+  });
+
+  describe("Proof server", function () {
+    let server;
+    let baseUrl;
+
+    async function startServer(document) {
+      server = createProofServer(document);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    afterEach(async function () {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+        server = null;
+      }
+    });
+
+    it("Should serve proofs that the contract accepts", async function () {
+      const { vesting, document, bob } = await loadFixture(deployVestingFixture);
+      await startServer(document);
+
+      const root = await (await fetch(`${baseUrl}/root`)).json();
+      expect(root).to.deep.equal({ root: document.root, count: 5, total: document.total });
+
+      const response = await fetch(`${baseUrl}/proofs/${bob.address.toLowerCase()}`);
+      expect(response.status).to.equal(200);
+      const body = await response.json();
+      expect(body.beneficiary).to.equal(bob.address);
+      expect(body.schedules).to.have.length(1);
+
+      await vesting.addVestingScheduleWithProof(...toProofCallArgs(body.beneficiary, body.schedules[0]));
+      expect(await vesting.getTotalLocked(bob.address)).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("Should answer unknown and invalid addresses with errors", async function () {
+      const { document } = await loadFixture(deployVestingFixture);
+      await startServer(document);
+
+      expect((await fetch(`${baseUrl}/proofs/${ethers.ZeroAddress}`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/proofs/not-an-address`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/other`)).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  computeVestedAmount,
+  computeReleasableAmount,
+  buildUnlockTable,
+} = require("../scripts/lib/vesting-math");
+
+describe("Vesting simulator", function () {
+  const DAY = 86400n;
+
+  // Small seeded PRNG so a failing case can be reproduced
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const bigint = (min, max) => min + BigInt(Math.floor(next() * Number(max - min + 1n)));
+    return { next, bigint, pick: (items) => items[Math.floor(next() * items.length)] };
+  }
+
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock, ...beneficiaries] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+
+    await token.connect(multisig).setExemptFromBurn(await vesting.getAddress(), true);
+    await token.connect(multisig).distributeInitialSupply(await vesting.getAddress(), ethers.parseEther("100000000"));
+
+    return { vesting, multisig, beneficiaries: beneficiaries.slice(0, 6) };
+  }
+
+  function randomSchedule(random, now) {
+    const duration = random.pick([DAY, 30n * DAY, 365n * DAY, 4n * 365n * DAY, random.bigint(1n, 1000n * DAY)]);
+    // Includes slices that do not divide the duration and slices longer than it
+    const slicePeriodSeconds = random.pick([1n, 3600n, DAY, 30n * DAY, random.bigint(1n, duration), duration + random.bigint(1n, DAY)]);
+    return {
+      totalAmount: random.bigint(1n, 10n ** 24n),
+      start: now + random.bigint(60n, 30n * DAY),
+      cliffDuration: random.pick([0n, duration, random.bigint(0n, duration)]),
+      duration,
+      slicePeriodSeconds,
+      cliffUnlockPercent: random.pick([0n, 100n, random.bigint(0n, 100n)]),
+    };
+  }
+
+  it("Should match claimFor at random timestamps", async function () {
+    const { vesting, multisig, beneficiaries } = await loadFixture(deployVestingFixture);
+    const random = createRandom(0x48595045);
+    const now = BigInt(await time.latest());
+
+    const tracked = [];
+    for (const beneficiary of beneficiaries) {
+      const schedule = randomSchedule(random, now);
+      await vesting.connect(multisig).addVestingSchedule(
+        beneficiary.address,
+        schedule.totalAmount,
+        schedule.start,
+        schedule.cliffDuration,
+        schedule.duration,
+        schedule.slicePeriodSeconds,
+        schedule.cliffUnlockPercent
+      );
+      tracked.push({ beneficiary, schedule: { ...schedule, released: 0n } });
+    }
+
+    // Random instants plus the edges of the first schedule, in order
+    const horizon = tracked.reduce((max, { schedule }) => {
+      const end = schedule.start + schedule.duration;
+      return end > max ? end : max;
+    }, now) + 10n * DAY;
+    const first = tracked[0].schedule;
+    const edges = [
+      first.start + first.cliffDuration - 1n,
+      first.start + first.cliffDuration,
+      first.start + first.duration - 1n,
+      first.start + first.duration,
+    ];
+    const timestamps = [...new Set([...Array(24)].map(() => random.bigint(now + 10n, horizon)).concat(edges))]
+      .filter((t) => t > now + 5n)
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    let checked = 0;
+    let lastTimestamp = BigInt(await time.latest());
+    for (const timestamp of timestamps) {
+      for (const { beneficiary, schedule } of tracked) {
+        // Each claim is its own block, so give every one its own second
+        lastTimestamp = timestamp > lastTimestamp ? timestamp : lastTimestamp + 1n;
+        await time.setNextBlockTimestamp(lastTimestamp);
+        const expected = computeReleasableAmount(schedule, lastTimestamp);
+
+        if (expected === 0n) {
+          await expect(vesting.claimFor(beneficiary.address, 0)).to.be.revertedWith("No tokens available for claim");
+        } else {
+          await expect(vesting.claimFor(beneficiary.address, 0))
+            .to.emit(vesting, "TokensClaimed")
+            .withArgs(beneficiary.address, 0, expected);
+          schedule.released += expected;
+        }
+        checked++;
+      }
+    }
+
+    for (const { beneficiary, schedule } of tracked) {
+      const [[onChain]] = await vesting.getVestingInfo(beneficiary.address);
+      expect(onChain.released).to.equal(schedule.released);
+    }
+    expect(checked).to.be.greaterThan(100);
+  });
+
+  it("Should unlock the cliff percentage at the cliff and everything at the end", function () {
+    const schedule = {
+      totalAmount: ethers.parseEther("1000"),
+      start: 1000n,
+      cliffDuration: 90n * DAY,
+      duration: 365n * DAY,
+      slicePeriodSeconds: 30n * DAY,
+      cliffUnlockPercent: 10n,
+    };
+    const cliff = schedule.start + schedule.cliffDuration;
+
+    expect(computeVestedAmount(schedule, cliff - 1n)).to.equal(0n);
+    // 10% at the cliff plus 3 of 12 whole slices of the remaining 90%
+    expect(computeVestedAmount(schedule, cliff)).to.equal(ethers.parseEther("325"));
+    expect(computeVestedAmount(schedule, schedule.start + 360n * DAY)).to.equal(schedule.totalAmount);
+    expect(computeReleasableAmount({ ...schedule, released: ethers.parseEther("400") }, cliff)).to.equal(0n);
+    expect(computeReleasableAmount({ ...schedule, released: ethers.parseEther("400") }, schedule.start + schedule.duration))
+      .to.equal(ethers.parseEther("600"));
+  });
+
+  it("Should build an unlock table that adds up to the total", function () {
+    const random = createRandom(7);
+    for (let i = 0; i < 50; i++) {
+      const schedule = randomSchedule(random, 0n);
+      const rows = buildUnlockTable(schedule, { every: schedule.slicePeriodSeconds < DAY ? DAY : undefined });
+
+      expect(rows[rows.length - 1].timestamp).to.equal(schedule.start + schedule.duration);
+      expect(rows.reduce((sum, row) => sum + row.unlocked, 0n)).to.equal(schedule.totalAmount);
+      for (let j = 1; j < rows.length; j++) {
+        expect(rows[j].timestamp).to.be.greaterThan(rows[j - 1].timestamp);
+        expect(rows[j].vested).to.be.at.least(rows[j - 1].vested);
+      }
+    }
+  });
+
+  it("Should refuse tables that would be too long", function () {
+    const schedule = { totalAmount: 1000n, start: 0n, duration: 365n * DAY, slicePeriodSeconds: 1n, cliffUnlockPercent: 0n };
+
+    expect(() => buildUnlockTable(schedule)).to.throw("sample it with a larger interval");
+    expect(buildUnlockTable(schedule, { every: DAY })).to.have.length(366);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildStatement, renderMarkdown, renderCsv, toJson } = require("../scripts/lib/vesting-statement");
+
+describe("Vesting statements", function () {
+  const DAY = 86400;
+
+  async function deployVestingFixture() {
+    const [deployer, multisig, reserveBurn, timelock, alice, bob] = await ethers.getSigners();
+
+    const HYPEYToken = await ethers.getContractFactory("HYPEYToken");
+    const token = await upgrades.deployProxy(
+      HYPEYToken,
+      [reserveBurn.address, timelock.address, multisig.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await token.waitForDeployment();
+
+    const HypeyVesting = await ethers.getContractFactory("HypeyVesting");
+    const vesting = await upgrades.deployProxy(
+      HypeyVesting,
+      [await token.getAddress(), multisig.address, timelock.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await vesting.waitForDeployment();
+    await token.connect(multisig).setExemptFromBurn(await vesting.getAddress(), true);
+    await token.connect(multisig).distributeInitialSupply(await vesting.getAddress(), ethers.parseEther("100000"));
+
+    // 1200 over 360 days in 30-day slices with a 90-day cliff, and 600 with no cliff
+    const start = (await time.latest()) + DAY;
+    await vesting.connect(multisig).addVestingSchedule(alice.address, ethers.parseEther("1200"), start, 90 * DAY, 360 * DAY, 30 * DAY, 0);
+    await vesting.connect(multisig).addVestingSchedule(alice.address, ethers.parseEther("600"), start, 0, 60 * DAY, 30 * DAY, 50);
+
+    return { vesting, alice, bob, start };
+  }
+
+  it("Should summarise schedules, claims and the next unlock", async function () {
+    const { vesting, alice, start } = await loadFixture(deployVestingFixture);
+
+    await time.increaseTo(start + 100 * DAY);
+    await vesting.claimFor(alice.address, 0);
+    await vesting.claimFor(alice.address, 1);
+
+    const statement = await buildStatement(vesting, alice.address);
+
+    // Schedule 0: 3 slices of 12 vested; schedule 1: fully vested after 60 days
+    expect(statement.totals.totalAmount).to.equal(ethers.parseEther("1800"));
+    expect(statement.totals.released).to.equal(ethers.parseEther("900"));
+    expect(statement.totals.locked).to.equal(ethers.parseEther("900"));
+    expect(statement.totals.releasable).to.equal(0n);
+    expect(statement.claims.map((claim) => claim.amount)).to.deep.equal([ethers.parseEther("300"), ethers.parseEther("600")]);
+    expect(statement.claims[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const [first, second] = statement.schedules;
+    expect(first.nextUnlock).to.deep.equal({ timestamp: BigInt(start + 120 * DAY), amount: ethers.parseEther("100") });
+    expect(first.fullyVestedAt).to.equal(BigInt(start + 360 * DAY));
+    expect(second.nextUnlock).to.be.null;
+    expect(statement.nextUnlock).to.deep.equal(first.nextUnlock);
+    expect(statement.fullyVestedAt).to.equal(BigInt(start + 360 * DAY));
+  });
+
+  it("Should report an empty statement for an address without schedules", async function () {
+    const { vesting, bob } = await loadFixture(deployVestingFixture);
+
+    const statement = await buildStatement(vesting, bob.address);
+
+    expect(statement.schedules).to.be.empty;
+    expect(statement.nextUnlock).to.be.null;
+    expect(renderMarkdown(statement)).to.include("No vesting schedules.");
+    expect(renderMarkdown(statement)).to.include("No schedules.").and.not.include("fully vested");
+  });
+
+  it("Should render Markdown, JSON and CSV", async function () {
+    const { vesting, alice, start } = await loadFixture(deployVestingFixture);
+    await time.increaseTo(start + 100 * DAY);
+    await vesting.claimFor(alice.address, 0);
+
+    const statement = await buildStatement(vesting, alice.address);
+
+    const markdown = renderMarkdown(statement, { network: "hardhat" });
+    expect(markdown).to.include(`\`${alice.address}\``);
+    expect(markdown).to.include("| Released | 300.0 |");
+    expect(markdown).to.include(statement.claims[0].txHash);
+
+    const json = toJson(statement, { network: "hardhat" });
+    expect(json.totals.released).to.equal("300.0");
+    expect(json.schedules[0].claims).to.have.length(1);
+    expect(JSON.parse(JSON.stringify(json))).to.deep.equal(json);
+
+    const lines = renderCsv([statement]).trim().split("\n");
+    expect(lines).to.have.length(1 + 2 + 1);
+    expect(lines.filter((line) => line.includes(",claim,"))).to.have.length(1);
+    expect(lines.every((line) => line.split(",").length === lines[0].split(",").length)).to.be.true;
+  });
+});